@@ -0,0 +1,56 @@
+/**
+ * Download service worker
+ *
+ * Streams large downloads to disk without building a Blob: the page registers
+ * a download over postMessage (with a MessagePort), then opens
+ * /__download/<id>/<name>. This worker answers that request with a
+ * ReadableStream that pulls chunks from the page one at a time.
+ */
+
+const PREFIX = '/__download/'
+const pending = new Map() // id -> { name, port }
+
+self.addEventListener('install', () => self.skipWaiting())
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()))
+
+self.addEventListener('message', (event) => {
+  const { type, id, name } = event.data || {}
+  if (type !== 'download' || !event.ports[0]) return
+  pending.set(id, { name, port: event.ports[0] })
+})
+
+self.addEventListener('fetch', (event) => {
+  const url = new URL(event.request.url)
+  if (!url.pathname.startsWith(PREFIX)) return
+  const id = url.pathname.slice(PREFIX.length).split('/')[0]
+  const download = pending.get(id)
+  if (!download) return
+  pending.delete(id)
+
+  const { name, port } = download
+  // Pull-based: the page reads the next chunk only when the browser wants it
+  const stream = new ReadableStream({
+    pull(controller) {
+      return new Promise((resolve) => {
+        port.onmessage = ({ data }) => {
+          if (data.error) controller.error(new Error(data.error))
+          else if (data.done) controller.close()
+          else controller.enqueue(new Uint8Array(data.chunk))
+          resolve()
+        }
+        port.postMessage({ type: 'pull' })
+      })
+    },
+    cancel() {
+      port.postMessage({ type: 'cancel' })
+    }
+  })
+
+  // No Content-Length: unwrapped chunks may not add up to the manifest size exactly
+  event.respondWith(new Response(stream, {
+    headers: {
+      'Content-Type': 'application/octet-stream',
+      'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(name)}`
+    }
+  }))
+})
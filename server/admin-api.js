@@ -0,0 +1,248 @@
+// @ts-check
+/**
+ * Hub admin API: authenticated JSON endpoints for running the hub
+ *
+ * Served on the hub's HTTP_PORT when ADMIN_TOKEN is set. Every request needs
+ * `Authorization: Bearer <ADMIN_TOKEN>`.
+ *
+ *   GET    /admin/rooms             Rooms in memory and on disk: file / chat counts, last activity
+ *   GET    /admin/rooms/:id         A room's manifest (files, removed files, folders), owner and writers
+ *   POST   /admin/rooms/:id/load    Load a room into memory (and subscribe to its topic)
+ *   POST   /admin/rooms/:id/evict   Drop a room from memory; its state stays on disk
+ *   GET    /admin/pins              Pinned CIDs, with the rooms listing them     (mirror)
+ *   DELETE /admin/pins/:cid         Unpin a CID; its blocks go at the next gc     (mirror)
+ *   POST   /admin/gc                Delete blocks no pin needs                    (mirror)
+ *   GET    /admin/storage           Disk usage of the blockstore, room docs and datastore
+ *
+ * Encrypted rooms can't be read by the hub: they report their sealed log size
+ * instead of counts.
+ */
+
+import { createHash, timingSafeEqual } from 'crypto'
+import { readdir, stat } from 'fs/promises'
+import { join } from 'path'
+import { CID } from 'multiformats/cid'
+import { listFiles, listRemovedFiles, listFolders } from '../src/manifest.js'
+import { getChatMessages } from '../src/chat.js'
+import { getOwner, listWriters } from '../src/room-auth.js'
+import { ROOM_ID } from './constants.js'
+
+/**
+ * @typedef {Object} AdminRoom
+ * @property {import('yjs').Doc} ydoc
+ * @property {{entries: any[]}} sealed - Sealed log of an encrypted room
+ */
+
+/**
+ * @typedef {Object} AdminHub
+ * @property {string} token - ADMIN_TOKEN
+ * @property {Map<string, AdminRoom>} rooms - Rooms in memory
+ * @property {() => Promise<Map<string, number>>} storedRooms - roomId -> last change on disk (ms)
+ * @property {(roomId: string) => Promise<AdminRoom|null>} readRoom - A room's state from disk, without loading it
+ * @property {(roomId: string) => Promise<AdminRoom>} loadRoom
+ * @property {(roomId: string) => Promise<boolean>} evictRoom - false if it wasn't loaded
+ * @property {any} [helia] - Mirror mode only
+ * @property {Record<string, string>} dirs - Name -> directory, for /admin/storage
+ */
+
+/** Compare a given token with the expected one in constant time */
+export const sameToken = (given, token) =>
+  timingSafeEqual(createHash('sha256').update(given).digest(), createHash('sha256').update(token).digest())
+
+function json(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(body))
+}
+
+/**
+ * Files and bytes under a directory (0 if it doesn't exist)
+ * @param {string} dir
+ * @returns {Promise<{files: number, bytes: number}>}
+ */
+export async function diskUsage(dir) {
+  let files = 0
+  let bytes = 0
+  let entries = []
+  try {
+    entries = await readdir(dir, { withFileTypes: true })
+  } catch {
+    return { files, bytes }
+  }
+  for (const entry of entries) {
+    const path = join(dir, entry.name)
+    if (entry.isDirectory()) {
+      const sub = await diskUsage(path)
+      files += sub.files
+      bytes += sub.bytes
+    } else if (entry.isFile()) {
+      files++
+      bytes += (await stat(path)).size
+    }
+  }
+  return { files, bytes }
+}
+
+/**
+ * Counts for a room; encrypted rooms only have their sealed log
+ * @param {AdminRoom} room
+ */
+function roomCounts({ ydoc, sealed }) {
+  if (sealed.entries.length) return { encrypted: true, sealedUpdates: sealed.entries.length }
+  return {
+    encrypted: false,
+    files: listFiles(ydoc).length,
+    removed: listRemovedFiles(ydoc).length,
+    chat: getChatMessages(ydoc.getArray('chat')).filter(m => m && !m.deleted).length
+  }
+}
+
+/**
+ * @param {AdminHub} hub
+ * @returns {(req: import('http').IncomingMessage, res: import('http').ServerResponse) => Promise<boolean>}
+ *   Answers /admin requests; false for any other path
+ */
+export function createAdminApi(hub) {
+  const routes = [
+    ['GET', /^\/admin\/rooms$/, listRooms],
+    ['GET', /^\/admin\/rooms\/([^/]+)$/, inspectRoom],
+    ['POST', /^\/admin\/rooms\/([^/]+)\/load$/, loadRoom],
+    ['POST', /^\/admin\/rooms\/([^/]+)\/evict$/, evictRoom],
+    ['GET', /^\/admin\/pins$/, listPins],
+    ['DELETE', /^\/admin\/pins\/([^/]+)$/, removePin],
+    ['POST', /^\/admin\/gc$/, collectGarbage],
+    ['GET', /^\/admin\/storage$/, storage]
+  ]
+
+  async function listRooms() {
+    const stored = await hub.storedRooms()
+    const ids = [...new Set([...hub.rooms.keys(), ...stored.keys()])].sort()
+    return [200, {
+      rooms: ids.map(roomId => {
+        const room = hub.rooms.get(roomId)
+        return { roomId, loaded: !!room, lastActivity: stored.get(roomId) ?? null, ...(room ? roomCounts(room) : {}) }
+      })
+    }]
+  }
+
+  async function inspectRoom(roomId) {
+    const room = hub.rooms.get(roomId) || (await hub.readRoom(roomId))
+    if (!room) return [404, { error: 'Unknown room' }]
+    const { ydoc, sealed } = room
+    return [200, {
+      roomId,
+      loaded: hub.rooms.has(roomId),
+      lastActivity: (await hub.storedRooms()).get(roomId) ?? null,
+      ...roomCounts(room),
+      ...(sealed.entries.length
+        ? {}
+        : {
+            owner: getOwner(ydoc),
+            writers: listWriters(ydoc),
+            files: listFiles(ydoc),
+            removed: listRemovedFiles(ydoc),
+            folders: listFolders(ydoc)
+          })
+    }]
+  }
+
+  async function loadRoom(roomId) {
+    const room = await hub.loadRoom(roomId)
+    console.log(`[Admin] Loaded room ${roomId.slice(0, 6)}`)
+    return [200, { roomId, loaded: true, ...roomCounts(room) }]
+  }
+
+  async function evictRoom(roomId) {
+    if (!(await hub.evictRoom(roomId))) return [404, { error: 'Room is not loaded' }]
+    console.log(`[Admin] Evicted room ${roomId.slice(0, 6)}`)
+    return [200, { roomId, loaded: false }]
+  }
+
+  // cid -> rooms (and file names) listing it, from the rooms in memory
+  function fileIndex() {
+    const index = new Map()
+    for (const [roomId, { ydoc }] of hub.rooms) {
+      for (const file of listFiles(ydoc)) {
+        if (!index.has(file.cid)) index.set(file.cid, [])
+        index.get(file.cid).push({ roomId, name: file.name })
+      }
+    }
+    return index
+  }
+
+  async function listPins() {
+    const index = fileIndex()
+    const pins = []
+    for await (const pin of hub.helia.pins.ls()) {
+      const cid = pin.cid.toString()
+      pins.push({ cid, depth: pin.depth, rooms: index.get(cid) || [] })
+    }
+    return [200, { pins }]
+  }
+
+  async function removePin(cid) {
+    let parsed
+    try {
+      parsed = CID.parse(cid)
+    } catch {
+      return [400, { error: 'Not a CID' }]
+    }
+    if (!(await hub.helia.pins.isPinned(parsed))) return [404, { error: 'Not pinned' }]
+    for await (const _ of hub.helia.pins.rm(parsed)) {
+      // Iteration completes when the pin is gone
+    }
+    console.log(`[Admin] Unpinned ${cid}`)
+    // Still in a room's manifest: pinned again when the hub restarts
+    return [200, { cid, unpinned: true, rooms: fileIndex().get(cid) || [] }]
+  }
+
+  async function collectGarbage() {
+    const before = await diskUsage(hub.dirs.blocks)
+    await hub.helia.gc()
+    const after = await diskUsage(hub.dirs.blocks)
+    console.log(`[Admin] Garbage collected ${before.files - after.files} blocks`)
+    return [200, { deletedBlocks: before.files - after.files, freedBytes: before.bytes - after.bytes }]
+  }
+
+  async function storage() {
+    const usage = {}
+    for (const [name, dir] of Object.entries(hub.dirs)) usage[name] = { dir, ...(await diskUsage(dir)) }
+    return [200, { ...usage, roomsLoaded: hub.rooms.size }]
+  }
+
+  return async (req, res) => {
+    const { pathname } = new URL(req.url || '/', 'http://hub')
+    if (pathname !== '/admin' && !pathname.startsWith('/admin/')) return false
+
+    const auth = req.headers.authorization || ''
+    if (!auth.startsWith('Bearer ') || !sameToken(auth.slice(7), hub.token)) {
+      json(res, 401, { error: 'Unauthorized' })
+      return true
+    }
+
+    const paths = routes.filter(([, pattern]) => pattern.test(pathname))
+    const route = paths.find(([method]) => method === req.method)
+    if (!route) {
+      json(res, paths.length ? 405 : 404, { error: paths.length ? 'Method not allowed' : 'Not found' })
+      return true
+    }
+    const [, pattern, handler] = route
+    const param = pattern.exec(pathname)?.[1] || ''
+    if (pathname.startsWith('/admin/rooms/') && !ROOM_ID.test(param)) {
+      json(res, 400, { error: 'Not a room ID' })
+      return true
+    }
+    if (!hub.helia && (pathname.startsWith('/admin/pins') || pathname === '/admin/gc')) {
+      json(res, 404, { error: 'Not available: the hub runs without --mirror' })
+      return true
+    }
+
+    try {
+      const [status, body] = await handler(param)
+      json(res, status, body)
+    } catch (err) {
+      console.error(`[Admin] ${req.method} ${pathname} failed:`, err)
+      json(res, 500, { error: err.message })
+    }
+    return true
+  }
+}
@@ -0,0 +1,149 @@
+// @ts-check
+/**
+ * Hub CLI: CAR import and export for the mirror's blockstore (data/hub-blocks)
+ *
+ *   node server/hub.js car import <file.car>...               Store the blocks of CAR files
+ *   node server/hub.js car export <out.car> <roomId|cid>...    Write a room's files, or DAGs by CID, to a CAR
+ *
+ * Imports check every block against its CID. Their roots are queued in
+ * data/hub-car-pins.json and pinned when the hub next starts in mirror mode
+ * (pins live in the datastore, which a running hub keeps locked); until then
+ * the blocks are served, but a GC from the admin API would drop them.
+ *
+ * A room goes out with its manifest as the first root (see src/car.js), so
+ * browsers can import it as a room. Encrypted rooms can't: the hub can't read
+ * their manifest, so export their files by CID instead. Only blocks in the
+ * blockstore are exported; DAGs missing some are skipped.
+ */
+
+import { createReadStream, createWriteStream } from 'fs'
+import { readFile, writeFile, rm } from 'fs/promises'
+import { Readable } from 'stream'
+import { pipeline } from 'stream/promises'
+import { CID } from 'multiformats/cid'
+import { listFiles, listFolders } from '../src/manifest.js'
+import { importCar, exportRoom, exportCids } from '../src/car.js'
+import { ROOM_ID } from './constants.js'
+
+export const USAGE = `Usage:
+  node server/hub.js car import <file.car>...
+  node server/hub.js car export <out.car> <roomId|cid>...   (one room, or any number of CIDs)`
+
+/**
+ * Root CIDs imported from CARs and not pinned yet
+ * @param {string} file
+ * @returns {Promise<string[]>}
+ */
+export async function readPinQueue(file) {
+  try {
+    return JSON.parse(await readFile(file, 'utf8'))
+  } catch {
+    return []
+  }
+}
+
+/**
+ * @param {string} file
+ * @param {string[]} cids - The file is removed once empty
+ */
+export async function writePinQueue(file, cids) {
+  if (cids.length) await writeFile(file, JSON.stringify(cids))
+  else await rm(file, { force: true })
+}
+
+/**
+ * @typedef {Object} CarCliHub
+ * @property {any} blockstore - The mirror's blockstore (opened)
+ * @property {(roomId: string) => Promise<{ydoc: import('yjs').Doc, sealed: {entries: any[]}}|null>} readRoom - A room's state from disk
+ * @property {string} pinQueue - Where imported roots wait to be pinned
+ */
+
+/**
+ * Import CAR files into the blockstore
+ * @param {CarCliHub} hub
+ * @param {string[]} paths
+ * @returns {Promise<{stored: number, rejected: number, roots: string[]}>}
+ */
+export async function importCarFiles(hub, paths) {
+  const total = { stored: 0, rejected: 0, roots: [] }
+  for (const path of paths) {
+    const { roots, stored, rejected, rooms } = await importCar(hub.blockstore, createReadStream(path))
+    console.log(`[CAR] ${path}: ${stored} blocks stored, ${roots.length} root(s)${rejected.length ? `, ${rejected.length} blocks rejected (bytes don't match their CID)` : ''}`)
+    for (const room of rooms) console.log(`[CAR]   Room ${room.roomId.slice(0, 6)}: ${room.roots.length} file(s)${room.sealed ? ' (encrypted)' : ''}`)
+    total.stored += stored
+    total.rejected += rejected.length
+    total.roots.push(...roots.map(r => r.toString()))
+  }
+  const queue = await readPinQueue(hub.pinQueue)
+  await writePinQueue(hub.pinQueue, [...new Set([...queue, ...total.roots])])
+  return total
+}
+
+/**
+ * Export a room, or DAGs by CID, from the blockstore to a CAR file
+ * @param {CarCliHub} hub
+ * @param {string} out
+ * @param {string[]} targets - One room ID, or CIDs
+ * @returns {Promise<import('../src/car.js').CarExport>}
+ */
+export async function exportCarFile(hub, out, targets) {
+  const cids = []
+  const roomIds = []
+  for (const target of targets) {
+    try {
+      cids.push(CID.parse(target))
+    } catch {
+      if (!ROOM_ID.test(target)) throw new Error(`Not a CID or room ID: ${target}`)
+      roomIds.push(target)
+    }
+  }
+  if (roomIds.length > 1 || (roomIds.length && cids.length)) throw new Error('Export one room, or CIDs, per CAR')
+
+  let car
+  if (roomIds.length) {
+    const [roomId] = roomIds
+    const room = await hub.readRoom(roomId)
+    if (!room) throw new Error(`Unknown room ${roomId}`)
+    if (room.sealed.entries.length) throw new Error(`Room ${roomId} is encrypted: export its files by CID`)
+    // Room names only live in browsers
+    car = await exportRoom(hub.blockstore, { roomId, files: listFiles(room.ydoc), folders: listFolders(room.ydoc) })
+  } else {
+    car = await exportCids(hub.blockstore, cids)
+  }
+  for (const name of car.skipped) console.warn(`[CAR] Skipped ${name}: not all of its blocks are here`)
+  if (!car.roots.length) throw new Error('Nothing to export')
+  try {
+    await pipeline(Readable.from(car.stream()), createWriteStream(out))
+  } catch (err) {
+    await rm(out, { force: true }) // Not a CAR anyone should import
+    throw err
+  }
+  console.log(`[CAR] Wrote ${out}: ${car.blocks} blocks, ${car.roots.length} root(s)`)
+  return car
+}
+
+/**
+ * Run `car import` / `car export`
+ * @param {string[]} args - The arguments after `car`
+ * @param {CarCliHub} hub
+ * @returns {Promise<number>} Exit code
+ */
+export async function runCarCommand(args, hub) {
+  const [command, ...rest] = args
+  try {
+    if (command === 'import' && rest.length) {
+      const { rejected } = await importCarFiles(hub, rest)
+      console.log('[CAR] Roots are pinned when the hub next starts in mirror mode')
+      return rejected ? 1 : 0
+    }
+    if (command === 'export' && rest.length > 1) {
+      await exportCarFile(hub, rest[0], rest.slice(1))
+      return 0
+    }
+    console.error(USAGE)
+    return 2
+  } catch (err) {
+    console.error(`[CAR] ${command} failed:`, err.message)
+    return 1
+  }
+}
@@ -1 +1,4 @@
-export { PUBSUB_PEER_DISCOVERY, ROOM_TOPIC, TRACKERS, TRACKER_CONTROL } from "../src/constants.js";
+export { PUBSUB_PEER_DISCOVERY, ROOM_TOPIC, TRACKERS } from "../src/constants.js";
+
+// Room IDs double as file names under the hub's data directories: anything else is refused before touching disk
+export const ROOM_ID = /^[A-Za-z0-9_-]{1,128}$/;
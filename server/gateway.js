@@ -0,0 +1,191 @@
+// @ts-check
+/**
+ * Hub HTTP gateway: room files over plain HTTP, for browsers without WebRTC
+ *
+ * Served on the hub's HTTP_PORT in mirror mode:
+ *
+ *   GET /ipfs/<cid>[?filename=<name>]   A UnixFS file by CID
+ *   GET /room/<roomId>/<filename>       A file of a room by name (or path, for folder uploads)
+ *
+ * Add `?download` for `Content-Disposition: attachment`. HEAD works too.
+ *
+ * Only blocks the hub holds are served (offline reads): the gateway never
+ * fetches content from the network for a caller. Files of encrypted rooms
+ * can't be found by name (the hub can't read their manifest); by CID they
+ * come back as the ciphertext they are.
+ *
+ * Responses carry the CID as ETag (If-None-Match gives 304) and honour a
+ * single byte range (`Range: bytes=a-b`, `a-` or `-n`); multiple ranges get
+ * the whole file. Content is served sandboxed, so HTML and SVG files can't
+ * script the hub's origin.
+ */
+
+import { Readable } from 'stream'
+import { pipeline } from 'stream/promises'
+import { CID } from 'multiformats/cid'
+import { listFiles } from '../src/manifest.js'
+import { guessMime } from '../src/file-manager.js'
+import { ROOM_ID } from './constants.js'
+
+/**
+ * @typedef {Object} GatewayHub
+ * @property {any} fs - Helia unixfs of the hub's node
+ * @property {Map<string, {ydoc: import('yjs').Doc, sealed: {entries: any[]}}>} rooms - Rooms in memory
+ * @property {(roomId: string) => Promise<{ydoc: import('yjs').Doc, sealed: {entries: any[]}}|null>} readRoom - A room's state from disk
+ */
+
+// An error answered with its status and message
+const httpError = (status, message) => Object.assign(new Error(message), { status })
+
+/**
+ * The byte range a Range header asks for
+ * @param {string|undefined} header
+ * @param {number} size
+ * @returns {{start: number, end: number}|null|'unsatisfiable'} null: the whole file
+ */
+export function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim())
+  if (!match || (!match[1] && !match[2])) return null // Absent, malformed or several ranges
+  let start
+  let end
+  if (!match[1]) {
+    // Suffix: the last n bytes
+    const suffix = Number(match[2])
+    if (suffix === 0) return 'unsatisfiable'
+    start = Math.max(0, size - suffix)
+    end = size - 1
+  } else {
+    start = Number(match[1])
+    end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1
+  }
+  if (start >= size || start > end) return 'unsatisfiable'
+  return { start, end }
+}
+
+/**
+ * Content-Disposition for a file name, with an ASCII fallback
+ * @param {string} name
+ * @param {boolean} download
+ */
+export function contentDisposition(name, download) {
+  const type = download ? 'attachment' : 'inline'
+  if (!name) return type
+  const ascii = name.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_')
+  return `${type}; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(name)}`
+}
+
+/**
+ * @param {GatewayHub} hub
+ * @returns {(req: import('http').IncomingMessage, res: import('http').ServerResponse) => Promise<boolean>}
+ *   Answers /ipfs and /room requests; false for any other path
+ */
+export function createGateway(hub) {
+  // The file a room lists under a name or path; loaded rooms first, then the copy on disk
+  async function findRoomFile(roomId, name) {
+    if (!ROOM_ID.test(roomId)) throw httpError(400, 'Not a room ID')
+    const room = hub.rooms.get(roomId) || (await hub.readRoom(roomId))
+    if (!room) throw httpError(404, 'Unknown room')
+    if (room.sealed.entries.length) throw httpError(404, 'Encrypted room: files can only be fetched by CID')
+    const files = listFiles(room.ydoc)
+    const file = files.find(f => f.path === name) || files.find(f => f.name === name)
+    if (!file) throw httpError(404, 'No such file in this room')
+    return file
+  }
+
+  // A name for a CID from the loaded rooms' manifests, for its Content-Type
+  function nameOf(cid) {
+    for (const { ydoc } of hub.rooms.values()) {
+      const file = listFiles(ydoc).find(f => f.cid === cid)
+      if (file) return file.name
+    }
+    return ''
+  }
+
+  async function serve(req, res, cidString, name, { immutable }) {
+    let cid
+    try {
+      cid = CID.parse(cidString)
+    } catch {
+      throw httpError(400, 'Not a CID')
+    }
+    let stats
+    try {
+      stats = await hub.fs.stat(cid, { offline: true })
+    } catch {
+      throw httpError(404, 'Not held by this hub')
+    }
+    if (stats.type === 'directory') throw httpError(400, 'Is a directory')
+
+    const size = Number(stats.size)
+    const etag = `"${cid.toString()}"`
+    const query = new URL(req.url || '/', 'http://hub').searchParams
+    res.setHeader('ETag', etag)
+    res.setHeader('Cache-Control', immutable ? 'public, max-age=31536000, immutable' : 'no-cache')
+    res.setHeader('Accept-Ranges', 'bytes')
+    res.setHeader('Content-Type', guessMime(name))
+    res.setHeader('Content-Disposition', contentDisposition(name, query.has('download')))
+    res.setHeader('X-Content-Type-Options', 'nosniff')
+    res.setHeader('Content-Security-Policy', 'sandbox')
+
+    if (req.headers['if-none-match']?.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag)) {
+      res.writeHead(304)
+      res.end()
+      return
+    }
+
+    const range = parseRange(req.headers.range, size)
+    if (range === 'unsatisfiable') {
+      res.writeHead(416, { 'Content-Range': `bytes */${size}` })
+      res.end()
+      return
+    }
+    const start = range ? range.start : 0
+    const length = range ? range.end - range.start + 1 : size
+    if (range) res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`)
+    res.writeHead(range ? 206 : 200, { 'Content-Length': length })
+    if (req.method === 'HEAD' || length === 0) {
+      res.end()
+      return
+    }
+
+    try {
+      await pipeline(Readable.from(hub.fs.cat(cid, { offset: start, length, offline: true })), res)
+    } catch (err) {
+      // Headers are gone: all we can do is cut the response short
+      // (players seeking through media abort requests all the time)
+      if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') console.warn(`[Gateway] ${cid.toString().slice(0, 12)}... failed mid-stream:`, err.message)
+      res.destroy()
+    }
+  }
+
+  return async (req, res) => {
+    const { pathname, searchParams } = new URL(req.url || '/', 'http://hub')
+    const ipfs = /^\/ipfs\/([^/]+)\/?$/.exec(pathname)
+    const room = /^\/room\/([^/]+)\/(.+)$/.exec(pathname)
+    if (!ipfs && !room) return false
+
+    try {
+      if (req.method !== 'GET' && req.method !== 'HEAD') throw httpError(405, 'Method not allowed')
+      if (ipfs) {
+        await serve(req, res, ipfs[1], searchParams.get('filename') || nameOf(ipfs[1]), { immutable: true })
+      } else {
+        let name
+        try {
+          name = decodeURIComponent(room[2])
+        } catch {
+          throw httpError(400, 'Malformed file name')
+        }
+        const file = await findRoomFile(room[1], name)
+        // The name can point at another CID later: revalidate against the ETag
+        await serve(req, res, file.cid, file.name, { immutable: false })
+      }
+    } catch (err) {
+      if (!err.status) console.error(`[Gateway] ${req.method} ${pathname} failed:`, err)
+      if (!res.headersSent) {
+        res.writeHead(err.status || 500, { 'Content-Type': 'application/json' })
+        res.end(JSON.stringify({ error: err.message }))
+      }
+    }
+    return true
+  }
+}
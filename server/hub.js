@@ -1,6 +1,7 @@
 // @ts-check
 import { createLibp2p } from 'libp2p'
 import { createHelia } from 'helia'
+import { unixfs } from '@helia/unixfs'
 import { autoNAT } from '@libp2p/autonat'
 import { identify } from '@libp2p/identify'
 import { noise } from '@chainsafe/libp2p-noise'
@@ -14,9 +15,22 @@ import { LevelDatastore } from 'datastore-level'
 import { CID } from 'multiformats/cid'
 import { createServer } from 'http'
 import * as Y from 'yjs'
-import { readFile, writeFile, mkdir } from 'fs/promises'
+import { readFile, writeFile, mkdir, readdir, stat } from 'fs/promises'
 import { existsSync } from 'fs'
-import { PUBSUB_PEER_DISCOVERY, ROOM_TOPIC } from '../src/constants.js'
+import { PUBSUB_PEER_DISCOVERY, ROOM_TOPIC, ROOM_ID } from './constants.js'
+import { listFiles, listFolders, migrateLegacyManifest, bindLegacyMigration, observeManifest } from '../src/manifest.js'
+import { signMessage, verifyMessage, authorizeMessage, checkUploadScope, checkAccessChange, checkChatChange, verifyUploadAuth, getOwner, isWriter } from '../src/room-auth.js'
+import { syncStep1, syncStep2, syncUpdate, readSync, checkDigest, decodeFrame, chunkFrame, encodeMessage, encodeFrameList, createReassembler } from '../src/sync-protocol.js'
+import { startRoomSync, ROOM_SYNC_PROTOCOL } from '../src/room-sync.js'
+import { createPresence } from '../src/presence.js'
+import { generateKeyPair, privateKeyFromProtobuf, privateKeyToProtobuf } from '@libp2p/crypto/keys'
+import { createAdminApi, diskUsage, sameToken } from './admin-api.js'
+import { createMetrics, transportOf } from './metrics.js'
+import { createGateway } from './gateway.js'
+import { createUploadApi, MAX_UPLOAD_BYTES, MAX_REQUEST_BYTES, MAX_PENDING_BYTES, MAX_SESSIONS } from './uploads.js'
+import { verifyBlock, localDag } from '../src/car.js'
+import { runCarCommand, readPinQueue, writePinQueue } from './car-cli.js'
+import { createSealedLog, appendSealed, markReplayed, sealedPages, sealedSnapshot, sealedAuthor } from './sealed-log.js'
 
 // ===== CLI FLAGS =====
 const args = process.argv.slice(2)
@@ -32,16 +46,38 @@ if (!anyOnly) {
   flags.relay = flags.mirror = flags.sync = true
 }
 
-console.log('Hub modes:', flags)
+if (args[0] !== 'car') console.log('Hub modes:', flags)
 
 // ===== ENCODING HELPERS =====
 const enc = (obj) => new TextEncoder().encode(JSON.stringify(obj))
 const dec = (buf) => JSON.parse(new TextDecoder().decode(buf))
 
+// Keep publishing JSON updates for a room while old browsers were heard from recently
+const LEGACY_WINDOW_MS = 10 * 60 * 1000
+
+// ===== HUB KEY =====
+// Persisted so the hub keeps its PeerID (browsers list it in TRACKERS and
+// trust its signed snapshots, see src/room-auth.js)
+const HUB_KEY_FILE = './data/hub-key'
+
+async function loadHubKey() {
+  if (existsSync(HUB_KEY_FILE)) {
+    return privateKeyFromProtobuf(new Uint8Array(await readFile(HUB_KEY_FILE)))
+  }
+  const key = await generateKeyPair('Ed25519')
+  await mkdir('./data', { recursive: true })
+  await writeFile(HUB_KEY_FILE, privateKeyToProtobuf(key))
+  console.log('[Hub] Generated new hub key')
+  return key
+}
+
 // ===== Y.JS ROOM MANAGER =====
-// roomId -> { ydoc: Y.Doc, manifest: Y.Map, chat: Y.Array }
+// roomId -> { ydoc: Y.Doc, manifest: Y.Map, files: Y.Map, chat: Y.Array, sealed: SealedLog, legacySeenAt?: number, presence?: Presence }
 const rooms = new Map()
 const YDOCS_DIR = './data/ydocs'
+const BLOCKS_DIR = './data/hub-blocks'
+// Roots of CARs imported with `hub.js car import`, pinned at the next mirror start
+const CAR_PIN_QUEUE = './data/hub-car-pins.json'
 
 // Ensure ydocs directory exists
 async function ensureYDocsDir() {
@@ -77,38 +113,121 @@ async function saveYDocState(roomId, ydoc) {
   }
 }
 
+// ===== SEALED LOGS (ENCRYPTED ROOMS) =====
+// Encrypted rooms' sealed logs (see ./sealed-log.js), one .enc file per room
+async function loadSealedLog(roomId) {
+  const filePath = `${YDOCS_DIR}/${roomId}.enc`
+  try {
+    if (existsSync(filePath)) {
+      const log = JSON.parse(await readFile(filePath, 'utf8'))
+      console.log(`[Hub] Loaded sealed log for room ${roomId.slice(0, 6)} (${log.entries.length} entries)`)
+      return log
+    }
+  } catch (err) {
+    console.warn(`[Hub] Failed to load sealed log for room ${roomId.slice(0, 6)}:`, err.message)
+  }
+  return createSealedLog()
+}
+
+async function saveSealedLog(roomId, log) {
+  try {
+    await writeFile(`${YDOCS_DIR}/${roomId}.enc`, JSON.stringify(log))
+  } catch (err) {
+    console.warn(`[Hub] Failed to save sealed log for room ${roomId.slice(0, 6)}:`, err.message)
+  }
+}
+
 async function getOrCreateRoom(roomId) {
+  if (typeof roomId !== 'string' || !ROOM_ID.test(roomId)) throw new Error('Invalid room ID')
   if (!rooms.has(roomId)) {
     const ydoc = new Y.Doc()
     const manifest = ydoc.getMap('manifest')
+    const files = ydoc.getMap('files')
     const chat = ydoc.getArray('chat')
 
     // Load persisted state if available
     const savedState = await loadYDocState(roomId)
     if (savedState) {
       Y.applyUpdate(ydoc, savedState)
-      const files = manifest.get('files') || []
+
+      // Migrate docs saved with the legacy single-array manifest
+      const migrated = migrateLegacyManifest(ydoc)
+      if (migrated > 0) {
+        console.log(`[Hub] Migrated ${migrated} legacy manifest entries for room ${roomId.slice(0, 6)}`)
+        await saveYDocState(roomId, ydoc)
+      }
+
       const chatMsgs = chat.length
-      console.log(`[Hub] Restored room ${roomId.slice(0, 6)}: ${files.length} files, ${chatMsgs} chat msgs`)
+      console.log(`[Hub] Restored room ${roomId.slice(0, 6)}: ${files.size} files, ${chatMsgs} chat msgs`)
     } else {
       console.log(`[Hub] Created new Y.Doc for room ${roomId.slice(0, 6)}`)
     }
 
+    // Legacy peers may still send `manifest.files` arrays
+    bindLegacyMigration(ydoc)
+
     // Auto-save on every update
     ydoc.on('update', () => {
       saveYDocState(roomId, ydoc).catch(() => {})
     })
 
-    rooms.set(roomId, { ydoc, manifest, chat })
+    const sealed = await loadSealedLog(roomId)
+
+    rooms.set(roomId, { ydoc, manifest, files, chat, sealed })
   }
   return rooms.get(roomId)
 }
 
+// roomId -> when its state last changed on disk (admin API)
+async function storedRooms() {
+  const stored = new Map()
+  for (const file of await readdir(YDOCS_DIR).catch(() => [])) {
+    const match = /^(.+)\.(yjs|enc)$/.exec(file)
+    if (!match) continue
+    const { mtimeMs } = await stat(`${YDOCS_DIR}/${file}`)
+    stored.set(match[1], Math.max(stored.get(match[1]) || 0, Math.round(mtimeMs)))
+  }
+  return stored
+}
+
+// A room's state read from disk without loading it (admin API), or null
+async function readRoom(roomId) {
+  const state = await loadYDocState(roomId)
+  const sealed = await loadSealedLog(roomId)
+  if (!state && !sealed.entries.length) return null
+  const ydoc = new Y.Doc()
+  if (state) {
+    Y.applyUpdate(ydoc, state)
+    migrateLegacyManifest(ydoc)
+  }
+  return { ydoc, sealed }
+}
+
 // ===== MAIN =====
 async function main() {
   const WS_PORT = process.env.PORT || 9004
   const TCP_PORT = process.env.TCP_PORT || 9003
   const HTTP_PORT = process.env.HTTP_PORT || 9007
+  const ADMIN_TOKEN = process.env.ADMIN_TOKEN
+  const DATASTORE_DIR = './data/hub-datastore'
+  const UPLOADS_DIR = './data/hub-uploads'
+  const UPLOAD_MAX_BYTES = Number(process.env.UPLOAD_MAX_BYTES) || MAX_UPLOAD_BYTES
+  const UPLOAD_REQUEST_MAX_BYTES = Number(process.env.UPLOAD_REQUEST_MAX_BYTES) || MAX_REQUEST_BYTES
+  const UPLOAD_PENDING_MAX_BYTES = Number(process.env.UPLOAD_PENDING_MAX_BYTES) || MAX_PENDING_BYTES
+  const UPLOAD_MAX_SESSIONS = Number(process.env.UPLOAD_MAX_SESSIONS) || MAX_SESSIONS
+  const UPLOAD_TOKEN = process.env.UPLOAD_TOKEN
+
+  // ===== METRICS =====
+  // Served at /metrics; the gauges read from libp2p are defined with the stats below
+  const metrics = createMetrics()
+  const syncMessages = metrics.counter('hub_sync_messages_total', 'Sync messages (SYNC_STEP1, SYNC_STEP2, Y_UPDATE, SNAPSHOT) by room, type and direction')
+  const pinResults = metrics.counter('hub_pins_total', 'Room files pinned by the mirror, by result')
+  let pinQueue = 0
+  // Per room only while it is loaded (evictRoom drops its series), so the label stays bounded by `rooms`
+  const SYNC_TYPES = ['SYNC_STEP1', 'SYNC_STEP2', 'Y_UPDATE', 'SNAPSHOT']
+  const countSync = (roomId, direction, type) => {
+    if (SYNC_TYPES.includes(type) && rooms.has(roomId)) syncMessages.inc({ room: roomId, type, direction })
+  }
 
   // Ensure Y.Docs persistence directory exists
   if (flags.sync) {
@@ -118,8 +237,8 @@ async function main() {
   // Initialize blockstore/datastore if mirror enabled
   let blockstore, datastore
   if (flags.mirror) {
-    blockstore = new FsBlockstore('./data/hub-blocks')
-    datastore = new LevelDatastore('./data/hub-datastore')
+    blockstore = new FsBlockstore(BLOCKS_DIR)
+    datastore = new LevelDatastore(DATASTORE_DIR)
     await datastore.open()
   } else {
     // Use in-memory for relay/sync-only modes
@@ -130,7 +249,12 @@ async function main() {
   }
 
   // ===== LIBP2P SETUP =====
+  const hubKey = await loadHubKey()
+  // Sign and encode a sync message we publish
+  const sign = async (msg) => enc(await signMessage(hubKey, msg))
+
   const libp2pConfig = {
+    privateKey: hubKey,
     addresses: {
       listen: [
         `/ip4/0.0.0.0/tcp/${WS_PORT}/ws`,
@@ -196,7 +320,7 @@ async function main() {
         const data = Buffer.concat(chunks)
         const { roomId } = dec(data)
 
-        if (!roomId) {
+        if (typeof roomId !== 'string' || !ROOM_ID.test(roomId)) {
           console.warn(`[Notify] Received invalid notification from ${remotePeer.slice(-16)}`)
           return
         }
@@ -204,10 +328,10 @@ async function main() {
         console.log(`[Notify] Room ${roomId.slice(0, 6)} announced by ${remotePeer.slice(-16)}`)
 
         // Load room (triggers gossipsub subscription)
-        // Browser will proactively send SNAPSHOT after notifying us
+        // The browser syncs the room state over /room-sync/1.0.0
         await getOrCreateRoom(roomId)
 
-        console.log(`[Notify] ✓ Subscribed to room ${roomId.slice(0, 6)} (waiting for SNAPSHOT)`)
+        console.log(`[Notify] ✓ Subscribed to room ${roomId.slice(0, 6)}`)
       } catch (err) {
         console.warn(`[Notify] Failed to process notification:`, err.message)
       } finally {
@@ -218,14 +342,225 @@ async function main() {
     console.log('[Notify] Room notification protocol registered: /room-notify/1.0.0')
   }
 
-  // ===== GOSSIPSUB SYNC (SIMPLIFIED) =====
+  // ===== GOSSIPSUB SYNC =====
   if (flags.sync) {
+    const reassembler = createReassembler()
+    const ignoreNoPeers = (label) => (err) => {
+      if (!err.message?.includes('NoPeersSubscribedToTopic')) {
+        console.warn(`[Gossipsub] ${label} publish failed:`, err.message)
+      }
+    }
+
+    // Sign and publish a binary sync message (chunked if it's large)
+    const publishSync = async (roomId, header, payload) => {
+      countSync(roomId, 'out', header.type)
+      for (const frame of await encodeMessage({ ...header, roomId }, payload, hubKey)) {
+        await libp2p.services.pubsub.publish(ROOM_TOPIC(roomId), frame)
+      }
+    }
+
+    // Binary sync messages (see src/sync-protocol.js); `bytes` is the whole frame
+    // From gossipsub by default; /room-sync streams pass their own `send` for
+    // answers, and what they bring in is passed on to gossipsub
+    const gossip = (roomId) => ({
+      origin: 'gossipsub',
+      send: (header, payload) => publishSync(roomId, header, payload)
+    })
+    const handleFrame = async (room, roomId, header, payload, bytes, { origin, send } = gossip(roomId)) => {
+      if (header.roomId !== roomId) return
+      countSync(roomId, 'in', header.type)
+      if (!(await checkDigest(header, payload))) {
+        console.warn(`[Gossipsub] Dropped ${header.type} for room ${roomId.slice(0, 6)}: payload doesn't match its digest`)
+        return
+      }
+      const isUpdate = header.type === 'Y_UPDATE' || header.type === 'SYNC_STEP2'
+      // Reply step 1s are answered by the peer they're addressed to
+      if (header.type === 'SYNC_STEP1' && header.reply && header.to !== libp2p.peerId.toString()) return
+
+      if (isUpdate && header.enc) {
+        // Encrypted room: store the opaque frame, never apply it
+        // We can't read the writer list, but unsigned or forged updates never get stored
+        const from = await verifyMessage(header)
+        if (!from) {
+          console.warn(`[Gossipsub] Rejected sealed ${header.type} for room ${roomId.slice(0, 6)}: missing or bad signature`)
+          return
+        }
+        const entry = appendSealed(room.sealed, { frame: bytes, covers: header.covers, from })
+        if (!entry) {
+          console.warn(`[Gossipsub] Rejected sealed ${header.type} for room ${roomId.slice(0, 6)}: sealed log is full (${room.sealed.entries.length} entries)`)
+          return
+        }
+        console.log(`[Gossipsub] Stored sealed ${header.type} #${entry.seq} for room ${roomId.slice(0, 6)}: ${payload.length} bytes, ${room.sealed.entries.length} in log`)
+        await saveSealedLog(roomId, room.sealed)
+        if (origin === 'stream') {
+          countSync(roomId, 'out', header.type)
+          for (const part of chunkFrame(bytes)) {
+            libp2p.services.pubsub.publish(ROOM_TOPIC(roomId), part).catch(ignoreNoPeers('Sealed update'))
+          }
+        }
+      }
+      else if (isUpdate) {
+        // Same rule as browsers: only the owner and writers may change an owned room
+        // (grant expiry and single use are checked here too)
+        const auth = await authorizeMessage(room.ydoc, roomId, header)
+        if (!auth.ok) {
+          console.warn(`[Gossipsub] Rejected ${header.type} for room ${roomId.slice(0, 6)} from ${auth.from?.slice(-8) || 'unknown peer'}: ${auth.reason}`)
+          return
+        }
+        const sync = readSync(payload)
+        if (sync.type !== header.type) return
+        const refused = await checkAccessChange(room.ydoc, roomId, sync.data, auth.from, { grant: auth.grant })
+        if (refused) {
+          console.warn(`[Gossipsub] Rejected ${header.type} for room ${roomId.slice(0, 6)} from ${auth.from?.slice(-8) || 'unknown peer'}: ${refused}`)
+          return
+        }
+        // Upload-only invitees may add files and nothing else
+        const outOfScope = auth.role === 'upload' && checkUploadScope(room.ydoc, sync.data, auth.from)
+        if (outOfScope) {
+          console.warn(`[Gossipsub] Rejected ${header.type} for room ${roomId.slice(0, 6)} from uploader ${auth.from.slice(-8)}: ${outOfScope}`)
+          return
+        }
+        // Only authors may change their chat messages
+        const forged = await checkChatChange(room.ydoc, sync.data, auth.from)
+        if (forged) {
+          console.warn(`[Gossipsub] Rejected ${header.type} for room ${roomId.slice(0, 6)} from ${auth.from.slice(-8)}: ${forged}`)
+          return
+        }
+        console.log(`[Gossipsub] Received ${header.type} for room ${roomId.slice(0, 6)} via ${origin}: ${sync.data.length} bytes`)
+        // Applied with origin 'stream', the update is broadcast like our own
+        Y.applyUpdate(room.ydoc, sync.data, origin)
+      }
+      else if (header.type === 'SYNC_STEP1' && (header.enc || room.sealed.entries.length)) {
+        // Encrypted room: replay the sealed log
+        if (!room.sealed.entries.length) return
+        // In pages, so a large log never makes a message too big to send
+        const pages = sealedPages(room.sealed)
+        // Only the requester's full-state reply may compact what we send
+        const from = await verifyMessage(header)
+        if (from) markReplayed(room.sealed, from, pages.at(-1).seq)
+        console.log(`[Gossipsub] SYNC_STEP1 for encrypted room ${roomId.slice(0, 6)} -> sending ${room.sealed.entries.length} sealed updates in ${pages.length} page(s)`)
+        for (const [i, { frames, since, seq }] of pages.entries()) {
+          await send({ type: 'SNAPSHOT', enc: true, seq, since, ...(i < pages.length - 1 ? { more: true } : {}) }, encodeFrameList(frames))
+        }
+      }
+      else if (header.type === 'SYNC_STEP1') {
+        // Peer sent its state vector - send only what it is missing
+        const sync = readSync(payload)
+        if (sync.type !== 'SYNC_STEP1') return
+        const diff = syncStep2(room.ydoc, sync.data)
+        console.log(`[Gossipsub] SYNC_STEP1 for room ${roomId.slice(0, 6)} -> sending ${diff.length} byte diff, ${room.files.size} files`)
+        await send({ type: 'SYNC_STEP2' }, diff)
+        // And ask for what we are missing
+        if (!header.reply) await send({ type: 'SYNC_STEP1', reply: true, to: header.from }, syncStep1(room.ydoc))
+      }
+      else if (header.type === 'AWARENESS' && !header.enc && room.presence) {
+        // Browser presence: only used to greet newcomers with our own state
+        const from = await verifyMessage(header)
+        if (from) room.presence.receive(payload, from)
+      }
+    }
+
+    // Browsers open /room-sync/1.0.0 when they connect or open a room; we only answer
+    startRoomSync(libp2p, {
+      rooms: () => [],
+      dial: false,
+      tag: 'RoomSync',
+      open: async (roomId) => {
+        if (typeof roomId !== 'string' || !ROOM_ID.test(roomId)) return null
+        const room = await getOrCreateRoom(roomId)
+        return {
+          request: async () => [],
+          handle: (header, payload, bytes, reply) => handleFrame(room, roomId, header, payload, bytes, {
+            origin: 'stream',
+            send: async (h, p) => {
+              countSync(roomId, 'out', h.type)
+              return reply(await encodeMessage({ ...h, roomId }, p, hubKey))
+            }
+          })
+        }
+      }
+    })
+    console.log(`[RoomSync] Direct sync protocol registered: ${ROOM_SYNC_PROTOCOL}`)
+
+    // JSON messages from browsers that predate the binary protocol
+    const handleLegacy = async (room, roomId, msg) => {
+      countSync(roomId, 'in', msg.type)
+      if ((msg.type === 'Y_UPDATE' || msg.type === 'SNAPSHOT') && msg.enc && msg.update) {
+        // Encrypted room: store the opaque payload, never apply it
+        const from = await verifyMessage(msg)
+        if (!from) {
+          console.warn(`[Gossipsub] Rejected sealed ${msg.type} for room ${roomId.slice(0, 6)}: missing or bad signature`)
+          return
+        }
+        const entry = appendSealed(room.sealed, { msg, covers: msg.covers, from })
+        if (!entry) {
+          console.warn(`[Gossipsub] Rejected sealed ${msg.type} for room ${roomId.slice(0, 6)}: sealed log is full (${room.sealed.entries.length} entries)`)
+          return
+        }
+        console.log(`[Gossipsub] Stored sealed legacy ${msg.type} #${entry.seq} for room ${roomId.slice(0, 6)}: ${msg.update.length} bytes, ${room.sealed.entries.length} in log`)
+        await saveSealedLog(roomId, room.sealed)
+      }
+      else if ((msg.type === 'Y_UPDATE' || msg.type === 'SNAPSHOT') && msg.update) {
+        const auth = await authorizeMessage(room.ydoc, roomId, msg)
+        if (!auth.ok) {
+          console.warn(`[Gossipsub] Rejected ${msg.type} for room ${roomId.slice(0, 6)} from ${auth.from?.slice(-8) || 'unknown peer'}: ${auth.reason}`)
+          return
+        }
+        const update = new Uint8Array(msg.update)
+        const refused = await checkAccessChange(room.ydoc, roomId, update, auth.from, { grant: auth.grant })
+        if (refused) {
+          console.warn(`[Gossipsub] Rejected ${msg.type} for room ${roomId.slice(0, 6)} from ${auth.from?.slice(-8) || 'unknown peer'}: ${refused}`)
+          return
+        }
+        const outOfScope = auth.role === 'upload' && checkUploadScope(room.ydoc, update, auth.from)
+        if (outOfScope) {
+          console.warn(`[Gossipsub] Rejected ${msg.type} for room ${roomId.slice(0, 6)} from uploader ${auth.from.slice(-8)}: ${outOfScope}`)
+          return
+        }
+        // Only authors may change their chat messages
+        const forged = await checkChatChange(room.ydoc, update, auth.from)
+        if (forged) {
+          console.warn(`[Gossipsub] Rejected ${msg.type} for room ${roomId.slice(0, 6)} from ${auth.from.slice(-8)}: ${forged}`)
+          return
+        }
+        console.log(`[Gossipsub] Received legacy ${msg.type} for room ${roomId.slice(0, 6)}: ${update.length} bytes`)
+        Y.applyUpdate(room.ydoc, update, 'gossipsub')
+        if (msg.type === 'SNAPSHOT') console.log(`[Gossipsub] After SNAPSHOT: ${room.files.size} files`)
+      }
+      else if (msg.type === 'SNAPSHOT_REQUEST' && room.sealed.entries.length) {
+        // Encrypted room: replay the sealed entries old browsers can read
+        const snapshot = sealedSnapshot(room.sealed)
+        if (!snapshot.updates.length) return
+        const from = await verifyMessage(msg)
+        if (from && 'seq' in snapshot) markReplayed(room.sealed, from, snapshot.seq)
+        console.log(`[Gossipsub] Legacy SNAPSHOT_REQUEST for encrypted room ${roomId.slice(0, 6)} -> sending ${snapshot.updates.length} sealed updates`)
+        countSync(roomId, 'out', 'SNAPSHOT')
+        libp2p.services.pubsub.publish(ROOM_TOPIC(roomId), await sign({
+          type: 'SNAPSHOT',
+          ...snapshot,
+          roomId
+        })).catch(ignoreNoPeers('SNAPSHOT'))
+      }
+      else if (msg.type === 'SNAPSHOT_REQUEST') {
+        // Old browser wants full state - send it
+        const fullState = Y.encodeStateAsUpdate(room.ydoc)
+        console.log(`[Gossipsub] Legacy SNAPSHOT_REQUEST for room ${roomId.slice(0, 6)} -> sending ${fullState.length} bytes, ${room.files.size} files`)
+        countSync(roomId, 'out', 'SNAPSHOT')
+        libp2p.services.pubsub.publish(ROOM_TOPIC(roomId), await sign({
+          type: 'SNAPSHOT',
+          update: Array.from(fullState),
+          roomId
+        })).catch(ignoreNoPeers('SNAPSHOT'))
+      }
+    }
+
     // Listen to all room topics
     libp2p.services.pubsub.addEventListener('message', (evt) => {
       const topic = evt.detail.topic
       if (!topic.startsWith('wc/')) return
 
       const roomId = topic.slice(3) // Extract roomId from "wc/<roomId>"
+      if (!ROOM_ID.test(roomId)) return
 
       // Load room on demand
       ;(async () => {
@@ -236,37 +571,19 @@ async function main() {
             room = await getOrCreateRoom(roomId)
           }
 
-          const msg = dec(evt.detail.data)
-
-          // Handle different message types
-          if (msg.type === 'Y_UPDATE' && msg.update) {
-            const update = new Uint8Array(msg.update)
-            console.log(`[Gossipsub] Received Y_UPDATE for room ${roomId.slice(0, 6)}: ${update.length} bytes`)
-            Y.applyUpdate(room.ydoc, update, 'gossipsub')
+          let bytes = evt.detail.data
+          let frame = decodeFrame(bytes)
+          if ('chunk' in frame) {
+            bytes = reassembler.add(frame.chunk, evt.detail.from?.toString())
+            if (!bytes) return
+            frame = decodeFrame(bytes)
           }
-          else if (msg.type === 'SNAPSHOT' && msg.update) {
-            const update = new Uint8Array(msg.update)
-            console.log(`[Gossipsub] Received SNAPSHOT for room ${roomId.slice(0, 6)}: ${update.length} bytes`)
-            Y.applyUpdate(room.ydoc, update, 'gossipsub')
 
-            const files = room.manifest.get('files') || []
-            console.log(`[Gossipsub] After SNAPSHOT: ${files.length} files`)
-          }
-          else if (msg.type === 'SNAPSHOT_REQUEST') {
-            // Peer wants full state - send it
-            const fullState = Y.encodeStateAsUpdate(room.ydoc)
-            const files = room.manifest.get('files') || []
-            console.log(`[Gossipsub] SNAPSHOT_REQUEST for room ${roomId.slice(0, 6)} -> sending ${fullState.length} bytes, ${files.length} files`)
-
-            libp2p.services.pubsub.publish(ROOM_TOPIC(roomId), enc({
-              type: 'SNAPSHOT',
-              update: Array.from(fullState),
-              roomId
-            })).catch(err => {
-              if (!err.message?.includes('NoPeersSubscribedToTopic')) {
-                console.warn(`[Gossipsub] SNAPSHOT publish failed:`, err.message)
-              }
-            })
+          if ('legacy' in frame) {
+            if (['Y_UPDATE', 'SNAPSHOT', 'SNAPSHOT_REQUEST'].includes(frame.legacy.type)) room.legacySeenAt = Date.now()
+            await handleLegacy(room, roomId, frame.legacy)
+          } else if ('header' in frame) {
+            await handleFrame(room, roomId, frame.header, frame.payload, bytes)
           }
         } catch (err) {
           console.warn('[Gossipsub] Failed to process message:', err.message)
@@ -275,24 +592,21 @@ async function main() {
     })
 
     // When Y.Doc updates, broadcast to gossipsub
-    function setupRoomBroadcast(roomId, ydoc) {
-      ydoc.on('update', (update, origin) => {
+    function setupRoomBroadcast(roomId, room) {
+      room.ydoc.on('update', (update, origin) => {
         // Don't echo back to gossipsub
         if (origin === 'gossipsub') return
 
-        const updateMsg = enc({
-          type: 'Y_UPDATE',
-          update: Array.from(update),
-          roomId
-        })
-
         // Broadcast to gossipsub mesh
-        libp2p.services.pubsub.publish(ROOM_TOPIC(roomId), updateMsg)
-          .catch(err => {
-            if (!err.message?.includes('NoPeersSubscribedToTopic')) {
-              console.warn(`[Gossipsub] Publish failed:`, err.message)
-            }
-          })
+        publishSync(roomId, { type: 'Y_UPDATE' }, syncUpdate(update)).catch(ignoreNoPeers('Y_UPDATE'))
+
+        // Old browsers only read JSON
+        if (Date.now() - (room.legacySeenAt || 0) < LEGACY_WINDOW_MS) {
+          countSync(roomId, 'out', 'Y_UPDATE')
+          sign({ type: 'Y_UPDATE', update: Array.from(update), roomId })
+            .then(data => libp2p.services.pubsub.publish(ROOM_TOPIC(roomId), data))
+            .catch(ignoreNoPeers('Legacy Y_UPDATE'))
+        }
 
         console.log(`[Gossipsub] Broadcasting Y_UPDATE for room ${roomId.slice(0, 6)}: ${update.length} bytes`)
       })
@@ -303,7 +617,7 @@ async function main() {
     getOrCreateRoom = async function (roomId) {
       const room = await originalGetOrCreateRoom(roomId)
       if (!room._broadcastSetup) {
-        setupRoomBroadcast(roomId, room.ydoc)
+        setupRoomBroadcast(roomId, room)
         room._broadcastSetup = true
 
         // Subscribe to gossipsub topic for this room
@@ -313,7 +627,7 @@ async function main() {
       return room
     }
 
-    console.log('[Gossipsub] Sync enabled (no special protocols, just pubsub)')
+    console.log('[Gossipsub] Sync enabled (binary state-vector sync, JSON for old browsers)')
   }
 
   // ===== PROACTIVE PINNING =====
@@ -321,6 +635,28 @@ async function main() {
     // Track pinned CIDs globally to avoid redundant pins
     const pinnedCids = new Set()
 
+    // Browsers show a seeder count per file: we advertise the room files we
+    // have pinned in a presence state of our own (see src/presence.js)
+    // Encrypted rooms' files aren't listed (and browsers ignore plaintext there)
+    const advertise = async (roomId, room) => {
+      if (!room.presence) {
+        room.presence = createPresence(room.ydoc, {
+          self: libp2p.peerId.toString(),
+          publish: async (update) => {
+            for (const frame of await encodeMessage({ type: 'AWARENESS', roomId }, update, hubKey)) {
+              await libp2p.services.pubsub.publish(ROOM_TOPIC(roomId), frame)
+            }
+          }
+        })
+        room.presence.set({ nickname: 'Hub mirror', hub: true })
+      }
+      const have = []
+      for (const file of listFiles(room.ydoc)) {
+        if (await helia.pins.isPinned(CID.parse(file.cid)).catch(() => false)) have.push(file.cid)
+      }
+      room.presence.set({ have })
+    }
+
     // Monkey-patch getOrCreateRoom to add manifest observer
     const originalGetOrCreateRoom = getOrCreateRoom
     getOrCreateRoom = async function (roomId) {
@@ -331,11 +667,13 @@ async function main() {
         room._pinningSetup = true
 
         const manifestObserver = () => {
-          const files = room.manifest.get('files') || []
+          // listFiles skips tombstoned (removed) files, so they are never re-pinned
+          const files = listFiles(room.ydoc)
 
           for (const file of files) {
             if (!pinnedCids.has(file.cid)) {
               pinnedCids.add(file.cid) // Mark as processing
+              pinQueue++
 
               // Pin asynchronously via bitswap
               ;(async () => {
@@ -350,9 +688,14 @@ async function main() {
                   }
 
                   console.log(`[Hub] ✓ Pinned ${file.name}`)
+                  pinResults.inc({ result: 'success' })
+                  advertise(roomId, room).catch(() => {})
                 } catch (err) {
                   console.warn(`[Hub] Failed to pin ${file.name}:`, err.message)
+                  pinResults.inc({ result: 'failure' })
                   pinnedCids.delete(file.cid) // Allow retry
+                } finally {
+                  pinQueue--
                 }
               })()
             }
@@ -360,7 +703,9 @@ async function main() {
         }
 
         // Attach observer
-        room.manifest.observe(manifestObserver)
+        observeManifest(room.ydoc, manifestObserver)
+        observeManifest(room.ydoc, () => advertise(roomId, room).catch(() => {}))
+        advertise(roomId, room).catch(() => {})
 
         // Trigger initial pin for existing files
         manifestObserver()
@@ -370,6 +715,30 @@ async function main() {
     }
 
     console.log('[Hub] Proactive pinning enabled')
+
+    // Roots of CARs imported while we were stopped (car-cli.js); their blocks are here already
+    const queued = await readPinQueue(CAR_PIN_QUEUE)
+    if (queued.length) {
+      ;(async () => {
+        const pinned = new Set()
+        for (const cid of queued) {
+          try {
+            const cidObj = CID.parse(cid)
+            if (!(await helia.pins.isPinned(cidObj))) {
+              for await (const _ of helia.pins.add(cidObj, { signal: AbortSignal.timeout(60000) })) {
+                // Iteration completes when fully pinned
+              }
+            }
+            pinned.add(cid)
+          } catch (err) {
+            console.warn(`[Hub] Failed to pin imported CAR root ${cid.slice(0, 12)}...:`, err.message)
+          }
+        }
+        // Roots queued meanwhile stay for the next start
+        await writePinQueue(CAR_PIN_QUEUE, (await readPinQueue(CAR_PIN_QUEUE)).filter(cid => !pinned.has(cid)))
+        console.log(`[Hub] ✓ Pinned ${pinned.size}/${queued.length} imported CAR root(s)`)
+      })().catch(err => console.warn('[Hub] Failed to pin imported CAR roots:', err.message))
+    }
   }
 
   // ===== LOAD PERSISTED ROOMS ON STARTUP =====
@@ -383,8 +752,9 @@ async function main() {
         console.log(`[Startup] Found ${files.length} persisted rooms, loading...`)
 
         for (const file of files) {
-          if (file.endsWith('.yjs')) {
-            const roomId = file.replace('.yjs', '')
+          if (file.endsWith('.yjs') || file.endsWith('.enc')) {
+            const roomId = file.replace(/\.(yjs|enc)$/, '')
+            if (rooms.has(roomId) || !ROOM_ID.test(roomId)) continue
             try {
               // This loads the room AND subscribes to its gossipsub topic
               await getOrCreateRoom(roomId)
@@ -402,115 +772,230 @@ async function main() {
     }, 2000) // Wait for libp2p to be ready
   }
 
-  // ===== MIRROR HTTP API =====
-  if (flags.mirror) {
-    const server = createServer(async (req, res) => {
-      res.setHeader('Access-Control-Allow-Origin', '*')
-      res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS')
-      res.setHeader('Access-Control-Allow-Headers', 'Content-Type')
+  // ===== ADMIN API =====
+  // Drop a room from memory; its state stays on disk, and a browser syncing it loads it again
+  async function evictRoom(roomId) {
+    const room = rooms.get(roomId)
+    if (!room) return false
+    rooms.delete(roomId)
+    syncMessages.remove({ room: roomId })
+    if (flags.sync) libp2p.services.pubsub.unsubscribe(ROOM_TOPIC(roomId))
+    await saveYDocState(roomId, room.ydoc)
+    room.ydoc.destroy() // Presence and observers go with it
+    return true
+  }
+
+  const admin = ADMIN_TOKEN
+    ? createAdminApi({
+        token: ADMIN_TOKEN,
+        rooms,
+        storedRooms,
+        readRoom,
+        loadRoom: (roomId) => getOrCreateRoom(roomId),
+        evictRoom,
+        helia,
+        dirs: { ydocs: YDOCS_DIR, ...(flags.mirror ? { blocks: BLOCKS_DIR, datastore: DATASTORE_DIR, uploads: UPLOADS_DIR } : {}) }
+      })
+    : null
+  if (!admin) console.log('[Admin] API disabled (set ADMIN_TOKEN to enable)')
+
+  // ===== HTTP API =====
+  // Metrics, mirror uploads (server/uploads.js) and file gateway (server/gateway.js), and the admin API (server/admin-api.js)
+  const gateway = helia ? createGateway({ fs: unixfs(helia), rooms, readRoom }) : null
+  // Uploads need UPLOAD_TOKEN (or ADMIN_TOKEN), or a room grant signed by one of the room's
+  // writers (src/room-auth.js createUploadAuth), which only pins that room's files
+  const uploadTokens = [UPLOAD_TOKEN, ADMIN_TOKEN].filter(Boolean)
+  const authorizeUpload = async (req) => {
+    const header = req.headers.authorization || ''
+    if (header.startsWith('Bearer ') && uploadTokens.some(token => sameToken(header.slice(7), token))) return { id: 'token' }
+    const grant = await verifyUploadAuth(header)
+    if (!grant || !ROOM_ID.test(grant.roomId)) return null
+    const room = rooms.get(grant.roomId) || await readRoom(grant.roomId)
+    if (!room) return null
+    // Encrypted rooms: their file CIDs are sealed too, so any root goes
+    if (room.sealed.entries.length) return sealedAuthor(room.sealed, grant.from) ? { id: grant.from } : null
+    if (!getOwner(room.ydoc) || !isWriter(room.ydoc, grant.from)) return null
+    return { id: grant.from, roots: new Set([...listFiles(room.ydoc), ...listFolders(room.ydoc)].map(f => f.cid)) }
+  }
+  const uploads = helia
+    ? createUploadApi({
+        blockstore,
+        pins: helia.pins,
+        dir: UPLOADS_DIR,
+        authorize: authorizeUpload,
+        maxUploadBytes: UPLOAD_MAX_BYTES,
+        maxRequestBytes: UPLOAD_REQUEST_MAX_BYTES,
+        maxPendingBytes: UPLOAD_PENDING_MAX_BYTES,
+        maxSessions: UPLOAD_MAX_SESSIONS
+      })
+    : null
+  const server = createServer(async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*')
+    res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, POST, PATCH, DELETE, OPTIONS')
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Range, Upload-Length, Upload-Offset')
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Range, Content-Length, Content-Disposition, ETag, Location, Upload-Offset, Upload-Length')
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204)
+      res.end()
+      return
+    }
+
+    if (admin && (await admin(req, res))) return
+    if (gateway && (await gateway(req, res))) return
+    if (uploads && (await uploads(req, res))) return
 
-      if (req.method === 'OPTIONS') {
-        res.writeHead(204)
+    if (req.method === 'GET' && req.url === '/metrics') {
+      try {
+        const body = await metrics.render()
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' })
+        res.end(body)
+      } catch (err) {
+        console.error('[Metrics] Failed to render:', err)
+        res.writeHead(500)
         res.end()
+      }
+    } else if (flags.mirror && req.method === 'POST' && req.url === '/upload') {
+      // Base64 blocks in one buffered JSON body: kept for old browsers, see /uploads
+      const by = await authorizeUpload(req)
+      if (!by) {
+        res.writeHead(401, { 'Content-Type': 'application/json', Connection: 'close' })
+        res.end(JSON.stringify({ error: 'Uploads need the upload token or a room grant' }), () => req.destroy())
         return
       }
+      const chunks = []
+      let size = 0
+      req.on('data', chunk => {
+        size += chunk.length
+        if (size > UPLOAD_REQUEST_MAX_BYTES) {
+          req.removeAllListeners('data').removeAllListeners('end')
+          res.writeHead(413, { 'Content-Type': 'application/json', Connection: 'close' })
+          res.end(JSON.stringify({ error: `Requests are limited to ${UPLOAD_REQUEST_MAX_BYTES} bytes` }), () => req.destroy())
+          return
+        }
+        chunks.push(chunk)
+      })
+      req.on('end', async () => {
+        try {
+          const body = Buffer.concat(chunks)
+          const { blocks } = JSON.parse(body.toString())
 
-      if (req.method === 'POST' && req.url === '/upload') {
-        const chunks = []
-        req.on('data', chunk => chunks.push(chunk))
-        req.on('end', async () => {
-          try {
-            const body = Buffer.concat(chunks)
-            const { blocks } = JSON.parse(body.toString())
+          if (!Array.isArray(blocks) || blocks.length === 0) {
+            res.writeHead(400, { 'Content-Type': 'application/json' })
+            res.end(JSON.stringify({ error: 'blocks array required' }))
+            return
+          }
 
-            if (!Array.isArray(blocks) || blocks.length === 0) {
-              res.writeHead(400, { 'Content-Type': 'application/json' })
-              res.end(JSON.stringify({ error: 'blocks array required' }))
-              return
-            }
+          const stored = []
+          const failed = []
 
-            const stored = []
-            const failed = []
-
-            for (const { cid, bytes } of blocks) {
-              try {
-                const cidObj = CID.parse(cid)
-                const data = Uint8Array.from(Buffer.from(bytes, 'base64'))
-                await blockstore.put(cidObj, data)
-                await helia.pins.add(cidObj)
-                stored.push(cid)
-                console.log(`[Mirror] Stored ${cid}`)
-              } catch (err) {
-                console.error(`[Mirror] Store error ${cid}:`, err.message)
-                failed.push({ cid, error: err.message })
+          for (const { cid, bytes } of blocks) {
+            try {
+              const cidObj = CID.parse(cid)
+              const data = Uint8Array.from(Buffer.from(bytes, 'base64'))
+              if (!(await verifyBlock(cidObj, data))) throw new Error('Bytes do not match the CID')
+              await blockstore.put(cidObj, data)
+              // Pinned only if the client may, and never by fetching the rest of a DAG
+              if ((!by.roots || by.roots.has(cid)) && await localDag(blockstore, cidObj)) {
+                for await (const _ of helia.pins.add(cidObj)) {}
               }
+              stored.push(cid)
+              console.log(`[Mirror] Stored ${cid}`)
+            } catch (err) {
+              console.error(`[Mirror] Store error ${cid}:`, err.message)
+              failed.push({ cid, error: err.message })
             }
-
-            res.writeHead(200, { 'Content-Type': 'application/json' })
-            res.end(JSON.stringify({ stored, failed }))
-          } catch (err) {
-            console.error('[Mirror] API error:', err)
-            res.writeHead(500, { 'Content-Type': 'application/json' })
-            res.end(JSON.stringify({ error: err.message }))
           }
-        })
-      } else {
-        res.writeHead(404)
-        res.end()
-      }
-    })
 
-    server.listen(HTTP_PORT, '0.0.0.0', () => {
-      console.log(`[Mirror] HTTP API listening on port ${HTTP_PORT}`)
-    })
-  }
+          res.writeHead(200, { 'Content-Type': 'application/json' })
+          res.end(JSON.stringify({ stored, failed }))
+        } catch (err) {
+          console.error('[Mirror] API error:', err)
+          res.writeHead(500, { 'Content-Type': 'application/json' })
+          res.end(JSON.stringify({ error: err.message }))
+        }
+      })
+    } else {
+      res.writeHead(404)
+      res.end()
+    }
+  })
+
+  server.listen(HTTP_PORT, '0.0.0.0', () => {
+    console.log(`[Hub] HTTP API listening on port ${HTTP_PORT} (metrics at /metrics${gateway ? ', files at /ipfs and /room' : ''}${admin ? ', admin API at /admin' : ''})`)
+  })
 
   // ===== CONNECTION LOGGING =====
   libp2p.addEventListener('peer:connect', (evt) => {
     const remotePeer = evt.detail
     const peerId = remotePeer.toString()
     const conns = libp2p.getConnections(remotePeer)
-    const transports = conns.map(c => {
-      const addr = c.remoteAddr.toString()
-      if (addr.includes('/ws/')) return 'WS'
-      if (addr.includes('/tcp/')) return 'TCP'
-      if (addr.includes('/p2p-circuit')) return 'Circuit'
-      return 'Other'
-    }).join(',')
+    const transports = conns.map(c => transportOf(c.remoteAddr.toString())).join(',')
     console.log(`[Connect] ${peerId.slice(-16)} via ${transports}`)
   })
 
   libp2p.addEventListener('peer:disconnect', (evt) => {
     const peerId = evt.detail.toString()
     console.log(`[Disconnect] ${peerId.slice(-16)}`)
+    rooms.forEach(room => room.presence?.dropPeer(peerId))
   })
 
   // ===== STATS =====
-  setInterval(() => {
-    const conns = libp2p.getConnections()
-    const peers = libp2p.getPeers()
+  const connectionsByTransport = () => {
     const byTransport = {}
-    conns.forEach(c => {
-      const addr = c.remoteAddr.toString()
-      let type = 'Other'
-      if (addr.includes('/ws/')) type = 'WS'
-      else if (addr.includes('/tcp/')) type = 'TCP'
-      else if (addr.includes('/p2p-circuit')) type = 'Circuit'
+    libp2p.getConnections().forEach(c => {
+      const type = transportOf(c.remoteAddr.toString())
       byTransport[type] = (byTransport[type] || 0) + 1
     })
+    return byTransport
+  }
+
+  metrics.gauge('hub_connections', 'Open connections by transport', () =>
+    Object.entries(connectionsByTransport()).map(([transport, count]) => [{ transport }, count]))
+  metrics.gauge('hub_peers', 'Connected peers', () => libp2p.getPeers().length)
+  metrics.gauge('hub_rooms_loaded', 'Rooms in memory', () => rooms.size)
+  if (flags.mirror) metrics.gauge('hub_pin_queue', 'Room files being pinned', () => pinQueue)
+  if (flags.relay) {
+    const reservations = metrics.counter('hub_relay_reservations_total', 'Circuit relay reservations made')
+    libp2p.services.relay.addEventListener('relay:reservation', () => reservations.inc())
+    metrics.gauge('hub_relay_reservations', 'Active circuit relay reservations', () => libp2p.services.relay.reservations.size)
+  }
+  if (flags.mirror) {
+    // Walking the blockstore is slow with many blocks: rescanned at most once a minute
+    let blockstoreUsage = null
+    metrics.gauge('hub_blockstore_bytes', 'Bytes in the blockstore', async () => {
+      if (!blockstoreUsage || Date.now() - blockstoreUsage.at > 60000) {
+        blockstoreUsage = { at: Date.now(), bytes: (await diskUsage(BLOCKS_DIR)).bytes }
+      }
+      return blockstoreUsage.bytes
+    })
+  }
+
+  setInterval(() => {
+    const conns = libp2p.getConnections()
+    const peers = libp2p.getPeers()
+    const byTransport = connectionsByTransport()
     const transportStr = Object.entries(byTransport).map(([k, v]) => `${k}:${v}`).join(' ')
     console.log(`[Stats] ${conns.length} conns, ${peers.length} peers (${transportStr}), ${rooms.size} rooms`)
 
     // Room stats
     rooms.forEach((room, roomId) => {
-      const files = room.manifest.get('files') || []
       const chatMsgs = room.chat.length
-      console.log(`  - Room ${roomId.slice(0, 6)}: ${files.length} files, ${chatMsgs} chat msgs`)
+      console.log(`  - Room ${roomId.slice(0, 6)}: ${room.files.size} files, ${chatMsgs} chat msgs`)
     })
   }, 30000)
 }
 
-main().catch(err => {
-  console.error('Hub failed to start:', err)
-  process.exit(1)
-})
+if (args[0] === 'car') {
+  // CAR import / export (car-cli.js): works on the blockstore alone, without starting the node
+  const blockstore = new FsBlockstore(BLOCKS_DIR)
+  await blockstore.open()
+  const code = await runCarCommand(args.slice(1), { blockstore, readRoom, pinQueue: CAR_PIN_QUEUE })
+  await blockstore.close()
+  process.exit(code)
+} else {
+  main().catch(err => {
+    console.error('Hub failed to start:', err)
+    process.exit(1)
+  })
+}
@@ -0,0 +1,101 @@
+// @ts-check
+/**
+ * Hub metrics in the Prometheus text format, served at /metrics
+ *
+ * Counters are kept as the hub runs; gauges are either set or read by a
+ * collect function when scraped. No client library: the hub only needs
+ * counters and gauges with labels.
+ */
+
+/**
+ * @typedef {Record<string, string>} Labels
+ * @typedef {[Labels, number][] | number} Samples - Per label set, or one unlabelled value
+ */
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+
+const labelKey = (labels) => Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)).map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')
+
+/**
+ * How a connection reached the hub, from its remote address
+ * @param {string} addr
+ * @returns {'WS'|'TCP'|'Circuit'|'Other'}
+ */
+export function transportOf(addr) {
+  if (addr.includes('/ws/')) return 'WS'
+  if (addr.includes('/tcp/')) return 'TCP'
+  if (addr.includes('/p2p-circuit')) return 'Circuit'
+  return 'Other'
+}
+
+export function createMetrics() {
+  /** @type {Map<string, {type: string, help: string, values: Map<string, number>, collect?: () => Samples | Promise<Samples>}>} */
+  const metrics = new Map()
+
+  const define = (type, name, help, collect) => {
+    const metric = { type, help, values: new Map(), collect }
+    metrics.set(name, metric)
+    return metric
+  }
+
+  return {
+    /**
+     * @param {string} name
+     * @param {string} help
+     */
+    counter(name, help) {
+      const { values } = define('counter', name, help)
+      const labelsOf = new Map() // key -> labels, to find series by label
+      return {
+        /** @param {Labels} [labels] */
+        inc(labels = {}, by = 1) {
+          const key = labelKey(labels)
+          values.set(key, (values.get(key) || 0) + by)
+          labelsOf.set(key, labels)
+        },
+        /**
+         * Drop every series with these labels (e.g. of a room no longer loaded)
+         * @param {Labels} match
+         */
+        remove(match) {
+          for (const [key, labels] of labelsOf) {
+            if (!Object.entries(match).every(([k, v]) => labels[k] === v)) continue
+            values.delete(key)
+            labelsOf.delete(key)
+          }
+        }
+      }
+    },
+
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {() => Samples | Promise<Samples>} [collect] - Read when scraped
+     */
+    gauge(name, help, collect) {
+      const { values } = define('gauge', name, help, collect)
+      return {
+        /** @param {number} value @param {Labels} [labels] */
+        set(value, labels = {}) {
+          values.set(labelKey(labels), value)
+        }
+      }
+    },
+
+    /** @returns {Promise<string>} */
+    async render() {
+      const lines = []
+      for (const [name, { type, help, values, collect }] of metrics) {
+        if (collect) {
+          values.clear()
+          const samples = await collect()
+          if (typeof samples === 'number') values.set('', samples)
+          else for (const [labels, value] of samples) values.set(labelKey(labels), value)
+        }
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`)
+        for (const [key, value] of values) lines.push(`${name}${key ? `{${key}}` : ''} ${value}`)
+      }
+      return lines.join('\n') + '\n'
+    }
+  }
+}
@@ -0,0 +1,161 @@
+// @ts-check
+/**
+ * The hub's log of an encrypted room's sealed updates
+ *
+ * Encrypted rooms send AES-GCM sealed updates the hub can't read. It keeps them
+ * as an ordered log ({ next, entries: [{ seq, frame } | { seq, msg }] }) and
+ * replays the log on SYNC_STEP1. Entries are the original signed binary frames
+ * (base64), or JSON messages from old browsers (iv/update stored as base64), so
+ * browsers check each author against the room's writers.
+ *
+ * A browser's full-state reply to that SNAPSHOT carries `covers: <seq>`, which
+ * replaces every entry up to seq (compaction). The hub can't read the reply, so
+ * it only trusts `covers` as far as it actually replayed the log to that signer:
+ * anyone else claiming to cover the log would wipe it with a state that lacks it.
+ *
+ * Large logs are replayed in pages (see sealedPages): one SNAPSHOT per page,
+ * with `since` (where the previous page ended) and `more` so browsers only
+ * claim to cover the log once they have every page in order.
+ */
+
+// A log past either limit takes no more entries until a browser compacts it
+export const MAX_SEALED_ENTRIES = 10000
+export const MAX_SEALED_BYTES = 64 * 1024 * 1024
+// A SNAPSHOT replay goes out in pages of about this size, each well within what one sync message can carry
+export const SNAPSHOT_PAGE_BYTES = 4 * 1024 * 1024
+
+import { decodeFrame } from '../src/sync-protocol.js'
+
+const enc = (obj) => new TextEncoder().encode(JSON.stringify(obj))
+
+/**
+ * @typedef {{seq: number, frame?: string, msg?: any}} SealedEntry
+ * @typedef {{next: number, entries: SealedEntry[]}} SealedLog
+ */
+
+// log -> signer's peer ID -> highest seq replayed to them (not persisted: a restart means a new replay)
+const replays = new WeakMap()
+
+/** @returns {SealedLog} */
+export function createSealedLog() {
+  return { next: 1, entries: [] }
+}
+
+const entryBytes = (entry) => entry.frame ? entry.frame.length : JSON.stringify(entry.msg).length
+
+/**
+ * Note that a signer was sent the log up to `seq`: their `covers` may reach that far
+ * @param {SealedLog} log
+ * @param {string} signer
+ * @param {number} seq
+ */
+export function markReplayed(log, signer, seq) {
+  if (!replays.has(log)) replays.set(log, new Map())
+  const seen = replays.get(log)
+  seen.set(signer, Math.max(seen.get(signer) || 0, seq))
+}
+
+/**
+ * Record a sealed update: a binary frame, or a legacy JSON Y_UPDATE / SNAPSHOT
+ * @param {SealedLog} log
+ * @param {{frame?: Uint8Array, msg?: any, covers?: number, from: string}} update
+ *   from: the verified signer; covers is capped to what was replayed to them
+ * @returns {SealedEntry|null} null if the log is full
+ */
+export function appendSealed(log, { frame, msg, covers, from }) {
+  const entry = frame
+    ? { seq: 0, frame: Buffer.from(frame).toString('base64') }
+    : {
+        seq: 0,
+        msg: {
+          ...msg,
+          iv: Buffer.from(msg.iv).toString('base64'),
+          update: Buffer.from(msg.update).toString('base64')
+        }
+      }
+  const upTo = typeof covers === 'number' ? Math.min(covers, replays.get(log)?.get(from) || 0) : 0
+  const entries = upTo > 0 ? log.entries.filter(e => e.seq > upTo) : log.entries
+  const bytes = entries.reduce((sum, e) => sum + entryBytes(e), entryBytes(entry))
+  if (entries.length + 1 > MAX_SEALED_ENTRIES || bytes > MAX_SEALED_BYTES) return null
+  entry.seq = log.next++
+  log.entries = entries
+  log.entries.push(entry)
+  return entry
+}
+
+/**
+ * Whether peerId signed one of the log's entries (every signature was checked when it was stored)
+ * The hub can't read an encrypted room's writers; having written to it is what it can tell.
+ * @param {SealedLog} log
+ * @param {string} peerId
+ */
+export function sealedAuthor(log, peerId) {
+  return log.entries.some(e => {
+    if (e.msg) return e.msg.from === peerId
+    try {
+      const { header, legacy } = decodeFrame(new Uint8Array(Buffer.from(e.frame, 'base64')))
+      return (header || legacy)?.from === peerId
+    } catch {
+      return false
+    }
+  })
+}
+
+/**
+ * Stored legacy message as it was sent
+ * Key order is kept, so the original signatures still verify
+ */
+export function legacyMessage(msg) {
+  return {
+    ...msg,
+    iv: Array.from(Buffer.from(msg.iv, 'base64')),
+    update: Array.from(Buffer.from(msg.update, 'base64'))
+  }
+}
+
+/**
+ * Every entry as the bytes originally published, for a binary SNAPSHOT
+ * @param {SealedLog} log
+ * @returns {Uint8Array[]}
+ */
+export function sealedFrames(log) {
+  return log.entries.map(e => e.frame ? new Uint8Array(Buffer.from(e.frame, 'base64')) : enc(legacyMessage(e.msg)))
+}
+
+/**
+ * The log's frames split into SNAPSHOT pages of at most maxBytes (an entry larger than that goes alone)
+ * @param {SealedLog} log
+ * @param {number} [maxBytes]
+ * @returns {{frames: Uint8Array[], since: number, seq: number}[]} since: the seq the previous page ended at
+ */
+export function sealedPages(log, maxBytes = SNAPSHOT_PAGE_BYTES) {
+  const frames = sealedFrames(log)
+  const pages = []
+  let page = null
+  let size = 0
+  log.entries.forEach((entry, i) => {
+    if (!page || (size + frames[i].length > maxBytes && page.frames.length)) {
+      page = { frames: [], since: page?.seq ?? 0, seq: 0 }
+      pages.push(page)
+      size = 0
+    }
+    page.frames.push(frames[i])
+    page.seq = entry.seq
+    size += frames[i].length
+  })
+  return pages
+}
+
+/**
+ * Legacy SNAPSHOT payload for old browsers (they can't read binary entries)
+ * `seq` only when nothing was left out, so their reply can't compact away binary entries
+ * @param {SealedLog} log
+ */
+export function sealedSnapshot(log) {
+  const entries = log.entries.filter(e => e.msg)
+  return {
+    enc: true,
+    updates: entries.map(e => legacyMessage(e.msg)),
+    ...(entries.length === log.entries.length ? { seq: entries.at(-1)?.seq ?? 0 } : {})
+  }
+}
@@ -0,0 +1,282 @@
+// @ts-check
+/**
+ * Mirror uploads: resumable, streamed CAR uploads (tus-style)
+ *
+ * Served on the hub's HTTP_PORT in mirror mode:
+ *
+ *   POST   /blocks/missing   {cids: string[]} -> {missing: string[]}: which blocks the mirror lacks
+ *   POST   /uploads          Start an upload; `Upload-Length: <bytes>` -> 201, Location: uploads/<id>
+ *   HEAD   /uploads/<id>     Upload-Offset (bytes received so far) and Upload-Length
+ *   PATCH  /uploads/<id>     Append the body at `Upload-Offset`; answers the new Upload-Offset
+ *   DELETE /uploads/<id>     Abandon an upload
+ *
+ * Every /uploads request needs an `Authorization` header the hub's `authorize`
+ * accepts (401 otherwise): the hub takes its upload token, or a room grant
+ * signed by one of a room's writers (createUploadAuth in src/room-auth.js).
+ * An upload belongs to the client that started it; others get 404.
+ *
+ * The body of an upload is a CARv1 file. Chunks are streamed to disk under
+ * data/hub-uploads as they arrive, so an interrupted upload resumes from the
+ * offset HEAD reports, even after a hub restart. The PATCH that completes it
+ * gets the import result instead: every block is checked against its CID
+ * before it is stored, and the CAR's roots are pinned if every block of their
+ * DAG is on the mirror (nothing is fetched from the network) and the client
+ * may pin them (a room grant: the room's files and folders only).
+ *
+ * Limits: `maxUploadBytes` for a whole upload and `maxRequestBytes` for each
+ * PATCH (413 beyond either); `maxSessions` uploads at once, `maxClientSessions`
+ * of them per client (429), and `maxPendingBytes` for all of them together
+ * (507); uploads idle for a day are deleted.
+ */
+
+import { randomBytes } from 'crypto'
+import { createReadStream, createWriteStream } from 'fs'
+import { mkdir, readFile, writeFile, stat, rm, readdir } from 'fs/promises'
+import { join } from 'path'
+import { pipeline } from 'stream/promises'
+import { CID } from 'multiformats/cid'
+import { importCar, localDag } from '../src/car.js'
+
+export const MAX_UPLOAD_BYTES = 4 * 1024 * 1024 * 1024
+export const MAX_REQUEST_BYTES = 64 * 1024 * 1024
+export const MAX_PENDING_BYTES = 16 * 1024 * 1024 * 1024
+export const MAX_SESSIONS = 32
+const MAX_CLIENT_SESSIONS = 4
+const MAX_CHECK_CIDS = 10000
+const MAX_JSON_BYTES = 1024 * 1024
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000
+const PIN_TIMEOUT_MS = 60000
+
+const SESSION_ID = /^[0-9a-f]{32}$/
+
+function json(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers })
+  res.end(JSON.stringify(body))
+}
+
+// An error answered with its status and message
+const httpError = (status, message) => Object.assign(new Error(message), { status })
+
+// A small JSON request body, refused beyond `limit`
+async function readJson(req, limit) {
+  const chunks = []
+  let size = 0
+  for await (const chunk of req) {
+    size += chunk.length
+    if (size > limit) throw httpError(413, 'Body too large')
+    chunks.push(chunk)
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString())
+  } catch {
+    throw httpError(400, 'Body is not JSON')
+  }
+}
+
+/**
+ * @typedef {Object} UploadClient - Who may upload, as the hub's `authorize` sees it
+ * @property {string} id - Same for every request of the client (sessions belong to it)
+ * @property {Set<string>=} roots - CIDs it may pin; any when absent
+ */
+
+/**
+ * @param {{blockstore: any, pins: any, dir: string, authorize: (req: import('http').IncomingMessage) => Promise<UploadClient|null>,
+ *   maxUploadBytes?: number, maxRequestBytes?: number, maxPendingBytes?: number, maxSessions?: number, maxClientSessions?: number}} mirror
+ *   pins: helia.pins; dir: where partial uploads are kept; authorize: the client of a request, null to refuse it
+ * @returns {(req: import('http').IncomingMessage, res: import('http').ServerResponse) => Promise<boolean>}
+ *   Answers /uploads and /blocks/missing requests; false for any other path
+ */
+export function createUploadApi({
+  blockstore, pins, dir, authorize,
+  maxUploadBytes = MAX_UPLOAD_BYTES, maxRequestBytes = MAX_REQUEST_BYTES,
+  maxPendingBytes = MAX_PENDING_BYTES, maxSessions = MAX_SESSIONS, maxClientSessions = MAX_CLIENT_SESSIONS
+}) {
+  const busy = new Set() // Sessions with a PATCH in progress
+  const carPath = (id) => join(dir, `${id}.car`)
+  const infoPath = (id) => join(dir, `${id}.json`)
+
+  async function client(req) {
+    const found = await authorize(req)
+    if (!found) throw httpError(401, 'Uploads need the upload token or a room grant')
+    return found
+  }
+
+  // Another client's upload is as unknown as one that doesn't exist
+  async function session(id, by) {
+    if (!SESSION_ID.test(id)) throw httpError(404, 'Unknown upload')
+    let info
+    try {
+      info = JSON.parse(await readFile(infoPath(id), 'utf8'))
+      info.offset = (await stat(carPath(id))).size
+    } catch {
+      throw httpError(404, 'Unknown upload')
+    }
+    if (info.client !== by.id) throw httpError(404, 'Unknown upload')
+    return info
+  }
+
+  // Uploads in progress, as recorded on disk
+  async function sessions() {
+    const all = []
+    for (const file of await readdir(dir).catch(() => [])) {
+      if (!file.endsWith('.json')) continue
+      try {
+        all.push(JSON.parse(await readFile(join(dir, file), 'utf8')))
+      } catch {}
+    }
+    return all
+  }
+
+  async function removeSession(id) {
+    await rm(carPath(id), { force: true })
+    await rm(infoPath(id), { force: true })
+  }
+
+  // Uploads nobody has added to for a day
+  async function sweep() {
+    for (const file of await readdir(dir).catch(() => [])) {
+      const id = file.replace(/\.json$/, '')
+      if (id === file) continue
+      const { mtimeMs } = await stat(carPath(id)).catch(() => ({ mtimeMs: 0 }))
+      if (Date.now() - mtimeMs > SESSION_TTL_MS) await removeSession(id)
+    }
+  }
+
+  async function checkMissing(req, res) {
+    const { cids } = await readJson(req, MAX_JSON_BYTES)
+    if (!Array.isArray(cids) || cids.length > MAX_CHECK_CIDS) throw httpError(400, `cids must be an array of at most ${MAX_CHECK_CIDS}`)
+    const missing = []
+    for (const cid of cids) {
+      let parsed
+      try {
+        parsed = CID.parse(String(cid))
+      } catch {
+        throw httpError(400, `Not a CID: ${cid}`)
+      }
+      if (!(await blockstore.has(parsed))) missing.push(cid)
+    }
+    json(res, 200, { missing })
+  }
+
+  async function create(req, res) {
+    const by = await client(req)
+    const length = Number(req.headers['upload-length'])
+    if (!Number.isSafeInteger(length) || length <= 0) throw httpError(400, 'Upload-Length required')
+    if (length > maxUploadBytes) throw httpError(413, `Uploads are limited to ${maxUploadBytes} bytes`)
+    await mkdir(dir, { recursive: true })
+    await sweep()
+    const open = await sessions()
+    if (open.length >= maxSessions) throw httpError(429, 'Too many uploads in progress, try again later')
+    if (open.filter(s => s.client === by.id).length >= maxClientSessions) throw httpError(429, `At most ${maxClientSessions} uploads at once`)
+    // Room for every upload in progress to finish
+    if (open.reduce((sum, s) => sum + s.length, length) > maxPendingBytes) throw httpError(507, 'The mirror has no room for this upload now')
+    const id = randomBytes(16).toString('hex')
+    await writeFile(carPath(id), '')
+    await writeFile(infoPath(id), JSON.stringify({ length, client: by.id, createdAt: Date.now() }))
+    console.log(`[Upload] Started ${id.slice(0, 8)}: ${length} bytes`)
+    res.writeHead(201, { Location: `uploads/${id}`, 'Upload-Offset': '0', 'Upload-Length': String(length) })
+    res.end()
+  }
+
+  // Store the blocks of a complete upload and pin its roots
+  async function importUpload(id, by) {
+    const { roots, stored, rejected } = await importCar(blockstore, createReadStream(carPath(id)))
+    const pinned = []
+    const failed = []
+    for (const root of roots) {
+      try {
+        if (by.roots && !by.roots.has(root.toString())) throw new Error('Not a file of the room')
+        // Earlier uploads may hold the rest, but nothing is fetched for a root the mirror doesn't have whole
+        if (!(await localDag(blockstore, root))) throw new Error('Blocks of this DAG are missing')
+        if (!(await pins.isPinned(root))) {
+          for await (const _ of pins.add(root, { signal: AbortSignal.timeout(PIN_TIMEOUT_MS) })) {
+            // Iteration completes when fully pinned
+          }
+        }
+        pinned.push(root.toString())
+      } catch (err) {
+        failed.push({ cid: root.toString(), error: err.message })
+      }
+    }
+    console.log(`[Upload] Imported ${id.slice(0, 8)}: ${stored} blocks, ${pinned.length} roots pinned${rejected.length ? `, ${rejected.length} blocks rejected` : ''}`)
+    return { stored, rejected, pinned, failed }
+  }
+
+  async function append(req, res, id) {
+    const by = await client(req)
+    const upload = await session(id, by)
+    const offset = Number(req.headers['upload-offset'])
+    if (offset !== upload.offset) {
+      json(res, 409, { error: 'Offset mismatch', offset: upload.offset }, { 'Upload-Offset': String(upload.offset) })
+      return
+    }
+    if (Number(req.headers['content-length']) > maxRequestBytes) throw httpError(413, `Requests are limited to ${maxRequestBytes} bytes`)
+
+    let received = 0
+    // Appended as it arrives; a request cut short keeps what it brought
+    await pipeline(req, async function * (source) {
+      for await (const chunk of source) {
+        received += chunk.length
+        if (received > maxRequestBytes) throw httpError(413, `Requests are limited to ${maxRequestBytes} bytes`)
+        if (offset + received > upload.length) throw httpError(413, 'Past Upload-Length')
+        yield chunk
+      }
+    }, createWriteStream(carPath(id), { flags: 'a' }))
+
+    const now = offset + received
+    if (now < upload.length) {
+      res.writeHead(204, { 'Upload-Offset': String(now) })
+      res.end()
+      return
+    }
+    try {
+      const result = await importUpload(id, by)
+      json(res, 200, { offset: now, complete: true, ...result }, { 'Upload-Offset': String(now) })
+    } catch (err) {
+      throw httpError(422, `Import failed: ${err.message}`)
+    } finally {
+      await removeSession(id)
+    }
+  }
+
+  // One PATCH at a time per upload, or two could append at the same offset
+  async function appendOnce(req, res, id) {
+    if (busy.has(id)) throw httpError(409, 'Upload busy')
+    busy.add(id)
+    try {
+      await append(req, res, id)
+    } finally {
+      busy.delete(id)
+    }
+  }
+
+  return async (req, res) => {
+    const { pathname } = new URL(req.url || '/', 'http://hub')
+    const upload = /^\/uploads\/([^/]+)$/.exec(pathname)
+    if (pathname !== '/uploads' && pathname !== '/blocks/missing' && !upload) return false
+
+    try {
+      if (pathname === '/blocks/missing' && req.method === 'POST') await checkMissing(req, res)
+      else if (pathname === '/uploads' && req.method === 'POST') await create(req, res)
+      else if (upload && req.method === 'HEAD') {
+        const { offset, length } = await session(upload[1], await client(req))
+        res.writeHead(200, { 'Upload-Offset': String(offset), 'Upload-Length': String(length), 'Cache-Control': 'no-store' })
+        res.end()
+      } else if (upload && req.method === 'PATCH') await appendOnce(req, res, upload[1])
+      else if (upload && req.method === 'DELETE') {
+        await session(upload[1], await client(req))
+        if (busy.has(upload[1])) throw httpError(409, 'Upload busy')
+        await removeSession(upload[1])
+        res.writeHead(204)
+        res.end()
+      } else throw httpError(405, 'Method not allowed')
+    } catch (err) {
+      if (!err.status) console.error(`[Upload] ${req.method} ${pathname} failed:`, err)
+      // Don't wait for the rest of a body we refused
+      const close = req.complete ? {} : { Connection: 'close' }
+      if (!res.headersSent) json(res, err.status || 500, { error: err.message }, close)
+      if (!req.complete) res.once('finish', () => req.destroy())
+    }
+    return true
+  }
+}
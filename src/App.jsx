@@ -19,6 +19,12 @@ export default function App() {
               </span>
               <span className="text-xs text-gray-500">peers</span>
             </div>
+            <button id="btn-notify" className="px-2 py-1 border rounded text-xs" title="Get notified of room activity while this tab is hidden">
+              🔕
+            </button>
+            <button id="btn-profile" className="px-2 py-1 border rounded text-xs" title="Your name, colour and picture">
+              Profile
+            </button>
             <button id="peer-info-toggle" className="px-2 py-1 border rounded text-xs">
               Details
             </button>
@@ -53,27 +59,27 @@ export default function App() {
                 className="border-2 border-dashed rounded p-6 text-center text-sm text-gray-500 bg-gray-50 hover:bg-white"
               >
                 <input id="file-input" type="file" multiple className="hidden" />
+                <input id="folder-input" type="file" webkitdirectory="" multiple className="hidden" />
                 <p>
-                  Drag & drop files here, or{" "}
+                  Drag & drop files or folders here, or browse{" "}
                   <button type="button" id="btn-browse" className="underline">
-                    browse
+                    files
+                  </button>{" "}
+                  /{" "}
+                  <button type="button" id="btn-browse-folder" className="underline">
+                    folder
                   </button>
                 </p>
               </div>
+              <label className="mt-2 flex items-center gap-2 text-sm text-gray-700">
+                <input id="encrypt-room" type="checkbox" />
+                🔒 End-to-end encrypt the new room (key stays in the invite link)
+              </label>
               <div id="selected-files-panel" className="hidden">
                 <div className="mt-2 text-sm font-medium">Selected files</div>
                 <ul id="selected-file-list" className="mt-1 text-sm divide-y"></ul>
               </div>
 
-              <div id="upload-progress" className="hidden">
-                <div className="text-sm text-gray-700">
-                  Adding files… <span id="progress-text"></span>
-                </div>
-                <div className="w-full bg-gray-200 h-2 rounded">
-                  <div id="progress-bar" className="bg-blue-500 h-2 rounded" style={{ width: "0%" }}></div>
-                </div>
-              </div>
-
               <div id="create-room-panel" className="hidden">
                 <hr className="my-3" />
                 <div className="flex items-center gap-2">
@@ -128,7 +134,18 @@ export default function App() {
 
         <section id="view-rooms" hidden>
           <div className="bg-white border rounded p-4">
-            <h2 className="font-semibold">Rooms</h2>
+            <div className="flex items-center gap-2">
+              <h2 className="font-semibold">Rooms</h2>
+              <button
+                id="btn-import-car"
+                type="button"
+                className="ml-auto px-2 py-1 border rounded text-xs hover:bg-gray-100"
+                title="Import a CAR archive exported from a room, on this or another machine"
+              >
+                Import CAR
+              </button>
+              <input id="car-file-input" type="file" accept=".car,application/vnd.ipld.car" hidden />
+            </div>
             <div id="rooms-info" className="text-sm text-gray-600"></div>
             <ul id="rooms-list" className="mt-2 divide-y"></ul>
           </div>
@@ -151,6 +168,26 @@ export default function App() {
         </section>
       </main>
 
+      <div id="upload-progress" className="hidden fixed bottom-4 right-4 w-80 bg-white border rounded shadow p-3 z-40">
+        <div className="flex items-center justify-between text-sm text-gray-700">
+          <span id="progress-text" className="truncate"></span>
+          <button id="btn-cancel-imports" className="hidden px-2 py-0.5 border rounded text-xs hover:bg-gray-100">
+            Cancel all
+          </button>
+        </div>
+        <div className="w-full bg-gray-200 h-2 rounded mt-1">
+          <div id="progress-bar" className="bg-blue-500 h-2 rounded" style={{ width: "0%" }}></div>
+        </div>
+        <ul id="upload-files" className="mt-2 max-h-48 overflow-auto text-xs divide-y"></ul>
+      </div>
+
+      <details id="downloads-panel" className="hidden fixed bottom-4 left-4 w-80 bg-white border rounded shadow p-3 z-40">
+        <summary className="text-sm font-semibold cursor-pointer">
+          Downloads <span id="downloads-count" className="text-xs text-gray-500"></span>
+        </summary>
+        <ul id="downloads-list" className="mt-2 max-h-64 overflow-auto text-xs divide-y"></ul>
+      </details>
+
       <div
         id="toast"
         className="fixed bottom-4 left-1/2 -translate-x-1/2 bg-black text-white text-sm px-3 py-2 rounded hidden"
@@ -3,32 +3,8 @@ import { startHelia } from "./heliaNode.js";
 import { createRoomManager } from "./room.js";
 import { WebRTC, WebSockets, WebSocketsSecure, WebTransport, Circuit, WebRTCDirect } from '@multiformats/multiaddr-matcher';
 
-// Simple routing
-const views = ['home', 'drops', 'rooms', 'peers'];
-function currentView() {
-  const sp = new URLSearchParams(location.search);
-  const v = sp.get('view');
-  return views.includes(v) ? v : 'home';
-}
-function goto(view, extras = {}) {
-  if (view === 'home' && Object.keys(extras).length === 0) {
-    history.pushState(null, '', '/');
-    renderView();
-    return;
-  }
-  const sp = new URLSearchParams();
-  sp.set('view', view);
-  for (const [k, v] of Object.entries(extras)) if (v != null) sp.set(k, v);
-  history.pushState(null, '', `?${sp.toString()}`);
-  renderView();
-}
-function renderView() {
-  const v = currentView();
-  for (const name of views) {
-    const el = document.getElementById(`view-${name}`);
-    if (el) el.hidden = name !== v;
-  }
-}
+import { currentView, goto, renderView } from './router.js';
+
 function bindNavLinks() {
   document.querySelectorAll('a[data-link]').forEach(a => {
     a.addEventListener('click', (e) => {
@@ -50,18 +26,28 @@ import {
   showCreateRoomPanel,
   showUploadProgress,
   updateProgress,
+  renderImportFiles,
+  renderDownloads,
   renderRoomsList,
+  showAvatars,
 } from "./ui.js";
 import { createThumbnailManager } from "./thumbnail-manager.js";
+import { createDownloadQueue } from "./download-queue.js";
 import {
   saveDrop,
   getDrops,
   saveRoom,
   getRoom,
+  updateRoomLastSeen,
   getRooms,
+  getNotify,
+  setNotify,
 } from "./store.js";
-import { addFilesAndCreateManifest, formatBytes } from "./file-manager.js";
-import { MIRROR_URL } from "./constants.js";
+import { addFilesAndCreateManifest, createImportJob, formatBytes, collectDroppedFiles, relativePath, registerDownloadWorker, saveFileStream } from "./file-manager.js";
+import { listFiles, observeManifest, fileKey } from "./manifest.js";
+import { generateRoomKey, importRoomKey, keyFromFragment } from "./room-crypto.js";
+import { IDLE_AFTER_MS } from "./presence.js";
+import { loadAvatar, peerLabel } from "./profile.js";
 
 // Peer info helpers
 function listAddresses(libp2p) {
@@ -90,7 +76,7 @@ import { RoomUI } from "./room.js";
 
 const $ = (id) => document.getElementById(id);
 
-let helia, fs, libp2p, rooms, thumbnailManager;
+let helia, fs, libp2p, rooms, thumbnailManager, downloads;
 let roomUI;
 
 
@@ -101,6 +87,38 @@ function showFetchProgress(show, loaded = 0, total = 0, label = "") {
   updateProgress(pct, label);
 }
 
+// Currently running file import, so the progress panel can cancel its files
+let activeImport = null;
+let importFrame = 0;
+
+function renderImportProgress(loaded, total, job) {
+  if (importFrame) return;
+  importFrame = requestAnimationFrame(() => {
+    importFrame = 0;
+    updateProgress(total > 0 ? Math.round((loaded / total) * 100) : 100, `Adding files… ${formatBytes(loaded)} / ${formatBytes(total)}`);
+    renderImportFiles(job.entries);
+  });
+}
+
+/**
+ * Stream files into the blockstore with byte progress and per-file cancel
+ * @param {CryptoKey|null} [key] - Room key: encrypt contents for an encrypted room
+ * @returns {Promise<{files: any[], folders: any[], updatedAt: number}>} Manifest without cancelled files
+ */
+async function importFiles(files, key = null) {
+  const job = createImportJob(files);
+  activeImport = job;
+  showUploadProgress(true);
+  renderImportFiles(job.entries);
+  try {
+    return await addFilesAndCreateManifest(fs, job, renderImportProgress, { blockstore: helia.blockstore, key });
+  } finally {
+    activeImport = null;
+    renderImportFiles([]);
+    showUploadProgress(false);
+  }
+}
+
 function randId() {
   return crypto.randomUUID?.() || Math.random().toString(36).slice(2);
 }
@@ -161,9 +179,23 @@ function buildInviteURL(roomId) {
   const u = new URL(location.href);
   u.searchParams.set("view", "rooms");
   u.searchParams.set("room", roomId);
+  const key = getRoom(roomId)?.key;
+  u.hash = key ? `key=${key}` : "";
   return u.toString();
 }
 
+// Invite links carry the room key (encrypted rooms), write grant and owner in the fragment; keep them with the room
+function rememberInvite(roomId, hash) {
+  const key = keyFromFragment(hash);
+  if (key && getRoom(roomId)?.key !== key) saveRoom({ id: roomId, key });
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  const grant = params.get("grant");
+  if (grant && getRoom(roomId)?.grant !== grant) saveRoom({ id: roomId, grant });
+  // The first owner we learn is kept: a later link can't hand the room to someone else
+  const owner = params.get("owner");
+  if (owner && !getRoom(roomId)?.owner) saveRoom({ id: roomId, owner });
+}
+
 function showInvite(link) {
   const out = $("invite-output");
   out.classList.remove("hidden");
@@ -179,11 +211,53 @@ function showInvite(link) {
 }
 
 
+// Room presence: idle after IDLE_AFTER_MS without input, or while the tab is hidden
+function trackIdle() {
+  let lastActive = Date.now();
+  const update = () => {
+    const idle = document.hidden || Date.now() - lastActive > IDLE_AFTER_MS;
+    rooms.setPresence({ status: idle ? "idle" : "online" });
+  };
+  for (const type of ["pointerdown", "keydown", "wheel", "touchstart"]) {
+    document.addEventListener(type, () => {
+      lastActive = Date.now();
+      update();
+    }, { capture: true, passive: true });
+  }
+  document.addEventListener("visibilitychange", update);
+  setInterval(update, 15000);
+}
 
 export async function startUI() {
-  ({ helia, fs, libp2p } = await startHelia());
-  rooms = createRoomManager(helia, fs);
+  let privateKey;
+  ({ helia, fs, libp2p, privateKey } = await startHelia());
+  rooms = createRoomManager(helia, fs, { privateKey });
   thumbnailManager = await createThumbnailManager(fs);
+  // Ready before the first download that can't use the save picker
+  registerDownloadWorker();
+
+  // Persistent download queue: resume fetches interrupted by a reload
+  downloads = createDownloadQueue({ blockstore: helia.blockstore, onChange: renderDownloads });
+  downloads.resume();
+  const downloadsList = $("downloads-list");
+  if (downloadsList) {
+    downloadsList.onclick = async (e) => {
+      const btn = e.target.closest("button[data-action]");
+      const entry = btn && downloads.list().find((d) => d.id === btn.dataset.id);
+      if (!entry) return;
+      if (btn.dataset.action === "retry-download") downloads.retry(entry.id);
+      if (btn.dataset.action === "remove-download") downloads.remove(entry.id);
+      if (btn.dataset.action === "save-download") {
+        try {
+          // Blocks are local now, so this only reads from the blockstore
+          if (await saveFileStream(fs, entry)) toast(`Saved ${entry.name}`);
+        } catch (err) {
+          console.error(err);
+          if (err.name !== "AbortError") toast(`Save failed: ${err.message || "Unknown error"}`);
+        }
+      }
+    };
+  }
 
   // Initialize room UI manager
   roomUI = new RoomUI({
@@ -191,8 +265,29 @@ export async function startUI() {
     fs,
     libp2p,
     helia,
+    downloads,
     onProgress: showFetchProgress,
+    onOpenRoom: async (roomId) => {
+      goto("rooms", { room: roomId });
+      await renderRoomsIfActive();
+    },
   });
+  trackIdle();
+
+  // CAR archives from a room export (room.js importCarFile)
+  const carInput = $("car-file-input");
+  const importCarBtn = $("btn-import-car");
+  if (carInput && importCarBtn) {
+    importCarBtn.onclick = () => carInput.click();
+    carInput.onchange = async () => {
+      const file = carInput.files?.[0];
+      carInput.value = "";
+      if (!file) return;
+      await roomUI.importCarFile(file);
+      updateRoomsList();
+      renderHomeRooms();
+    };
+  }
 
   // Set up event delegation for room file inputs (robust to re-renders)
   const roomsInfo = document.getElementById('rooms-info');
@@ -203,11 +298,15 @@ export async function startUI() {
         const input = document.getElementById('room-file-input');
         if (input) input.click();
       }
+      if (e.target.id === 'btn-room-browse-folder') {
+        const input = document.getElementById('room-folder-input');
+        if (input) input.click();
+      }
     });
 
-    // File input change
+    // File/folder input change
     roomsInfo.addEventListener('change', (e) => {
-      if (e.target.id === 'room-file-input') {
+      if (e.target.id === 'room-file-input' || e.target.id === 'room-folder-input') {
         const rid = roomUI.getActiveRoom();
         if (rid && e.target.files && e.target.files.length > 0) {
           handleRoomFiles(rid, e.target.files);
@@ -236,8 +335,9 @@ export async function startUI() {
         const dropzone = document.getElementById('room-dropzone');
         if (dropzone) dropzone.classList.remove('bg-gray-100');
         const rid = roomUI.getActiveRoom();
-        if (rid && e.dataTransfer.files) {
-          handleRoomFiles(rid, e.dataTransfer.files);
+        if (rid && e.dataTransfer) {
+          // Walks dropped folders; must start inside the drop event
+          collectDroppedFiles(e.dataTransfer).then((files) => handleRoomFiles(rid, files));
         }
       }
     });
@@ -250,15 +350,52 @@ export async function startUI() {
     setConnCount(libp2p.getConnections().length);
     renderAddresses(listAddresses(libp2p));
   }, 1000);
+  const showPeerDetails = async () => {
+    renderPeerDetails(peerDetails(libp2p), await rooms.getProfiles());
+    showAvatars($("peer-details"), (cid) => loadAvatar(fs, cid));
+  };
   setInterval(() => {
     renderPeerTypes(countPeerTypes(libp2p));
-    renderPeerDetails(peerDetails(libp2p));
+    showPeerDetails();
   }, 1500);
+  const peerList = $("peer-details");
+  if (peerList) {
+    peerList.onclick = (e) => {
+      const btn = e.target.closest('button[data-action="nickname-peer"]');
+      if (btn && roomUI.editPeerNickname(btn.dataset.peer)) showPeerDetails();
+    };
+  }
 
   bindNavLinks();
   renderView();
   renderRoomsIfActive();
 
+  const profileBtn = $("btn-profile");
+  if (profileBtn) profileBtn.onclick = () => roomUI.showProfileEditor().catch((err) => console.error(err));
+
+  // System notifications while the tab is hidden (opt-in: the browser asks for permission)
+  const notifyBtn = $("btn-notify");
+  if (notifyBtn) {
+    const showNotify = () => {
+      const on = getNotify() && typeof Notification !== "undefined" && Notification.permission === "granted";
+      notifyBtn.textContent = on ? "🔔" : "🔕";
+      notifyBtn.title = on ? "Notifying you of room activity while this tab is hidden" : "Get notified of room activity while this tab is hidden";
+    };
+    notifyBtn.onclick = async () => {
+      if (getNotify()) {
+        setNotify(false);
+      } else if (typeof Notification === "undefined") {
+        toast("This browser can't show notifications");
+      } else if ((await Notification.requestPermission()) === "granted") {
+        setNotify(true);
+      } else {
+        toast("Notifications are blocked for this site");
+      }
+      showNotify();
+    };
+    showNotify();
+  }
+
   // Peer info toggle
   const toggle = document.getElementById("peer-info-toggle");
   const panel = document.getElementById("peer-info-panel");
@@ -297,7 +434,7 @@ export async function startUI() {
       li.className = "py-1 flex items-center gap-2";
       const name = document.createElement("span");
       name.className = "flex-1 truncate";
-      name.textContent = `${f.name} (${f.size} bytes)`;
+      name.textContent = `${relativePath(f) || f.name} (${f.size} bytes)`;
       const rm = document.createElement("button");
       rm.className = "px-2 py-0.5 text-xs border rounded";
       rm.textContent = "Remove";
@@ -312,6 +449,9 @@ export async function startUI() {
   }
 
   if (browse) browse.onclick = () => fileInput.click();
+  const folderInput = $("folder-input");
+  const browseFolder = $("btn-browse-folder");
+  if (browseFolder && folderInput) browseFolder.onclick = () => folderInput.click();
   if (dropzone) {
     dropzone.ondragover = (e) => {
       e.preventDefault();
@@ -321,7 +461,7 @@ export async function startUI() {
   }
 
   async function handleSelectedFiles(files) {
-    const key = (f) => `${f.name}:${f.size}:${f.lastModified ?? 0}`;
+    const key = (f) => `${relativePath(f) || f.name}:${f.size}:${f.lastModified ?? 0}`;
     const seen = new Set(selectedFiles.map(key));
     for (const f of Array.from(files || [])) {
       const k = key(f);
@@ -343,10 +483,24 @@ export async function startUI() {
     dropzone.ondrop = (e) => {
       e.preventDefault();
       dropzone.classList.remove("bg-white");
-      handleSelectedFiles(e.dataTransfer.files);
+      collectDroppedFiles(e.dataTransfer).then(handleSelectedFiles);
     };
   }
   if (fileInput) fileInput.onchange = () => handleSelectedFiles(fileInput.files);
+  if (folderInput) folderInput.onchange = () => handleSelectedFiles(folderInput.files);
+
+  // Import progress panel: cancel single files or the whole import
+  const uploadFiles = $("upload-files");
+  if (uploadFiles) {
+    uploadFiles.onclick = (e) => {
+      const btn = e.target.closest('[data-action="cancel-import"]');
+      if (!btn || !activeImport) return;
+      activeImport.cancel(Number(btn.dataset.idx));
+      renderImportFiles(activeImport.entries);
+    };
+  }
+  const cancelImports = $("btn-cancel-imports");
+  if (cancelImports) cancelImports.onclick = () => activeImport?.cancelAll();
 
   let creationInFlight = false;
 
@@ -360,11 +514,12 @@ export async function startUI() {
     creationInFlight = true;
     try {
       toast(`Adding ${selectedFiles.length} file(s)…`);
-      const manifest = await addFilesAndCreateManifest(fs, selectedFiles, (done, total) => {
-        showUploadProgress(true);
-        updateProgress(Math.round((done / total) * 100), `${done}/${total}`);
-      });
-      showUploadProgress(false);
+      const roomKey = $("encrypt-room")?.checked ? generateRoomKey() : null;
+      const manifest = await importFiles(selectedFiles, roomKey ? await importRoomKey(roomKey) : null);
+      if (!manifest.files.length) {
+        toast("Import cancelled");
+        return;
+      }
 
       const defaultName = $("drop-name")?.value?.trim() || randomSlug();
       const drop = {
@@ -378,6 +533,7 @@ export async function startUI() {
         id: randId(),
         name: $("room-name")?.value?.trim() || defaultName,
         manifest,
+        ...(roomKey ? { key: roomKey } : {}),
         createdAt: Date.now(),
         lastSeen: Date.now(),
       };
@@ -405,11 +561,60 @@ export async function startUI() {
     }
   }
 
+  // Unread counts of open rooms (unread.js); the room on screen is read as it changes
+  const unread = new Map(); // roomId -> counts
+  const withUnread = (list) => list.map((r) => ({ ...r, unread: unread.get(r.id) }));
+
+  function onRoomActivity(roomId) {
+    const viewing = !document.hidden && currentView() === "rooms" && roomUI.getActiveRoom() === roomId;
+    if (viewing) rooms.markRead(roomId);
+    const counts = rooms.getUnread(roomId);
+    if (!counts) return;
+    const before = unread.get(roomId);
+    unread.set(roomId, counts);
+    if (document.hidden && getNotify()) notifyActivity(roomId, before, counts).catch((err) => console.warn("[Bootstrap] Notification failed:", err));
+    if (before?.chat !== counts.chat || before?.mentions !== counts.mentions || before?.files !== counts.files) {
+      updateRoomsList();
+      renderHomeRooms();
+    }
+  }
+  rooms.onActivity(onRoomActivity);
+  document.addEventListener("visibilitychange", () => {
+    const rid = roomUI.getActiveRoom();
+    if (!document.hidden && rid) onRoomActivity(rid);
+  });
+
+  // One notification per room (tagged with its ID), for what arrived since the last one;
+  // mentions of us come first and stay up until dismissed
+  async function notifyActivity(roomId, before, counts) {
+    if (typeof Notification === "undefined" || Notification.permission !== "granted") return;
+    const mentioned = counts.mentions > (before?.mentions || 0) && counts.lastMention;
+    const newChat = counts.chat > (before?.chat || 0) && counts.lastMessage;
+    const newFiles = counts.files > (before?.files || 0) && counts.lastFile;
+    if (!mentioned && !newChat && !newFiles) return;
+    const room = getRoom(roomId)?.name || `Room ${roomId.slice(0, 6)}`;
+    let body;
+    if (mentioned || newChat) {
+      const directory = await rooms.getProfiles(roomId);
+      const m = mentioned ? counts.lastMention : counts.lastMessage;
+      body = `${peerLabel(m.from, directory)}: ${(m.text || "📎 Attachment").slice(0, 140)}`;
+    } else {
+      body = `New file: ${counts.lastFile.name}`;
+    }
+    const n = new Notification(mentioned ? `You were mentioned in ${room}` : room, { body, tag: roomId, requireInteraction: !!mentioned });
+    n.onclick = async () => {
+      window.focus();
+      n.close();
+      goto("rooms", { room: roomId });
+      await renderRoomsIfActive();
+    };
+  }
+
   // Render recent rooms on homepage
   function renderHomeRooms() {
     let list = getRooms();
     list = list.sort((a, b) => (b.lastSeen || 0) - (a.lastSeen || 0));
-    renderRoomsList(list.slice(0, 5), async (r) => {
+    renderRoomsList(withUnread(list.slice(0, 5)), async (r) => {
       goto("rooms", { room: r.id });
       await renderRoomsIfActive();
     }, 'home-rooms-list');
@@ -426,9 +631,11 @@ export async function startUI() {
       const input = (inputEl?.value || "").trim();
       if (!input) return;
       let roomId = input;
+      let hash = "";
       try {
         const u = new URL(input);
         roomId = u.searchParams.get("room") || input;
+        hash = u.hash;
       } catch { }
       const existing = getRoom(roomId);
       if (!existing)
@@ -438,6 +645,7 @@ export async function startUI() {
           createdAt: Date.now(),
           lastSeen: Date.now(),
         });
+      rememberInvite(roomId, hash);
 
       await rooms.join(roomId, {
         onManifestUpdate: async (manifest) => {
@@ -464,20 +672,22 @@ export async function startUI() {
   async function handleRoomFiles(roomId, files) {
     const arr = Array.from(files || []);
     if (!arr.length) return;
+    if (!(await rooms.canDo(roomId, "upload"))) {
+      toast("Read-only access: ask for an upload or full-access invite to add files");
+      return;
+    }
     try {
-      const added = await addFilesAndCreateManifest(fs, arr, (done, total) => {
-        showUploadProgress(true);
-        updateProgress(Math.round((done / total) * 100), `${done}/${total}`);
-      });
-      showUploadProgress(false);
-
-      const cur = getRoom(roomId)?.manifest || { files: [] };
-      const byCid = new Map(cur.files.map((f) => [f.cid, f]));
-      for (const f of added.files) byCid.set(f.cid, f);
-      const merged = { files: [...byCid.values()], updatedAt: Date.now() };
+      const added = await importFiles(arr, await rooms.getRoomKey(roomId));
+      if (!added.files.length) {
+        toast("Import cancelled");
+        return;
+      }
 
-      saveRoom({ id: roomId, manifest: merged });
-      rooms.setManifest(roomId, merged);
+      // Merge by CID in the Y.js manifest - concurrent adds from other peers are kept
+      await rooms.setManifest(roomId, added);
+      // Re-adding a removed file brings it back (upload-only access can't restore)
+      if (await rooms.canDo(roomId, "edit")) await rooms.restoreFiles(roomId, added.files.map(fileKey));
+      saveRoom({ id: roomId, manifest: await rooms.getManifest(roomId) });
 
       // Queue thumbnails for new files
       thumbnailManager.queueFiles(roomId, added.files);
@@ -498,7 +708,7 @@ export async function startUI() {
     list = list.sort((a, b) => (b.lastSeen || 0) - (a.lastSeen || 0));
     // Optionally limit to recent rooms
     if (limit) list = list.slice(0, limit);
-    renderRoomsList(list, async (r) => {
+    renderRoomsList(withUnread(list), async (r) => {
       goto("rooms", { room: r.id });
       await renderRoomsIfActive();
     });
@@ -531,17 +741,15 @@ export async function startUI() {
     }
 
     // Update lastSeen for existing room
-    saveRoom({ id: rid, lastSeen: Date.now() });
+    updateRoomLastSeen(rid);
+    rememberInvite(rid, location.hash);
     updateRoomsList();
     renderHomeRooms(); // Update homepage list
 
     // Set up thumbnail manager to watch this room's manifest
     const ydoc = await rooms.getYDoc(rid);
-    const watchCallback = thumbnailManager.watchRoom(rid, () => {
-      const files = ydoc.manifest.get('files') || [];
-      return { files: files.map(f => ({ ...f })) };
-    });
-    ydoc.manifest.observe(watchCallback);
+    const watchCallback = thumbnailManager.watchRoom(rid, () => ({ files: listFiles(ydoc) }));
+    observeManifest(ydoc, watchCallback);
     // Trigger initial check
     watchCallback();
 
@@ -569,6 +777,7 @@ export async function startUI() {
 
     // Initial render (after join completes)
     await roomUI.render(rid);
+    onRoomActivity(rid); // Read now that it's on screen
 
     // Subscribe to chat and manifest observers
     await roomUI.subscribeChat(rid);
@@ -0,0 +1,279 @@
+// @ts-check
+/**
+ * CAR (Content Addressable aRchive) export and import of room files
+ *
+ * Shared by the browser (room.js: export a file, a selection or a room, and
+ * import one) and the hub CLI (server/car-cli.js), so content can move
+ * between airgapped machines or seed a hub offline.
+ *
+ * A room export is a CARv1 whose first root is a dag-json room manifest:
+ *
+ *   { type: 'web.cleaning/room', version: 1, roomId, roots: [<file and folder CIDs>],
+ *     manifest: { name, files, folders } }   plaintext rooms
+ *     sealed: { iv, data }                     encrypted rooms: the same manifest, sealed with the room key
+ *
+ * followed by every block of those files. The CAR's other roots are the files
+ * themselves, so any IPFS tool can import it and pin each one; the manifest
+ * links them too, so pinning it alone keeps the whole room.
+ *
+ * Blocks are only ever read from the local blockstore (never the network):
+ * files not held completely are left out and reported. Imports store a block
+ * only if it hashes to its CID.
+ */
+
+import { CID } from 'multiformats/cid'
+import { sha256 } from 'multiformats/hashes/sha2'
+import { identity } from 'multiformats/hashes/identity'
+import * as dagJson from '@ipld/dag-json'
+import { decode as decodeDagPb } from '@ipld/dag-pb'
+import { CarWriter } from '@ipld/car/writer'
+import { CarBlockIterator } from '@ipld/car/iterator'
+import { equals } from 'uint8arrays/equals'
+import { encryptBytes, decryptBytes } from './room-crypto.js'
+
+export const ROOM_EXPORT_TYPE = 'web.cleaning/room'
+const ROOM_EXPORT_VERSION = 1
+const DAG_PB = 0x70
+
+const HASHERS = { [sha256.code]: sha256, [identity.code]: identity }
+
+/**
+ * @typedef {Object} RoomManifest
+ * @property {string} name - Room name ('' if unknown)
+ * @property {import('./manifest.js').ManifestFile[]} files
+ * @property {import('./manifest.js').ManifestFolder[]} folders
+ */
+
+/**
+ * @typedef {Object} RoomExport - A decoded room manifest block
+ * @property {string} roomId
+ * @property {CID[]} roots - Every file and folder of the export
+ * @property {RoomManifest|null} manifest - null when sealed
+ * @property {{iv: Uint8Array, data: Uint8Array}|null} sealed
+ */
+
+/**
+ * @typedef {Object} CarExport
+ * @property {import('./manifest.js').ManifestFile[]} files - Files in the CAR
+ * @property {string[]} skipped - Names of files (paths of folders) not held completely here
+ * @property {CID[]} roots
+ * @property {number} blocks
+ * @property {(onProgress?: (written: number, total: number) => void) => AsyncIterable<Uint8Array>} stream
+ *   The CAR's bytes, read from the blockstore as they are consumed; can be opened again
+ */
+
+/**
+ * Whether a block's bytes hash to its CID
+ * @param {CID} cid
+ * @param {Uint8Array} bytes
+ */
+export async function verifyBlock(cid, bytes) {
+  const hasher = HASHERS[cid.multihash.code]
+  if (!hasher) return false
+  return equals((await hasher.digest(bytes)).digest, cid.multihash.digest)
+}
+
+/**
+ * Every block of a DAG in the local blockstore, or null if one is missing
+ * @param {any} blockstore
+ * @param {CID} root
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Map<string, CID>|null>}
+ */
+export async function localDag(blockstore, root, signal) {
+  const cids = new Map()
+  const stack = [root]
+  while (stack.length) {
+    signal?.throwIfAborted()
+    const cid = stack.pop()
+    if (cids.has(cid.toString())) continue
+    if (!(await blockstore.has(cid))) return null
+    cids.set(cid.toString(), cid)
+    if (cid.code === DAG_PB) stack.push(...decodeDagPb(await blockstore.get(cid)).Links.map(l => l.Hash))
+  }
+  return cids
+}
+
+/**
+ * The room manifest block of an export
+ * @param {string} roomId
+ * @param {RoomManifest} manifest
+ * @param {CID[]} roots
+ * @param {CryptoKey|null} [key] - Encrypted rooms: names and sizes are sealed with it
+ * @returns {Promise<{cid: CID, bytes: Uint8Array}>}
+ */
+export async function encodeRoomExport(roomId, manifest, roots, key = null) {
+  // Plain JSON values only: dag-json refuses undefined
+  const plain = JSON.parse(JSON.stringify(manifest))
+  const body = key
+    ? { sealed: await encryptBytes(key, new TextEncoder().encode(JSON.stringify(plain))) }
+    : { manifest: plain }
+  const bytes = dagJson.encode({ type: ROOM_EXPORT_TYPE, version: ROOM_EXPORT_VERSION, roomId, roots, ...body })
+  return { cid: CID.create(1, dagJson.code, await sha256.digest(bytes)), bytes }
+}
+
+/**
+ * Read a room manifest block
+ * @param {Uint8Array} bytes
+ * @returns {RoomExport|null} null if the block isn't one
+ */
+export function decodeRoomExport(bytes) {
+  let value
+  try {
+    value = dagJson.decode(bytes)
+  } catch {
+    return null
+  }
+  if (value?.type !== ROOM_EXPORT_TYPE || typeof value.roomId !== 'string') return null
+  if (value.version !== ROOM_EXPORT_VERSION) throw new Error(`Room export version ${value.version} is not supported`)
+  return {
+    roomId: value.roomId,
+    roots: (value.roots || []).filter(r => CID.asCID(r)),
+    manifest: value.manifest || null,
+    sealed: value.sealed || null
+  }
+}
+
+/**
+ * The manifest of a room export; sealed ones need the room key
+ * @param {RoomExport} exported
+ * @param {CryptoKey|null} [key]
+ * @returns {Promise<RoomManifest>}
+ */
+export async function openRoomExport(exported, key = null) {
+  let manifest = exported.manifest
+  if (exported.sealed) {
+    if (!key) throw new Error('This room is encrypted: its key is needed')
+    try {
+      manifest = JSON.parse(new TextDecoder().decode(await decryptBytes(key, exported.sealed.iv, exported.sealed.data)))
+    } catch {
+      throw new Error('Wrong key for this encrypted room')
+    }
+  }
+  return { name: manifest?.name || '', files: manifest?.files || [], folders: manifest?.folders || [] }
+}
+
+// Stream a CAR of `roots` (and `extra` blocks first) from the blockstore
+function carStream(blockstore, roots, extra, cids, signal) {
+  return async function * (onProgress = () => {}) {
+    const { writer, out } = CarWriter.create(roots)
+    let failure = null
+    // put() waits for us to read what it wrote, so blocks are read as they go out
+    const writing = (async () => {
+      try {
+        for (const block of extra) await writer.put(block)
+        let written = 0
+        for (const cid of cids) {
+          signal?.throwIfAborted()
+          await writer.put({ cid, bytes: await blockstore.get(cid, { signal }) })
+          onProgress(++written, cids.length)
+        }
+      } catch (err) {
+        failure = err
+      } finally {
+        await writer.close()
+      }
+    })()
+    yield * out
+    await writing
+    if (failure) throw failure
+  }
+}
+
+// The blocks of everything held completely, each once however many roots share it
+async function collect(blockstore, items, signal) {
+  const blocks = new Map()
+  const held = []
+  const skipped = []
+  for (const item of items) {
+    const dag = await localDag(blockstore, item.cid, signal)
+    if (!dag) {
+      skipped.push(item)
+      continue
+    }
+    held.push(item)
+    for (const [key, cid] of dag) blocks.set(key, cid)
+  }
+  return { held, skipped, cids: [...blocks.values()] }
+}
+
+/**
+ * Export room files as a CAR with the room manifest as its first root
+ * @param {any} blockstore
+ * @param {{roomId: string, name?: string, files: import('./manifest.js').ManifestFile[], folders?: import('./manifest.js').ManifestFolder[]}} room
+ *   folders: folder uploads to keep as folders (their DAG holds their files)
+ * @param {{key?: CryptoKey|null, signal?: AbortSignal}} [options] - key: encrypted rooms' key, seals the manifest
+ * @returns {Promise<CarExport>}
+ */
+export async function exportRoom(blockstore, { roomId, name = '', files, folders = [] }, { key = null, signal } = {}) {
+  const items = [
+    ...files.map(file => ({ cid: CID.parse(file.cid), label: file.name, file })),
+    ...folders.map(folder => ({ cid: CID.parse(folder.cid), label: `${folder.path}/`, folder }))
+  ]
+  const { held, skipped, cids } = await collect(blockstore, items, signal)
+  const roots = []
+  for (const { cid } of held) if (!roots.some(r => r.equals(cid))) roots.push(cid)
+  const manifest = {
+    name,
+    files: held.filter(i => i.file).map(i => i.file),
+    folders: held.filter(i => i.folder).map(i => i.folder)
+  }
+  const block = await encodeRoomExport(roomId, manifest, roots, key)
+  return {
+    files: manifest.files,
+    skipped: skipped.map(i => i.label),
+    roots: [block.cid, ...roots],
+    blocks: cids.length + 1,
+    stream: carStream(blockstore, [block.cid, ...roots], [block], cids, signal)
+  }
+}
+
+/**
+ * Export DAGs by CID, without a room manifest
+ * @param {any} blockstore
+ * @param {CID[]} cids
+ * @param {{signal?: AbortSignal}} [options]
+ * @returns {Promise<CarExport>} skipped: the CIDs not held completely
+ */
+export async function exportCids(blockstore, cids, { signal } = {}) {
+  const { held, skipped, cids: blocks } = await collect(blockstore, cids.map(cid => ({ cid, label: cid.toString() })), signal)
+  const roots = held.map(i => i.cid)
+  return {
+    files: [],
+    skipped: skipped.map(i => i.label),
+    roots,
+    blocks: blocks.length,
+    stream: carStream(blockstore, roots, [], blocks, signal)
+  }
+}
+
+/**
+ * Import a CAR into a blockstore
+ * @param {any} blockstore
+ * @param {AsyncIterable<Uint8Array>} source - The CAR's bytes
+ * @param {{signal?: AbortSignal}} [options]
+ * @returns {Promise<{roots: CID[], stored: number, rejected: string[], rooms: RoomExport[]}>}
+ *   rejected: CIDs of blocks that don't match their bytes; rooms: room manifests among the roots
+ */
+export async function importCar(blockstore, source, { signal } = {}) {
+  const blocks = await CarBlockIterator.fromIterable(source)
+  const roots = await blocks.getRoots()
+  const rootKeys = new Set(roots.map(r => r.toString()))
+  let stored = 0
+  const rejected = []
+  const rooms = []
+  for await (const { cid, bytes } of blocks) {
+    signal?.throwIfAborted()
+    if (!(await verifyBlock(cid, bytes))) {
+      rejected.push(cid.toString())
+      continue
+    }
+    await blockstore.put(cid, bytes, { signal })
+    stored++
+    if (cid.code === dagJson.code && rootKeys.has(cid.toString())) {
+      const room = decodeRoomExport(bytes)
+      if (room) rooms.push(room)
+    }
+  }
+  return { roots, stored, rejected, rooms }
+}
@@ -0,0 +1,300 @@
+// @ts-check
+/**
+ * Room chat on the Y.Doc (browser)
+ *
+ * `chat` is a Y.Array of messages in the order they were sent:
+ *
+ *   { msgId, from, ts, text, replyTo?: msgId, files?: cid[], about?: cid, mentions?: peerId[], editedAt?, sig? }
+ *
+ * Text is markdown (markdown.js). `mentions` lists the peers named with
+ * @name in it (findMentions), so they are notified whatever names others
+ * know them by.
+ * `files` attaches room files (manifest CIDs), shown as cards. Messages with
+ * `about` are comments on that file: they make up its thread and are left
+ * out of the room chat (see fileComments).
+ *
+ * Entries keep their place in the thread, so replies always find what they
+ * answer:
+ * - an edit replaces the entry in place with a copy carrying the new text
+ *   and `editedAt`
+ * - a delete replaces it with a tombstone `{ msgId, from, ts, replyTo?, about?, deleted: true }`;
+ *   the text is gone from the doc (Y.js drops deleted content)
+ * Only the author may edit or delete a message; receivers refuse updates
+ * that break this (room-auth.js checkChatChange). Changes made to the same
+ * message on two peers at once leave two entries with its msgId: the
+ * tombstone wins, then the latest edit (see getChatMessages).
+ *
+ * Reactions live in the `reactions` Y.Map with one key per message, peer and
+ * emoji (`msgId|peerId|emoji`), so concurrent reactions never conflict.
+ */
+
+// Offered under each message; any other short emoji is accepted too
+export const REACTIONS = ['👍', '❤️', '😂', '🎉', '👀', '✅']
+
+const MAX_EMOJI_LENGTH = 16
+
+/**
+ * @typedef {Object} ChatMessage
+ * @property {string} msgId
+ * @property {string} from - Author's peer ID
+ * @property {number} ts
+ * @property {string=} text - Absent once deleted
+ * @property {string=} replyTo - msgId of the message this answers
+ * @property {string[]=} files - Attached room files (manifest CIDs)
+ * @property {string=} about - CID of the file this comments on
+ * @property {string[]=} mentions - Peer IDs named with @ in the text
+ * @property {number=} editedAt
+ * @property {boolean=} deleted
+ * @property {string=} sig - Author's signature (owned rooms)
+ * @property {{emoji: string, peers: string[]}[]=} reactions - From getChatMessages
+ */
+
+/**
+ * Helper to add chat message to Y.Array
+ * @param {import('yjs').Array<any>} chatArray
+ * @param {ChatMessage} message
+ */
+export function addChatMsg(chatArray, message) {
+  chatArray.push([message])
+}
+
+/** Which of two entries with the same msgId is shown */
+export const supersedes = (a, b) => !b.deleted && (a.deleted || (a.editedAt || 0) > (b.editedAt || 0))
+
+// The shown entry for msgId, and the indexes of every entry with it
+function findMessage(chatArray, msgId) {
+  let current = null
+  const indexes = []
+  chatArray.toArray().forEach((entry, index) => {
+    if (entry?.msgId !== msgId) return
+    indexes.push(index)
+    if (!current || supersedes(entry, current)) current = entry
+  })
+  return { current, indexes }
+}
+
+// Swap every entry of a message for one, where the first of them was
+function replaceMessage(chatArray, indexes, entry) {
+  const apply = () => {
+    for (const index of [...indexes].reverse()) chatArray.delete(index, 1)
+    chatArray.insert(indexes[0], [entry])
+  }
+  if (chatArray.doc) chatArray.doc.transact(apply)
+  else apply()
+}
+
+// The message `from` may change: theirs and not deleted
+function ownMessage(chatArray, msgId, from) {
+  const found = findMessage(chatArray, msgId)
+  if (!found.current || found.current.deleted) throw new Error('Message not found')
+  if (found.current.from !== from) throw new Error('Only the author can change a message')
+  return found
+}
+
+/**
+ * Put a changed entry (editedMessage / deletedMessage) in place of the
+ * message, once it is signed
+ * @param {import('yjs').Array<any>} chatArray
+ * @param {ChatMessage} entry
+ */
+export function putChatMsg(chatArray, entry) {
+  const { indexes } = ownMessage(chatArray, entry.msgId, entry.from)
+  replaceMessage(chatArray, indexes, entry)
+}
+
+/**
+ * The entry that replaces the text of one of our messages
+ * @param {import('yjs').Array<any>} chatArray
+ * @param {string} msgId
+ * @param {string} from - Our peer ID
+ * @param {string} text
+ * @param {{mentions?: string[]}} [options] - mentions: the peers the new text names (kept if omitted)
+ * @returns {ChatMessage}
+ */
+export function editedMessage(chatArray, msgId, from, text, { mentions } = {}) {
+  const { current } = ownMessage(chatArray, msgId, from)
+  const { mentions: _, sig: __, ...rest } = current
+  const named = mentions === undefined ? current.mentions : mentions
+  return {
+    ...rest,
+    text,
+    ...(named?.length ? { mentions: named } : {}),
+    editedAt: Math.max(Date.now(), (current.editedAt || 0) + 1)
+  }
+}
+
+/**
+ * The tombstone that replaces one of our messages
+ * @param {import('yjs').Array<any>} chatArray
+ * @param {string} msgId
+ * @param {string} from - Our peer ID
+ * @returns {ChatMessage}
+ */
+export function deletedMessage(chatArray, msgId, from) {
+  const { current } = ownMessage(chatArray, msgId, from)
+  const { replyTo, about } = current
+  return { msgId, from, ts: current.ts, ...(replyTo ? { replyTo } : {}), ...(about ? { about } : {}), deleted: true }
+}
+
+/**
+ * Replace the text of one of our messages (unsigned, see editedMessage)
+ * @param {import('yjs').Array<any>} chatArray
+ * @param {string} msgId
+ * @param {string} from - Our peer ID
+ * @param {string} text
+ * @param {{mentions?: string[]}} [options]
+ */
+export function editChatMsg(chatArray, msgId, from, text, options = {}) {
+  putChatMsg(chatArray, editedMessage(chatArray, msgId, from, text, options))
+}
+
+/**
+ * Replace one of our messages with a tombstone (unsigned, see deletedMessage)
+ * @param {import('yjs').Array<any>} chatArray
+ * @param {string} msgId
+ * @param {string} from - Our peer ID
+ */
+export function deleteChatMsg(chatArray, msgId, from) {
+  putChatMsg(chatArray, deletedMessage(chatArray, msgId, from))
+}
+
+/**
+ * Add our reaction to a message, or take it back
+ * @param {import('yjs').Map<any>} reactions
+ * @param {string} msgId
+ * @param {string} peerId - Our peer ID
+ * @param {string} emoji
+ * @returns {boolean} Whether the reaction is now on
+ */
+export function toggleReaction(reactions, msgId, peerId, emoji) {
+  if (typeof emoji !== 'string' || !emoji.trim() || emoji.length > MAX_EMOJI_LENGTH || emoji.includes('|')) {
+    throw new Error('Not a reaction')
+  }
+  const key = `${msgId}|${peerId}|${emoji}`
+  if (reactions.has(key)) {
+    reactions.delete(key)
+    return false
+  }
+  reactions.set(key, Date.now())
+  return true
+}
+
+// msgId -> emoji -> peer IDs, in the order they were added
+function groupReactions(reactions) {
+  const byMessage = new Map()
+  const entries = [...reactions.entries()].sort((a, b) => a[1] - b[1])
+  for (const [key] of entries) {
+    const [msgId, peerId, emoji] = key.split('|')
+    if (!emoji) continue
+    if (!byMessage.has(msgId)) byMessage.set(msgId, new Map())
+    const byEmoji = byMessage.get(msgId)
+    byEmoji.set(emoji, [...(byEmoji.get(emoji) || []), peerId])
+  }
+  return byMessage
+}
+
+/**
+ * Helper to get all chat messages from Y.Array: one per msgId, as currently
+ * shown, with their reactions
+ * @param {import('yjs').Array<any>} chatArray
+ * @param {import('yjs').Map<any>|null} [reactions]
+ * @returns {ChatMessage[]}
+ */
+export function getChatMessages(chatArray, reactions = null) {
+  const entries = chatArray.toArray()
+  const current = new Map()
+  for (const entry of entries) {
+    if (!entry?.msgId) continue
+    const shown = current.get(entry.msgId)
+    if (!shown || supersedes(entry, shown)) current.set(entry.msgId, entry)
+  }
+  const grouped = reactions ? groupReactions(reactions) : new Map()
+  const messages = []
+  const listed = new Set()
+  for (const entry of entries) {
+    // Messages from before msgIds can't be replied to or changed
+    if (!entry?.msgId) {
+      messages.push(entry)
+      continue
+    }
+    // Where the message first appears, as currently shown
+    if (listed.has(entry.msgId)) continue
+    listed.add(entry.msgId)
+    const shown = current.get(entry.msgId)
+    const byEmoji = shown.deleted ? null : grouped.get(entry.msgId)
+    messages.push({
+      ...shown,
+      reactions: byEmoji ? [...byEmoji].map(([emoji, peers]) => ({ emoji, peers })) : []
+    })
+  }
+  return messages
+}
+
+/**
+ * Split messages (from getChatMessages) into the room chat and per-file threads
+ * @param {ChatMessage[]} messages
+ * @returns {{chat: ChatMessage[], threads: Map<string, ChatMessage[]>}}
+ *   threads: file CID -> its comments, tombstones included
+ */
+export function fileComments(messages) {
+  const chat = []
+  const threads = new Map()
+  for (const message of messages) {
+    if (!message?.about) {
+      chat.push(message)
+      continue
+    }
+    if (!threads.has(message.about)) threads.set(message.about, [])
+    threads.get(message.about).push(message)
+  }
+  return { chat, threads }
+}
+
+/**
+ * Lower-cased words of a search query
+ * @param {string} query
+ * @returns {string[]}
+ */
+export function searchTerms(query) {
+  return String(query || '').toLowerCase().split(/\s+/).filter(Boolean)
+}
+
+/**
+ * Messages (from getChatMessages) whose text has every word of the query,
+ * newest first. Deleted messages, and ones from before msgIds (nothing to
+ * jump to), are left out.
+ * @param {ChatMessage[]} messages
+ * @param {string} query
+ * @returns {ChatMessage[]}
+ */
+export function searchMessages(messages, query) {
+  const terms = searchTerms(query)
+  if (!terms.length) return []
+  return messages
+    .filter(m => m?.msgId && !m.deleted && typeof m.text === 'string' && terms.every(t => m.text.toLowerCase().includes(t)))
+    .reverse()
+}
+
+/**
+ * Peers named in a message: `@` followed by one of their names, not running
+ * into a further word character
+ * @param {string} text
+ * @param {{peerId: string, names: string[]}[]} people - Room participants and what they're called
+ * @returns {string[]} Peer IDs, each once
+ */
+export function findMentions(text, people) {
+  const lower = String(text || '').toLowerCase()
+  const found = []
+  for (const { peerId, names } of people) {
+    const named = names.some(name => {
+      const at = `@${String(name || '').toLowerCase()}`
+      if (at === '@') return false
+      for (let i = lower.indexOf(at); i >= 0; i = lower.indexOf(at, i + 1)) {
+        if (!/\w/.test(lower[i + at.length] || '')) return true
+      }
+      return false
+    })
+    if (named && !found.includes(peerId)) found.push(peerId)
+  }
+  return found
+}
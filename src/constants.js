@@ -28,6 +28,9 @@ export const ROOM_TOPIC = (roomId) => `wc/${roomId}`;
 export const LS_DROPS = "wc:drops";
 export const LS_ROOMS = "wc:rooms";
 export const LS_PEERS = "wc:peers";
+export const LS_DOWNLOADS = "wc:downloads";
+export const LS_PROFILE = "wc:profile";
+export const LS_NOTIFY = "wc:notify";
 
 // Mirror server for persistent storage
 // Browser: use Vite env vars, Node: use process.env
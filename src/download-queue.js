@@ -0,0 +1,222 @@
+// @ts-check
+/**
+ * Persistent download queue
+ *
+ * Records which files the user asked to download (in localStorage, next to
+ * wc:rooms) and makes sure all of their blocks end up in the local blockstore.
+ * Blocks already in OPFS survive a reload, so resuming only walks the DAG and
+ * fetches what is missing. Saving to disk stays a user action (saveFileStream).
+ */
+
+import { CID } from 'multiformats/cid'
+import { decode as decodeDagPb } from '@ipld/dag-pb'
+import { UnixFS } from 'ipfs-unixfs'
+import { getDownloads, saveDownload, removeDownload } from './store.js'
+
+const DAG_PB = 0x70
+const FETCH_CONCURRENCY = 8
+const SAVE_INTERVAL = 1000 // ms between progress writes to localStorage
+
+/**
+ * @typedef {Object} DownloadEntry
+ * @property {string} id - `${roomId}:${cid}`
+ * @property {string} roomId
+ * @property {string} cid
+ * @property {string} name
+ * @property {number} size - Manifest size
+ * @property {'queued'|'fetching'|'complete'|'failed'} status
+ * @property {number} loaded - Bytes available locally
+ * @property {string} [error]
+ * @property {number} addedAt
+ */
+
+/** File content bytes held by one block (raw leaf or UnixFS node data) */
+function blockDataSize(cid, bytes) {
+  if (cid.code !== DAG_PB) return bytes.byteLength
+  try {
+    return UnixFS.unmarshal(decodeDagPb(bytes).Data ?? new Uint8Array()).data?.byteLength ?? 0
+  } catch {
+    return 0
+  }
+}
+
+/**
+ * Walk a UnixFS DAG, fetching every block that isn't local yet
+ * blockstore.get goes to bitswap for missing blocks and stores them.
+ * @param {any} blockstore - helia.blockstore
+ * @param {string|CID} cid
+ * @param {{onBlock?: (info: {cid: CID, bytes: number, fetched: boolean}) => void, signal?: AbortSignal}} [options]
+ * @returns {Promise<{blocks: number, fetched: number}>}
+ */
+export async function fetchDag(blockstore, cid, { onBlock = () => {}, signal } = {}) {
+  const stats = { blocks: 0, fetched: 0 }
+
+  async function visit(c) {
+    signal?.throwIfAborted()
+    const fetched = !(await blockstore.has(c))
+    const bytes = await blockstore.get(c, { signal })
+    stats.blocks++
+    if (fetched) stats.fetched++
+    onBlock({ cid: c, bytes: blockDataSize(c, bytes), fetched })
+
+    if (c.code !== DAG_PB) return
+    const links = decodeDagPb(bytes).Links
+    for (let i = 0; i < links.length; i += FETCH_CONCURRENCY) {
+      await Promise.all(links.slice(i, i + FETCH_CONCURRENCY).map(l => visit(l.Hash)))
+    }
+  }
+
+  await visit(typeof cid === 'string' ? CID.parse(cid) : cid)
+  return stats
+}
+
+/**
+ * Whether every block of a UnixFS DAG is in the local blockstore
+ * Only reads local blocks: never goes to the network.
+ * @param {any} blockstore - helia.blockstore
+ * @param {string|CID} cid
+ * @returns {Promise<boolean>}
+ */
+export async function hasDag(blockstore, cid) {
+  async function visit(c) {
+    if (!(await blockstore.has(c))) return false
+    if (c.code !== DAG_PB) return true
+    for (const link of decodeDagPb(await blockstore.get(c)).Links) {
+      if (!(await visit(link.Hash))) return false
+    }
+    return true
+  }
+
+  return visit(typeof cid === 'string' ? CID.parse(cid) : cid)
+}
+
+/**
+ * @param {{blockstore: any, onChange?: (entries: DownloadEntry[]) => void}} opts
+ */
+export function createDownloadQueue({ blockstore, onChange = () => {} }) {
+  let running = false
+  /** @type {Map<string, AbortController>} */
+  const controllers = new Map()
+  /** @type {Map<string, number>} */
+  const lastSaved = new Map() // id -> time of last progress write
+  const changed = () => onChange(getDownloads())
+
+  function update(id, patch) {
+    const entry = getDownloads().find(d => d.id === id)
+    if (!entry) return null
+    const next = { ...entry, ...patch }
+    saveDownload(next)
+    changed()
+    return next
+  }
+
+  async function fetchEntry(entry) {
+    const controller = new AbortController()
+    controllers.set(entry.id, controller)
+    update(entry.id, { status: 'fetching', loaded: 0, error: undefined })
+    let loaded = 0
+    let lastSave = Date.now()
+    try {
+      const stats = await fetchDag(blockstore, entry.cid, {
+        signal: controller.signal,
+        onBlock: ({ bytes }) => {
+          loaded += bytes
+          if (Date.now() - lastSave < SAVE_INTERVAL) return
+          lastSave = Date.now()
+          update(entry.id, { loaded })
+        }
+      })
+      console.log(`[Downloads] ✓ ${entry.name}: ${stats.fetched}/${stats.blocks} blocks fetched`)
+      update(entry.id, { status: 'complete', loaded: Math.max(loaded, entry.size) })
+    } catch (err) {
+      if (controller.signal.aborted) return
+      console.warn(`[Downloads] Failed ${entry.name}:`, err.message)
+      update(entry.id, { status: 'failed', loaded, error: err.message || 'Fetch failed' })
+    } finally {
+      controllers.delete(entry.id)
+    }
+  }
+
+  /** Work through queued entries one at a time */
+  async function run() {
+    if (running) return
+    running = true
+    try {
+      for (;;) {
+        const next = getDownloads().find(d => d.status === 'queued')
+        if (!next) break
+        await fetchEntry(next)
+      }
+    } finally {
+      running = false
+    }
+  }
+
+  return {
+    list: getDownloads,
+
+    /**
+     * Record a download the user asked for
+     * @param {string} roomId
+     * @param {{cid: string, name: string, size?: number}} file
+     * @param {{fetch?: boolean}} [opts] - fetch: false when the caller fetches the blocks itself (e.g. streaming to disk)
+     */
+    add(roomId, file, { fetch = true } = {}) {
+      const id = `${roomId}:${file.cid}`
+      const existing = getDownloads().find(d => d.id === id)
+      if (existing?.status === 'complete') return existing
+      /** @type {DownloadEntry} */
+      const entry = {
+        id,
+        roomId,
+        cid: file.cid,
+        name: file.name,
+        size: file.size || 0,
+        status: fetch ? 'queued' : 'fetching',
+        loaded: 0,
+        addedAt: existing?.addedAt || Date.now()
+      }
+      saveDownload(entry)
+      changed()
+      if (fetch) run()
+      return entry
+    },
+
+    /** Progress reported by a caller that fetches the blocks itself */
+    progress(id, loaded) {
+      if (Date.now() - (lastSaved.get(id) || 0) < SAVE_INTERVAL) return null
+      lastSaved.set(id, Date.now())
+      return update(id, { loaded })
+    },
+
+    complete(id) {
+      lastSaved.delete(id)
+      const entry = getDownloads().find(d => d.id === id)
+      return entry && update(id, { status: 'complete', loaded: Math.max(entry.loaded, entry.size) })
+    },
+
+    fail(id, error) {
+      return update(id, { status: 'failed', error })
+    },
+
+    retry(id) {
+      update(id, { status: 'queued', error: undefined })
+      run()
+    },
+
+    remove(id) {
+      controllers.get(id)?.abort()
+      removeDownload(id)
+      changed()
+    },
+
+    /** Re-queue downloads interrupted by a reload and start fetching */
+    resume() {
+      const interrupted = getDownloads().filter(d => d.status === 'fetching')
+      for (const d of interrupted) saveDownload({ ...d, status: 'queued' })
+      if (interrupted.length) console.log(`[Downloads] Resuming ${interrupted.length} download(s)`)
+      changed()
+      run()
+    }
+  }
+}
@@ -7,6 +7,10 @@
 import { CID } from 'multiformats/cid'
 import { decode as decodeDagPb } from '@ipld/dag-pb'
 import { UnixFS } from 'ipfs-unixfs'
+import { unixfs } from '@helia/unixfs'
+import { buildFileTree } from './manifest.js'
+import { zipStream, zipPaths } from './zip-stream.js'
+import { encryptStream, decryptStream, generateFileNonce, getFileCipher, registerFileKeys } from './room-crypto.js'
 
 /**
  * Detect and unwrap dag-pb + UnixFS protobuf encoding from raw blocks
@@ -111,42 +115,65 @@ export function guessMime(name = "") {
   return map[ext] || "application/octet-stream";
 }
 
-export async function fetchFileAsBlob(fs, cid, name, onProgress = () => {}) {
-  console.log(`[fetchFileAsBlob] START - name="${name}", cid="${cid}"`);
-  console.log(`[fetchFileAsBlob] CID type:`, typeof cid, cid.constructor?.name);
+/**
+ * Stream a file's content chunk by chunk (fetching blocks via bitswap as needed)
+ * Applies the CID parsing and dag-pb unwrapping fixes, and decrypts files of
+ * encrypted rooms (see room-crypto.js registerFileKeys)
+ * @param {any} fs - Helia unixfs
+ * @param {string|CID} cid
+ * @param {{signal?: AbortSignal}} [options]
+ * @returns {AsyncGenerator<Uint8Array>}
+ */
+export async function* catFile(fs, cid, options = {}) {
+  // Files of encrypted rooms are registered by the room manager; decrypt them on the fly
+  const cipher = getFileCipher(cid);
+  if (cipher) {
+    // Ciphertext is random: the unwrap heuristics below must not touch it
+    yield* decryptStream(cipher.key, cipher.nonce, catRaw(fs, cid, options, false));
+    return;
+  }
+  yield* catRaw(fs, cid, options, true);
+}
 
+async function* catRaw(fs, cid, options, unwrap) {
   // iOS Safari fix: Parse CID string to CID object
   // Helia expects CID objects, not strings, for reliable operation
   if (typeof cid === 'string') {
-    console.log(`[fetchFileAsBlob] Converting string CID to CID object...`);
     try {
       cid = CID.parse(cid);
-      console.log(`[fetchFileAsBlob] ✓ CID parsed:`, cid.toString());
-      console.log(`[fetchFileAsBlob] CID codec: ${cid.code} (0x${cid.code.toString(16)}) - raw=0x55, dag-pb=0x70`);
+      console.log(`[catFile] CID codec: ${cid.code} (0x${cid.code.toString(16)}) - raw=0x55, dag-pb=0x70`);
     } catch (err) {
-      console.error(`[fetchFileAsBlob] Failed to parse CID:`, err);
+      console.error(`[catFile] Failed to parse CID:`, err);
       throw new Error(`Invalid CID: ${cid}`);
     }
   }
 
-  let total = 0;
-  const parts = [];
-  let loaded = 0;
+  for await (const chunk of fs.cat(cid, options)) {
+    // iOS Safari fix: Ensure chunks are standard Uint8Arrays, not subclasses
+    const standardChunk = chunk instanceof Uint8Array ? new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength) : chunk;
 
-  try {
-    console.log(`[fetchFileAsBlob] Calling fs.cat() with CID object...`);
-    for await (const chunk of fs.cat(cid)) {
-      console.log(`[fetchFileAsBlob] Got chunk: type=${chunk.constructor.name}, length=${chunk.length || chunk.byteLength || 0}`);
+    // Critical fix: Unwrap dag-pb encoding if present
+    // Bitswap blocks sometimes arrive with dag-pb wrapping that fs.cat() doesn't strip
+    yield unwrap ? unwrapDagPb(standardChunk) : standardChunk;
+  }
+}
 
-      // iOS Safari fix: Ensure chunks are standard Uint8Arrays, not subclasses
-      let standardChunk = chunk instanceof Uint8Array ? new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength) : chunk;
+/**
+ * Fetch a whole file into a Blob (for the viewer and thumbnails)
+ * Large downloads should use saveFileStream instead, which never holds the file in memory.
+ * @param {number} [size] - Manifest size, used as the progress total
+ */
+export async function fetchFileAsBlob(fs, cid, name, onProgress = () => {}, size = 0) {
+  console.log(`[fetchFileAsBlob] START - name="${name}", cid="${cid}"`);
 
-      // Critical fix: Unwrap dag-pb encoding if present
-      // Bitswap blocks sometimes arrive with dag-pb wrapping that fs.cat() doesn't strip
-      standardChunk = unwrapDagPb(standardChunk);
+  const total = size;
+  const parts = [];
+  let loaded = 0;
 
-      parts.push(standardChunk);
-      loaded += standardChunk.length || standardChunk.byteLength || 0;
+  try {
+    for await (const chunk of catFile(fs, cid)) {
+      parts.push(chunk);
+      loaded += chunk.length || chunk.byteLength || 0;
       onProgress(loaded, total);
     }
 
@@ -186,13 +213,13 @@ export async function fetchFileAsBlob(fs, cid, name, onProgress = () => {}) {
  * iOS Safari sometimes fails on first attempt but succeeds on retry
  * Uses same timing as thumbnail manager (500ms delay, 60 retries = 30s total)
  */
-export async function fetchFileAsBlobWithRetry(fs, cid, name, onProgress = () => {}, maxRetries = 60) {
+export async function fetchFileAsBlobWithRetry(fs, cid, name, onProgress = () => {}, size = 0, maxRetries = 60) {
   let lastError = null;
   const RETRY_DELAY = 500; // Match thumbnail manager's POLL_INTERVAL
 
   for (let attempt = 0; attempt < maxRetries; attempt++) {
     try {
-      return await fetchFileAsBlob(fs, cid, name, onProgress);
+      return await fetchFileAsBlob(fs, cid, name, onProgress, size);
     } catch (err) {
       lastError = err;
       const isProtobufError = err.message?.includes('protobuf') || err.message?.includes('wireType');
@@ -212,28 +239,281 @@ export async function fetchFileAsBlobWithRetry(fs, cid, name, onProgress = () =>
   throw lastError;
 }
 
-export async function addFilesAndCreateManifest(fs, files, onProgress = () => {}) {
-  console.log(`[addFiles] Starting with ${files.length} files`);
-  const manifest = { files: [], updatedAt: Date.now() };
-  let done = 0;
-  const total = files.length;
+/**
+ * Relative path of a file inside a selected/dropped folder ('' for loose files)
+ * Set by webkitdirectory inputs (webkitRelativePath) or collectDroppedFiles (relativePath)
+ */
+export function relativePath(f) {
+  return f.relativePath || f.webkitRelativePath || "";
+}
+
+function withPath(file, path) {
+  Object.defineProperty(file, "relativePath", { value: path, enumerable: true });
+  return file;
+}
+
+// Chromium: FileSystemDirectoryHandle
+async function walkHandle(dir, prefix, out) {
+  for await (const [name, child] of dir.entries()) {
+    const path = `${prefix}/${name}`;
+    if (child.kind === "file") out.push(withPath(await child.getFile(), path));
+    else await walkHandle(child, path, out);
+  }
+}
+
+// Firefox/Safari: FileSystemDirectoryEntry (readEntries returns batches until empty)
+async function walkEntry(dir, prefix, out) {
+  const reader = dir.createReader();
+  for (;;) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (!batch.length) break;
+    for (const child of batch) {
+      const path = `${prefix}/${child.name}`;
+      if (child.isFile) out.push(withPath(await new Promise((resolve, reject) => child.file(resolve, reject)), path));
+      else if (child.isDirectory) await walkEntry(child, path, out);
+    }
+  }
+}
 
-  for (const f of files) {
-    console.log(`[addFiles] Processing file ${done + 1}/${total}: ${f.name} (${f.size} bytes)`);
+/**
+ * Collect files from a drop event, walking dropped directories.
+ * Call synchronously from the drop handler: DataTransfer items are only
+ * readable during the event, so handles/entries are grabbed before any await.
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<File[]>} Folder files carry `relativePath` ("folder/sub/file")
+ */
+export async function collectDroppedFiles(dataTransfer) {
+  const items = Array.from(dataTransfer?.items || []).filter((i) => i.kind === "file");
+  if (!items.length) return Array.from(dataTransfer?.files || []);
+
+  const grabbed = items.map((item) => ({
+    handle: typeof item.getAsFileSystemHandle === "function" ? item.getAsFileSystemHandle() : null,
+    entry: item.webkitGetAsEntry?.() || null,
+    file: item.getAsFile(),
+  }));
+
+  const out = [];
+  for (const { handle, entry, file } of grabbed) {
+    const h = await handle?.catch(() => null);
+    if (h?.kind === "directory") await walkHandle(h, h.name, out);
+    else if (entry?.isDirectory) await walkEntry(entry, entry.name, out);
+    else if (file) out.push(file);
+  }
+  return out;
+}
+
+/**
+ * Build UnixFS directories for each top-level folder in the manifest files
+ * Bottom-up: empty dir, then cp every child (file CID or sub-directory CID) into it
+ * @returns {Promise<{path: string, cid: string}[]>}
+ */
+async function buildFolderDirectories(fs, files) {
+  const tree = buildFileTree(files.filter((f) => f.path));
+
+  async function build(node) {
+    let dir = await fs.addDirectory();
+    for (const sub of node.folders) dir = await fs.cp(await build(sub), dir, sub.name);
+    for (const f of node.files) dir = await fs.cp(CID.parse(f.cid), dir, f.name);
+    return dir;
+  }
+
+  const folders = [];
+  for (const node of tree.folders) {
+    const cid = await build(node);
+    console.log(`[addFiles] Built directory ${node.path}/ (${node.count} files): ${cid.toString()}`);
+    folders.push({ path: node.path, cid: cid.toString() });
+  }
+  return folders;
+}
+
+// Trackers of the file imports running now, in any room
+const activeImports = new Set();
+
+/**
+ * Blockstore wrapper that remembers which blocks a single file import created,
+ * so a cancelled or failed import can be removed again. Blocks that already
+ * existed (deduplicated chunks of other files) are never recorded, and a block
+ * another import writes as well stops being this one's to remove.
+ * Call done() once the import has finished or been cleaned up.
+ */
+function trackingBlockstore(blockstore) {
+  const created = new Map(); // key -> CID of blocks this import added
+  const claimed = new Set(); // keys of every block this import wrote
+  const tracker = {
+    created,
+    claimed,
+    has: (cid, options) => blockstore.has(cid, options),
+    get: (cid, options) => blockstore.get(cid, options),
+    async put(cid, block, options) {
+      const key = cid.toString();
+      claimed.add(key);
+      if (!(await blockstore.has(cid))) created.set(key, cid);
+      else for (const other of activeImports) if (other !== tracker) other.created.delete(key);
+      return blockstore.put(cid, block, options);
+    },
+    done: () => activeImports.delete(tracker),
+  };
+  activeImports.add(tracker);
+  return tracker;
+}
+
+/**
+ * Remove the blocks a cancelled or failed import created
+ * Blocks another running import also wrote are kept: they are part of its file too.
+ */
+async function deleteBlocks(blockstore, tracker) {
+  const shared = (key) => [...activeImports].some((other) => other !== tracker && other.claimed.has(key));
+  let removed = 0;
+  for (const [key, cid] of tracker.created) {
+    if (shared(key)) continue;
     try {
-      const data = new Uint8Array(await f.arrayBuffer());
-      console.log(`[addFiles] Read ${data.length} bytes, adding to blockstore...`);
-      const cid = await fs.addBytes(data);
-      console.log(`[addFiles] Added with CID: ${cid.toString()}`);
-      manifest.files.push({ name: f.name, size: f.size, cid: cid.toString() });
-      done++;
-      onProgress(done, total);
+      await blockstore.delete(cid);
+      removed++;
     } catch (err) {
-      console.error(`[addFiles] Failed to add ${f.name}:`, err);
+      console.warn(`[addFiles] Could not delete block ${cid}:`, err.message);
+    }
+  }
+  return removed;
+}
+
+/**
+ * Read a File as a stream of chunks, reporting bytes as they are read
+ * File.stream() keeps memory bounded to a few chunks instead of the whole file
+ */
+export async function* readFileStream(file, signal, onBytes = () => {}) {
+  const reader = file.stream().getReader();
+  try {
+    for (;;) {
+      signal?.throwIfAborted();
+      const { done, value } = await reader.read();
+      if (done) return;
+      onBytes(value.byteLength);
+      yield value;
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * @typedef {Object} ImportEntry
+ * @property {File} file
+ * @property {string} name
+ * @property {number} size
+ * @property {number} loaded - Bytes read so far
+ * @property {'queued'|'importing'|'done'|'cancelled'|'failed'} status
+ * @property {AbortController} controller
+ */
+
+/**
+ * Create a cancellable import job for a set of files
+ * Pass it to addFilesAndCreateManifest to cancel single files while it runs.
+ * @param {File[]} files
+ */
+export function createImportJob(files) {
+  /** @type {ImportEntry[]} */
+  const entries = Array.from(files).map((file) => ({
+    file,
+    name: relativePath(file) || file.name,
+    size: file.size,
+    loaded: 0,
+    status: "queued",
+    controller: new AbortController(),
+  }));
+
+  return {
+    entries,
+    get total() {
+      return entries.reduce((sum, e) => sum + e.size, 0);
+    },
+    get loaded() {
+      return entries.reduce((sum, e) => sum + e.loaded, 0);
+    },
+    /** Cancel one file; queued files are skipped, a running one is aborted */
+    cancel(idx) {
+      const e = entries[idx];
+      if (!e || e.status === "done" || e.status === "cancelled") return;
+      e.controller.abort();
+      if (e.status === "queued") e.status = "cancelled";
+    },
+    cancelAll() {
+      entries.forEach((_, i) => this.cancel(i));
+    },
+  };
+}
+
+/**
+ * Import files into UnixFS by streaming them chunk by chunk
+ * @param {any} fs - Helia unixfs
+ * @param {File[]|ReturnType<typeof createImportJob>} files - Files or an import job
+ * @param {(loaded: number, total: number, job: ReturnType<typeof createImportJob>) => void} onProgress - Byte progress over all files
+ * @param {{blockstore?: any, key?: CryptoKey|null}} [options] - blockstore: pass helia.blockstore to remove
+ *   partial blocks of cancelled/failed files; key: encrypted room key, content is encrypted before it is added
+ * @returns {Promise<{files: any[], folders: any[], updatedAt: number}>} Cancelled files are left out
+ */
+export async function addFilesAndCreateManifest(fs, files, onProgress = () => {}, { blockstore, key = null } = {}) {
+  const job = typeof files.cancel === "function" ? files : createImportJob(files);
+  const total = job.total;
+  console.log(`[addFiles] Starting with ${job.entries.length} files (${formatBytes(total)})`);
+  const manifest = { files: [], folders: [], updatedAt: Date.now() };
+  const report = () => onProgress(job.loaded, total, job);
+
+  for (const [idx, entry] of job.entries.entries()) {
+    const f = entry.file;
+    if (entry.controller.signal.aborted) {
+      entry.status = "cancelled";
+      report();
+      continue;
+    }
+    console.log(`[addFiles] Processing file ${idx + 1}/${job.entries.length}: ${entry.name} (${f.size} bytes)`);
+    entry.status = "importing";
+    report();
+
+    const tracker = blockstore ? trackingBlockstore(blockstore) : null;
+    const target = tracker ? unixfs({ blockstore: tracker }) : fs;
+    const signal = entry.controller.signal;
+    try {
+      const plain = readFileStream(f, signal, (n) => {
+        entry.loaded += n;
+        report();
+      });
+      const nonce = key ? generateFileNonce() : null;
+      const source = key ? encryptStream(key, nonce, plain) : plain;
+      const cid = await target.addByteStream(source, { signal });
+      signal.throwIfAborted();
+      console.log(`[addFiles] Added with CID: ${cid.toString()}${key ? " (encrypted)" : ""}`);
+      const path = relativePath(f);
+      const file = { name: f.name, size: f.size, cid: cid.toString(), ...(path ? { path } : {}), ...(nonce ? { nonce } : {}) };
+      if (key) registerFileKeys([file], key);
+      manifest.files.push(file);
+      entry.status = "done";
+      report();
+    } catch (err) {
+      const cancelled = signal.aborted;
+      entry.status = cancelled ? "cancelled" : "failed";
+      entry.loaded = 0;
+      if (tracker) {
+        const removed = await deleteBlocks(blockstore, tracker);
+        console.log(`[addFiles] Removed ${removed} partial block(s) of ${entry.name}`);
+      }
+      report();
+      if (cancelled) {
+        console.log(`[addFiles] Cancelled ${entry.name}`);
+        continue;
+      }
+      console.error(`[addFiles] Failed to add ${entry.name}:`, err);
       throw err;
+    } finally {
+      tracker?.done();
     }
   }
 
+  // Folder uploads: keep the structure as real UnixFS directories too
+  // (not in encrypted rooms: directory blocks would expose the file names)
+  if (!key && manifest.files.some((f) => f.path)) {
+    manifest.folders = await buildFolderDirectories(fs, manifest.files);
+  }
+
   console.log(`[addFiles] Completed, manifest has ${manifest.files.length} files`);
   return manifest;
 }
@@ -250,6 +530,46 @@ export async function openFile(blob, name) {
   await showFileViewer(blob, name);
 }
 
+/**
+ * Download every file under a folder path, keeping the structure
+ * Writes into a user-picked directory (File System Access API) when available,
+ * otherwise falls back to one streamed download per file ("sub_dir_file.ext")
+ * @param {any} fs - Helia unixfs
+ * @param {{name: string, cid: string, path?: string}[]} files - Manifest files
+ * @param {string} folderPath - Folder to download ('' = everything)
+ * @param {(done: number, total: number) => void} onProgress
+ */
+export async function downloadFolder(fs, files, folderPath, onProgress = () => {}) {
+  const prefix = folderPath ? `${folderPath}/` : "";
+  const selected = files.filter((f) => (f.path || f.name).startsWith(prefix));
+  const folderName = folderPath.split("/").pop() || "files";
+  // Path relative to the downloaded folder; the last segment follows renames
+  const relPath = (f) => [...(f.path || f.name).slice(prefix.length).split("/").slice(0, -1), f.name];
+
+  let root = null;
+  if (typeof window.showDirectoryPicker === "function") {
+    const parent = await window.showDirectoryPicker({ mode: "readwrite" });
+    root = await parent.getDirectoryHandle(folderName, { create: true });
+  }
+
+  let done = 0;
+  for (const f of selected) {
+    const segments = relPath(f);
+    if (root) {
+      let dir = root;
+      for (const seg of segments.slice(0, -1)) dir = await dir.getDirectoryHandle(seg, { create: true });
+      const handle = await dir.getFileHandle(segments[segments.length - 1], { create: true });
+      const writable = await handle.createWritable();
+      for await (const chunk of catFile(fs, f.cid)) await writable.write(chunk);
+      await writable.close();
+    } else if (!(await streamViaServiceWorker(catFile(fs, f.cid), segments.join("_")))) {
+      downloadFile(await fetchFileAsBlobWithRetry(fs, f.cid, f.name, () => {}, f.size), segments.join("_"));
+    }
+    onProgress(++done, selected.length);
+  }
+  return done;
+}
+
 export function downloadFile(blob, name) {
   const url = URL.createObjectURL(blob);
   const a = document.createElement("a");
@@ -260,3 +580,199 @@ export function downloadFile(blob, name) {
   document.body.removeChild(a);
   setTimeout(() => URL.revokeObjectURL(url), 10_000);
 }
+
+const DOWNLOAD_SW_URL = "/download-sw.js";
+let downloadWorker = null;
+
+/** Register the download service worker once; resolves to null where unsupported */
+export function registerDownloadWorker() {
+  if (!downloadWorker) {
+    downloadWorker = (async () => {
+      if (!("serviceWorker" in navigator) || !window.isSecureContext) return null;
+      try {
+        await navigator.serviceWorker.register(DOWNLOAD_SW_URL);
+        const reg = await navigator.serviceWorker.ready;
+        return reg.active;
+      } catch (err) {
+        console.warn("[download] Service worker unavailable:", err.message);
+        return null;
+      }
+    })();
+  }
+  return downloadWorker;
+}
+
+/**
+ * Hand a chunk stream to the download service worker, which serves it as an
+ * attachment. Chunks are read only when the worker pulls, so memory stays flat.
+ * @param {AsyncIterable<Uint8Array>} source
+ * @returns {Promise<boolean>} false when no service worker is available
+ */
+async function streamViaServiceWorker(source, name) {
+  const worker = await registerDownloadWorker();
+  if (!worker) return false;
+
+  const id = crypto.randomUUID();
+  const { port1, port2 } = new MessageChannel();
+  const iterator = source[Symbol.asyncIterator]();
+
+  const finished = new Promise((resolve, reject) => {
+    // A worker that lost the registration (e.g. restarted) never pulls
+    const stalled = setTimeout(() => {
+      port1.close();
+      reject(new Error("Download worker did not respond"));
+    }, 10_000);
+    port1.onmessage = async ({ data }) => {
+      clearTimeout(stalled);
+      if (data.type === "cancel") {
+        await iterator.return?.();
+        port1.close();
+        reject(new DOMException("Download cancelled", "AbortError"));
+        return;
+      }
+      try {
+        const { done, value } = await iterator.next();
+        if (done) {
+          port1.postMessage({ done: true });
+          port1.close();
+          resolve();
+          return;
+        }
+        // Copy so only this chunk's bytes are transferred, not a shared buffer
+        const chunk = value.slice().buffer;
+        port1.postMessage({ chunk }, [chunk]);
+      } catch (err) {
+        port1.postMessage({ error: err.message || "Download failed" });
+        port1.close();
+        reject(err);
+      }
+    };
+  });
+
+  worker.postMessage({ type: "download", id, name }, [port2]);
+  const frame = document.createElement("iframe");
+  frame.hidden = true;
+  frame.src = `/__download/${id}/${encodeURIComponent(name)}`;
+  document.body.appendChild(frame);
+  try {
+    await finished;
+  } finally {
+    setTimeout(() => frame.remove(), 10_000);
+  }
+  return true;
+}
+
+/**
+ * Write a chunk stream to disk: through showSaveFilePicker when available,
+ * otherwise via the download service worker, otherwise fallback() as a Blob.
+ * Must run inside a click handler: the save picker needs the user gesture.
+ * @param {string} name - Suggested file name
+ * @param {() => AsyncIterable<Uint8Array>} open - Opens the stream once the destination is ready
+ * @param {() => Promise<Blob>} fallback
+ * @returns {Promise<boolean>} false if the user dismissed the save dialog
+ */
+async function saveStream(name, open, fallback) {
+  if (typeof window.showSaveFilePicker === "function") {
+    let handle;
+    try {
+      handle = await window.showSaveFilePicker({ suggestedName: name });
+    } catch (err) {
+      if (err.name === "AbortError") return false;
+      throw err;
+    }
+    const writable = await handle.createWritable();
+    try {
+      for await (const chunk of open()) await writable.write(chunk);
+      await writable.close();
+    } catch (err) {
+      await writable.abort().catch(() => {});
+      throw err;
+    }
+    return true;
+  }
+
+  if (await streamViaServiceWorker(open(), name)) return true;
+
+  downloadFile(await fallback(), name);
+  return true;
+}
+
+/**
+ * Save a file to disk without holding it in memory
+ * @param {any} fs - Helia unixfs
+ * @param {{cid: string, name: string, size?: number}} file - Manifest entry
+ * @param {(loaded: number, total: number) => void} onProgress - total is the manifest size
+ * @returns {Promise<boolean>} false if the user dismissed the save dialog
+ */
+export async function saveFileStream(fs, file, onProgress = () => {}) {
+  const total = file.size || 0;
+  let loaded = 0;
+  const counted = async function* () {
+    for await (const chunk of catFile(fs, file.cid)) {
+      loaded += chunk.byteLength;
+      onProgress(loaded, total);
+      yield chunk;
+    }
+  };
+  return saveStream(file.name, counted, () => fetchFileAsBlobWithRetry(fs, file.cid, file.name, onProgress, total));
+}
+
+/**
+ * Save several manifest files as one streamed ZIP archive
+ * Files are read one at a time through fs.cat, so memory stays bounded by a
+ * few chunks however large the room is. Manifest folder paths are kept.
+ * @param {any} fs - Helia unixfs
+ * @param {{cid: string, name: string, size?: number, path?: string}[]} files
+ * @param {string} name - Archive file name ("room.zip")
+ * @param {(loaded: number, total: number, file: string) => void} onProgress - Content bytes over all files
+ * @returns {Promise<boolean>} false if the user dismissed the save dialog
+ */
+export async function saveZipStream(fs, files, name, onProgress = () => {}) {
+  const total = files.reduce((sum, f) => sum + (f.size || 0), 0);
+  const paths = zipPaths(files);
+  let loaded = 0;
+  const entries = files.map((f, i) => ({
+    name: paths[i],
+    size: f.size,
+    source: async function* () {
+      for await (const chunk of catFile(fs, f.cid)) {
+        loaded += chunk.byteLength;
+        onProgress(loaded, total, paths[i]);
+        yield chunk;
+      }
+    },
+  }));
+  const open = () => {
+    loaded = 0;
+    return zipStream(entries);
+  };
+  const toBlob = async () => {
+    const parts = [];
+    for await (const chunk of open()) parts.push(chunk);
+    return new Blob(parts, { type: "application/zip" });
+  };
+  return saveStream(name, open, toBlob);
+}
+
+/**
+ * Save a CAR export (car.js) as it is read from the blockstore
+ * The export is planned once the destination is picked, so walking a large
+ * room doesn't outlast the click's user activation.
+ * @param {() => Promise<import('./car.js').CarExport>} prepare
+ * @param {string} name - File name ("room.car")
+ * @param {(written: number, total: number) => void} onProgress - Blocks written
+ * @returns {Promise<import('./car.js').CarExport|null>} null if the user dismissed the save dialog
+ */
+export async function saveCarStream(prepare, name, onProgress = () => {}) {
+  let car = null;
+  const open = async function* () {
+    car = car || (await prepare());
+    yield* car.stream(onProgress);
+  };
+  const toBlob = async () => {
+    const parts = [];
+    for await (const chunk of open()) parts.push(chunk);
+    return new Blob(parts, { type: "application/vnd.ipld.car" });
+  };
+  return (await saveStream(name, open, toBlob)) ? car : null;
+}
@@ -152,5 +152,6 @@ export async function startHelia() {
   // Start Helia (starts its libp2p internally)
   if (typeof helia.start === "function") await helia.start();
 
-  return { helia, fs, libp2p };
+  // privateKey (wc:peerId) also signs room sync messages, see room-auth.js
+  return { helia, fs, libp2p, privateKey };
 }
@@ -0,0 +1,427 @@
+// @ts-check
+import * as Y from 'yjs'
+
+/**
+ * Room manifest CRDT helpers - shared by browser (ydoc.js, room.js) and hub
+ *
+ * LAYOUT:
+ * - Root Y.Map 'files': key -> Y.Map { name, size, cid, path?, addedAt, removedAt?, removedBy? }
+ *   key = relative path for files uploaded inside a folder, CID otherwise (see fileKey)
+ *   Root types merge across peers, so concurrent adds never overwrite each other
+ *   and per-field edits (e.g. rename) merge independently
+ * - Root Y.Map 'folders': path -> { path, cid, addedAt } - UnixFS directory built at upload
+ * - Root Y.Map 'manifest': room-level metadata ({ updatedAt })
+ *
+ * REMOVALS are tombstones (removedAt set), never map deletes:
+ * - A peer reconnecting with an old copy of the entry can't resurrect it
+ * - Restore = clear removedAt
+ *
+ * LEGACY LAYOUT (migrated on load and on receive):
+ * - manifest.set('files', [{name, size, cid}]) - whole array overwritten per update
+ *   Old peers read nothing else, so the array stays while they are around:
+ *   ydoc.js mirrors file changes into it (mirrorLegacyManifest) and drops it
+ *   once none has been heard from for its legacy window (dropLegacyManifest)
+ */
+
+export const FILES_KEY = 'files'
+export const FOLDERS_KEY = 'folders'
+export const MANIFEST_KEY = 'manifest'
+
+/**
+ * @typedef {Object} ManifestFile
+ * @property {string} name
+ * @property {number=} size
+ * @property {string} cid
+ * @property {string=} path - Relative path ("project/src/a.js") for folder uploads
+ * @property {string=} nonce - Encrypted rooms: per-file nonce for the content segments (see room-crypto.js)
+ */
+
+/**
+ * @typedef {Object} ManifestFolder
+ * @property {string} path - Top-level folder path ("project")
+ * @property {string} cid - UnixFS directory CID (snapshot at upload time)
+ */
+
+/**
+ * Manifest key of a file: its path inside a folder upload, else its CID.
+ * Paths keep identical files at different locations (same CID) apart.
+ * @param {ManifestFile} file
+ * @returns {string}
+ */
+export function fileKey(file) {
+  return file.path || file.cid
+}
+
+/**
+ * Get the per-file CRDT map of a room doc
+ * @param {Y.Doc} ydoc
+ * @returns {Y.Map<Y.Map<any>>}
+ */
+export function getFilesMap(ydoc) {
+  return ydoc.getMap(FILES_KEY)
+}
+
+/**
+ * Convert a file entry (Y.Map) to a plain object
+ * @param {Y.Map<any>} entry
+ * @returns {ManifestFile & { addedAt: number }}
+ */
+function entryToJSON(entry) {
+  const path = entry.get('path')
+  const nonce = entry.get('nonce')
+  return {
+    name: entry.get('name'),
+    size: entry.get('size'),
+    cid: entry.get('cid'),
+    ...(path ? { path } : {}),
+    ...(nonce ? { nonce } : {}),
+    addedAt: entry.get('addedAt') || 0
+  }
+}
+
+/**
+ * @param {Y.Map<any>} entry
+ */
+function isRemoved(entry) {
+  return !!entry.get('removedAt')
+}
+
+/**
+ * List files in a room doc, ordered by when they were added
+ * Tombstoned (removed) files are excluded
+ * @param {Y.Doc} ydoc
+ * @returns {ManifestFile[]}
+ */
+export function listFiles(ydoc) {
+  const entries = []
+  getFilesMap(ydoc).forEach((entry) => {
+    if (entry instanceof Y.Map && !isRemoved(entry)) entries.push(entryToJSON(entry))
+  })
+  entries.sort((a, b) => a.addedAt - b.addedAt || (fileKey(a) < fileKey(b) ? -1 : 1))
+  return entries.map(({ addedAt, ...file }) => file)
+}
+
+/**
+ * List tombstoned files, most recently removed first
+ * @param {Y.Doc} ydoc
+ * @returns {(ManifestFile & { removedAt: number, removedBy?: string })[]}
+ */
+export function listRemovedFiles(ydoc) {
+  const entries = []
+  getFilesMap(ydoc).forEach((entry) => {
+    if (!(entry instanceof Y.Map) || !isRemoved(entry)) return
+    const { addedAt, ...file } = entryToJSON(entry)
+    entries.push({ ...file, removedAt: entry.get('removedAt'), removedBy: entry.get('removedBy') })
+  })
+  return entries.sort((a, b) => b.removedAt - a.removedAt)
+}
+
+/**
+ * Write a single file entry. Existing entries are edited field by field
+ * so concurrent edits to different fields of the same file both survive.
+ * Must run inside a transaction.
+ */
+function writeEntry(filesMap, file, addedAt) {
+  const key = fileKey(file)
+  const existing = filesMap.get(key)
+  if (existing instanceof Y.Map) {
+    // Same path re-uploaded with new content
+    if (existing.get('cid') !== file.cid) existing.set('cid', file.cid)
+    if (file.nonce && existing.get('nonce') !== file.nonce) existing.set('nonce', file.nonce)
+    if (file.name != null && existing.get('name') !== file.name) existing.set('name', file.name)
+    if (file.size != null && existing.get('size') !== file.size) existing.set('size', file.size)
+    return
+  }
+  const entry = new Y.Map()
+  entry.set('cid', file.cid)
+  entry.set('name', file.name)
+  entry.set('size', file.size ?? 0)
+  if (file.path) entry.set('path', file.path)
+  if (file.nonce) entry.set('nonce', file.nonce)
+  entry.set('addedAt', addedAt)
+  filesMap.set(key, entry)
+}
+
+/**
+ * Add or update files (keyed by fileKey). Never removes or restores entries.
+ * @param {Y.Doc} ydoc
+ * @param {ManifestFile[]} files
+ * @param {any=} origin - Transaction origin
+ */
+export function upsertFiles(ydoc, files, origin) {
+  const filesMap = getFilesMap(ydoc)
+  const now = Date.now()
+  ydoc.transact(() => {
+    files.forEach((f, idx) => {
+      if (!f?.cid) return
+      writeEntry(filesMap, f, now + idx)
+    })
+    ydoc.getMap(MANIFEST_KEY).set('updatedAt', now)
+  }, origin)
+}
+
+/**
+ * Tombstone files by key (see fileKey, listRemovedFiles, restoreFiles)
+ * @param {Y.Doc} ydoc
+ * @param {string[]} keys
+ * @param {string=} removedBy - Peer ID of the remover
+ * @param {any=} origin - Transaction origin
+ */
+export function removeFiles(ydoc, keys, removedBy, origin) {
+  const filesMap = getFilesMap(ydoc)
+  const now = Date.now()
+  ydoc.transact(() => {
+    for (const key of keys) {
+      const entry = filesMap.get(key)
+      if (!(entry instanceof Y.Map) || isRemoved(entry)) continue
+      entry.set('removedAt', now)
+      if (removedBy) entry.set('removedBy', removedBy)
+    }
+    ydoc.getMap(MANIFEST_KEY).set('updatedAt', now)
+  }, origin)
+}
+
+/**
+ * Clear tombstones so files show up again
+ * @param {Y.Doc} ydoc
+ * @param {string[]} keys
+ * @param {any=} origin - Transaction origin
+ */
+export function restoreFiles(ydoc, keys, origin) {
+  const filesMap = getFilesMap(ydoc)
+  const entries = keys.map(key => filesMap.get(key)).filter(e => e instanceof Y.Map && isRemoved(e))
+  if (!entries.length) return
+  ydoc.transact(() => {
+    for (const entry of entries) {
+      entry.delete('removedAt')
+      entry.delete('removedBy')
+    }
+    ydoc.getMap(MANIFEST_KEY).set('updatedAt', Date.now())
+  }, origin)
+}
+
+/**
+ * Rename a file (only the name field is written, so it merges with other edits)
+ * `path` is left alone: it is the entry's identity, the folder tree shows `name`.
+ * @param {Y.Doc} ydoc
+ * @param {string} key
+ * @param {string} name
+ * @param {any=} origin - Transaction origin
+ * @returns {boolean} false if the key isn't in the manifest
+ */
+export function renameFile(ydoc, key, name, origin) {
+  const entry = getFilesMap(ydoc).get(key)
+  if (!(entry instanceof Y.Map)) return false
+  ydoc.transact(() => {
+    entry.set('name', name)
+    ydoc.getMap(MANIFEST_KEY).set('updatedAt', Date.now())
+  }, origin)
+  return true
+}
+
+/**
+ * List folder uploads (top-level folder path + UnixFS directory CID)
+ * @param {Y.Doc} ydoc
+ * @returns {ManifestFolder[]}
+ */
+export function listFolders(ydoc) {
+  const folders = []
+  ydoc.getMap(FOLDERS_KEY).forEach((f) => {
+    if (f?.path && f?.cid) folders.push({ path: f.path, cid: f.cid })
+  })
+  return folders.sort((a, b) => (a.path < b.path ? -1 : 1))
+}
+
+/**
+ * Record folder uploads by path (re-uploading a folder replaces its CID)
+ * @param {Y.Doc} ydoc
+ * @param {ManifestFolder[]} folders
+ * @param {any=} origin - Transaction origin
+ */
+export function upsertFolders(ydoc, folders, origin) {
+  const foldersMap = ydoc.getMap(FOLDERS_KEY)
+  const now = Date.now()
+  ydoc.transact(() => {
+    for (const f of folders) {
+      if (f?.path && f?.cid) foldersMap.set(f.path, { path: f.path, cid: f.cid, addedAt: now })
+    }
+  }, origin)
+}
+
+/**
+ * @typedef {Object} FolderNode
+ * @property {string} name
+ * @property {string} path - '' for the root
+ * @property {FolderNode[]} folders
+ * @property {(ManifestFile & { idx: number })[]} files - idx = position in the input list
+ * @property {number} count - Files in this subtree
+ * @property {number} size - Bytes in this subtree
+ */
+
+/**
+ * Build a directory tree from a flat file list (files without a path sit at the root)
+ * @param {ManifestFile[]} files
+ * @returns {FolderNode}
+ */
+export function buildFileTree(files) {
+  /** @type {FolderNode} */
+  const root = { name: '', path: '', folders: [], files: [], count: 0, size: 0 }
+  const byPath = new Map([['', root]])
+
+  files.forEach((file, idx) => {
+    const segments = (file.path || file.name).split('/')
+    let node = root
+    node.count++
+    node.size += file.size || 0
+    for (const seg of segments.slice(0, -1)) {
+      const path = node.path ? `${node.path}/${seg}` : seg
+      let child = byPath.get(path)
+      if (!child) {
+        child = { name: seg, path, folders: [], files: [], count: 0, size: 0 }
+        byPath.set(path, child)
+        node.folders.push(child)
+      }
+      node = child
+      node.count++
+      node.size += file.size || 0
+    }
+    node.files.push({ ...file, idx })
+  })
+
+  for (const node of byPath.values()) node.folders.sort((a, b) => a.name.localeCompare(b.name))
+  return root
+}
+
+/**
+ * Find a folder node by path
+ * @param {FolderNode} root
+ * @param {string} path
+ * @returns {FolderNode | null}
+ */
+export function findFolder(root, path) {
+  if (!path) return root
+  let node = root
+  for (const seg of path.split('/')) {
+    node = node.folders.find(f => f.name === seg)
+    if (!node) return null
+  }
+  return node
+}
+
+/**
+ * Copy a legacy `manifest.files` array into the per-file map.
+ * The array is left for old peers (see dropLegacyManifest). Safe to call
+ * repeatedly: files already in the map, removed or not, are skipped.
+ * @param {Y.Doc} ydoc
+ * @returns {number} Number of legacy entries migrated
+ */
+export function migrateLegacyManifest(ydoc) {
+  const manifestMap = ydoc.getMap(MANIFEST_KEY)
+  const legacy = manifestMap.get(FILES_KEY)
+  if (!Array.isArray(legacy)) return 0
+
+  const filesMap = getFilesMap(ydoc)
+  const known = new Set()
+  filesMap.forEach((entry) => {
+    if (entry instanceof Y.Map) known.add(entry.get('cid'))
+  })
+  const added = legacy.filter(f => f?.cid && !known.has(f.cid))
+  if (!added.length) return 0
+  // Keep legacy order: offset addedAt from the legacy updatedAt
+  const base = (manifestMap.get('updatedAt') || 0) - legacy.length
+  ydoc.transact(() => {
+    for (const f of added) writeEntry(filesMap, f, base + legacy.indexOf(f))
+  }, 'migration')
+  return added.length
+}
+
+/**
+ * Write the room's files into the legacy `manifest.files` array, for peers still on the old layout
+ * @param {Y.Doc} ydoc
+ * @returns {boolean} Whether it changed
+ */
+export function mirrorLegacyManifest(ydoc) {
+  const manifestMap = ydoc.getMap(MANIFEST_KEY)
+  const legacy = listFiles(ydoc).map(({ name, size, cid }) => ({ name, size, cid }))
+  if (JSON.stringify(manifestMap.get(FILES_KEY)) === JSON.stringify(legacy)) return false
+  ydoc.transact(() => manifestMap.set(FILES_KEY, legacy), 'migration')
+  return true
+}
+
+/**
+ * Remove the legacy `manifest.files` array once no old peer needs it
+ * @param {Y.Doc} ydoc
+ * @returns {boolean} Whether there was one
+ */
+export function dropLegacyManifest(ydoc) {
+  const manifestMap = ydoc.getMap(MANIFEST_KEY)
+  if (!manifestMap.has(FILES_KEY)) return false
+  ydoc.transact(() => manifestMap.delete(FILES_KEY), 'migration')
+  return true
+}
+
+/**
+ * Keep migrating legacy arrays that arrive from peers still on the old layout
+ * @param {Y.Doc} ydoc
+ * @returns {() => void} Unbind function
+ */
+export function bindLegacyMigration(ydoc) {
+  const manifestMap = ydoc.getMap(MANIFEST_KEY)
+  const observer = (evt) => {
+    // Our own mirror of the map needs no copying back
+    if (evt.transaction.origin === 'migration') return
+    if (evt.keysChanged.has(FILES_KEY)) migrateLegacyManifest(ydoc)
+  }
+  manifestMap.observe(observer)
+  return () => manifestMap.unobserve(observer)
+}
+
+/**
+ * Observe every manifest change (file adds/removes/edits, folders + metadata)
+ * @param {Y.Doc} ydoc
+ * @param {() => void} fn
+ * @returns {() => void} Unobserve function
+ */
+export function observeManifest(ydoc, fn) {
+  const filesMap = getFilesMap(ydoc)
+  const foldersMap = ydoc.getMap(FOLDERS_KEY)
+  const manifestMap = ydoc.getMap(MANIFEST_KEY)
+  const observer = () => fn()
+  filesMap.observeDeep(observer)
+  foldersMap.observe(observer)
+  manifestMap.observe(observer)
+  return () => {
+    filesMap.unobserveDeep(observer)
+    foldersMap.unobserve(observer)
+    manifestMap.unobserve(observer)
+  }
+}
+
+/**
+ * Helper to convert manifest to plain object
+ * @param {Y.Map} manifestMap - The room doc's 'manifest' map
+ * @returns {{ files: ManifestFile[], folders: ManifestFolder[], updatedAt: number }}
+ */
+export function manifestToJSON(manifestMap) {
+  const ydoc = /** @type {Y.Doc} */ (manifestMap.doc)
+  return {
+    files: listFiles(ydoc),
+    folders: listFolders(ydoc),
+    updatedAt: manifestMap.get('updatedAt') || Date.now()
+  }
+}
+
+/**
+ * Helper to merge a plain manifest into the room doc.
+ * Files are upserted by CID; files missing from `manifest.files` are kept
+ * (use removeFiles to delete), so a stale list can't drop concurrent adds.
+ * @param {Y.Map} manifestMap - The room doc's 'manifest' map
+ * @param {{ files?: ManifestFile[], folders?: ManifestFolder[], updatedAt?: number }} manifest
+ */
+export function updateManifest(manifestMap, manifest) {
+  const ydoc = /** @type {Y.Doc} */ (manifestMap.doc)
+  ydoc.transact(() => {
+    upsertFiles(ydoc, manifest.files || [])
+    if (manifest.folders?.length) upsertFolders(ydoc, manifest.folders)
+  })
+}
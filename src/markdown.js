@@ -0,0 +1,117 @@
+// @ts-check
+/**
+ * Chat markdown (browser, and Node for tests): a small subset, rendered to HTML
+ *
+ * - fenced code blocks (```lang ... ```) and `inline code`
+ * - **bold**, *italic* / _italic_, ~~strikethrough~~
+ * - [text](url) links and bare http(s):// / www. URLs
+ * - @mentions of the peers a message names (chat.js findMentions)
+ *
+ * Safe by construction: all text is escaped, and the only markup is the tags
+ * generated here. Links must be http(s) or mailto; anything else stays text.
+ * Newlines are kept as they are (the chat renders with pre-wrap).
+ */
+
+const escapeHtml = (str = '') =>
+  String(str).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c] || c))
+
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+const LINK_PROTOCOLS = ['http:', 'https:', 'mailto:']
+
+// Punctuation that ends a sentence rather than the URL before it
+const URL_TRAILER = /[.,;:!?'")\]]+$/
+
+/**
+ * @typedef {Object} Mention
+ * @property {string} peerId
+ * @property {string[]} names - What the author may have typed after the @
+ * @property {boolean=} self - It's us: highlighted more strongly
+ */
+
+// The href for a link target, or null if it isn't one we let through
+function safeHref(target) {
+  try {
+    const url = new URL(/^www\./i.test(target) ? `https://${target}` : target)
+    return LINK_PROTOCOLS.includes(url.protocol) ? url.href : null
+  } catch {
+    return null
+  }
+}
+
+const link = (href, html) => `<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer nofollow" class="text-blue-600 underline break-all">${html}</a>`
+
+// Bold, italic and strikethrough on already escaped text
+function emphasis(html) {
+  return html
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+    .replace(/(^|[^\w*])\*(?=[^\s*])([^*\n]*?[^\s*])\*(?![\w*])/g, '$1<em>$2</em>')
+    .replace(/(^|[^\w])_(?=[^\s_])([^_\n]*?[^\s_])_(?!\w)/g, '$1<em>$2</em>')
+}
+
+/**
+ * Links, mentions and emphasis in text without code
+ * @param {string} text
+ * @param {Mention[]} mentions
+ */
+function inline(text, mentions) {
+  const byName = new Map()
+  for (const mention of mentions) {
+    for (const name of mention.names) if (name && !byName.has(name.toLowerCase())) byName.set(name.toLowerCase(), mention)
+  }
+  // Longest names first, so "@Ann Lee" wins over "@Ann"
+  const names = [...byName.keys()].sort((a, b) => b.length - a.length).map(escapeRegExp)
+  const pattern = new RegExp([
+    '\\[([^\\]\\n]+)\\]\\(([^)\\s]+)\\)', // [text](url)
+    '((?:https?:\\/\\/|www\\.)[^\\s<>]+)', // bare URL
+    ...(names.length ? [`@(${names.join('|')})(?![\\w])`] : [])
+  ].join('|'), 'gi')
+
+  let html = ''
+  let last = 0
+  for (const match of text.matchAll(pattern)) {
+    const [whole, label, target, url, name] = match
+    let end = (match.index || 0) + whole.length
+    let token
+    if (label) {
+      const href = safeHref(target)
+      token = href ? link(href, emphasis(escapeHtml(label))) : null
+    } else if (url) {
+      const trimmed = url.replace(URL_TRAILER, '')
+      end -= url.length - trimmed.length
+      const href = safeHref(trimmed)
+      token = href ? link(href, escapeHtml(trimmed)) : null
+    } else {
+      const mention = byName.get(name.toLowerCase())
+      token = `<span class="px-0.5 rounded font-medium ${mention.self ? 'bg-amber-200' : 'bg-blue-100'}" data-mention="${escapeHtml(mention.peerId)}">@${escapeHtml(name)}</span>`
+    }
+    if (token === null) continue // Not a link we allow: left as text
+    html += emphasis(escapeHtml(text.slice(last, match.index))) + token
+    last = end
+  }
+  return html + emphasis(escapeHtml(text.slice(last)))
+}
+
+/**
+ * Render a chat message
+ * @param {string} text
+ * @param {{mentions?: Mention[]}} [options]
+ * @returns {string} HTML
+ */
+export function renderMarkdown(text, { mentions = [] } = {}) {
+  const source = String(text || '')
+  let html = ''
+  let last = 0
+  // Code is taken out first: nothing inside it is formatted
+  const code = /```([^\n`]*)\n?([\s\S]*?)```|`([^`\n]+)`/g
+  for (const match of source.matchAll(code)) {
+    const [whole, lang, block, span] = match
+    html += inline(source.slice(last, match.index), mentions)
+    html += span !== undefined
+      ? `<code class="px-1 rounded bg-gray-100 text-xs font-mono">${escapeHtml(span)}</code>`
+      : `<pre class="my-1 p-2 rounded bg-gray-100 text-xs font-mono overflow-x-auto whitespace-pre"${lang.trim() ? ` data-lang="${escapeHtml(lang.trim())}"` : ''}><code>${escapeHtml(block.replace(/\n$/, ''))}</code></pre>`
+    last = (match.index || 0) + whole.length
+  }
+  return html + inline(source.slice(last), mentions)
+}
@@ -0,0 +1,173 @@
+// @ts-check
+/**
+ * Back up room files to the hub mirror (browser): upload the blocks it lacks
+ *
+ * Files held completely in the local blockstore are walked locally (never
+ * from the network), the mirror says which of their blocks it is missing
+ * (POST /blocks/missing) and those go up as CAR files through resumable
+ * uploads (server/uploads.js). The last CAR names every backed up file as a
+ * root, so the mirror pins them. Encrypted rooms' files go up as the
+ * ciphertext they are. Uploads carry an Authorization header: a room grant
+ * (room-auth.js createUploadAuth) lets the mirror pin that room's files.
+ *
+ * Running a backup again only sends what the mirror still lacks; a chunk that
+ * fails is resent from the offset the mirror reports.
+ */
+
+import { CID } from 'multiformats/cid'
+import { CarWriter } from '@ipld/car/writer'
+import { concat } from 'uint8arrays/concat'
+import { localDag } from './car.js'
+
+const CHECK_BATCH = 1000 // CIDs per /blocks/missing request
+const CAR_BYTES = 8 * 1024 * 1024 // Blocks per CAR (one upload each)
+const CHUNK_BYTES = 2 * 1024 * 1024 // Bytes per PATCH
+const RETRIES = 3
+
+/**
+ * @typedef {Object} BackupResult
+ * @property {number} files - Files backed up
+ * @property {string[]} skipped - Names of files not held completely here
+ * @property {number} blocks - Blocks sent
+ * @property {number} bytes - CAR bytes sent
+ * @property {string[]} pinned - Root CIDs the mirror pinned
+ * @property {{cid: string, error: string}[]} failed - Roots it couldn't pin
+ */
+
+async function encodeCar(roots, blocks) {
+  const { writer, out } = CarWriter.create(roots)
+  const parts = []
+  const reading = (async () => {
+    for await (const part of out) parts.push(part)
+  })()
+  for (const block of blocks) await writer.put(block)
+  await writer.close()
+  await reading
+  return concat(parts)
+}
+
+// A response that isn't ok, as an error with the mirror's message
+async function failure(res) {
+  let message = ''
+  try {
+    message = (await res.json()).error
+  } catch {}
+  return Object.assign(new Error(message || `Mirror answered ${res.status}`), { status: res.status })
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Upload one CAR, resuming after failed chunks
+ * @param {string} mirrorUrl
+ * @param {Uint8Array} car
+ * @param {() => Promise<Record<string, string>>} auth - Authorization header for each request
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<{pinned: string[], failed: {cid: string, error: string}[]}>} The mirror's import result
+ */
+async function uploadCar(mirrorUrl, car, auth, signal) {
+  const start = new URL('uploads', mirrorUrl)
+  const created = await fetch(start, { method: 'POST', headers: { ...await auth(), 'Upload-Length': String(car.length) }, signal })
+  if (created.status !== 201) throw await failure(created)
+  const location = new URL(created.headers.get('Location') || '', start)
+
+  let offset = 0
+  let tries = 0
+  for (;;) {
+    try {
+      const res = await fetch(location, {
+        method: 'PATCH',
+        headers: { ...await auth(), 'Upload-Offset': String(offset), 'Content-Type': 'application/offset+octet-stream' },
+        body: car.subarray(offset, offset + CHUNK_BYTES),
+        signal
+      })
+      if (res.status === 200) return res.json()
+      if (res.status === 204) {
+        offset = Number(res.headers.get('Upload-Offset'))
+        tries = 0
+        continue
+      }
+      // Other client errors won't go away by retrying
+      if (res.status !== 409 && res.status < 500) throw Object.assign(await failure(res), { fatal: true })
+    } catch (err) {
+      if (err.fatal || signal?.aborted) throw err
+      console.warn(`[Backup] Chunk at ${offset} failed:`, err.message)
+    }
+    if (++tries > RETRIES) throw new Error('The mirror stopped accepting the upload')
+    await sleep(1000 * tries)
+    // Carry on from what the mirror has
+    const head = await fetch(location, { method: 'HEAD', headers: await auth(), signal })
+    if (!head.ok) throw await failure(head)
+    offset = Number(head.headers.get('Upload-Offset'))
+  }
+}
+
+/**
+ * Back up files to the mirror
+ * @param {any} blockstore - helia.blockstore
+ * @param {import('./manifest.js').ManifestFile[]} files
+ * @param {{mirrorUrl: string, authorization?: () => Promise<string|null>, onProgress?: (sent: number, total: number) => void, signal?: AbortSignal}} options
+ *   mirrorUrl: the mirror's upload URL (MIRROR_URL); the other endpoints are next to it.
+ *   authorization: Authorization header value for uploads, made fresh for each request
+ *   onProgress: blocks sent out of those the mirror lacks
+ * @returns {Promise<BackupResult>}
+ */
+export async function backupToMirror(blockstore, files, { mirrorUrl, authorization = async () => null, onProgress = () => {}, signal }) {
+  const auth = async () => {
+    const value = await authorization()
+    return value ? { Authorization: value } : {}
+  }
+  const blocks = new Map() // Each block once, however many files share it
+  const roots = []
+  const skipped = []
+  for (const file of files) {
+    const root = CID.parse(file.cid)
+    const dag = await localDag(blockstore, root, signal)
+    if (!dag) {
+      skipped.push(file.name)
+      continue
+    }
+    if (!roots.some(r => r.equals(root))) roots.push(root)
+    for (const [key, cid] of dag) blocks.set(key, cid)
+  }
+  const result = { files: files.length - skipped.length, skipped, blocks: 0, bytes: 0, pinned: [], failed: [] }
+  if (!roots.length) return result
+
+  const missing = []
+  const keys = [...blocks.keys()]
+  for (let i = 0; i < keys.length; i += CHECK_BATCH) {
+    const res = await fetch(new URL('blocks/missing', mirrorUrl), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ cids: keys.slice(i, i + CHECK_BATCH) }),
+      signal
+    })
+    if (!res.ok) throw await failure(res)
+    for (const key of (await res.json()).missing) missing.push(blocks.get(key))
+  }
+  console.log(`[Backup] Mirror lacks ${missing.length} of ${keys.length} blocks for ${roots.length} file(s)`)
+  onProgress(0, missing.length)
+
+  let batch = []
+  let batchBytes = 0
+  const send = async (carRoots) => {
+    const car = await encodeCar(carRoots, batch)
+    const { pinned = [], failed = [] } = await uploadCar(mirrorUrl, car, auth, signal)
+    result.blocks += batch.length
+    result.bytes += car.length
+    result.pinned.push(...pinned)
+    result.failed.push(...failed)
+    onProgress(result.blocks, missing.length)
+    batch = []
+    batchBytes = 0
+  }
+  for (const cid of missing) {
+    const bytes = await blockstore.get(cid, { signal })
+    batch.push({ cid, bytes })
+    batchBytes += bytes.length
+    if (batchBytes >= CAR_BYTES) await send([])
+  }
+  // Pinned once all their blocks are there
+  await send(roots)
+  return result
+}
@@ -0,0 +1,184 @@
+// @ts-check
+/**
+ * Room presence (browser): who is in the room right now
+ *
+ * Each room's Y.Doc has a y-protocols Awareness. Our state is published on
+ * wc/<roomId> as binary AWARENESS frames (see ydoc.js: signed, sealed in
+ * encrypted rooms; hubs relay them but never store them):
+ *
+ *   { peerId, nickname, color, avatar, status: 'online' | 'idle',
+ *     downloading: string | null, have: string[] }
+ *
+ * nickname, color and avatar are our profile (profile.js).
+ *
+ * `have` lists the room's root CIDs the peer holds every block of, so others
+ * can tell whether a download will find a provider (fileAvailability). Hub
+ * mirrors publish a state too (`hub: true`) with the files they have pinned.
+ *
+ * Awareness renews our state every 15s; remote states expire 30s after the
+ * last renewal, or as soon as their peer disconnects (dropPeer). Destroying
+ * the doc publishes our removal. A peer may only publish its own state:
+ * entries naming another peerId are dropped.
+ */
+
+import * as encoding from 'lib0/encoding'
+import * as decoding from 'lib0/decoding'
+import { Awareness, applyAwarenessUpdate, encodeAwarenessUpdate, removeAwarenessStates } from 'y-protocols/awareness'
+
+// No input for this long (or a hidden tab) shows us as idle
+export const IDLE_AFTER_MS = 2 * 60 * 1000
+
+// Newcomers hear from everyone within this delay instead of the next renewal
+const ANNOUNCE_DELAY_MS = 1000
+
+/**
+ * @typedef {Object} PresenceState
+ * @property {string} peerId
+ * @property {string|null} nickname - Profile name
+ * @property {string|null=} color - Profile colour
+ * @property {string|null=} avatar - Profile avatar CID
+ * @property {'online'|'idle'} status
+ * @property {string|null} downloading - Name of the file we're fetching
+ * @property {string[]} have - Root CIDs of the room's files we hold completely
+ * @property {boolean=} hub - A hub mirror
+ */
+
+/**
+ * Keep the entries of an awareness update that `from` may publish: its own
+ * states, and removals of client IDs it published before
+ * @param {Uint8Array} update
+ * @param {string} from - Verified signer of the update
+ * @param {Map<number, string>} owners - clientID -> peerId, filled in as states are accepted
+ * @param {number} selfClientId
+ * @returns {Uint8Array|null} The filtered update, null if nothing is left
+ */
+export function filterAwarenessUpdate(update, from, owners, selfClientId) {
+  const decoder = decoding.createDecoder(update)
+  const kept = []
+  const count = decoding.readVarUint(decoder)
+  for (let i = 0; i < count; i++) {
+    const clientID = decoding.readVarUint(decoder)
+    const clock = decoding.readVarUint(decoder)
+    const json = decoding.readVarString(decoder)
+    if (clientID === selfClientId) continue
+    const state = JSON.parse(json)
+    const owner = owners.get(clientID)
+    if (owner && owner !== from) continue
+    if (state !== null && state.peerId !== from) continue
+    if (state === null && !owner) continue
+    owners.set(clientID, from)
+    kept.push({ clientID, clock, json })
+  }
+  if (!kept.length) return null
+
+  const encoder = encoding.createEncoder()
+  encoding.writeVarUint(encoder, kept.length)
+  for (const { clientID, clock, json } of kept) {
+    encoding.writeVarUint(encoder, clientID)
+    encoding.writeVarUint(encoder, clock)
+    encoding.writeVarString(encoder, json)
+  }
+  return encoding.toUint8Array(encoder)
+}
+
+/**
+ * Presence for one room
+ * @param {import('yjs').Doc} ydoc - The awareness is destroyed with it
+ * @param {{self: string, publish: (update: Uint8Array) => Promise<void>}} options
+ *   self: our peer ID; publish: send an awareness update to the room
+ */
+export function createPresence(ydoc, { self, publish }) {
+  const awareness = new Awareness(ydoc)
+  /** @type {Map<number, string>} */
+  const owners = new Map()
+  let announceTimer = null
+
+  const sendLocal = () => {
+    publish(encodeAwarenessUpdate(awareness, [awareness.clientID])).catch(() => {})
+  }
+
+  // Our changes and renewals go out; remote changes and expiries don't
+  awareness.on('update', (_, origin) => {
+    if (origin === 'local') sendLocal()
+  })
+
+  // Someone new: let them know we're here
+  awareness.on('change', ({ added }, origin) => {
+    if (origin !== 'network' || !added.length || announceTimer || !awareness.getLocalState()) return
+    announceTimer = setTimeout(() => {
+      announceTimer = null
+      sendLocal()
+    }, ANNOUNCE_DELAY_MS)
+  })
+  awareness.on('destroy', () => clearTimeout(announceTimer))
+
+  /** @type {PresenceState} */
+  const initial = { peerId: self, nickname: null, color: null, avatar: null, status: 'online', downloading: null, have: [] }
+  awareness.setLocalState(initial)
+
+  return {
+    awareness,
+
+    /**
+     * Apply an awareness update signed by `from`
+     * @param {Uint8Array} update
+     * @param {string} from
+     */
+    receive(update, from) {
+      const allowed = filterAwarenessUpdate(update, from, owners, awareness.clientID)
+      if (allowed) applyAwarenessUpdate(awareness, allowed, 'network')
+    },
+
+    /** A peer disconnected: its states go away now rather than on timeout */
+    dropPeer(peerId) {
+      const clients = [...owners].filter(([, owner]) => owner === peerId).map(([clientID]) => clientID)
+      removeAwarenessStates(awareness, clients, 'disconnect')
+    },
+
+    /** @param {Partial<PresenceState>} fields */
+    set(fields) {
+      const state = awareness.getLocalState()
+      if (!state) return
+      const next = { ...state, ...fields, peerId: self }
+      if (JSON.stringify(next) === JSON.stringify(state)) return
+      awareness.setLocalState(next)
+    },
+
+    /**
+     * Everyone in the room, us first; one entry per peer (its latest state)
+     * @returns {(PresenceState & {self: boolean})[]}
+     */
+    list() {
+      /** @type {Map<string, {state: PresenceState, at: number}>} */
+      const byPeer = new Map()
+      for (const [clientID, state] of awareness.getStates()) {
+        if (!state?.peerId) continue
+        const at = awareness.meta.get(clientID)?.lastUpdated || 0
+        const seen = byPeer.get(state.peerId)
+        if (!seen || seen.at <= at) byPeer.set(state.peerId, { state: /** @type {PresenceState} */ (state), at })
+      }
+      return [...byPeer.values()]
+        .map(({ state }) => ({ ...state, self: state.peerId === self }))
+        .sort((a, b) => Number(b.self) - Number(a.self) || (a.nickname || a.peerId).localeCompare(b.nickname || b.peerId))
+    }
+  }
+}
+
+/**
+ * Who can serve each file right now
+ * @param {(PresenceState & {self: boolean})[]} people - From list()
+ * @returns {{seeders: Map<string, number>, local: Set<string>}}
+ *   seeders: root CID -> other peers online (idle ones and hubs included) with every block;
+ *   local: root CIDs we hold completely
+ */
+export function fileAvailability(people) {
+  const seeders = new Map()
+  const local = new Set()
+  for (const person of people) {
+    for (const cid of person.have || []) {
+      if (person.self) local.add(cid)
+      else seeders.set(cid, (seeders.get(cid) || 0) + 1)
+    }
+  }
+  return { seeders, local }
+}
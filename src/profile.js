@@ -0,0 +1,207 @@
+// @ts-check
+/**
+ * Peer profiles (browser): display name, colour and avatar
+ *
+ * Our profile lives in localStorage (store.js) and reaches other peers two ways:
+ * - live, in our room presence (presence.js: `nickname`, `color`, `avatar`)
+ * - in each room doc's `profiles` map (peerId -> signed entry), so chat
+ *   history keeps its names once the authors have left. Only peers who may
+ *   change the doc publish there (uploaders may write their own entry, see
+ *   checkUploadScope); readers are known from their presence.
+ *
+ * Entries are signed by the peer they describe and entries that don't verify
+ * are skipped, so a writer can't rename someone else. The avatar is the CID of
+ * a small image fetched over bitswap; like the name, it is not encrypted.
+ *
+ * Other peers can also get a local nickname (store.js setPeerNickname): it wins
+ * over their own name and never leaves this browser.
+ */
+
+import { CID } from 'multiformats/cid'
+import { peerIdFromPrivateKey } from '@libp2p/peer-id'
+import { signMessage, verifyMessage } from './room-auth.js'
+
+// Picked from the peer ID until someone chooses a colour
+export const PROFILE_COLORS = ['#2563eb', '#16a34a', '#dc2626', '#9333ea', '#ea580c', '#0891b2', '#db2777', '#4d7c0f']
+
+const MAX_NAME_LENGTH = 40
+const AVATAR_SIZE = 96 // px, square
+const MAX_AVATAR_BYTES = 256 * 1024
+const AVATAR_TIMEOUT_MS = 15000
+
+/**
+ * @typedef {Object} Profile
+ * @property {string|null} name
+ * @property {string|null} color - #rrggbb
+ * @property {string|null} avatar - CID of the image
+ */
+
+/**
+ * @typedef {Profile & {nickname: string|null, avatarUrl: string|null}} PeerInfo
+ *   nickname: ours for them (local); avatarUrl: object URL once the avatar is loaded
+ */
+
+/**
+ * Keep only well-formed fields; anything else becomes null
+ * @param {any} profile
+ * @returns {Profile}
+ */
+export function cleanProfile(profile) {
+  const name = typeof profile?.name === 'string' ? profile.name.trim().slice(0, MAX_NAME_LENGTH) : ''
+  const color = typeof profile?.color === 'string' && /^#[0-9a-f]{6}$/i.test(profile.color) ? profile.color.toLowerCase() : null
+  let avatar = null
+  try {
+    if (typeof profile?.avatar === 'string') avatar = CID.parse(profile.avatar).toString()
+  } catch {}
+  return { name: name || null, color, avatar }
+}
+
+const sameProfile = (a, b) => a.name === b.name && a.color === b.color && a.avatar === b.avatar
+
+/**
+ * Write our signed profile into a room doc, if it changed
+ * @param {import('yjs').Doc} ydoc
+ * @param {any} privateKey - libp2p PrivateKey
+ * @param {Profile} profile
+ * @returns {Promise<boolean>} Whether the doc was changed
+ */
+export async function writeProfile(ydoc, privateKey, profile) {
+  const clean = cleanProfile(profile)
+  const peerId = peerIdFromPrivateKey(privateKey).toString()
+  const profiles = ydoc.getMap('profiles')
+  const current = profiles.get(peerId)
+  if (current ? sameProfile(cleanProfile(current), clean) : !clean.name && !clean.color && !clean.avatar) return false
+  profiles.set(peerId, await signMessage(privateKey, { type: 'PROFILE', ...clean, at: Date.now() }))
+  return true
+}
+
+// Entry JSON -> signer, so redraws don't verify every entry again
+const verified = new Map()
+
+/**
+ * Profiles published in a room doc; entries not signed by their peer are skipped
+ * @param {import('yjs').Doc} ydoc
+ * @returns {Promise<Map<string, Profile>>}
+ */
+export async function readProfiles(ydoc) {
+  const profiles = new Map()
+  for (const [peerId, entry] of ydoc.getMap('profiles')) {
+    if (entry?.type !== 'PROFILE' || entry.from !== peerId) continue
+    const json = JSON.stringify(entry)
+    if (!verified.has(json)) verified.set(json, await verifyMessage(entry))
+    if (verified.get(json) === peerId) profiles.set(peerId, cleanProfile(entry))
+  }
+  return profiles
+}
+
+// CID -> object URL (null if it couldn't be loaded)
+const avatarUrls = new Map()
+const avatarLoads = new Map()
+
+/**
+ * Everything we know about peers, for display
+ * @param {Map<string, Profile>} profiles - From readProfiles
+ * @param {{peerId: string, nickname?: string|null, color?: string|null, avatar?: string|null}[]} [people]
+ *   Presence states: live, so they win over the doc
+ * @param {Record<string, {nickname?: string|null}>} [peers] - Local nicknames (store.js getPeers)
+ * @returns {Map<string, PeerInfo>}
+ */
+export function peerDirectory(profiles, people = [], peers = {}) {
+  /** @type {Map<string, Profile>} */
+  const known = new Map(profiles)
+  for (const person of people) {
+    known.set(person.peerId, cleanProfile({ name: person.nickname, color: person.color, avatar: person.avatar }))
+  }
+  for (const [peerId, { nickname } = {}] of Object.entries(peers)) {
+    if (nickname && !known.has(peerId)) known.set(peerId, { name: null, color: null, avatar: null })
+  }
+  const directory = new Map()
+  for (const [peerId, profile] of known) {
+    directory.set(peerId, {
+      ...profile,
+      nickname: peers[peerId]?.nickname || null,
+      avatarUrl: (profile.avatar && avatarUrls.get(profile.avatar)) || null
+    })
+  }
+  return directory
+}
+
+/**
+ * Name to show for a peer: our nickname for them, their name, or the end of their peer ID
+ * @param {string} peerId
+ * @param {Map<string, PeerInfo>} directory
+ */
+export function peerLabel(peerId, directory) {
+  const info = directory.get(peerId)
+  return info?.nickname || info?.name || `…${String(peerId).slice(-6)}`
+}
+
+/**
+ * What a peer may be @mentioned as: our nickname for them, their name, or the end of their peer ID
+ * @param {string} peerId
+ * @param {Map<string, PeerInfo>} directory
+ * @returns {string[]}
+ */
+export function mentionNames(peerId, directory) {
+  const info = directory.get(peerId)
+  return [...new Set([info?.nickname, info?.name, String(peerId).slice(-6)].filter(Boolean))]
+}
+
+/**
+ * Colour for a peer: theirs, or one picked from their peer ID
+ * @param {string} peerId
+ * @param {Map<string, PeerInfo>} [directory]
+ */
+export function peerColor(peerId, directory = new Map()) {
+  const color = directory.get(peerId)?.color
+  if (color) return color
+  let hash = 0
+  for (const c of String(peerId)) hash = (hash * 31 + c.charCodeAt(0)) >>> 0
+  return PROFILE_COLORS[hash % PROFILE_COLORS.length]
+}
+
+/**
+ * Fetch an avatar (at most MAX_AVATAR_BYTES) and give it an object URL
+ * @param {any} fs - Helia unixfs
+ * @param {string} cid
+ * @returns {Promise<string|null>}
+ */
+export function loadAvatar(fs, cid) {
+  if (avatarUrls.has(cid)) return Promise.resolve(avatarUrls.get(cid))
+  if (!avatarLoads.has(cid)) {
+    avatarLoads.set(cid, (async () => {
+      const parts = []
+      let size = 0
+      try {
+        for await (const chunk of fs.cat(CID.parse(cid), { signal: AbortSignal.timeout(AVATAR_TIMEOUT_MS) })) {
+          size += chunk.byteLength
+          if (size > MAX_AVATAR_BYTES) throw new Error('avatar too large')
+          parts.push(chunk)
+        }
+        avatarUrls.set(cid, URL.createObjectURL(new Blob(parts)))
+      } catch (err) {
+        console.warn(`[Profile] Avatar ${cid.slice(-8)} unavailable:`, err.message)
+        avatarUrls.set(cid, null)
+      }
+      avatarLoads.delete(cid)
+      return avatarUrls.get(cid)
+    })())
+  }
+  return avatarLoads.get(cid)
+}
+
+/**
+ * Crop an image file to a small square PNG for use as an avatar
+ * @param {Blob} file
+ * @returns {Promise<Uint8Array>}
+ */
+export async function resizeAvatar(file) {
+  const bitmap = await createImageBitmap(file)
+  const side = Math.min(bitmap.width, bitmap.height)
+  const canvas = document.createElement('canvas')
+  canvas.width = canvas.height = AVATAR_SIZE
+  canvas.getContext('2d')?.drawImage(bitmap, (bitmap.width - side) / 2, (bitmap.height - side) / 2, side, side, 0, 0, AVATAR_SIZE, AVATAR_SIZE)
+  bitmap.close()
+  const blob = await new Promise((resolve, reject) => canvas.toBlob(b => b ? resolve(b) : reject(new Error('Could not encode the image')), 'image/png'))
+  return new Uint8Array(await blob.arrayBuffer())
+}
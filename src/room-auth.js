@@ -0,0 +1,533 @@
+// @ts-check
+/**
+ * Signed sync messages and per-room write access (browser + hub)
+ *
+ * Every sync message on wc/<roomId> is signed with the sender's libp2p key
+ * (`from` + `sig` over the rest of the JSON message), so a message can't be
+ * forged or moved to another room.
+ *
+ * The room doc records who may write:
+ * - `access.owner`: peer ID of the creator, set once when the room is created
+ * - `access.claim`: the creator's signature over { roomId, owner } (createClaim),
+ *   so any peer relaying the room can prove who owns it
+ * - `writers`: peerId -> { role, grantedBy, grantId, single?, ack? }
+ *
+ * Roles: 'owner' and 'write' (full access), 'upload' (may only add new files),
+ * 'read' (may not change anything). Rooms without an owner (created before
+ * access control) stay open: everyone has 'write'. Once a room has an owner,
+ * updates are only applied when they are signed by the owner, a writer, a
+ * trusted hub, or carry a valid grant; updates from uploaders must also stay
+ * within checkUploadScope, and chat changes must come from the messages'
+ * authors (checkChatChange).
+ *
+ * The owner is pinned (checkAccessChange): only the owner may change `access`,
+ * and a room without one only takes an owner whose claim verifies (or, for
+ * rooms claimed before claims were signed, sent by that peer itself or a
+ * trusted hub). Invite links name the owner, so an invitee accepts no other
+ * and takes nothing from non-owners until it knows the room's owner.
+ * Unsigned updates are only taken by open rooms.
+ *
+ * A grant is a token signed by a full-access writer and handed out in invite
+ * links; the invitee attaches it to its messages and adds itself to `writers`
+ * (see createYDoc), with exactly the entry writerEntry makes of the grant
+ * (checkAccessChange). Grants may expire (`exp`, checked when the grant is used;
+ * redeemed access stays) and may be single-use: the grant's issuer acknowledges
+ * the first redemption it sees (`ack`, its signature, see ackGrant), and that
+ * peer keeps it. Until then a lone redemption holds it; competing ones all wait
+ * for the acknowledgement, since nothing a redeemer writes can rank them.
+ */
+
+import * as Y from 'yjs'
+import { peerIdFromPrivateKey, peerIdFromString } from '@libp2p/peer-id'
+import { toString as toBase64, fromString as fromBase64 } from 'uint8arrays'
+import { supersedes } from './chat.js'
+
+const enc = (obj) => new TextEncoder().encode(JSON.stringify(obj))
+
+/**
+ * @typedef {'owner'|'write'|'upload'|'read'} Role
+ */
+
+/**
+ * @typedef {Object} WriteGrant
+ * @property {string} roomId
+ * @property {'write'|'upload'} role
+ * @property {string} by - Peer ID of the writer who issued it
+ * @property {string} id - Random grant ID
+ * @property {number=} exp - Expiry (ms timestamp); the grant can't be redeemed after it
+ * @property {boolean=} single - Only one peer may redeem it
+ * @property {string} sig
+ */
+
+/** What each role may do */
+const ROLE_ACTIONS = {
+  owner: ['upload', 'edit', 'chat', 'invite'],
+  write: ['upload', 'edit', 'chat', 'invite'],
+  upload: ['upload'],
+  read: []
+}
+
+/**
+ * @param {Role} role
+ * @param {'upload'|'edit'|'chat'|'invite'} action - edit: rename / remove / restore files
+ */
+export function can(role, action) {
+  return !!ROLE_ACTIONS[role]?.includes(action)
+}
+
+// ===== Signatures =====
+
+/**
+ * Sign a sync message with our libp2p key
+ * @param {any} privateKey - libp2p PrivateKey (wc:peerId in the browser)
+ * @param {Object} msg
+ * @returns {Promise<Object>} msg + `from` + `sig`
+ */
+export async function signMessage(privateKey, msg) {
+  const signed = { ...msg, from: peerIdFromPrivateKey(privateKey).toString() }
+  const sig = await privateKey.sign(enc(signed))
+  return { ...signed, sig: toBase64(sig, 'base64url') }
+}
+
+/** True if sig (base64url) is peerId's signature over body */
+async function verifySignature(peerId, body, sig) {
+  try {
+    const publicKey = peerIdFromString(peerId).publicKey
+    return !!publicKey && await publicKey.verify(enc(body), fromBase64(sig, 'base64url'))
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Check a message's signature
+ * @param {Object} msg
+ * @returns {Promise<string|null>} Signer's peer ID, or null if unsigned / invalid
+ */
+export async function verifyMessage(msg) {
+  const { sig, ...signed } = /** @type {any} */ (msg)
+  if (typeof sig !== 'string' || typeof signed.from !== 'string') return null
+  return await verifySignature(signed.from, signed, sig) ? signed.from : null
+}
+
+// ===== Owner / writer list =====
+
+/** Owner's peer ID, or null for open (legacy) rooms */
+export function getOwner(ydoc) {
+  return ydoc.getMap('access').get('owner') || null
+}
+
+/** Peer IDs allowed to write (full or upload-only), owner first */
+export function listWriters(ydoc) {
+  const owner = getOwner(ydoc)
+  const writers = [...ydoc.getMap('writers').keys()].filter(id => id !== owner && isWriter(ydoc, id))
+  return owner ? [owner, ...writers] : writers
+}
+
+/**
+ * Peer that keeps a single-use grant: the one its issuer acknowledged, else
+ * (until then) its only redeemer; null while several wait for the acknowledgement
+ * Acknowledgements are verified before they get into the doc (checkAccessChange).
+ * @returns {string|null}
+ */
+export function grantHolder(ydoc, grantId) {
+  const redeemed = []
+  ydoc.getMap('writers').forEach((entry, peerId) => {
+    if (entry?.grantId === grantId) redeemed.push({ peerId, entry })
+  })
+  const acked = redeemed.filter(r => r.entry.ack).map(r => r.peerId).sort()
+  if (acked.length) return acked[0]
+  return redeemed.length === 1 ? redeemed[0].peerId : null
+}
+
+/**
+ * A peer's role in the room
+ * @returns {Role}
+ */
+export function getRole(ydoc, peerId) {
+  const owner = getOwner(ydoc)
+  if (!owner) return 'write'
+  if (peerId === owner) return 'owner'
+  const entry = ydoc.getMap('writers').get(peerId)
+  if (!entry) return 'read'
+  if (entry.single && grantHolder(ydoc, entry.grantId) !== peerId) return 'read'
+  return entry.role === 'upload' ? 'upload' : 'write'
+}
+
+/** True if peerId may change the room at all (everyone may in open rooms) */
+export function isWriter(ydoc, peerId) {
+  return getRole(ydoc, peerId) !== 'read'
+}
+
+/**
+ * Sign the claim that makes us a room's owner
+ * @param {any} privateKey
+ * @param {string} roomId
+ * @returns {Promise<{roomId: string, owner: string, sig: string}>}
+ */
+export async function createClaim(privateKey, roomId) {
+  const claim = { roomId, owner: peerIdFromPrivateKey(privateKey).toString() }
+  const sig = await privateKey.sign(enc(claim))
+  return { ...claim, sig: toBase64(sig, 'base64url') }
+}
+
+/** True if claim is owner's signed claim on roomId */
+async function verifyClaim(claim, roomId, owner) {
+  if (claim?.roomId !== roomId || claim.owner !== owner || typeof claim.sig !== 'string') return false
+  const { sig, ...body } = claim
+  return verifySignature(owner, body, sig)
+}
+
+/**
+ * Make peerId the room owner; no-op if the room already has one
+ * @param {Y.Doc} ydoc
+ * @param {string} peerId
+ * @param {{roomId: string, owner: string, sig: string}|null} [claim] - createClaim's, proves the ownership to other peers
+ * @returns {boolean} true if the claim was recorded
+ */
+export function claimRoom(ydoc, peerId, claim = null) {
+  const access = ydoc.getMap('access')
+  if (access.get('owner')) return false
+  ydoc.transact(() => {
+    access.set('owner', peerId)
+    access.set('createdAt', Date.now())
+    if (claim) access.set('claim', claim)
+  })
+  return true
+}
+
+/**
+ * The `writers` entry redeeming a grant; peers take no other from its redeemer
+ * @param {WriteGrant} grant
+ */
+export function writerEntry(grant) {
+  return {
+    role: grant.role,
+    grantedBy: grant.by,
+    grantId: grant.id,
+    ...(grant.single ? { single: true } : {})
+  }
+}
+
+/**
+ * Add a writer redeemed from a grant
+ * @param {Y.Doc} ydoc
+ * @param {string} peerId
+ * @param {WriteGrant} grant
+ */
+export function addWriter(ydoc, peerId, grant) {
+  ydoc.getMap('writers').set(peerId, writerEntry(grant))
+}
+
+// ===== Write grants =====
+
+/**
+ * Acknowledge peerId's redemption of a single-use grant we issued
+ * @param {any} privateKey - The grant issuer's
+ * @param {string} roomId
+ * @param {string} peerId
+ * @param {string} grantId
+ * @returns {Promise<string>} base64url signature, for the `ack` of its writers entry
+ */
+export async function ackGrant(privateKey, roomId, peerId, grantId) {
+  return toBase64(await privateKey.sign(enc({ roomId, grantId, peerId })), 'base64url')
+}
+
+/** True if a writers entry's `ack` is its grant issuer's acknowledgement */
+async function verifyAck(roomId, peerId, entry) {
+  return typeof entry?.ack === 'string' && typeof entry.grantedBy === 'string' &&
+    verifySignature(entry.grantedBy, { roomId, grantId: entry.grantId, peerId }, entry.ack)
+}
+
+/**
+ * Issue a grant for an upload-only or full-access invite link
+ * @param {any} privateKey
+ * @param {string} roomId
+ * @param {{role?: 'write'|'upload', expiresAt?: number|null, single?: boolean}} [options]
+ * @returns {Promise<string>} base64url token
+ */
+export async function createGrant(privateKey, roomId, { role = 'write', expiresAt = null, single = false } = {}) {
+  const grant = {
+    roomId,
+    role,
+    by: peerIdFromPrivateKey(privateKey).toString(),
+    id: toBase64(crypto.getRandomValues(new Uint8Array(9)), 'base64url'),
+    ...(expiresAt ? { exp: expiresAt } : {}),
+    ...(single ? { single: true } : {})
+  }
+  const sig = await privateKey.sign(enc(grant))
+  return toBase64(enc({ ...grant, sig: toBase64(sig, 'base64url') }), 'base64url')
+}
+
+/**
+ * Decode a grant token from an invite link
+ * @param {string} token
+ * @returns {WriteGrant|null}
+ */
+export function parseGrant(token) {
+  try {
+    const grant = JSON.parse(new TextDecoder().decode(fromBase64(token, 'base64url')))
+    return (grant?.role === 'write' || grant?.role === 'upload') && typeof grant.by === 'string' ? grant : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * A grant is valid for roomId if it is signed by someone with full access
+ * there, hasn't expired, and (single-use) hasn't been redeemed by another peer
+ * @param {Y.Doc} ydoc
+ * @param {string} roomId
+ * @param {WriteGrant} grant
+ * @param {string} redeemer - Peer ID using the grant
+ */
+export async function verifyGrant(ydoc, roomId, grant, redeemer) {
+  if (!grant || grant.roomId !== roomId || (grant.role !== 'write' && grant.role !== 'upload')) return false
+  if (!can(getRole(ydoc, grant.by), 'invite')) return false
+  if (grant.exp && Date.now() > grant.exp) return false
+  if (grant.single) {
+    const holder = grantHolder(ydoc, grant.id)
+    if (holder && holder !== redeemer) return false
+  }
+  const { sig, ...body } = grant
+  return verifySignature(grant.by, body, sig)
+}
+
+// ===== Mirror uploads =====
+
+// How long a signed upload request stays valid (clocks may be a little off)
+const UPLOAD_AUTH_MAX_AGE_MS = 5 * 60 * 1000
+
+/**
+ * Authorization for a hub mirror upload request (server/uploads.js), as a room's writer
+ * @param {any} privateKey
+ * @param {string} roomId
+ * @returns {Promise<string>} `Authorization` header value
+ */
+export async function createUploadAuth(privateKey, roomId) {
+  const signed = await signMessage(privateKey, { type: 'UPLOAD', roomId, at: Date.now() })
+  return `Room ${toBase64(enc(signed), 'base64url')}`
+}
+
+/**
+ * Read an upload request's room authorization; the hub still checks the signer is one of the room's writers
+ * @param {string|undefined} header - `Authorization` header value
+ * @returns {Promise<{roomId: string, from: string}|null>} null if it isn't one, is forged or is stale
+ */
+export async function verifyUploadAuth(header) {
+  const [scheme, token] = String(header || '').split(' ')
+  if (scheme !== 'Room' || !token) return null
+  let msg
+  try {
+    msg = JSON.parse(new TextDecoder().decode(fromBase64(token, 'base64url')))
+  } catch {
+    return null
+  }
+  if (msg?.type !== 'UPLOAD' || typeof msg.roomId !== 'string' || Math.abs(Date.now() - msg.at) > UPLOAD_AUTH_MAX_AGE_MS) return null
+  const from = await verifyMessage(msg)
+  return from ? { roomId: msg.roomId, from } : null
+}
+
+// ===== Upload-only scope =====
+
+/** A copy of ydoc with update applied (ydoc is not modified) */
+function withUpdate(ydoc, update) {
+  const after = new Y.Doc()
+  Y.applyUpdate(after, Y.encodeStateAsUpdate(ydoc))
+  Y.applyUpdate(after, update)
+  return after
+}
+
+/** Plain JSON of a root type, read as the same type the doc uses */
+function rootJSON(doc, name, Type) {
+  return JSON.stringify(doc.get(name, Type).toJSON())
+}
+
+/**
+ * Check that an update from an uploader only adds files: new `files` /
+ * `folders` entries, `manifest.updatedAt`, its own `writers` entry and its
+ * own `profiles` entry (profile.js)
+ * @param {Y.Doc} ydoc - Current room doc (not modified)
+ * @param {Uint8Array} update
+ * @param {string} peerId - The uploader
+ * @returns {string|null} Why the update is out of scope, or null if it is fine
+ */
+export function checkUploadScope(ydoc, update, peerId) {
+  const after = withUpdate(ydoc, update)
+
+  for (const name of ['files', 'folders']) {
+    const before = ydoc.getMap(name)
+    const next = after.getMap(name)
+    for (const [key, value] of before) {
+      if (JSON.stringify(next.get(key)?.toJSON?.() ?? next.get(key)) !== JSON.stringify(value?.toJSON?.() ?? value)) {
+        return `changes existing ${name} entry ${key}`
+      }
+    }
+  }
+  const manifest = ydoc.getMap('manifest').toJSON()
+  const nextManifest = after.getMap('manifest').toJSON()
+  for (const key of new Set([...Object.keys(manifest), ...Object.keys(nextManifest)])) {
+    if (key !== 'updatedAt' && JSON.stringify(manifest[key]) !== JSON.stringify(nextManifest[key])) return `changes manifest.${key}`
+  }
+  const writers = ydoc.getMap('writers').toJSON()
+  const nextWriters = after.getMap('writers').toJSON()
+  for (const key of new Set([...Object.keys(writers), ...Object.keys(nextWriters)])) {
+    if (JSON.stringify(writers[key]) === JSON.stringify(nextWriters[key])) continue
+    if (key !== peerId || writers[key] || nextWriters[key]?.role !== 'upload') return 'changes the writer list'
+  }
+  const profiles = ydoc.getMap('profiles').toJSON()
+  const nextProfiles = after.getMap('profiles').toJSON()
+  for (const key of new Set([...Object.keys(profiles), ...Object.keys(nextProfiles)])) {
+    if (key !== peerId && JSON.stringify(profiles[key]) !== JSON.stringify(nextProfiles[key])) return `changes the profile of ${key}`
+  }
+
+  // Everything else (chat, access, ...) must stay as it is
+  for (const [name, type] of after.share) {
+    if (['files', 'folders', 'manifest', 'writers', 'profiles'].includes(name)) continue
+    const Type = ydoc.share.get(name)?.constructor
+    if (!Type || Type === Y.AbstractType) {
+      if (type._start || type._map.size) return `writes ${name}`
+      continue
+    }
+    if (rootJSON(ydoc, name, Type) !== rootJSON(after, name, Type)) return `changes ${name}`
+  }
+  return null
+}
+
+// ===== Owner pinning =====
+
+/**
+ * Check an update against the room's pinned owner: in an owned room only the
+ * owner may change `access`; a room without one only takes an owner with a
+ * valid claim (unsigned claims: sent by the owner or a trusted hub), and once
+ * an invite link named the owner, only that owner and nothing before it.
+ * Single-use grant acknowledgements must verify, and only the owner may
+ * change or drop one. An update sent on a grant may only add its sender's
+ * own `writers` entry, exactly as writerEntry makes it.
+ * @param {Y.Doc} ydoc - Current room doc (not modified)
+ * @param {string} roomId
+ * @param {Uint8Array} update
+ * @param {string|null} from - Verified signer, null if unsigned
+ * @param {{owner?: string|null, trusted?: string[], grant?: WriteGrant|null}} [options] - owner: from the invite link;
+ *   grant: the one authorizeMessage accepted the update on
+ * @returns {Promise<string|null>} Why the update is refused, or null if it is fine
+ */
+export async function checkAccessChange(ydoc, roomId, update, from, { owner: pinned = null, trusted = [], grant = null } = {}) {
+  const owner = getOwner(ydoc)
+  const after = withUpdate(ydoc, update)
+  const writers = ydoc.getMap('writers')
+  if (grant) {
+    const redeemed = JSON.stringify(writerEntry(grant))
+    const nextWriters = after.getMap('writers')
+    for (const peerId of new Set([...writers.keys(), ...nextWriters.keys()])) {
+      const entry = JSON.stringify(nextWriters.get(peerId))
+      if (entry === JSON.stringify(writers.get(peerId))) continue
+      if (peerId !== from || entry !== redeemed) return "doesn't redeem its grant as issued"
+    }
+  }
+  for (const [peerId, entry] of after.getMap('writers')) {
+    const ack = writers.get(peerId)?.ack
+    if (entry?.ack === ack) continue
+    if (ack && from !== owner) return 'changes a grant acknowledgement'
+    if (entry?.ack && !(await verifyAck(roomId, peerId, entry) && can(getRole(ydoc, entry.grantedBy), 'invite'))) {
+      return 'bad grant acknowledgement'
+    }
+  }
+  for (const [peerId, entry] of writers) {
+    if (entry?.ack && !after.getMap('writers').has(peerId) && from !== owner) return 'changes a grant acknowledgement'
+  }
+
+  const access = ydoc.getMap('access').toJSON()
+  const next = after.getMap('access').toJSON()
+  const unknownOwner = !owner && pinned && from !== pinned
+  if (JSON.stringify(access) === JSON.stringify(next)) return unknownOwner ? "the room's owner isn't known yet" : null
+  if (owner) return from === owner ? null : 'changes access without being the owner'
+  if (!next.owner) return unknownOwner ? "the room's owner isn't known yet" : null
+  if (pinned) return next.owner === pinned ? null : 'names another owner than the invite link'
+  if (next.claim) return await verifyClaim(next.claim, roomId, next.owner) ? null : 'bad ownership claim'
+  return next.owner === from || (from && trusted.includes(from)) ? null : 'claims the room for another peer'
+}
+
+// ===== Chat authorship =====
+
+// Entries of a that aren't in b (as many times as they are missing)
+function missingFrom(a, b) {
+  const left = new Map()
+  for (const entry of b) left.set(JSON.stringify(entry), (left.get(JSON.stringify(entry)) || 0) + 1)
+  return a.filter(entry => {
+    const count = left.get(JSON.stringify(entry)) || 0
+    if (count) left.set(JSON.stringify(entry), count - 1)
+    return !count
+  })
+}
+
+/**
+ * Check that an update to an owned room's chat only carries messages from
+ * their authors: every new entry is signed by its `from` (unsigned ones only
+ * when the sender wrote them itself) and keeps the author of its msgId, and
+ * entries of others are only removed for a newer version they signed (an
+ * edit or tombstone, see chat.js). Messages from before msgIds can't be
+ * removed. Open rooms, unsigned updates and trusted hubs are not checked.
+ * @param {Y.Doc} ydoc - Current room doc (not modified)
+ * @param {Uint8Array} update
+ * @param {string|null} from - Verified signer, null if unsigned
+ * @param {{trusted?: string[]}} [options]
+ * @returns {Promise<string|null>} Why the update is refused, or null if it is fine
+ */
+export async function checkChatChange(ydoc, update, from, { trusted = [] } = {}) {
+  if (!from || trusted.includes(from)) return null
+  const after = withUpdate(ydoc, update)
+  if (!getOwner(after)) return null
+  const before = ydoc.getArray('chat').toArray()
+  const next = after.getArray('chat').toArray()
+  const added = missingFrom(next, before)
+  const removed = missingFrom(before, next)
+
+  const authors = new Map()
+  for (const entry of before) {
+    if (entry?.msgId && !authors.has(entry.msgId)) authors.set(entry.msgId, entry.from)
+  }
+  for (const entry of added) {
+    if (!entry?.msgId || typeof entry.from !== 'string') return 'adds a chat message without msgId or author'
+    if (!authors.has(entry.msgId)) authors.set(entry.msgId, entry.from)
+    if (authors.get(entry.msgId) !== entry.from) return `changes message ${entry.msgId} of another author`
+    const signer = entry.sig !== undefined ? await verifyMessage(entry) : entry.from === from ? from : null
+    if (signer !== entry.from) return `carries message ${entry.msgId} not signed by its author`
+  }
+  for (const entry of removed) {
+    if (!entry?.msgId) return 'removes a chat message'
+    if (entry.from === from) continue
+    // Relayed edits and tombstones (the new entries were verified above)
+    if (!added.some(other => other.msgId === entry.msgId && other.from === entry.from && supersedes(other, entry))) return `removes message ${entry.msgId} of another author`
+  }
+  return null
+}
+
+// ===== Authorization =====
+
+/**
+ * Decide whether a Y_UPDATE / SNAPSHOT may be applied to ydoc
+ * The caller must also check the update with checkAccessChange (passing on
+ * `grant`, set when the update is accepted on one), and when role is 'upload',
+ * with checkUploadScope.
+ * @param {Y.Doc} ydoc
+ * @param {string} roomId
+ * @param {any} msg
+ * @param {{trusted?: string[], owner?: string|null}} [options] - trusted: peer IDs (hubs) that enforce the same rules;
+ *   owner: the owner named by the invite link
+ * @returns {Promise<{ok: boolean, from: string|null, role?: Role, grant?: WriteGrant, reason?: string}>}
+ */
+export async function authorizeMessage(ydoc, roomId, msg, { trusted = [], owner = null } = {}) {
+  const from = await verifyMessage(msg)
+  if (msg.sig && !from) return { ok: false, from: null, reason: 'bad signature' }
+  if (msg.roomId && msg.roomId !== roomId) return { ok: false, from, reason: 'wrong room' }
+  if (!getOwner(ydoc) && !owner) return { ok: true, from, role: 'write' }
+  if (!from) return { ok: false, from, reason: 'unsigned' }
+  if (trusted.includes(from)) return { ok: true, from, role: 'write' }
+  // Owner named by the invite link, not in the doc yet: checkAccessChange decides
+  if (!getOwner(ydoc)) return { ok: true, from, role: from === owner ? 'owner' : 'write' }
+  const role = getRole(ydoc, from)
+  if (role !== 'read') return { ok: true, from, role }
+  if (msg.grant && await verifyGrant(ydoc, roomId, msg.grant, from)) return { ok: true, from, role: msg.grant.role, grant: msg.grant }
+  return { ok: false, from, reason: 'not a writer' }
+}
@@ -0,0 +1,165 @@
+// @ts-check
+/**
+ * End-to-end encryption for rooms
+ *
+ * An encrypted room has a random AES-256 key that only travels in the invite
+ * URL fragment (`#key=…`, never sent to a server) and in the local room record.
+ *
+ * - Sync payloads (Y_UPDATE / SNAPSHOT) are sealed with AES-GCM, random 96-bit IV.
+ * - File contents are encrypted before they are added to UnixFS, in 1 MiB
+ *   segments so imports and downloads keep streaming. Segment IV = file nonce
+ *   (8 bytes, stored in the manifest) + big-endian segment counter; the last
+ *   segment is authenticated as such, so truncated files fail to decrypt.
+ */
+
+const SEGMENT_SIZE = 1024 * 1024
+const TAG_SIZE = 16
+const LAST = new TextEncoder().encode('last')
+const MORE = new Uint8Array(0)
+
+const toB64url = (bytes) => btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+const fromB64url = (str) => Uint8Array.from(atob(str.replace(/-/g, '+').replace(/_/g, '/')), c => c.charCodeAt(0))
+
+/** New random room key, base64url (goes into the invite fragment) */
+export function generateRoomKey() {
+  return toB64url(crypto.getRandomValues(new Uint8Array(32)))
+}
+
+/**
+ * @param {string} b64 - Key from generateRoomKey / the invite fragment
+ * @returns {Promise<CryptoKey>}
+ */
+export function importRoomKey(b64) {
+  return crypto.subtle.importKey('raw', fromB64url(b64), 'AES-GCM', false, ['encrypt', 'decrypt'])
+}
+
+/** Read `key=` from a URL fragment ("#key=abc"), or null */
+export function keyFromFragment(hash = '') {
+  return new URLSearchParams(hash.replace(/^#/, '')).get('key')
+}
+
+/**
+ * Seal a sync payload
+ * @param {CryptoKey} key
+ * @param {Uint8Array} bytes
+ * @returns {Promise<{iv: Uint8Array, data: Uint8Array}>}
+ */
+export async function encryptBytes(key, bytes) {
+  const iv = crypto.getRandomValues(new Uint8Array(12))
+  const data = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes))
+  return { iv, data }
+}
+
+/**
+ * Open a sealed sync payload; throws if the key is wrong or the data was altered
+ * @param {CryptoKey} key
+ * @param {Uint8Array} iv
+ * @param {Uint8Array} data
+ */
+export async function decryptBytes(key, iv, data) {
+  return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data))
+}
+
+/** Random per-file nonce for encryptStream, base64url (stored in the manifest) */
+export function generateFileNonce() {
+  return toB64url(crypto.getRandomValues(new Uint8Array(8)))
+}
+
+function segmentIv(nonce, index) {
+  const iv = new Uint8Array(12)
+  iv.set(nonce, 0)
+  new DataView(iv.buffer).setUint32(8, index)
+  return iv
+}
+
+/**
+ * Re-chunk a byte stream into fixed-size pieces, flagging the final one
+ * (the last piece may be shorter, or empty for an empty stream)
+ * @param {AsyncIterable<Uint8Array>} source
+ * @param {number} size
+ * @returns {AsyncGenerator<{bytes: Uint8Array, last: boolean}>}
+ */
+async function* segments(source, size) {
+  let buf = new Uint8Array(size)
+  let fill = 0
+  let pending = null // a full segment held back until we know whether more follows
+  for await (const chunk of source) {
+    let pos = 0
+    while (pos < chunk.length) {
+      const n = Math.min(size - fill, chunk.length - pos)
+      buf.set(chunk.subarray(pos, pos + n), fill)
+      fill += n
+      pos += n
+      if (fill === size) {
+        if (pending) yield { bytes: pending, last: false }
+        pending = buf
+        buf = new Uint8Array(size)
+        fill = 0
+      }
+    }
+  }
+  if (fill > 0 || !pending) {
+    if (pending) yield { bytes: pending, last: false }
+    yield { bytes: buf.subarray(0, fill), last: true }
+  } else {
+    yield { bytes: pending, last: true }
+  }
+}
+
+/**
+ * Encrypt file content as it streams
+ * @param {CryptoKey} key
+ * @param {string} nonce - From generateFileNonce
+ * @param {AsyncIterable<Uint8Array>} source - Plaintext chunks
+ * @returns {AsyncGenerator<Uint8Array>}
+ */
+export async function* encryptStream(key, nonce, source) {
+  const n = fromB64url(nonce)
+  let index = 0
+  for await (const { bytes, last } of segments(source, SEGMENT_SIZE)) {
+    const iv = segmentIv(n, index++)
+    yield new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData: last ? LAST : MORE }, key, bytes))
+  }
+}
+
+/**
+ * Decrypt file content as it streams
+ * @param {CryptoKey} key
+ * @param {string} nonce - The file's manifest nonce
+ * @param {AsyncIterable<Uint8Array>} source - Ciphertext chunks (e.g. fs.cat)
+ * @returns {AsyncGenerator<Uint8Array>}
+ */
+export async function* decryptStream(key, nonce, source) {
+  const n = fromB64url(nonce)
+  let index = 0
+  for await (const { bytes, last } of segments(source, SEGMENT_SIZE + TAG_SIZE)) {
+    const iv = segmentIv(n, index++)
+    try {
+      yield new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv, additionalData: last ? LAST : MORE }, key, bytes))
+    } catch {
+      throw new Error('Decryption failed: wrong room key, or the file is truncated or corrupted')
+    }
+  }
+}
+
+// ===== Key registry =====
+// Room managers register the files of encrypted rooms here so that every
+// reader (catFile, thumbnails, ZIP, downloads) decrypts transparently by CID.
+
+/** @type {Map<string, {key: CryptoKey, nonce: string}>} */
+const fileKeys = new Map()
+
+/**
+ * @param {{cid: string, nonce?: string}[]} files
+ * @param {CryptoKey} key
+ */
+export function registerFileKeys(files, key) {
+  for (const f of files) {
+    if (f.nonce) fileKeys.set(f.cid, { key, nonce: f.nonce })
+  }
+}
+
+/** Decryption parameters for a CID, if it belongs to an encrypted room */
+export function getFileCipher(cid) {
+  return fileKeys.get(String(cid)) || null
+}
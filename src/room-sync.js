@@ -0,0 +1,157 @@
+// @ts-check
+/**
+ * Direct-stream room sync: /room-sync/1.0.0 (browser + hub)
+ *
+ * Gossipsub only delivers to a peer once the mesh for wc/<roomId> has formed.
+ * Instead, on every new (unlimited) connection, and whenever we open a room,
+ * we open this protocol and sync the rooms both sides have one-to-one:
+ *
+ *   dialer    → SYNC_STEP1 for each of its rooms, then SYNC_DONE
+ *   responder → for each of those rooms it has: SYNC_STEP2 + a reply
+ *               SYNC_STEP1, then SYNC_DONE once it has read the dialer's
+ *   dialer    → SYNC_STEP2 for each reply step 1, then closes its side
+ *
+ * Frames are the same messages as on gossipsub (sync-protocol.js: signed,
+ * sealed in encrypted rooms, chunked), length-prefixed, and each side checks
+ * them exactly as it does on gossipsub. After that, gossipsub only carries
+ * live updates.
+ */
+
+import { pipe } from 'it-pipe'
+import { pushable } from 'it-pushable'
+import * as lp from 'it-length-prefixed'
+import { encodeFrame, decodeFrame, createReassembler } from './sync-protocol.js'
+
+export const ROOM_SYNC_PROTOCOL = '/room-sync/1.0.0'
+
+const SYNC_TIMEOUT_MS = 30000
+const DONE = encodeFrame({ type: 'SYNC_DONE' }, new Uint8Array(0))
+
+/**
+ * @typedef {Object} RoomSyncHandler
+ * @property {() => Promise<Uint8Array[]>} request - Frames of our SYNC_STEP1 for the room
+ * @property {(header: any, payload: Uint8Array, bytes: Uint8Array, reply: (frames: Uint8Array[]) => void) => Promise<void>} handle
+ *   Handle a frame from the peer (bytes: the whole frame); answers go through reply
+ */
+
+/**
+ * Run one sync exchange on an open stream
+ * @param {any} stream
+ * @param {(roomId: string) => Promise<RoomSyncHandler|null>} open
+ * @param {Uint8Array[]|null} initial - Our step 1 frames when we dialed, null when answering
+ */
+async function exchange(stream, open, initial) {
+  const out = pushable()
+  const reassembler = createReassembler()
+  const reply = (frames) => { for (const frame of frames) out.push(frame) }
+  if (initial) {
+    reply(initial)
+    out.push(DONE)
+  }
+
+  const read = async (source) => {
+    for await (const data of source) {
+      let bytes = data.subarray()
+      let frame = decodeFrame(bytes)
+      if ('chunk' in frame) {
+        bytes = reassembler.add(frame.chunk)
+        if (!bytes) continue
+        frame = decodeFrame(bytes)
+      }
+      if (!('header' in frame)) continue
+
+      if (frame.header.type === 'SYNC_DONE') {
+        // Dialer: every reply is in and answered. Responder: every request is answered
+        if (initial) out.end()
+        else out.push(DONE)
+        continue
+      }
+      const handler = await open(frame.header.roomId)
+      if (handler) await handler.handle(frame.header, frame.payload, bytes, reply)
+    }
+    // The dialer closed its side: nothing left to answer
+    out.end()
+  }
+
+  const timer = setTimeout(() => stream.abort(new Error('Room sync timed out')), SYNC_TIMEOUT_MS)
+  try {
+    await Promise.all([
+      pipe(out, (source) => lp.encode(source), stream.sink),
+      pipe(stream.source, (source) => lp.decode(source), read)
+    ])
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+/**
+ * Register the protocol and (unless `dial` is false) sync with every new connection
+ * @param {any} libp2p
+ * @param {Object} options
+ * @param {() => string[]} options.rooms - Rooms we ask for when we dial
+ * @param {(roomId: string) => Promise<RoomSyncHandler|null>} options.open - Our handler for a room, null if we don't have it
+ * @param {boolean} [options.dial] - Hubs only answer; browsers dial
+ * @param {(peerId: string, roomIds: string[]) => void} [options.onUnsupported] - The peer doesn't speak the protocol (older client)
+ * @param {string} [options.tag] - Log prefix
+ * @returns {{syncRoom: (roomId: string) => void, stop: () => void}}
+ */
+export function startRoomSync(libp2p, { rooms, open, dial = true, onUnsupported = () => {}, tag = 'RoomSync' }) {
+  libp2p.handle(ROOM_SYNC_PROTOCOL, async ({ stream, connection }) => {
+    try {
+      await exchange(stream, open, null)
+    } catch (err) {
+      console.warn(`[${tag}] Sync with ${connection.remotePeer.toString().slice(-8)} failed:`, err.message)
+      stream.abort(err)
+    }
+  }).catch(err => console.warn(`[${tag}] Failed to register ${ROOM_SYNC_PROTOCOL}:`, err.message))
+
+  // Sync roomIds with the peer at the other end of a connection
+  async function syncConnection(connection, roomIds) {
+    const remote = connection.remotePeer.toString()
+    let stream
+    try {
+      stream = await connection.newStream(ROOM_SYNC_PROTOCOL, { signal: AbortSignal.timeout(5000) })
+    } catch (err) {
+      if (err.name === 'UnsupportedProtocolError') onUnsupported(remote, roomIds)
+      return
+    }
+    try {
+      const initial = []
+      for (const roomId of roomIds) {
+        const handler = await open(roomId)
+        if (handler) initial.push(...await handler.request())
+      }
+      await exchange(stream, open, initial)
+      console.log(`[${tag}] Synced ${roomIds.length} room(s) with ${remote.slice(-8)}`)
+    } catch (err) {
+      console.warn(`[${tag}] Sync with ${remote.slice(-8)} failed:`, err.message)
+      stream.abort(err)
+    }
+  }
+
+  // Relayed (limited) connections can't carry it; we sync once the direct connection is up
+  const onConnection = (evt) => {
+    const connection = evt.detail
+    const roomIds = rooms()
+    if (connection.limits || !roomIds.length) return
+    syncConnection(connection, roomIds)
+  }
+  if (dial) libp2p.addEventListener('connection:open', onConnection)
+
+  return {
+    // A room we just opened: sync it with everyone we're connected to
+    syncRoom(roomId) {
+      const seen = new Set()
+      for (const connection of libp2p.getConnections()) {
+        const remote = connection.remotePeer.toString()
+        if (connection.limits || seen.has(remote)) continue
+        seen.add(remote)
+        syncConnection(connection, [roomId])
+      }
+    },
+    stop() {
+      libp2p.removeEventListener('connection:open', onConnection)
+      libp2p.unhandle(ROOM_SYNC_PROTOCOL).catch(() => {})
+    }
+  }
+}
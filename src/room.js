@@ -1,10 +1,21 @@
 // @ts-check
-import { createYDoc, updateManifest, addChatMsg, getChatMessages } from './ydoc.js'
-import { ROOM_TOPIC } from './constants.js'
-import { renderRoomDetails, renderChatMessages } from './ui.js'
-import { getRoom } from './store.js'
-import { fetchFileAsBlob, fetchFileAsBlobWithRetry, openFile, downloadFile } from './file-manager.js'
+import { createYDoc, updateManifest, manifestToJSON, addChatMsg, getChatMessages } from './ydoc.js'
+import { putChatMsg, editedMessage, deletedMessage, toggleReaction, fileComments, searchMessages, searchTerms, findMentions } from './chat.js'
+import { fileKey, listFiles, listRemovedFiles, observeManifest, removeFiles as tombstoneFiles, restoreFiles as untombstoneFiles, renameFile as renameManifestFile } from './manifest.js'
+import { ROOM_TOPIC, MIRROR_URL } from './constants.js'
+import { renderRoomDetails, renderChatMessages, renderChatReply, renderChatSearchResults, highlightChatMessage, renderChatAttachments, renderCommentCounts, renderPresence, renderAvailability, showAvatars, toast, updateSelectionCount } from './ui.js'
+import { getRoom, getRooms, saveRoom, getProfile, saveProfile, getPeers, setPeerNickname, setLastRead } from './store.js'
+import { fetchFileAsBlob, fetchFileAsBlobWithRetry, openFile, downloadFolder, saveFileStream, saveZipStream, saveCarStream, readFileStream, formatBytes } from './file-manager.js'
 import { onThumbnailReady } from './thumbnail-events.js'
+import { importRoomKey, keyFromFragment, registerFileKeys } from './room-crypto.js'
+import { claimRoom, createClaim, createGrant, createUploadAuth, parseGrant, can, getOwner, signMessage } from './room-auth.js'
+import { startRoomSync } from './room-sync.js'
+import { hasDag } from './download-queue.js'
+import { fileAvailability } from './presence.js'
+import { cleanProfile, writeProfile, readProfiles, peerDirectory, peerColor, mentionNames, loadAvatar, resizeAvatar } from './profile.js'
+import { readMarker, countUnread } from './unread.js'
+import { backupToMirror } from './mirror-backup.js'
+import { exportRoom, importCar, openRoomExport } from './car.js'
 
 /**
  * Simplified room manager using Y.js for state sync
@@ -15,6 +26,12 @@ import { onThumbnailReady } from './thumbnail-events.js'
 const enc = (obj) => new TextEncoder().encode(JSON.stringify(obj))
 const dec = (buf) => JSON.parse(new TextDecoder().decode(buf))
 
+// Our profile as presence fields (presence.js)
+const profilePresence = ({ name, color, avatar }) => ({ nickname: name, color, avatar })
+
+// Most chat search results returned
+const SEARCH_LIMIT = 50
+
 /**
  * @typedef {Object} FileEntry
  * @property {string} name
@@ -22,7 +39,12 @@ const dec = (buf) => JSON.parse(new TextDecoder().decode(buf))
  * @property {string} cid
  */
 
-export function createRoomManager(helia, fs) {
+/**
+ * @param {any} helia
+ * @param {any} fs
+ * @param {{privateKey?: any}} [options] - privateKey: our libp2p key, signs sync messages and grants
+ */
+export function createRoomManager(helia, fs, { privateKey = null } = {}) {
   const libp2p = helia?.libp2p
 
   // roomId -> Y.Doc (or Promise<Y.Doc>)
@@ -36,6 +58,33 @@ export function createRoomManager(helia, fs) {
 
   // Track observer cleanup functions to prevent duplicates
   const observerCleanups = new Map() // roomId -> [cleanup functions]
+  const docCleanups = new Map() // roomId -> [cleanup functions] of openYDoc's observers
+
+  // Called with the roomId when messages or files change in an open room
+  const activityListeners = new Set()
+
+  // Presence fields that are the same in every room (see presence.js)
+  const localPresence = { ...profilePresence(getProfile()), status: 'online' }
+
+  // Root CIDs we hold every block of; once complete, a CID isn't walked again
+  const localCids = new Set()
+  const checking = new Set() // roomIds being checked
+  const recheck = new Set() // roomIds that changed during their check
+
+  // Initial sync over /room-sync/1.0.0 with every peer we connect to (see room-sync.js)
+  const roomSync = libp2p && startRoomSync(libp2p, {
+    rooms: () => [...ydocs.keys()],
+    open: async (roomId) => ydocs.has(roomId) ? (await getYDoc(roomId)).syncHandler : null,
+    onUnsupported: (peerId, roomIds) => {
+      // Older clients: ask over gossipsub once they've told us their topics
+      setTimeout(async () => {
+        for (const roomId of roomIds) {
+          const subscribers = libp2p.services?.pubsub?.getSubscribers(ROOM_TOPIC(roomId)) || []
+          if (ydocs.has(roomId) && subscribers.some(p => p.toString() === peerId)) (await getYDoc(roomId)).requestSync()
+        }
+      }, 2000)
+    }
+  })
 
   /**
    * Get or create Y.Doc for a room
@@ -43,10 +92,11 @@ export function createRoomManager(helia, fs) {
    */
   async function getYDoc(roomId) {
     if (!ydocs.has(roomId)) {
-      const ydocPromise = createYDoc(roomId, libp2p)
+      const ydocPromise = openYDoc(roomId)
       ydocs.set(roomId, ydocPromise)
       const ydoc = await ydocPromise
       ydocs.set(roomId, ydoc) // Replace promise with actual doc
+      roomSync?.syncRoom(roomId)
       return ydoc
     }
     const existing = ydocs.get(roomId)
@@ -57,6 +107,107 @@ export function createRoomManager(helia, fs) {
     return existing
   }
 
+  /**
+   * Create the room's Y.Doc; encrypted rooms (room record has `key`) get the
+   * room key for sync payloads, and their files are registered for decryption.
+   * A `grant` from an upload-only / full-access invite lets us add ourselves as a writer.
+   */
+  async function openYDoc(roomId) {
+    const key = await getRoomKey(roomId)
+    const token = getRoom(roomId)?.grant
+    const grant = token ? parseGrant(token) : null
+    const onGrantRejected = () => toast('This invite link has expired or was already used - you have read-only access')
+    const owner = getRoom(roomId)?.owner || null
+    const ydoc = await createYDoc(roomId, libp2p, { key, privateKey, grant, owner, onGrantRejected })
+    ydoc.presence.set(localPresence)
+    // Removed again in destroyRoom
+    const cleanups = []
+    // Our profile goes into the doc once we may write it (e.g. after redeeming a grant)
+    const writers = ydoc.getMap('writers')
+    const onWriters = () => publishProfile(ydoc)
+    writers.observe(onWriters)
+    cleanups.push(() => writers.unobserve(onWriters))
+    publishProfile(ydoc)
+    // New files may be ones we already have (our own uploads)
+    cleanups.push(observeManifest(ydoc, () => refreshAvailability(roomId, ydoc)))
+    refreshAvailability(roomId, ydoc)
+    // Unread counts and notifications (see unread.js)
+    const activity = () => activityListeners.forEach(fn => fn(roomId))
+    ydoc.chat.observe(activity)
+    cleanups.push(() => ydoc.chat.unobserve(activity))
+    cleanups.push(observeManifest(ydoc, activity))
+    if (key) {
+      const register = () => registerFileKeys(listFiles(ydoc), key)
+      cleanups.push(observeManifest(ydoc, register))
+      register()
+    }
+    docCleanups.set(roomId, cleanups)
+    return ydoc
+  }
+
+  /**
+   * Get the room key (imported) for an encrypted room, or null
+   */
+  async function getRoomKey(roomId) {
+    const roomKey = getRoom(roomId)?.key
+    return roomKey ? importRoomKey(roomKey) : null
+  }
+
+  /**
+   * Our role in the room: 'owner' | 'write' | 'upload' | 'read' (see room-auth.js)
+   */
+  async function getAccess(roomId) {
+    const ydoc = await getYDoc(roomId)
+    return ydoc.role()
+  }
+
+  /**
+   * Whether our role allows an action ('upload' | 'edit' | 'chat' | 'invite')
+   */
+  async function canDo(roomId, action) {
+    return can(await getAccess(roomId), action)
+  }
+
+  // Peers would drop the change anyway; fail loudly instead of diverging locally
+  async function requireAccess(roomId, action) {
+    if (!(await canDo(roomId, action))) {
+      throw new Error(`Your access to this room doesn't allow ${action === 'edit' ? 'changing files' : action === 'chat' ? 'chatting' : action === 'upload' ? 'adding files' : 'inviting'}`)
+    }
+  }
+
+  /**
+   * Invite link for a room
+   * Keys, grants and the owner (pinned by invitees) ride in the fragment, which browsers never send to servers
+   * @param {string} roomId
+   * @param {{access?: 'read'|'upload'|'write', expiresAt?: number|null, single?: boolean}} [options]
+   *   access: what the recipient may do; upload / write links carry a signed grant
+   *   that can expire (`expiresAt`, ms timestamp) and be single-use
+   */
+  async function buildInviteURL(roomId, { access = 'read', expiresAt = null, single = false } = {}) {
+    const u = new URL(location.href)
+    u.searchParams.set('view', 'rooms')
+    u.searchParams.set('room', roomId)
+    const fragment = new URLSearchParams()
+    const key = getRoom(roomId)?.key
+    if (key) fragment.set('key', key)
+    const owner = getOwner(await getYDoc(roomId))
+    if (owner) fragment.set('owner', owner)
+    if (access !== 'read') {
+      await requireAccess(roomId, 'invite')
+      fragment.set('grant', await createGrant(privateKey, roomId, { role: access, expiresAt, single }))
+    }
+    u.hash = fragment.toString()
+    return u.toString()
+  }
+
+  /**
+   * Authorization header value for hub mirror uploads of the room's files (mirror-backup.js)
+   * The mirror takes it from the room's writers; null without our key
+   */
+  async function uploadAuthorization(roomId) {
+    return privateKey ? createUploadAuth(privateKey, roomId) : null
+  }
+
   /**
    * Subscribe to non-CRDT messages (file requests, etc)
    */
@@ -124,10 +275,18 @@ export function createRoomManager(helia, fs) {
 
   /**
    * Send chat message via Y.js
+   * @param {{replyTo?: string|null, files?: string[], about?: string|null}} [options]
+   *   replyTo: msgId of the message this answers; files: room files (CIDs) to attach;
+   *   about: CID of the file whose comment thread this goes to (see chat.js)
    */
-  async function sendChat(roomId, text, msgId) {
+  async function sendChat(roomId, text, msgId, { replyTo = null, files = [], about = null } = {}) {
+    await requireAccess(roomId, 'chat')
     const ydoc = await getYDoc(roomId)
     const from = libp2p?.peerId?.toString?.() || 'anon'
+    const inRoom = new Set(listFiles(ydoc).map(f => f.cid))
+    if (about && !inRoom.has(about)) throw new Error('That file is no longer in the room')
+    files = [...new Set(files)].filter(cid => inRoom.has(cid))
+    const mentions = await mentionsIn(roomId, text)
 
     console.log(`[Room ${roomId.slice(0,6)}] Sending chat:`)
     console.log(`  - Full peer ID: ${from}`)
@@ -135,19 +294,225 @@ export function createRoomManager(helia, fs) {
     console.log(`  - peerId available:`, !!libp2p?.peerId)
     console.log(`  - Text: "${text}"`)
 
-    addChatMsg(ydoc.chat, {
+    addChatMsg(ydoc.chat, await signChat(ydoc, {
       text,
       from,
       ts: Date.now(),
-      msgId: msgId || crypto.randomUUID()
-    })
+      msgId: msgId || crypto.randomUUID(),
+      ...(replyTo ? { replyTo } : {}),
+      ...(files.length ? { files } : {}),
+      ...(about ? { about } : {}),
+      ...(mentions.length ? { mentions } : {})
+    }))
+  }
+
+  // Chat entries of owned rooms carry our signature, so peers relaying them can't forge them (room-auth.js checkChatChange)
+  async function signChat(ydoc, entry) {
+    return privateKey && getOwner(ydoc) ? signMessage(privateKey, entry) : entry
+  }
+
+  /**
+   * Change the text of one of our messages
+   */
+  async function editChat(roomId, msgId, text) {
+    await requireAccess(roomId, 'chat')
+    const ydoc = await getYDoc(roomId)
+    const mentions = await mentionsIn(roomId, text)
+    putChatMsg(ydoc.chat, await signChat(ydoc, editedMessage(ydoc.chat, msgId, libp2p.peerId.toString(), text, { mentions })))
+  }
+
+  // Peers of the room that a message names with @ (see chat.js findMentions)
+  async function mentionsIn(roomId, text) {
+    if (!text.includes('@')) return []
+    const directory = await getProfiles(roomId)
+    const self = libp2p?.peerId?.toString?.()
+    const people = [...directory.keys()].filter(peerId => peerId !== self).map(peerId => ({ peerId, names: mentionNames(peerId, directory) }))
+    return findMentions(text, people)
+  }
+
+  /**
+   * Delete one of our messages (a tombstone keeps its place for replies)
+   */
+  async function deleteChat(roomId, msgId) {
+    await requireAccess(roomId, 'chat')
+    const ydoc = await getYDoc(roomId)
+    putChatMsg(ydoc.chat, await signChat(ydoc, deletedMessage(ydoc.chat, msgId, libp2p.peerId.toString())))
+  }
+
+  /**
+   * Add our emoji reaction to any message, or take it back
+   * @returns {Promise<boolean>} Whether the reaction is now on
+   */
+  async function reactToChat(roomId, msgId, emoji) {
+    await requireAccess(roomId, 'chat')
+    const ydoc = await getYDoc(roomId)
+    return toggleReaction(ydoc.reactions, msgId, libp2p.peerId.toString(), emoji)
+  }
+
+  /**
+   * Full-text search of the chat (file comments included) of one room or every open room
+   * @param {string} query - Every word must appear (chat.js searchMessages)
+   * @param {string|null} [roomId] - All open rooms when omitted
+   * @returns {Promise<{roomId: string, message: import('./chat.js').ChatMessage}[]>} Newest first
+   */
+  async function searchChat(query, roomId = null) {
+    const results = []
+    for (const id of roomId ? [roomId] : [...ydocs.keys()]) {
+      const ydoc = await getYDoc(id)
+      for (const message of searchMessages(getChatMessages(ydoc.chat), query)) results.push({ roomId: id, message })
+    }
+    return results.sort((a, b) => b.message.ts - a.message.ts).slice(0, SEARCH_LIMIT)
+  }
+
+  /**
+   * Update our presence in every open room
+   * @param {{nickname?: string|null, color?: string|null, avatar?: string|null, status?: 'online'|'idle'}} fields
+   */
+  function setPresence(fields) {
+    Object.assign(localPresence, fields)
+    for (const ydoc of ydocs.values()) {
+      if (!(ydoc instanceof Promise)) ydoc.presence.set(fields)
+    }
+  }
+
+  /**
+   * Change our profile (name, colour, avatar CID) everywhere: presence, and
+   * the docs of open rooms we may write to
+   * @param {import('./profile.js').Profile} profile
+   */
+  function setProfile(profile) {
+    const clean = cleanProfile(profile)
+    saveProfile(clean)
+    setPresence(profilePresence(clean))
+    for (const ydoc of ydocs.values()) {
+      if (!(ydoc instanceof Promise)) publishProfile(ydoc)
+    }
+  }
+
+  // Sign our profile into the room doc; readers would have it dropped, so they rely on presence
+  function publishProfile(ydoc) {
+    if (!privateKey || !can(ydoc.role(), 'upload')) return
+    writeProfile(ydoc, privateKey, getProfile()).catch(err => console.warn('[Room] Failed to publish profile:', err.message))
+  }
+
+  /**
+   * Names, colours and avatars of peers (profile.js peerDirectory), from the
+   * room's doc and presence, with our local nicknames for them
+   * @param {string|null} [roomId] - All open rooms when omitted
+   */
+  async function getProfiles(roomId = null) {
+    const docs = roomId ? [await getYDoc(roomId)] : [...ydocs.values()].filter(ydoc => !(ydoc instanceof Promise))
+    const profiles = new Map()
+    const people = []
+    for (const ydoc of docs) {
+      for (const [peerId, profile] of await readProfiles(ydoc)) profiles.set(peerId, profile)
+      people.push(...ydoc.presence.list())
+    }
+    return peerDirectory(profiles, people, getPeers())
+  }
+
+  /**
+   * Listen for new or changed messages and files in any open room
+   * @param {(roomId: string) => void} fn
+   * @returns {() => void} Stops listening
+   */
+  function onActivity(fn) {
+    activityListeners.add(fn)
+    return () => activityListeners.delete(fn)
+  }
+
+  // The doc of a room that's already open, without opening it
+  const openDoc = (roomId) => {
+    const ydoc = ydocs.get(roomId)
+    return ydoc && !(ydoc instanceof Promise) ? ydoc : null
+  }
+
+  /**
+   * New messages and files since we last read the room (unread.js), or null
+   * if the room isn't open. A room we have no marker for starts out read.
+   * @param {string} roomId
+   * @returns {import('./unread.js').Unread|null}
+   */
+  function getUnread(roomId) {
+    const ydoc = openDoc(roomId)
+    if (!ydoc) return null
+    const lastRead = getRoom(roomId)?.lastRead
+    if (!lastRead) markRead(roomId)
+    return countUnread(ydoc, lastRead, libp2p?.peerId?.toString?.() || '')
+  }
+
+  /**
+   * Move the room's last-read marker to what it holds now
+   * @param {string} roomId
+   */
+  function markRead(roomId) {
+    const ydoc = openDoc(roomId)
+    if (!ydoc) return
+    const marker = readMarker(ydoc)
+    if (JSON.stringify(marker) !== JSON.stringify(getRoom(roomId)?.lastRead)) setLastRead(roomId, marker)
+  }
+
+  /**
+   * Show the room what we're downloading from it (null when done)
+   */
+  async function setDownloading(roomId, name) {
+    const ydoc = await getYDoc(roomId)
+    ydoc.presence.set({ downloading: name })
+  }
+
+  /**
+   * Advertise which of the room's files we hold completely (`have` in our
+   * presence), so others know whether a download will find a provider
+   * Call after fetching files; new manifest entries are checked automatically.
+   */
+  async function refreshAvailability(roomId, ydoc = null) {
+    if (!helia?.blockstore) return
+    if (checking.has(roomId)) {
+      recheck.add(roomId)
+      return
+    }
+    checking.add(roomId)
+    try {
+      ydoc = ydoc || await getYDoc(roomId)
+      do {
+        recheck.delete(roomId)
+        const have = []
+        for (const { cid } of listFiles(ydoc)) {
+          if (!localCids.has(cid) && await hasDag(helia.blockstore, cid).catch(() => false)) localCids.add(cid)
+          if (localCids.has(cid)) have.push(cid)
+        }
+        ydoc.presence.set({ have })
+      } while (recheck.has(roomId))
+    } finally {
+      checking.delete(roomId)
+    }
+  }
+
+  /**
+   * Who's in the room right now, us first (see presence.js)
+   */
+  async function getPresence(roomId) {
+    const ydoc = await getYDoc(roomId)
+    return ydoc.presence.list()
   }
 
   /**
    * Update manifest via Y.js
+   * Files are merged by CID - entries not in `manifest.files` are left alone
+   * Upload-only access adds new files and folders only; existing entries are kept as they are
    */
   async function setManifest(roomId, manifest) {
+    await requireAccess(roomId, 'upload')
     const ydoc = await getYDoc(roomId)
+    if (!(await canDo(roomId, 'edit'))) {
+      const files = ydoc.getMap('files')
+      const folders = ydoc.getMap('folders')
+      manifest = {
+        ...manifest,
+        files: (manifest.files || []).filter(f => !files.has(fileKey(f))),
+        folders: (manifest.folders || []).filter(f => !folders.has(f.path))
+      }
+    }
     updateManifest(ydoc.manifest, manifest)
   }
 
@@ -156,11 +521,44 @@ export function createRoomManager(helia, fs) {
    */
   async function getManifest(roomId) {
     const ydoc = await getYDoc(roomId)
-    const files = ydoc.manifest.get('files') || []
-    return {
-      files: files.map(f => ({ ...f })),
-      updatedAt: ydoc.manifest.get('updatedAt') || Date.now()
-    }
+    return manifestToJSON(ydoc.manifest)
+  }
+
+  /**
+   * Remove files from a room (tombstoned, restorable)
+   * @param {string[]} keys - File keys (see fileKey in manifest.js: path or CID)
+   */
+  async function removeFiles(roomId, keys) {
+    await requireAccess(roomId, 'edit')
+    const ydoc = await getYDoc(roomId)
+    tombstoneFiles(ydoc, keys, libp2p?.peerId?.toString?.())
+  }
+
+  /**
+   * Restore previously removed files
+   * @param {string[]} keys
+   */
+  async function restoreFiles(roomId, keys) {
+    await requireAccess(roomId, 'edit')
+    const ydoc = await getYDoc(roomId)
+    untombstoneFiles(ydoc, keys)
+  }
+
+  /**
+   * Rename a file in the room manifest
+   */
+  async function renameFile(roomId, key, name) {
+    await requireAccess(roomId, 'edit')
+    const ydoc = await getYDoc(roomId)
+    return renameManifestFile(ydoc, key, name)
+  }
+
+  /**
+   * Get removed (tombstoned) files, most recent first
+   */
+  async function getRemovedFiles(roomId) {
+    const ydoc = await getYDoc(roomId)
+    return listRemovedFiles(ydoc)
   }
 
   /**
@@ -196,40 +594,43 @@ export function createRoomManager(helia, fs) {
     // If we have a manifest, we're the host - set it (only on first join)
     if (manifest && !alreadyJoined) {
       console.log(`[Room ${roomId.slice(0, 6)}] Setting initial manifest as host (${manifest.files?.length || 0} files)`)
+      // The creator owns the room; only writers they invite can change it
+      const claim = privateKey ? await createClaim(privateKey, roomId) : null
+      if (claimRoom(ydoc, libp2p.peerId.toString(), claim)) {
+        console.log(`[Room ${roomId.slice(0, 6)}] Claimed ownership`)
+      }
       updateManifest(ydoc.manifest, manifest)
     }
 
     // Watch for manifest changes
     if (onManifestUpdate) {
       const observer = () => {
-        const files = ydoc.manifest.get('files') || []
-        console.log(`[Room ${roomId.slice(0, 6)}] Manifest observer fired, ${files.length} files:`, files.map(f => f.name))
-        const manifestObj = {
-          files: files.map(f => ({ ...f })),
-          updatedAt: ydoc.manifest.get('updatedAt') || Date.now()
-        }
+        const manifestObj = manifestToJSON(ydoc.manifest)
+        console.log(`[Room ${roomId.slice(0, 6)}] Manifest observer fired, ${manifestObj.files.length} files:`, manifestObj.files.map(f => f.name))
         console.log(`[Room ${roomId.slice(0, 6)}] Calling onManifestUpdate callback with:`, manifestObj)
         onManifestUpdate(manifestObj)
       }
-      ydoc.manifest.observe(observer)
-      cleanups.push(() => ydoc.manifest.unobserve(observer))
+      cleanups.push(observeManifest(ydoc, observer))
+      // Ownership / writer changes switch the room between read-only and read-write
+      for (const map of [ydoc.getMap('access'), ydoc.getMap('writers')]) {
+        map.observe(observer)
+        cleanups.push(() => map.unobserve(observer))
+      }
       observer() // Trigger initial
     }
 
     // Watch for new files (auto-pin)
     if (onNewFiles) {
-      let prevFiles = new Set((ydoc.manifest.get('files') || []).map(f => f.cid))
+      let prevFiles = new Set(listFiles(ydoc).map(f => f.cid))
       const observer = () => {
-        const files = ydoc.manifest.get('files') || []
-        const currentFiles = new Set(files.map(f => f.cid))
+        const currentFiles = new Set(listFiles(ydoc).map(f => f.cid))
         const newCids = [...currentFiles].filter(cid => !prevFiles.has(cid))
         if (newCids.length > 0) {
           onNewFiles(newCids)
           prevFiles = currentFiles
         }
       }
-      ydoc.manifest.observe(observer)
-      cleanups.push(() => ydoc.manifest.unobserve(observer))
+      cleanups.push(observeManifest(ydoc, observer))
     }
 
     // Handle file requests (for all peers) - only on first join
@@ -257,6 +658,10 @@ export function createRoomManager(helia, fs) {
    * Destroy a room's Y.Doc
    */
   function destroyRoom(roomId) {
+    for (const cleanups of [observerCleanups, docCleanups]) {
+      cleanups.get(roomId)?.forEach(fn => fn())
+      cleanups.delete(roomId)
+    }
     const ydoc = ydocs.get(roomId)
     if (ydoc && typeof ydoc.destroy === 'function') {
       ydoc.destroy()
@@ -268,35 +673,90 @@ export function createRoomManager(helia, fs) {
 
   return {
     getYDoc,
+    getRoomKey,
+    getAccess,
+    canDo,
+    buildInviteURL,
+    uploadAuthorization,
     subscribe,
     publish,
     requestFiles,
     sendChat,
+    editChat,
+    deleteChat,
+    reactToChat,
+    searchChat,
     setManifest,
     getManifest,
+    removeFiles,
+    restoreFiles,
+    renameFile,
+    getRemovedFiles,
+    setPresence,
+    setProfile,
+    getProfiles,
+    onActivity,
+    getUnread,
+    markRead,
+    setDownloading,
+    refreshAvailability,
+    getPresence,
     join,
     destroyRoom
   }
 }
 
+// Max tombstoned files listed in the "Recently removed" panel
+const RECENTLY_REMOVED_LIMIT = 20
+
+// Chat messages rendered at first, and added by each "Load earlier"
+const CHAT_PAGE = 100
+
+// cid -> comments still shown (not deleted) in each file's thread
+const commentCounts = (threads) =>
+  new Map([...threads].map(([cid, thread]) => [cid, thread.filter((m) => !m.deleted).length]));
+
 /**
  * Room UI management: rendering, event binding, subscriptions
  */
 export class RoomUI {
-  constructor({ rooms, fs, libp2p, helia, onProgress }) {
+  constructor({ rooms, fs, libp2p, helia, downloads, onProgress, onOpenRoom }) {
     this.rooms = rooms;
     this.fs = fs;
     this.libp2p = libp2p;
     this.helia = helia;
+    this.downloads = downloads; // Persistent queue, resumes after reloads
     this.onProgress = onProgress;
+    this.onOpenRoom = onOpenRoom; // Navigate to another room (search results)
     this.activeRoomId = null;
     this.chatUnsub = null;
     this.thumbnailUnsub = null;
+    this.presenceUnsub = null;
+    this.availability = fileAvailability([]); // Seeders per file, from presence
+    this.directory = new Map(); // peerId -> name, colour, avatar (profile.js peerDirectory)
+    this.canChat = false; // Our role allows chatting in the active room
+    this.replyTo = null; // msgId the next chat message answers
+    this.attachments = []; // {cid, name} of room files going with the next chat message
+    this.commentsFor = null; // CID of the file whose comment thread is open
+    this.chatWindow = CHAT_PAGE; // Latest messages rendered in the room chat
+    this.jumpTo = null; // msgId of a search result to show once the chat renders
+    this.search = { query: "", scope: "room" }; // Chat search, kept across re-renders
     this.thumbnails = {}; // cid -> data URL
     this.viewMode = localStorage.getItem('room-view-mode') || 'list'; // Persist preference
+    this.currentPath = ''; // Folder being browsed in the active room
+    this.selected = new Set(); // File keys ticked for "Download selected"
   }
 
   setActiveRoom(roomId) {
+    if (roomId !== this.activeRoomId) {
+      this.currentPath = '';
+      this.selected.clear();
+      this.replyTo = null;
+      this.attachments = [];
+      this.commentsFor = null;
+      this.chatWindow = CHAT_PAGE;
+      document.getElementById("file-comments-modal")?.classList.add("hidden");
+    }
     this.activeRoomId = roomId;
   }
 
@@ -344,10 +804,11 @@ export class RoomUI {
         try {
           // Use retry for opening - needed for bitswap sync (protobuf errors)
           const blob = await fetchFileAsBlobWithRetry(this.fs, file.cid, file.name, (loaded, total) => {
-            this.onProgress(true, loaded, total, `${loaded} bytes`);
-          });
+            this.onProgress(true, loaded, total, `${formatBytes(loaded)} / ${formatBytes(total)}`);
+          }, file.size);
 
           console.log(`[Room] ✓ Blob fetched successfully`);
+          this.rooms.refreshAvailability(roomId);
           console.log(`[Room] Blob before viewer:`, {
             size: blob.size,
             type: blob.type,
@@ -381,27 +842,95 @@ export class RoomUI {
       };
 
       filesUl.onclick = async (e) => {
+        // Selection checkbox: only toggles, never opens the file
+        const box = e.target.closest("input[data-select]");
+        if (box) {
+          if (box.checked) this.selected.add(box.dataset.select);
+          else this.selected.delete(box.dataset.select);
+          updateSelectionCount(this.selected.size);
+          return;
+        }
+
         const target = e.target.closest("button[data-action]");
 
         // Handle download button
         if (target?.dataset.action === "download-file") {
           const cid = target.dataset.cid;
           const name = target.dataset.name || "file";
+          const size = Number(target.dataset.size) || 0;
           if (!cid) return;
+          // Not blocking: the save picker needs the click's user activation
+          if (!this.availability.local.has(cid) && !this.availability.seeders.get(cid)) {
+            toast(`Nobody online has all of ${name} right now - the download will wait for someone who does`);
+          }
+          // Recorded first so a reload mid-download resumes fetching the blocks
+          const entry = this.downloads?.add(roomId, { cid, name, size }, { fetch: false });
+          this.rooms.setDownloading(roomId, name);
           try {
-            this.onProgress(true, 0, 0, "Downloading…");
-            const blob = await fetchFileAsBlobWithRetry(this.fs, cid, name, (loaded, total) => {
-              this.onProgress(true, loaded, total, `${loaded} bytes`);
+            // Streams to disk; the save picker must open before any other await
+            this.onProgress(true, 0, size, "Downloading…");
+            const saved = await saveFileStream(this.fs, { cid, name, size }, (loaded, total) => {
+              this.onProgress(true, loaded, total, `${formatBytes(loaded)} / ${formatBytes(total)}`);
+              if (entry) this.downloads.progress(entry.id, loaded);
             });
-            downloadFile(blob, name);
+            if (saved) {
+              if (entry) this.downloads.complete(entry.id);
+              this.rooms.refreshAvailability(roomId);
+              toast(`Downloaded ${name}`);
+            } else if (entry && entry.status !== "complete") {
+              this.downloads.remove(entry.id); // Save dialog dismissed
+            }
           } catch (err) {
             console.error(err);
+            if (entry && entry.status !== "complete") this.downloads.fail(entry.id, err.message || "Download failed");
+            if (err.name !== "AbortError") toast(`Download failed: ${err.message || "Unknown error"}`);
           } finally {
             this.onProgress(false);
+            this.rooms.setDownloading(roomId, null);
           }
           return;
         }
 
+        // Rename: only the name field changes, so it merges with concurrent edits
+        if (target?.dataset.action === "rename-file") {
+          const key = target.dataset.key;
+          if (!key) return;
+          const next = prompt("Rename file", target.dataset.name || "")?.trim();
+          if (!next || next === target.dataset.name) return;
+          await this.rooms.renameFile(roomId, key, next);
+          return;
+        }
+
+        // Remove: tombstoned in the manifest, restorable from "Recently removed"
+        if (target?.dataset.action === "remove-file") {
+          const key = target.dataset.key;
+          if (!key) return;
+          await this.rooms.removeFiles(roomId, [key]);
+          toast(`Removed ${target.dataset.name || "file"}`);
+          return;
+        }
+
+        // One file as a CAR, for another machine or a hub
+        if (target?.dataset.action === "export-car") {
+          if (target.dataset.key) await this.exportCar(roomId, new Set([target.dataset.key]));
+          return;
+        }
+
+        // The file's comment thread
+        if (target?.dataset.action === "file-comments") {
+          await this.showFileComments(roomId, target.dataset.cid, target.dataset.name || "file");
+          return;
+        }
+
+        // Attach to the next chat message
+        if (target?.dataset.action === "attach-file") {
+          const cid = target.dataset.cid;
+          if (cid && !this.attachments.some((a) => a.cid === cid)) this.attachments.push({ cid, name: target.dataset.name || "file" });
+          renderChatAttachments(this.attachments);
+          document.getElementById("chat-input")?.focus();
+          return;
+        }
+
         // Single-click on list item or "Open" button opens file with navigation
         const clickedItem = e.target.closest("[data-idx]");
         const openButton = target?.dataset.action === "open-file";
@@ -445,20 +974,76 @@ export class RoomUI {
         }
       };
       queueMicrotask(() => {
-        const first = filesUl.querySelector('[data-idx="0"]');
+        const first = filesUl.querySelector('[data-idx]');
         if (first) first.classList.add("is-selected");
       });
     }
 
+    // Folder tree, breadcrumbs and folder rows (nav + download subtree)
+    const filesPanel = document.getElementById("room-files-panel");
+    if (filesPanel) {
+      filesPanel.onclick = async (e) => {
+        const target = e.target.closest("button[data-action]");
+        if (target?.dataset.action === "nav-folder") {
+          e.preventDefault(); // Don't toggle the surrounding <details>
+          this.currentPath = target.dataset.path || '';
+          await this.render(roomId);
+          return;
+        }
+        if (target?.dataset.action === "download-folder") {
+          e.preventDefault();
+          await this.downloadFolder(roomId, target.dataset.path || '');
+          return;
+        }
+        if (target?.dataset.action === "download-all") {
+          await this.downloadZip(roomId);
+          return;
+        }
+        if (target?.dataset.action === "download-selected") {
+          await this.downloadZip(roomId, this.selected);
+          return;
+        }
+        if (target?.dataset.action === "export-car-selected") {
+          await this.exportCar(roomId, this.selected);
+          return;
+        }
+        if (target?.dataset.action === "clear-selection") {
+          this.selected.clear();
+          await this.render(roomId);
+          return;
+        }
+        const folderRow = !target && e.target.closest("[data-folder]");
+        if (folderRow) {
+          this.currentPath = folderRow.dataset.folder;
+          await this.render(roomId);
+        }
+      };
+    }
+
+    const removedPanel = document.getElementById("room-removed");
+    if (removedPanel) {
+      removedPanel.onclick = async (e) => {
+        const target = e.target.closest('button[data-action="restore-file"]');
+        if (!target?.dataset.key) return;
+        await this.rooms.restoreFiles(roomId, [target.dataset.key]);
+        toast("File restored");
+      };
+    }
+
     const input = document.getElementById("chat-input");
     const send = document.getElementById("btn-chat-send");
     if (send && input) {
       const sendNow = async () => {
         const text = input.value.trim();
-        if (!text) return;
+        if (!text && !this.attachments.length) return;
         const mid = crypto.randomUUID();
-        this.rooms.sendChat(roomId, text, mid).catch(() => {});
+        const files = this.attachments.map((a) => a.cid);
+        this.rooms.sendChat(roomId, text, mid, { replyTo: this.replyTo, files }).catch((err) => toast(err.message));
         input.value = "";
+        this.replyTo = null;
+        this.attachments = [];
+        renderChatReply(null);
+        renderChatAttachments([]);
       };
       send.onclick = sendNow;
       input.onkeydown = (e) => {
@@ -469,29 +1054,290 @@ export class RoomUI {
       };
     }
 
+    // Message actions: reply, react, and edit / delete our own
+    const chatBox = document.getElementById("chat-box");
+    if (chatBox) {
+      chatBox.onclick = (e) => this.onChatAction(roomId, e, () => input?.focus());
+    }
+    // Chat search: this room or every joined one; results jump to the message
+    const search = document.getElementById("chat-search");
+    const scope = document.getElementById("chat-search-scope");
+    if (search && scope) {
+      let timer = null;
+      search.value = this.search.query;
+      scope.value = this.search.scope;
+      search.oninput = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => this.searchChat(roomId, search.value, scope.value), 200);
+      };
+      search.onkeydown = (e) => {
+        if (e.key === "Escape") {
+          search.value = "";
+          this.searchChat(roomId, "", scope.value);
+        }
+      };
+      scope.onchange = () => this.searchChat(roomId, search.value, scope.value);
+      if (this.search.query) this.searchChat(roomId, this.search.query, this.search.scope);
+    }
+    const results = document.getElementById("chat-search-results");
+    if (results) {
+      results.onclick = (e) => {
+        const btn = e.target.closest('button[data-action="open-result"]');
+        if (btn) this.openSearchResult(btn.dataset.room, btn.dataset.msg).catch((err) => toast(err.message));
+      };
+    }
+    const attachmentsBar = document.getElementById("chat-attachments");
+    if (attachmentsBar) {
+      attachmentsBar.onclick = (e) => {
+        const btn = e.target.closest('button[data-action="detach-file"]');
+        if (!btn) return;
+        this.attachments = this.attachments.filter((a) => a.cid !== btn.dataset.cid);
+        renderChatAttachments(this.attachments);
+      };
+    }
+    const replyBar = document.getElementById("chat-reply");
+    if (replyBar) {
+      replyBar.onclick = (e) => {
+        if (!e.target.closest('button[data-action="cancel-reply"]')) return;
+        this.replyTo = null;
+        renderChatReply(null);
+      };
+    }
+
+    // Our profile, and local nicknames for the others in the presence strip
+    const presence = document.getElementById("room-presence");
+    if (presence) {
+      presence.onclick = (e) => {
+        const btn = e.target.closest("button[data-action]");
+        if (btn?.dataset.action === "edit-profile") this.showProfileEditor().catch((err) => console.error(err));
+        if (btn?.dataset.action === "nickname-peer" && this.editPeerNickname(btn.dataset.peer)) this.refreshDirectory(roomId);
+      };
+    }
+
     const shareBtn = document.getElementById("btn-share-room");
     if (shareBtn) {
       shareBtn.onclick = () => {
-        try {
-          const link = this.buildInviteURL(roomId);
-          this.showRoomQR(link);
-        } catch (e) {
-          console.error(e);
-        }
+        this.showRoomQR(roomId).catch((e) => console.error(e));
       };
     }
+
+    const backupBtn = document.getElementById("btn-backup-room");
+    if (backupBtn) backupBtn.onclick = () => this.backupRoom(roomId);
+
+    const exportBtn = document.getElementById("btn-export-car");
+    if (exportBtn) exportBtn.onclick = () => this.exportCar(roomId);
   }
 
-  buildInviteURL(roomId) {
-    const u = new URL(location.href);
-    u.searchParams.set("view", "rooms");
-    u.searchParams.set("room", roomId);
-    return u.toString();
+  /**
+   * Send the room's files we hold to the hub mirror (mirror-backup.js)
+   * @param {string} roomId
+   */
+  async backupRoom(roomId) {
+    const manifest = await this.rooms.getManifest(roomId);
+    const files = manifest?.files || [];
+    if (!files.length) return;
+    this.onProgress(true, 0, 0, "Checking what the mirror has…");
+    try {
+      const result = await backupToMirror(this.helia.blockstore, files, {
+        mirrorUrl: MIRROR_URL,
+        authorization: () => this.rooms.uploadAuthorization(roomId),
+        onProgress: (sent, total) => this.onProgress(true, sent, total, `Backing up: ${sent}/${total} blocks`),
+      });
+      const notes = [
+        result.skipped.length ? `${result.skipped.length} not downloaded here skipped` : "",
+        result.failed.length ? `${result.failed.length} couldn't be pinned` : "",
+      ].filter(Boolean);
+      toast(`Backed up ${result.files} file(s) to the mirror (${formatBytes(result.bytes)} sent)${notes.length ? ` - ${notes.join(", ")}` : ""}`);
+    } catch (err) {
+      console.error(`Failed to back up room ${roomId}:`, err);
+      toast(`Backup failed: ${err.message || "Unknown error"}`);
+    } finally {
+      this.onProgress(false);
+    }
   }
 
-  async showRoomQR(link) {
+  async downloadFolder(roomId, path) {
+    const manifest = await this.rooms.getManifest(roomId);
+    this.onProgress(true, 0, 0, "Downloading folder…");
+    this.rooms.setDownloading(roomId, `${path || "all files"}/`);
+    try {
+      const count = await downloadFolder(this.fs, manifest.files, path, (done, total) => {
+        this.onProgress(true, done, total, `${done}/${total} files`);
+      });
+      toast(`Downloaded ${count} file(s)`);
+      this.rooms.refreshAvailability(roomId);
+    } catch (err) {
+      // User closing the directory picker is not an error
+      if (err?.name !== "AbortError") {
+        console.error(`Failed to download folder ${path}:`, err);
+        toast(`Folder download failed: ${err.message || "Unknown error"}`);
+      }
+    } finally {
+      this.onProgress(false);
+      this.rooms.setDownloading(roomId, null);
+    }
+  }
+
+  /**
+   * Save the room (or the files whose keys are in `keys`) as one streamed ZIP
+   * @param {string} roomId
+   * @param {Set<string>} [keys] - Selected file keys; all files when omitted
+   */
+  async downloadZip(roomId, keys) {
+    const manifest = await this.rooms.getManifest(roomId);
+    const files = keys ? manifest.files.filter((f) => keys.has(fileKey(f))) : manifest.files;
+    if (!files.length) return;
+    const roomName = getRoom(roomId)?.name || `room-${roomId.slice(0, 6)}`;
+    const zipName = `${roomName.replace(/[\\/:*?"<>|]+/g, "_")}${keys ? "-selection" : ""}.zip`;
+
+    this.onProgress(true, 0, 0, `Zipping ${files.length} file(s)…`);
+    this.rooms.setDownloading(roomId, zipName);
+    try {
+      const saved = await saveZipStream(this.fs, files, zipName, (loaded, total, path) => {
+        this.onProgress(true, loaded, total, `${formatBytes(loaded)} / ${formatBytes(total)} · ${path}`);
+      });
+      if (saved) {
+        toast(`Saved ${files.length} file(s) to ${zipName}`);
+        this.rooms.refreshAvailability(roomId);
+      }
+    } catch (err) {
+      if (err?.name !== "AbortError") {
+        console.error(`Failed to zip room ${roomId}:`, err);
+        toast(`ZIP download failed: ${err.message || "Unknown error"}`);
+      }
+    } finally {
+      this.onProgress(false);
+      this.rooms.setDownloading(roomId, null);
+    }
+  }
+
+  /**
+   * Save files we hold as a CAR (car.js) with the room manifest as its first root,
+   * to carry to another machine or seed a hub with
+   * @param {string} roomId
+   * @param {Set<string>} [keys] - File keys (one file or the selection); the whole room, folders included, when omitted
+   */
+  async exportCar(roomId, keys) {
+    const manifest = await this.rooms.getManifest(roomId);
+    const files = keys ? manifest.files.filter((f) => keys.has(fileKey(f))) : manifest.files;
+    if (!files.length) return;
+    const roomName = getRoom(roomId)?.name || `room-${roomId.slice(0, 6)}`;
+    const base = keys?.size === 1 ? files[0].name : `${roomName}${keys ? "-selection" : ""}`;
+    const carName = `${base.replace(/[\\/:*?"<>|]+/g, "_")}.car`;
+
+    const prepare = async () => {
+      this.onProgress(true, 0, 0, "Collecting blocks…");
+      const car = await exportRoom(this.helia.blockstore, {
+        roomId,
+        name: getRoom(roomId)?.name || "",
+        files,
+        folders: keys ? [] : manifest.folders,
+      }, { key: await this.rooms.getRoomKey(roomId) });
+      if (!car.files.length) throw new Error("None of these files are fully downloaded here");
+      return car;
+    };
+    try {
+      const car = await saveCarStream(prepare, carName, (written, total) => {
+        this.onProgress(true, written, total, `Exporting: ${written}/${total} blocks`);
+      });
+      if (car) {
+        const skipped = car.skipped.length ? ` - ${car.skipped.length} not downloaded here left out` : "";
+        toast(`Saved ${car.files.length} file(s) to ${carName}${skipped}`);
+      }
+    } catch (err) {
+      if (err?.name !== "AbortError") {
+        console.error(`Failed to export room ${roomId} as CAR:`, err);
+        toast(`CAR export failed: ${err.message || "Unknown error"}`);
+      }
+    } finally {
+      this.onProgress(false);
+    }
+  }
+
+  /**
+   * Import a CAR: its blocks go into the blockstore, and the room it was
+   * exported from is recreated (or its files added, if we have that room)
+   * @param {File} file
+   */
+  async importCarFile(file) {
+    this.onProgress(true, 0, file.size, `Importing ${file.name}…`);
+    try {
+      let read = 0;
+      const result = await importCar(this.helia.blockstore, readFileStream(file, null, (bytes) => {
+        read += bytes;
+        this.onProgress(true, read, file.size, `${formatBytes(read)} / ${formatBytes(file.size)}`);
+      }));
+      const damaged = result.rejected.length ? ` (${result.rejected.length} damaged block(s) left out)` : "";
+      const [exported] = result.rooms;
+      if (!exported) {
+        toast(`Imported ${result.stored} block(s) from ${file.name}${damaged} - it holds no room to open`);
+        return;
+      }
+      const restored = await this.restoreRoom(exported);
+      if (!restored) {
+        toast(`Imported ${result.stored} block(s)${damaged} - the room needs its key to open`);
+        return;
+      }
+      toast(`${restored.created ? "Recreated" : "Added to"} room ${restored.name}: ${restored.files} file(s)${damaged}`);
+      await this.onOpenRoom(restored.roomId);
+    } catch (err) {
+      console.error(`Failed to import ${file.name}:`, err);
+      toast(`CAR import failed: ${err.message || "Unknown error"}`);
+    } finally {
+      this.onProgress(false);
+    }
+  }
+
+  /**
+   * The room of a CAR's room manifest: files are added to it if we have it,
+   * otherwise it is recreated as a new room we own. Claiming its original ID
+   * offline would clash with its owner once the machines meet.
+   * @param {import('./car.js').RoomExport} exported
+   * @returns {Promise<{roomId: string, name: string, files: number, created: boolean}|null>} null without the key of an encrypted room
+   */
+  async restoreRoom(exported) {
+    const known = getRoom(exported.roomId);
+    let key = known?.key || null;
+    if (exported.sealed && !key) {
+      const input = prompt("This room is encrypted. Paste its invite link (or key) to import it")?.trim();
+      if (!input) return null;
+      key = input.includes("#") ? keyFromFragment(input.slice(input.indexOf("#"))) : input;
+    }
+    let cryptoKey = null;
+    if (key) {
+      try {
+        cryptoKey = await importRoomKey(key);
+      } catch {
+        throw new Error("That is not a key for this room");
+      }
+    }
+    const manifest = await openRoomExport(exported, cryptoKey);
+
+    if (known) {
+      await this.rooms.setManifest(exported.roomId, manifest);
+      saveRoom({ id: exported.roomId, manifest: await this.rooms.getManifest(exported.roomId), ...(key && !known.key ? { key } : {}) });
+      return { roomId: exported.roomId, name: known.name || `Room ${exported.roomId.slice(0, 6)}`, files: manifest.files.length, created: false };
+    }
+    const room = {
+      id: crypto.randomUUID(),
+      name: manifest.name || `Room ${exported.roomId.slice(0, 6)}`,
+      manifest,
+      ...(key ? { key } : {}),
+      createdAt: Date.now(),
+      lastSeen: Date.now(),
+    };
+    saveRoom(room);
+    // Join as host, like a room created from a drop
+    await this.rooms.join(room.id, { manifest });
+    return { roomId: room.id, name: room.name, files: manifest.files.length, created: true };
+  }
+
+  async showRoomQR(roomId) {
     // Import QRCode dynamically if needed
     const QRCode = (await import('qrcode')).default;
+    const canInvite = await this.rooms.canDo(roomId, "invite");
+    // Rooms without an owner (created before access control) give everyone full access
+    const open = !getOwner(await this.rooms.getYDoc(roomId));
 
     // Create or show QR modal
     let modal = document.getElementById("room-qr-modal");
@@ -503,24 +1349,80 @@ export class RoomUI {
         <div class="bg-white rounded-lg p-6 max-w-sm mx-4 relative">
           <button id="close-qr-modal" class="absolute top-2 right-2 text-gray-500 hover:text-gray-700 text-2xl leading-none">&times;</button>
           <h3 class="font-semibold mb-3">Share room</h3>
+          <label class="flex items-center gap-2 text-sm mb-2">
+            Access
+            <select id="share-access" class="border rounded px-2 py-1 flex-1">
+              <option value="read">Read-only (download)</option>
+              <option value="upload">Upload-only</option>
+              <option value="write">Full access</option>
+            </select>
+          </label>
+          <p id="share-open-warning" class="hidden text-xs text-amber-700 bg-amber-50 rounded p-2 mb-2">
+            This room has no owner, so everyone who joins can change it: read-only and upload-only links aren't possible here.
+          </p>
+          <div id="share-grant-options" class="flex items-center gap-3 text-sm mb-3">
+            <label class="flex items-center gap-2">
+              Expires
+              <select id="share-expiry" class="border rounded px-2 py-1">
+                <option value="0">Never</option>
+                <option value="3600000">in 1 hour</option>
+                <option value="86400000">in 1 day</option>
+                <option value="604800000">in 7 days</option>
+                <option value="2592000000">in 30 days</option>
+              </select>
+            </label>
+            <label class="flex items-center gap-1"><input id="share-single" type="checkbox"/> Single use</label>
+          </div>
           <canvas id="room-qr-canvas" class="w-full border rounded mb-3"></canvas>
-          <div class="text-sm text-gray-600 break-all mb-2">${link}</div>
+          <div id="room-qr-link" class="text-sm text-gray-600 break-all mb-2"></div>
           <button id="copy-qr-link" class="w-full px-3 py-2 bg-blue-600 text-white rounded hover:bg-blue-700">Copy link</button>
         </div>
       `;
       document.body.appendChild(modal);
     }
 
-    // Update link text
-    modal.querySelector(".text-sm").textContent = link;
-
-    // Generate QR code
-    const canvas = modal.querySelector("#room-qr-canvas");
-    try {
-      await QRCode.toCanvas(canvas, link, { width: 256, margin: 1 });
-    } catch (err) {
-      console.error("QR generation failed:", err);
+    // Only full-access members can hand out upload / full access
+    const access = modal.querySelector("#share-access");
+    const expiry = modal.querySelector("#share-expiry");
+    const single = modal.querySelector("#share-single");
+    for (const value of ["upload", "write"]) {
+      access.querySelector(`option[value="${value}"]`).disabled = !canInvite;
+    }
+    if (!canInvite) access.value = "read";
+    // A read-only or upload-only link would silently grant full access in an open room
+    modal.querySelector("#share-open-warning").classList.toggle("hidden", !open);
+    for (const value of ["read", "upload"]) {
+      access.querySelector(`option[value="${value}"]`).disabled = open;
     }
+    if (open) access.value = "write";
+
+    let link = "";
+    const update = async () => {
+      // Read-only links carry no grant, so there is nothing to expire or use up;
+      // open rooms need none, the plain link already gives full access
+      const plain = access.value === "read" || open;
+      const grantOptions = modal.querySelector("#share-grant-options");
+      grantOptions.classList.toggle("opacity-50", plain);
+      expiry.disabled = single.disabled = plain;
+
+      const ttl = Number(expiry.value);
+      link = await this.rooms.buildInviteURL(roomId, {
+        access: plain ? "read" : access.value,
+        expiresAt: ttl ? Date.now() + ttl : null,
+        single: single.checked,
+      });
+      modal.querySelector("#room-qr-link").textContent = link;
+
+      // Generate QR code
+      const canvas = modal.querySelector("#room-qr-canvas");
+      try {
+        await QRCode.toCanvas(canvas, link, { width: 256, margin: 1 });
+      } catch (err) {
+        console.error("QR generation failed:", err);
+      }
+    };
+    access.onchange = expiry.onchange = single.onchange = () => update();
+    await update();
 
     // Show modal
     modal.classList.remove("hidden");
@@ -550,6 +1452,299 @@ export class RoomUI {
     };
   }
 
+  /**
+   * Ask for a nickname for another peer; only we see it
+   * @returns {boolean} Whether it changed
+   */
+  editPeerNickname(peerId) {
+    const current = getPeers()[peerId]?.nickname || "";
+    const next = prompt(`Nickname for …${peerId.slice(-6)} (only you see it)`, current);
+    if (next === null || next.trim() === current) return false;
+    setPeerNickname(peerId, next.trim());
+    return true;
+  }
+
+  // Profile editor: name, colour and avatar, published to every room (see profile.js)
+  async showProfileEditor() {
+    const self = this.libp2p.peerId.toString();
+    let modal = document.getElementById("profile-modal");
+    if (!modal) {
+      modal = document.createElement("div");
+      modal.id = "profile-modal";
+      modal.className = "fixed inset-0 bg-black/50 flex items-center justify-center z-50";
+      modal.innerHTML = `
+        <form class="bg-white rounded-lg p-6 w-80 max-w-full mx-4 relative space-y-3">
+          <button type="button" id="close-profile-modal" class="absolute top-2 right-2 text-gray-500 hover:text-gray-700 text-2xl leading-none">&times;</button>
+          <h3 class="font-semibold">Your profile</h3>
+          <div class="flex items-center gap-3">
+            <span id="profile-avatar" class="inline-flex w-16 h-16 items-center justify-center rounded-full bg-cover bg-center text-white text-2xl font-semibold"></span>
+            <div class="flex flex-col gap-1 text-xs">
+              <input id="profile-avatar-input" type="file" accept="image/*" class="hidden"/>
+              <button type="button" id="btn-profile-avatar" class="px-2 py-1 border rounded">Choose picture…</button>
+              <button type="button" id="btn-profile-avatar-remove" class="px-2 py-1 border rounded">Remove picture</button>
+            </div>
+          </div>
+          <label class="block text-sm">Display name
+            <input id="profile-name" maxlength="40" class="mt-1 w-full border rounded px-2 py-1" placeholder="Shown to people in your rooms"/>
+          </label>
+          <label class="flex items-center gap-2 text-sm">Colour <input id="profile-color" type="color" class="h-8 w-12 border rounded"/></label>
+          <p class="text-xs text-gray-500">Visible to everyone in the rooms you join, including encrypted ones.</p>
+          <button type="submit" class="w-full px-3 py-2 bg-blue-600 text-white rounded hover:bg-blue-700">Save</button>
+        </form>
+      `;
+      document.body.appendChild(modal);
+    }
+
+    const form = modal.querySelector("form");
+    const name = modal.querySelector("#profile-name");
+    const color = modal.querySelector("#profile-color");
+    const avatarInput = modal.querySelector("#profile-avatar-input");
+    const preview = modal.querySelector("#profile-avatar");
+    const profile = getProfile();
+    let avatar = profile.avatar;
+    let avatarFile = null;
+    let avatarPreview = null; // Object URL of avatarFile
+    name.value = profile.name || "";
+    color.value = profile.color || peerColor(self);
+
+    const showPreview = async () => {
+      preview.style.backgroundColor = color.value;
+      preview.textContent = (name.value.trim() || "?").slice(0, 1).toUpperCase();
+      const url = avatarPreview || (avatar ? await loadAvatar(this.fs, avatar) : null);
+      preview.style.backgroundImage = url ? `url('${url}')` : "";
+      if (url) preview.textContent = "";
+    };
+    name.oninput = color.oninput = () => showPreview();
+    modal.querySelector("#btn-profile-avatar").onclick = () => avatarInput.click();
+    const setFile = (file) => {
+      if (avatarPreview) URL.revokeObjectURL(avatarPreview);
+      avatarFile = file;
+      avatarPreview = file && URL.createObjectURL(file);
+    };
+    avatarInput.onchange = () => {
+      setFile(avatarInput.files?.[0] || null);
+      showPreview();
+    };
+    modal.querySelector("#btn-profile-avatar-remove").onclick = () => {
+      avatar = null;
+      setFile(null);
+      avatarInput.value = "";
+      showPreview();
+    };
+    await showPreview();
+
+    const close = () => modal.classList.add("hidden");
+    modal.querySelector("#close-profile-modal").onclick = close;
+    modal.onclick = (e) => {
+      if (e.target === modal) close();
+    };
+    form.onsubmit = async (e) => {
+      e.preventDefault();
+      try {
+        // The picture is shrunk to a small square and added like any file: peers fetch it by CID
+        if (avatarFile) avatar = (await this.fs.addBytes(await resizeAvatar(avatarFile))).toString();
+        this.rooms.setProfile({ name: name.value, color: color.value, avatar });
+        close();
+        toast("Profile saved");
+        if (this.activeRoomId) this.refreshDirectory(this.activeRoomId);
+      } catch (err) {
+        console.error("Failed to save profile:", err);
+        toast(`Couldn't save your profile: ${err.message || "Unknown error"}`);
+      }
+    };
+    modal.classList.remove("hidden");
+  }
+
+  // Clicks on a message's buttons, in the room chat or a file's comment thread
+  async onChatAction(roomId, e, focusInput) {
+    const btn = e.target.closest("button[data-action]");
+    if (btn?.dataset.action === "chat-earlier") {
+      this.chatWindow += CHAT_PAGE;
+      this.renderChat(await this.rooms.getYDoc(roomId));
+      return;
+    }
+    if (btn?.dataset.action === "open-attachment") {
+      await this.openAttachment(roomId, btn.dataset.cid);
+      return;
+    }
+    const msgId = btn?.dataset.msg;
+    if (!msgId) return;
+    const ydoc = await this.rooms.getYDoc(roomId);
+    const message = getChatMessages(ydoc.chat).find((m) => m.msgId === msgId);
+    try {
+      if (btn.dataset.action === "chat-reply") {
+        this.replyTo = msgId;
+        renderChatReply(message, this.directory);
+        focusInput();
+      }
+      if (btn.dataset.action === "chat-react") await this.rooms.reactToChat(roomId, msgId, btn.dataset.emoji);
+      if (btn.dataset.action === "chat-edit") {
+        const text = prompt("Edit message", message?.text || "");
+        if (text !== null && text.trim() && text.trim() !== message?.text) await this.rooms.editChat(roomId, msgId, text.trim());
+      }
+      if (btn.dataset.action === "chat-delete" && confirm("Delete this message for everyone?")) {
+        await this.rooms.deleteChat(roomId, msgId);
+      }
+    } catch (err) {
+      toast(err.message);
+    }
+  }
+
+  async searchChat(roomId, query, scope) {
+    this.search = { query, scope };
+    const terms = searchTerms(query);
+    const results = terms.length ? await this.rooms.searchChat(query, scope === "all" ? null : roomId) : [];
+    // Typed on meanwhile
+    if (this.search.query !== query || this.search.scope !== scope) return;
+    const names = new Map(getRooms().map((r) => [r.id, r.name]));
+    renderChatSearchResults(
+      results.map((r) => ({ ...r, roomName: names.get(r.roomId) || `Room ${r.roomId.slice(0, 6)}` })),
+      terms,
+      await this.rooms.getProfiles(),
+      { showRoom: scope === "all" }
+    );
+  }
+
+  // Show a search result: its room, then the message in the chat or its file's comment thread
+  async openSearchResult(roomId, msgId) {
+    const ydoc = await this.rooms.getYDoc(roomId);
+    const message = getChatMessages(ydoc.chat).find((m) => m.msgId === msgId);
+    if (!message) throw new Error("That message is no longer there");
+    this.jumpTo = message.about ? null : msgId;
+    if (roomId !== this.activeRoomId) await this.onOpenRoom(roomId);
+    else this.renderChat(ydoc);
+    if (message.about) {
+      const file = listFiles(ydoc).find((f) => f.cid === message.about);
+      await this.showFileComments(roomId, message.about, file?.name || "file");
+      highlightChatMessage(msgId, "file-comments-box");
+    }
+  }
+
+  // Open a file attached to a message in the viewer; removed files still open while their blocks are around
+  async openAttachment(roomId, cid) {
+    if (!cid) return;
+    const ydoc = await this.rooms.getYDoc(roomId);
+    const file = listFiles(ydoc).find((f) => f.cid === cid) || (await this.rooms.getRemovedFiles(roomId)).find((f) => f.cid === cid);
+    const name = file?.name || "file";
+    this.onProgress(true, 0, 0, "Opening…");
+    try {
+      const blob = await fetchFileAsBlobWithRetry(this.fs, cid, name, (loaded, total) => {
+        this.onProgress(true, loaded, total, `${formatBytes(loaded)} / ${formatBytes(total)}`);
+      }, file?.size);
+      this.rooms.refreshAvailability(roomId);
+      const { showFileViewer } = await import('./file-viewer.js');
+      await showFileViewer(blob, name);
+    } catch (err) {
+      console.error(`Failed to open ${name}:`, err);
+      toast(`Failed to open file: ${err.message || "Unknown error"}`);
+    } finally {
+      this.onProgress(false);
+    }
+  }
+
+  // A file's comment thread: messages sent with `about` set to its CID (chat.js)
+  async showFileComments(roomId, cid, name) {
+    if (!cid) return;
+    let modal = document.getElementById("file-comments-modal");
+    if (!modal) {
+      modal = document.createElement("div");
+      modal.id = "file-comments-modal";
+      modal.className = "fixed inset-0 bg-black/50 flex items-center justify-center z-50";
+      modal.innerHTML = `
+        <div class="bg-white rounded-lg p-6 w-[28rem] max-w-full mx-4 relative">
+          <button type="button" id="close-file-comments" class="absolute top-2 right-2 text-gray-500 hover:text-gray-700 text-2xl leading-none">&times;</button>
+          <h3 class="font-semibold truncate pr-6">Comments on <span id="file-comments-name"></span></h3>
+          <div id="file-comments-box" class="mt-3 h-64 overflow-auto border rounded p-2 text-sm bg-gray-50"></div>
+          <div class="mt-2 flex gap-2">
+            <input id="file-comments-input" class="flex-1 border rounded px-2 py-1 text-sm" placeholder="Add a comment"/>
+            <button id="btn-file-comments-send" class="px-3 py-1 bg-blue-600 text-white rounded text-sm hover:bg-blue-700 disabled:opacity-50">Send</button>
+          </div>
+        </div>
+      `;
+      document.body.appendChild(modal);
+    }
+
+    this.commentsFor = cid;
+    modal.querySelector("#file-comments-name").textContent = name;
+    modal.querySelector("#file-comments-box").innerHTML = "";
+    const input = modal.querySelector("#file-comments-input");
+    const send = modal.querySelector("#btn-file-comments-send");
+    input.value = "";
+    input.disabled = send.disabled = !this.canChat;
+    input.placeholder = this.canChat ? "Add a comment" : "Your role can't comment in this room";
+
+    const sendNow = () => {
+      const text = input.value.trim();
+      if (!text) return;
+      this.rooms.sendChat(roomId, text, crypto.randomUUID(), { about: cid }).catch((err) => toast(err.message));
+      input.value = "";
+    };
+    send.onclick = sendNow;
+    input.onkeydown = (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        sendNow();
+      }
+    };
+    modal.querySelector("#file-comments-box").onclick = (e) => this.onChatAction(roomId, e, () => input.focus());
+
+    const close = () => {
+      modal.classList.add("hidden");
+      this.commentsFor = null;
+    };
+    modal.querySelector("#close-file-comments").onclick = close;
+    modal.onclick = (e) => {
+      if (e.target === modal) close();
+    };
+    modal.classList.remove("hidden");
+    this.renderChat(await this.rooms.getYDoc(roomId));
+    input.focus();
+  }
+
+  // Names, colours and avatars of the room's peers, then redraw what shows them
+  async refreshDirectory(roomId) {
+    const directory = await this.rooms.getProfiles(roomId);
+    if (roomId !== this.activeRoomId) return;
+    this.directory = directory;
+    const ydoc = await this.rooms.getYDoc(roomId);
+    renderPresence(ydoc.presence.list(), directory);
+    this.renderChat(ydoc);
+    showAvatars(document.getElementById("rooms-info"), (cid) => loadAvatar(this.fs, cid));
+  }
+
+  // Messages with their reactions and attachments, the "Replying to" bar, and file comment threads
+  renderChat(ydoc) {
+    const self = this.libp2p.peerId.toString();
+    const messages = getChatMessages(ydoc.chat, ydoc.reactions);
+    const { chat, threads } = fileComments(messages);
+    const files = new Map(listFiles(ydoc).map((f) => [f.cid, f]));
+    // Only the latest messages are rendered; a search result further back widens the window
+    const jumpIndex = this.jumpTo ? chat.findIndex((m) => m.msgId === this.jumpTo) : -1;
+    if (jumpIndex >= 0) this.chatWindow = Math.max(this.chatWindow, chat.length - jumpIndex);
+    const shown = chat.slice(-this.chatWindow);
+    renderChatMessages(shown, self, this.directory, {
+      canChat: this.canChat,
+      files,
+      thumbnails: this.thumbnails,
+      earlier: chat.length - shown.length,
+      all: messages,
+    });
+    if (this.jumpTo) {
+      highlightChatMessage(this.jumpTo);
+      this.jumpTo = null;
+    }
+    if (this.commentsFor) {
+      renderChatMessages(threads.get(this.commentsFor) || [], self, this.directory, { canChat: this.canChat, boxId: "file-comments-box", replies: false });
+      showAvatars(document.getElementById("file-comments-box"), (cid) => loadAvatar(this.fs, cid));
+    }
+    renderCommentCounts(commentCounts(threads));
+    const target = this.replyTo && messages.find((m) => m.msgId === this.replyTo);
+    // The message we were answering was deleted meanwhile
+    if (!target || target.deleted) this.replyTo = null;
+    renderChatReply(this.replyTo ? target : null, this.directory);
+    showAvatars(document.getElementById("chat-box"), (cid) => loadAvatar(this.fs, cid));
+  }
+
   async subscribeChat(roomId) {
     if (this.chatUnsub) {
       this.chatUnsub();
@@ -557,13 +1752,14 @@ export class RoomUI {
     }
     const ydoc = await this.rooms.getYDoc(roomId);
     const observer = () => {
-      if (roomId === this.activeRoomId) {
-        const messages = getChatMessages(ydoc.chat);
-        renderChatMessages(messages, this.libp2p.peerId.toString());
-      }
+      if (roomId === this.activeRoomId) this.renderChat(ydoc);
     };
     ydoc.chat.observe(observer);
-    this.chatUnsub = () => ydoc.chat.unobserve(observer);
+    ydoc.reactions.observe(observer);
+    this.chatUnsub = () => {
+      ydoc.chat.unobserve(observer);
+      ydoc.reactions.unobserve(observer);
+    };
     observer();
   }
 
@@ -571,14 +1767,62 @@ export class RoomUI {
     this.activeRoomId = roomId;
     const room = getRoom(roomId);
     const manifest = room?.manifest || (await this.rooms.getManifest(roomId));
+    const removed = await this.rooms.getRemovedFiles(roomId);
+    const access = await this.rooms.getAccess(roomId);
+    const presence = await this.rooms.getPresence(roomId);
+    this.availability = fileAvailability(presence);
+    this.directory = await this.rooms.getProfiles(roomId);
+    this.canChat = can(access, "chat");
+    const ydoc = await this.rooms.getYDoc(roomId);
+    // Keep the panel open across re-renders
+    const removedOpen = !!document.getElementById("room-removed")?.open;
     renderRoomDetails({
       id: roomId,
       name: room?.name || `Room ${roomId.slice(0, 6)}`,
       manifest,
-    }, { thumbnails: this.thumbnails, viewMode: this.viewMode });
+      encrypted: !!room?.key,
+    }, {
+      access,
+      thumbnails: this.thumbnails,
+      viewMode: this.viewMode,
+      removed: removed.slice(0, RECENTLY_REMOVED_LIMIT),
+      currentPath: this.currentPath,
+      selected: this.selected,
+      presence,
+      availability: this.availability,
+      directory: this.directory,
+      comments: commentCounts(fileComments(getChatMessages(ydoc.chat)).threads),
+    });
+    if (removedOpen) document.getElementById("room-removed")?.setAttribute("open", "");
     this.bindRoomButtons(roomId);
     await this.subscribeChat(roomId);
     this.subscribeThumbnails(roomId);
+    await this.subscribePresence(roomId);
+    showAvatars(document.getElementById("rooms-info"), (cid) => loadAvatar(this.fs, cid));
+  }
+
+  // Keep the presence strip, seeders and names current without re-rendering the room
+  async subscribePresence(roomId) {
+    if (this.presenceUnsub) {
+      this.presenceUnsub();
+      this.presenceUnsub = null;
+    }
+    const ydoc = await this.rooms.getYDoc(roomId);
+    const { presence } = ydoc;
+    const profiles = ydoc.getMap("profiles");
+    const observer = () => {
+      if (roomId !== this.activeRoomId) return;
+      this.availability = fileAvailability(presence.list());
+      renderAvailability(this.availability);
+      this.refreshDirectory(roomId);
+    };
+    const onProfiles = () => this.refreshDirectory(roomId);
+    presence.awareness.on("change", observer);
+    profiles.observe(onProfiles);
+    this.presenceUnsub = () => {
+      presence.awareness.off("change", observer);
+      profiles.unobserve(onProfiles);
+    };
   }
 
   subscribeThumbnails(roomId) {
@@ -590,6 +1834,8 @@ export class RoomUI {
     this.thumbnailUnsub = onThumbnailReady(roomId, (cid, dataUrl) => {
       // Store thumbnail
       this.thumbnails[cid] = dataUrl;
+      // Attachment cards show it too
+      if (roomId === this.activeRoomId) this.rooms.getYDoc(roomId).then((ydoc) => this.renderChat(ydoc));
 
       // Update just the specific file's thumbnail in the DOM
       if (roomId === this.activeRoomId) {
@@ -618,5 +1864,7 @@ export class RoomUI {
     this.chatUnsub = null;
     if (this.thumbnailUnsub) this.thumbnailUnsub();
     this.thumbnailUnsub = null;
+    if (this.presenceUnsub) this.presenceUnsub();
+    this.presenceUnsub = null;
   }
 }
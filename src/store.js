@@ -1,4 +1,4 @@
-import { LS_DROPS, LS_ROOMS, LS_PEERS } from './constants.js'
+import { LS_DROPS, LS_ROOMS, LS_PEERS, LS_DOWNLOADS, LS_PROFILE, LS_NOTIFY } from './constants.js'
 
 const read = (k, d) => {
   try { return JSON.parse(localStorage.getItem(k) || 'null') ?? d }
@@ -23,12 +23,43 @@ export function saveRoom(room) {
   write(LS_ROOMS, all)
 }
 export function getRoom(roomId) { return getRooms().find(r => r.id === roomId) }
+export function updateRoomLastSeen(roomId) { saveRoom({ id: roomId }) }
+// Last-read marker of a room (unread.js); reading a room doesn't count as visiting it
+export function setLastRead(roomId, lastRead) {
+  const all = getRooms()
+  const idx = all.findIndex(r => r.id === roomId)
+  if (idx < 0) return
+  all[idx] = { ...all[idx], lastRead }
+  write(LS_ROOMS, all)
+}
 
 export function getPeers() { return read(LS_PEERS, {}) }
 export function setPeerNickname(peerId, nickname) {
   const peers = getPeers()
-  peers[peerId] = { ...(peers[peerId] || {}), nickname }
+  peers[peerId] = { ...(peers[peerId] || {}), nickname: nickname || null }
   write(LS_PEERS, peers)
 }
 
+// What other peers see us as (profile.js); `nickname` is from before profiles had more fields
+export function getProfile() {
+  const { name = null, nickname = null, color = null, avatar = null } = read(LS_PROFILE, {})
+  return { name: name || nickname, color, avatar }
+}
+export function saveProfile(profile) { write(LS_PROFILE, profile) }
+
+// System notifications for activity in rooms while the tab is hidden
+export function getNotify() { return read(LS_NOTIFY, false) }
+export function setNotify(on) { write(LS_NOTIFY, !!on) }
+
+export function getDownloads() { return read(LS_DOWNLOADS, []) }
+export function saveDownload(download) {
+  const all = getDownloads()
+  const idx = all.findIndex(d => d.id === download.id)
+  if (idx >= 0) all[idx] = download; else all.unshift(download)
+  write(LS_DOWNLOADS, all)
+}
+export function removeDownload(id) {
+  write(LS_DOWNLOADS, getDownloads().filter(d => d.id !== id))
+}
+
 // Chat is now handled by Y.js CRDTs - no localStorage needed
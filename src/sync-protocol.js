@@ -0,0 +1,263 @@
+// @ts-check
+/**
+ * Binary sync envelope for wc/<roomId> (browser + hub)
+ *
+ * A gossipsub message is one of:
+ * - a legacy JSON message (`{"type":"Y_UPDATE","update":[...]}`, first byte '{'),
+ *   still accepted and answered while old peers are around
+ * - FRAME_MESSAGE: varString(header JSON) + varUint8Array(payload)
+ * - FRAME_CHUNK: one part of a FRAME_MESSAGE too large for a single gossipsub
+ *   message (see chunkFrame / createReassembler)
+ *
+ * The payload is a y-protocols sync message (step 1: state vector, step 2: the
+ * diff for that state vector, update: an incremental change), sealed with the
+ * room key in encrypted rooms (`enc`, `iv` in the header). The header's `type`
+ * names the message ('SYNC_STEP1', 'SYNC_STEP2', 'Y_UPDATE') so hubs can route
+ * sealed payloads; it must match the unsealed payload.
+ *
+ * Headers are signed like JSON messages (see room-auth.js) and carry
+ * `digest`, the SHA-256 of the payload, so the signature covers the payload
+ * without hashing it as JSON.
+ *
+ * Hubs replay sealed logs as { type: 'SNAPSHOT', enc: true, seq } with a
+ * payload listing the stored frames (encodeFrameList).
+ */
+
+import * as encoding from 'lib0/encoding'
+import * as decoding from 'lib0/decoding'
+import * as syncProtocol from 'y-protocols/sync'
+import { toString as toBase64 } from 'uint8arrays'
+import { signMessage } from './room-auth.js'
+
+const FRAME_MESSAGE = 1
+const FRAME_CHUNK = 2
+const LEGACY_JSON = 0x7b // '{'
+
+// gossipsub drops RPC frames over 4 MiB (it-length-prefixed default) and may
+// batch several messages into one RPC, so parts stay well below that
+export const MAX_FRAME_SIZE = 256 * 1024
+const MAX_PARTS = 1024
+const CHUNK_TIMEOUT_MS = 30000
+// Parts held while waiting for the rest: in all, and frames in progress per sender
+const MAX_PENDING_BYTES = 64 * 1024 * 1024
+const MAX_PENDING_PER_SENDER = 4
+
+const SYNC_TYPES = {
+  [syncProtocol.messageYjsSyncStep1]: 'SYNC_STEP1',
+  [syncProtocol.messageYjsSyncStep2]: 'SYNC_STEP2',
+  [syncProtocol.messageYjsUpdate]: 'Y_UPDATE'
+}
+
+/**
+ * @typedef {Object} SyncHeader
+ * @property {'SYNC_STEP1'|'SYNC_STEP2'|'Y_UPDATE'|'SNAPSHOT'} type
+ * @property {string} roomId
+ * @property {string} digest - base64url SHA-256 of the payload
+ * @property {boolean=} enc - Payload sealed with the room key
+ * @property {number[]=} iv
+ * @property {boolean=} reply - SYNC_STEP1 sent in answer to another; not answered with a step 1
+ * @property {string=} to - Reply SYNC_STEP1: the peer that should answer it
+ * @property {number=} seq - Hub SNAPSHOT: last sealed log entry replayed
+ * @property {number=} since - Hub SNAPSHOT page: the seq the previous page ended at (0 for the first)
+ * @property {boolean=} more - Hub SNAPSHOT page: more pages follow
+ * @property {number=} covers - Full state that includes the hub's sealed log up to this seq
+ * @property {string=} from
+ * @property {string=} sig
+ */
+
+// ===== y-protocols sync messages =====
+
+/** Step 1: our state vector */
+export function syncStep1(ydoc) {
+  const encoder = encoding.createEncoder()
+  syncProtocol.writeSyncStep1(encoder, ydoc)
+  return encoding.toUint8Array(encoder)
+}
+
+/** Step 2: everything the peer with state vector `sv` is missing (all of it without sv) */
+export function syncStep2(ydoc, sv) {
+  const encoder = encoding.createEncoder()
+  syncProtocol.writeSyncStep2(encoder, ydoc, sv)
+  return encoding.toUint8Array(encoder)
+}
+
+/** Incremental update */
+export function syncUpdate(update) {
+  const encoder = encoding.createEncoder()
+  syncProtocol.writeUpdate(encoder, update)
+  return encoding.toUint8Array(encoder)
+}
+
+/**
+ * Read a y-protocols sync message
+ * @param {Uint8Array} bytes
+ * @returns {{type: string, data: Uint8Array}} data: state vector (step 1) or update
+ */
+export function readSync(bytes) {
+  const decoder = decoding.createDecoder(bytes)
+  const type = SYNC_TYPES[decoding.readVarUint(decoder)]
+  if (!type) throw new Error('Unknown sync message type')
+  return { type, data: decoding.readVarUint8Array(decoder) }
+}
+
+// ===== Frames =====
+
+/** base64url SHA-256 of a payload */
+export async function digestOf(payload) {
+  return toBase64(new Uint8Array(await crypto.subtle.digest('SHA-256', payload)), 'base64url')
+}
+
+/** True if the payload is the one the (signed) header describes */
+export async function checkDigest(header, payload) {
+  return typeof header.digest === 'string' && header.digest === await digestOf(payload)
+}
+
+/**
+ * @param {Object} header
+ * @param {Uint8Array} payload
+ */
+export function encodeFrame(header, payload) {
+  const encoder = encoding.createEncoder()
+  encoding.writeUint8(encoder, FRAME_MESSAGE)
+  encoding.writeVarString(encoder, JSON.stringify(header))
+  encoding.writeVarUint8Array(encoder, payload)
+  return encoding.toUint8Array(encoder)
+}
+
+/**
+ * Decode a gossipsub message on a room topic
+ * @param {Uint8Array} bytes
+ * @returns {{legacy: any} | {header: SyncHeader, payload: Uint8Array} | {chunk: {id: string, index: number, count: number, bytes: Uint8Array}}}
+ */
+export function decodeFrame(bytes) {
+  if (bytes[0] === LEGACY_JSON) return { legacy: JSON.parse(new TextDecoder().decode(bytes)) }
+  const decoder = decoding.createDecoder(bytes)
+  const kind = decoding.readUint8(decoder)
+  if (kind === FRAME_MESSAGE) {
+    const header = JSON.parse(decoding.readVarString(decoder))
+    return { header, payload: decoding.readVarUint8Array(decoder) }
+  }
+  if (kind === FRAME_CHUNK) {
+    const id = decoding.readVarString(decoder)
+    const index = decoding.readVarUint(decoder)
+    const count = decoding.readVarUint(decoder)
+    return { chunk: { id, index, count, bytes: decoding.readVarUint8Array(decoder) } }
+  }
+  throw new Error(`Unknown frame kind ${kind}`)
+}
+
+/**
+ * Split a frame into FRAME_CHUNK parts if it is larger than maxSize
+ * @param {Uint8Array} frame
+ * @param {number} [maxSize]
+ * @returns {Uint8Array[]} Messages to publish, in order
+ */
+export function chunkFrame(frame, maxSize = MAX_FRAME_SIZE) {
+  if (frame.length <= maxSize) return [frame]
+  const size = maxSize - 64 // room for the chunk header
+  const count = Math.ceil(frame.length / size)
+  if (count > MAX_PARTS) throw new Error(`Sync message too large (${frame.length} bytes)`)
+  const id = toBase64(crypto.getRandomValues(new Uint8Array(9)), 'base64url')
+  const parts = []
+  for (let index = 0; index < count; index++) {
+    const encoder = encoding.createEncoder()
+    encoding.writeUint8(encoder, FRAME_CHUNK)
+    encoding.writeVarString(encoder, id)
+    encoding.writeVarUint(encoder, index)
+    encoding.writeVarUint(encoder, count)
+    encoding.writeVarUint8Array(encoder, frame.subarray(index * size, (index + 1) * size))
+    parts.push(encoding.toUint8Array(encoder))
+  }
+  return parts
+}
+
+/**
+ * Collect FRAME_CHUNK parts (in any order) back into frames
+ * Incomplete frames are dropped after CHUNK_TIMEOUT_MS. Parts that would take
+ * the held bytes past maxBytes drop their frame, and a sender can't start
+ * more than maxPerSender frames at once.
+ * @param {{maxBytes?: number, maxPerSender?: number}} [limits]
+ * @returns {{add: (chunk: {id: string, index: number, count: number, bytes: Uint8Array}, from?: string) => Uint8Array|null}}
+ *   from: the peer the part came from (gossipsub), '' when there is only one (a stream)
+ */
+export function createReassembler({ maxBytes = MAX_PENDING_BYTES, maxPerSender = MAX_PENDING_PER_SENDER } = {}) {
+  /** @type {Map<string, {parts: Uint8Array[], received: number, size: number, from: string, at: number}>} */
+  const pending = new Map()
+  let held = 0
+
+  const drop = (key) => {
+    held -= pending.get(key).size
+    pending.delete(key)
+  }
+
+  function add({ id, index, count, bytes }, from = '') {
+    const now = Date.now()
+    for (const [key, entry] of pending) {
+      if (now - entry.at > CHUNK_TIMEOUT_MS) drop(key)
+    }
+    if (count > MAX_PARTS || index >= count) return null
+
+    // Chunk IDs are only unique per sender
+    const key = `${from} ${id}`
+    let entry = pending.get(key)
+    if (!entry) {
+      let open = 0
+      for (const other of pending.values()) if (other.from === from) open++
+      if (open >= maxPerSender) return null
+      entry = { parts: new Array(count), received: 0, size: 0, from, at: now }
+      pending.set(key, entry)
+    }
+    if (entry.parts.length !== count || entry.parts[index]) return null
+    if (held + bytes.length > maxBytes) {
+      drop(key)
+      return null
+    }
+    entry.parts[index] = bytes
+    entry.received++
+    entry.size += bytes.length
+    held += bytes.length
+    if (entry.received < count) return null
+
+    drop(key)
+    const frame = new Uint8Array(entry.size)
+    let pos = 0
+    for (const p of entry.parts) { frame.set(p, pos); pos += p.length }
+    return frame
+  }
+
+  return { add }
+}
+
+/**
+ * Build the gossipsub messages for a sync message: add the payload digest,
+ * sign the header (if we have a key), then chunk
+ * @param {Omit<SyncHeader, 'digest'>} header
+ * @param {Uint8Array} payload
+ * @param {any} [privateKey] - libp2p PrivateKey
+ * @returns {Promise<Uint8Array[]>}
+ */
+export async function encodeMessage(header, payload, privateKey = null) {
+  const full = { ...header, digest: await digestOf(payload) }
+  const signed = privateKey ? await signMessage(privateKey, full) : full
+  return chunkFrame(encodeFrame(signed, payload))
+}
+
+/**
+ * Payload of a hub SNAPSHOT: the stored frames (binary or legacy JSON), in order
+ * @param {Uint8Array[]} frames
+ */
+export function encodeFrameList(frames) {
+  const encoder = encoding.createEncoder()
+  encoding.writeVarUint(encoder, frames.length)
+  for (const frame of frames) encoding.writeVarUint8Array(encoder, frame)
+  return encoding.toUint8Array(encoder)
+}
+
+/** @param {Uint8Array} payload */
+export function decodeFrameList(payload) {
+  const decoder = decoding.createDecoder(payload)
+  const count = decoding.readVarUint(decoder)
+  const frames = []
+  for (let i = 0; i < count; i++) frames.push(decoding.readVarUint8Array(decoder))
+  return frames
+}
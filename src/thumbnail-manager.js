@@ -9,6 +9,7 @@
 
 import { createThumbnailCache, guessMimeType } from './thumbnail-cache.js'
 import { emitThumbnailReady } from './thumbnail-events.js'
+import { catFile } from './file-manager.js'
 
 const POLL_INTERVAL = 500 // ms
 const MAX_RETRIES = 60 // 30 seconds max wait
@@ -43,8 +44,9 @@ export async function createThumbnailManager(fs) {
 
       console.log(`[Thumbnail] Fetching blocks for ${name} via bitswap...`)
       // Fetch blocks and generate (this triggers bitswap if not local)
+      // catFile decrypts files of encrypted rooms
       const chunks = []
-      for await (const chunk of fs.cat(cid)) {
+      for await (const chunk of catFile(fs, cid)) {
         chunks.push(chunk)
       }
       console.log(`[Thumbnail] ✓ Got ${chunks.length} chunks for ${name}`)
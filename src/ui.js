@@ -1,4 +1,8 @@
 import { formatDistanceToNow } from "date-fns";
+import { buildFileTree, findFolder, fileKey } from "./manifest.js";
+import { peerLabel, peerColor, mentionNames } from "./profile.js";
+import { REACTIONS } from "./chat.js";
+import { renderMarkdown } from "./markdown.js";
 
 const $ = (id) => document.getElementById(id);
 const setText = (id, v) => {
@@ -17,6 +21,8 @@ const formatBytes = (bytes) => {
   const i = Math.floor(Math.log(bytes) / Math.log(k));
   return Math.round((bytes / Math.pow(k, i)) * 10) / 10 + " " + sizes[i];
 };
+const escapeHtml = (str = "") =>
+  String(str).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
 export const toast = (msg) => {
   const t = $("toast");
   if (!t) return;
@@ -53,13 +59,48 @@ export function renderPeerTypes(counts) {
     .join("");
 }
 
-export function renderPeerDetails(rows) {
+// Round avatar: the peer's image once loaded (see showAvatars), else their initial on their colour
+function avatarChip(peerId, directory, size = "w-5 h-5") {
+  const info = directory.get(peerId);
+  const image = info?.avatarUrl ? `background-image:url('${info.avatarUrl}');` : "";
+  return `<span class="inline-flex ${size} flex-shrink-0 items-center justify-center rounded-full bg-cover bg-center text-white text-[10px] font-semibold" style="background-color:${peerColor(peerId, directory)};${image}"${
+    info?.avatar && !image ? ` data-avatar="${escapeHtml(info.avatar)}"` : ""
+  }>${image ? "" : escapeHtml(peerLabel(peerId, directory).replace("…", "").slice(0, 1).toUpperCase())}</span>`;
+}
+
+/**
+ * Swap initials for avatar images as they load
+ * @param {ParentNode} root
+ * @param {(cid: string) => Promise<string|null>} load - Object URL for an avatar CID (profile.js loadAvatar)
+ */
+export function showAvatars(root, load) {
+  root?.querySelectorAll("[data-avatar]").forEach((el) => {
+    const cid = el.getAttribute("data-avatar");
+    el.removeAttribute("data-avatar");
+    load(cid).then((url) => {
+      if (!url) return;
+      el.style.backgroundImage = `url('${url}')`;
+      el.textContent = "";
+    });
+  });
+}
+
+// Known peers: profile name (or our nickname for them), peer ID, addresses
+export function renderPeerDetails(rows, directory = new Map()) {
   const ul = $("peer-details");
   if (!ul) return;
   const frag = document.createDocumentFragment();
   rows.forEach((r) => {
     const li = document.createElement("li");
-    li.innerHTML = `<div class="font-mono text-xs break-all">${r.id}</div>`;
+    const info = directory.get(r.id);
+    li.innerHTML = `
+      <div class="flex items-center gap-2">
+        ${avatarChip(r.id, directory)}
+        <span class="font-medium" style="color:${peerColor(r.id, directory)}">${escapeHtml(peerLabel(r.id, directory))}</span>
+        ${info?.nickname && info.name ? `<span class="text-xs text-gray-500">(${escapeHtml(info.name)})</span>` : ""}
+        <button data-action="nickname-peer" data-peer="${r.id}" class="ml-auto px-1 text-xs border rounded" title="Only you see this name">Set nickname</button>
+      </div>
+      <div class="font-mono text-xs break-all">${r.id}</div>`;
     const ad = document.createElement("ul");
     ad.className = "pl-4 text-[11px] space-y-1";
     r.addrs.forEach((a) => {
@@ -131,46 +172,189 @@ export function updateProgress(pct, label = "") {
   if (txt) txt.textContent = label;
 }
 
+const IMPORT_STATUS = {
+  queued: "Queued",
+  importing: "Adding",
+  done: "✓ Added",
+  cancelled: "Cancelled",
+  failed: "Failed",
+};
+
+/**
+ * Per-file rows for a running import, with a cancel button for unfinished files
+ * @param {{name: string, size: number, loaded: number, status: string}[]} entries
+ */
+export function renderImportFiles(entries = []) {
+  setHidden("btn-cancel-imports", !entries.some((e) => e.status === "queued" || e.status === "importing"));
+  const ul = $("upload-files");
+  if (!ul) return;
+  ul.innerHTML = entries
+    .map((e, i) => {
+      const pct = e.size > 0 ? Math.round((e.loaded / e.size) * 100) : e.status === "done" ? 100 : 0;
+      const active = e.status === "queued" || e.status === "importing";
+      return `
+        <li class="flex items-center gap-2 py-1">
+          <div class="flex-1 min-w-0">
+            <div class="truncate" title="${escapeHtml(e.name)}">${escapeHtml(e.name)}</div>
+            <div class="text-gray-500">${IMPORT_STATUS[e.status] || e.status} · ${formatBytes(e.loaded)} / ${formatBytes(e.size)}${e.status === "importing" ? ` (${pct}%)` : ""}</div>
+          </div>
+          ${active ? `<button data-action="cancel-import" data-idx="${i}" class="px-2 py-0.5 border rounded hover:bg-gray-100" title="Cancel">✕</button>` : ""}
+        </li>`;
+    })
+    .join("");
+}
+
+const DOWNLOAD_STATUS = {
+  queued: "Queued",
+  fetching: "Fetching",
+  complete: "✓ Complete",
+  failed: "Failed",
+};
+
+/**
+ * Downloads panel: one row per queued download with its state and actions
+ * @param {{id: string, name: string, size: number, loaded: number, status: string, error?: string}[]} entries
+ */
+export function renderDownloads(entries = []) {
+  setHidden("downloads-panel", entries.length === 0);
+  const active = entries.filter((d) => d.status === "queued" || d.status === "fetching").length;
+  setText("downloads-count", active ? `(${active} active)` : `(${entries.length})`);
+  const ul = $("downloads-list");
+  if (!ul) return;
+  ul.innerHTML = entries
+    .map((d) => {
+      const pct = d.size > 0 ? Math.min(100, Math.round((d.loaded / d.size) * 100)) : 0;
+      const id = escapeHtml(d.id);
+      return `
+        <li class="flex items-center gap-2 py-1">
+          <div class="flex-1 min-w-0">
+            <div class="truncate" title="${escapeHtml(d.name)}">${escapeHtml(d.name)}</div>
+            <div class="text-gray-500 truncate" title="${escapeHtml(d.error || "")}">${DOWNLOAD_STATUS[d.status] || d.status} · ${formatBytes(d.loaded)} / ${formatBytes(d.size)}${d.status === "fetching" ? ` (${pct}%)` : ""}</div>
+          </div>
+          ${d.status === "complete" ? `<button data-action="save-download" data-id="${id}" class="px-2 py-0.5 border rounded hover:bg-gray-100" title="Save to disk">Save</button>` : ""}
+          ${d.status === "failed" ? `<button data-action="retry-download" data-id="${id}" class="px-2 py-0.5 border rounded hover:bg-gray-100" title="Retry">↻</button>` : ""}
+          <button data-action="remove-download" data-id="${id}" class="px-2 py-0.5 border rounded hover:bg-gray-100" title="Remove from list">✕</button>
+        </li>`;
+    })
+    .join("");
+}
+
 // -------- Rooms & Chat rendering --------
-function renderFilesList(files, thumbnails) {
-  return `<ul id="room-files" class="space-y-1 max-h-96 overflow-y-auto">${files
-    .map((f, idx) => {
+function renderFolderRows(folders) {
+  return folders
+    .map((d) => {
+      const path = escapeHtml(d.path);
+      return `
+        <li class="flex items-center gap-2 p-2 hover:bg-gray-50 rounded cursor-pointer min-h-[3.5rem]" data-folder="${path}">
+          <div class="w-10 h-10 flex items-center justify-center bg-gray-100 rounded border text-lg flex-shrink-0">📁</div>
+          <div class="flex-1 min-w-0">
+            <div class="text-sm font-medium truncate">${escapeHtml(d.name)}/</div>
+            <div class="text-xs text-gray-500">${d.count} file(s) · ${formatBytes(d.size)}</div>
+          </div>
+          <div class="flex gap-1 flex-shrink-0">
+            <button data-action="download-folder" data-path="${path}" class="px-2 py-1 border rounded text-xs hover:bg-gray-100" title="Download folder">↓</button>
+          </div>
+        </li>`;
+    })
+    .join("");
+}
+
+function renderSelectBox(f, selected) {
+  const key = escapeHtml(fileKey(f));
+  return `<input type="checkbox" data-select="${key}" ${selected.has(fileKey(f)) ? "checked" : ""} class="flex-shrink-0" title="Select for download" />`;
+}
+
+// Seeder count / "fully local" badge; noSeeders also marks the download button
+const NO_AVAILABILITY = { seeders: new Map(), local: new Set() };
+function availabilityBadge(cid, availability) {
+  const seeders = availability.seeders.get(cid) || 0;
+  const count = seeders ? `${seeders} seeder${seeders === 1 ? "" : "s"}` : "";
+  if (availability.local.has(cid)) {
+    return ` · <span class="text-green-700" title="Every block is on this device">✓ Local</span>${count ? ` · ${count}` : ""}`;
+  }
+  if (seeders) return ` · <span title="Peers online with the whole file">${count}</span>`;
+  return ' · <span class="text-amber-700" title="Nobody online has the whole file">no seeders online</span>';
+}
+const noSeeders = (cid, availability) => !availability.local.has(cid) && !availability.seeders.get(cid);
+const downloadTitle = (cid, availability) =>
+  noSeeders(cid, availability) ? "Download (nobody online has this file right now)" : "Download";
+
+// The file's comment thread (with its count) and "attach to the next chat message"
+function fileChatButtons(f, comments) {
+  const name = escapeHtml(f.name);
+  return `<button data-action="file-comments" data-cid="${f.cid}" data-name="${name}" class="px-2 py-1 border rounded text-xs hover:bg-gray-100" title="Comments">💬<span data-comments="${f.cid}">${comments.get(f.cid) || ""}</span></button>
+            <button data-action="attach-file" data-cid="${f.cid}" data-name="${name}" class="px-2 py-1 border rounded text-xs hover:bg-gray-100" title="Attach to a chat message">📎</button>`;
+}
+
+function renderFilesList(files, thumbnails, folders = [], selected = new Set(), availability = NO_AVAILABILITY, comments = new Map()) {
+  return `<ul id="room-files" class="space-y-1 max-h-96 overflow-y-auto">${renderFolderRows(folders)}${files
+    .map((f, i) => {
+      const idx = f.idx ?? i;
       const thumbUrl = thumbnails[f.cid];
       const thumbHtml = thumbUrl
         ? `<img src="${thumbUrl}" class="w-10 h-10 object-cover rounded border flex-shrink-0" />`
         : `<div class="w-10 h-10 flex items-center justify-center bg-gray-100 rounded border text-lg flex-shrink-0">📄</div>`;
+      const name = escapeHtml(f.name);
       return `
         <li class="flex items-center gap-2 p-2 hover:bg-gray-50 rounded cursor-pointer min-h-[3.5rem]" data-idx="${idx}" data-cid="${f.cid}" tabindex="0">
+          ${renderSelectBox(f, selected)}
           ${thumbHtml}
           <div class="flex-1 min-w-0">
-            <div class="text-sm font-medium truncate">${f.name}</div>
-            <div class="text-xs text-gray-500">${formatBytes(f.size)}</div>
+            <div class="text-sm font-medium truncate">${name}</div>
+            <div class="text-xs text-gray-500">${formatBytes(f.size)}<span data-availability="${f.cid}">${availabilityBadge(f.cid, availability)}</span></div>
           </div>
           <div class="flex gap-1 flex-shrink-0">
-            <button data-action="open-file" data-cid="${f.cid}" data-name="${f.name}" class="px-2 py-1 border rounded text-xs hover:bg-gray-100">Open</button>
-            <button data-action="download-file" data-cid="${f.cid}" data-name="${f.name}" class="px-2 py-1 border rounded text-xs hover:bg-gray-100">↓</button>
+            <button data-action="open-file" data-cid="${f.cid}" data-name="${name}" class="px-2 py-1 border rounded text-xs hover:bg-gray-100">Open</button>
+            <button data-action="download-file" data-cid="${f.cid}" data-name="${name}" data-size="${f.size || 0}" class="px-2 py-1 border rounded text-xs hover:bg-gray-100 ${noSeeders(f.cid, availability) ? "text-amber-700" : ""}" title="${downloadTitle(f.cid, availability)}">↓</button>
+            <button data-action="export-car" data-key="${escapeHtml(fileKey(f))}" class="px-2 py-1 border rounded text-xs hover:bg-gray-100" title="Export as CAR">CAR</button>
+            ${fileChatButtons(f, comments)}
+            <button data-action="rename-file" data-key="${escapeHtml(fileKey(f))}" data-name="${name}" class="px-2 py-1 border rounded text-xs hover:bg-gray-100" title="Rename">✎</button>
+            <button data-action="remove-file" data-key="${escapeHtml(fileKey(f))}" data-name="${name}" class="px-2 py-1 border rounded text-xs hover:bg-gray-100" title="Remove">✕</button>
           </div>
         </li>`;
     })
     .join("")}</ul>`;
 }
 
-function renderFilesGrid(files, thumbnails) {
-  return `<div id="room-files" class="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-3 max-h-96 overflow-y-auto">${files
-    .map((f, idx) => {
+function renderFilesGrid(files, thumbnails, folders = [], selected = new Set(), availability = NO_AVAILABILITY, comments = new Map()) {
+  const folderCards = folders
+    .map((d) => {
+      const path = escapeHtml(d.path);
+      return `
+        <div class="border rounded overflow-hidden hover:shadow-lg transition-shadow cursor-pointer" data-folder="${path}">
+          <div class="w-full h-32 flex items-center justify-center bg-gray-100 rounded-t text-4xl">📁</div>
+          <div class="p-2 bg-white">
+            <div class="text-xs font-medium truncate mb-1" title="${path}">${escapeHtml(d.name)}/</div>
+            <div class="text-xs text-gray-500">${d.count} file(s) · ${formatBytes(d.size)}</div>
+            <div class="flex gap-1 mt-2">
+              <button data-action="download-folder" data-path="${path}" class="flex-1 px-2 py-1 border rounded text-xs hover:bg-gray-100">↓ Folder</button>
+            </div>
+          </div>
+        </div>`;
+    })
+    .join("");
+  return `<div id="room-files" class="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-3 max-h-96 overflow-y-auto">${folderCards}${files
+    .map((f, i) => {
+      const idx = f.idx ?? i;
       const thumbUrl = thumbnails[f.cid];
       const thumbHtml = thumbUrl
         ? `<img src="${thumbUrl}" class="w-full h-32 object-cover rounded-t" />`
         : `<div class="w-full h-32 flex items-center justify-center bg-gray-100 rounded-t text-4xl">📄</div>`;
+      const name = escapeHtml(f.name);
       return `
         <div class="border rounded overflow-hidden hover:shadow-lg transition-shadow cursor-pointer" data-idx="${idx}" data-cid="${f.cid}" tabindex="0">
           ${thumbHtml}
           <div class="p-2 bg-white">
-            <div class="text-xs font-medium truncate mb-1" title="${f.name}">${f.name}</div>
-            <div class="text-xs text-gray-500">${formatBytes(f.size)}</div>
-            <div class="flex gap-1 mt-2">
-              <button data-action="open-file" data-cid="${f.cid}" data-name="${f.name}" class="flex-1 px-2 py-1 border rounded text-xs hover:bg-gray-100">Open</button>
-              <button data-action="download-file" data-cid="${f.cid}" data-name="${f.name}" class="px-2 py-1 border rounded text-xs hover:bg-gray-100">↓</button>
+            <div class="text-xs font-medium truncate mb-1" title="${name}">${name}</div>
+            <div class="text-xs text-gray-500 truncate">${formatBytes(f.size)}<span data-availability="${f.cid}">${availabilityBadge(f.cid, availability)}</span></div>
+            <div class="flex items-center gap-1 mt-2">
+              ${renderSelectBox(f, selected)}
+              <button data-action="open-file" data-cid="${f.cid}" data-name="${name}" class="flex-1 px-2 py-1 border rounded text-xs hover:bg-gray-100">Open</button>
+              <button data-action="download-file" data-cid="${f.cid}" data-name="${name}" data-size="${f.size || 0}" class="px-2 py-1 border rounded text-xs hover:bg-gray-100 ${noSeeders(f.cid, availability) ? "text-amber-700" : ""}" title="${downloadTitle(f.cid, availability)}">↓</button>
+              <button data-action="export-car" data-key="${escapeHtml(fileKey(f))}" class="px-2 py-1 border rounded text-xs hover:bg-gray-100" title="Export as CAR">CAR</button>
+              ${fileChatButtons(f, comments)}
+              <button data-action="rename-file" data-key="${escapeHtml(fileKey(f))}" data-name="${name}" class="px-2 py-1 border rounded text-xs hover:bg-gray-100" title="Rename">✎</button>
+              <button data-action="remove-file" data-key="${escapeHtml(fileKey(f))}" data-name="${name}" class="px-2 py-1 border rounded text-xs hover:bg-gray-100" title="Remove">✕</button>
             </div>
           </div>
         </div>`;
@@ -178,6 +362,104 @@ function renderFilesGrid(files, thumbnails) {
     .join("")}</div>`;
 }
 
+// Collapsible folder tree; ancestors of the current folder start expanded
+function renderFolderTree(node, currentPath) {
+  return node.folders
+    .map((d) => {
+      const path = escapeHtml(d.path);
+      const open = currentPath === d.path || currentPath.startsWith(`${d.path}/`);
+      const current = currentPath === d.path ? "font-semibold" : "";
+      const summary = `
+        <button data-action="nav-folder" data-path="${path}" class="hover:underline ${current}">📁 ${escapeHtml(d.name)}</button>
+        <span class="text-gray-500">${d.count}</span>
+        <button data-action="download-folder" data-path="${path}" class="px-1 border rounded hover:bg-gray-100" title="Download folder">↓</button>`;
+      if (!d.folders.length) return `<div class="pl-4 py-0.5">${summary}</div>`;
+      return `
+        <details class="pl-1" ${open ? "open" : ""}>
+          <summary class="cursor-pointer py-0.5">${summary}</summary>
+          <div class="pl-3">${renderFolderTree(d, currentPath)}</div>
+        </details>`;
+    })
+    .join("");
+}
+
+// "Download all" / "Download selected" as one ZIP archive
+function renderZipActions(files, selected) {
+  const total = files.reduce((sum, f) => sum + (f.size || 0), 0);
+  return `
+    <div id="room-zip-actions" class="flex items-center gap-2 mb-2 text-xs">
+      <button data-action="download-all" class="px-2 py-1 border rounded hover:bg-gray-100">↓ Download all (${files.length} · ${formatBytes(total)})</button>
+      <button data-action="download-selected" class="px-2 py-1 border rounded hover:bg-gray-100 disabled:opacity-50" ${selected.size ? "" : "disabled"}>↓ Download selected (<span id="room-selected-count">${selected.size}</span>)</button>
+      <button data-action="export-car-selected" class="px-2 py-1 border rounded hover:bg-gray-100 disabled:opacity-50" ${selected.size ? "" : "disabled"} title="Save the selected files as a CAR archive">CAR of selected</button>
+      <button data-action="clear-selection" class="underline text-gray-600 ${selected.size ? "" : "hidden"}">Clear</button>
+    </div>`;
+}
+
+/** Update seeder counts and badges without re-rendering the file list */
+export function renderAvailability(availability) {
+  document.querySelectorAll("#room-files [data-availability]").forEach((el) => {
+    el.innerHTML = availabilityBadge(el.dataset.availability, availability);
+  });
+  document.querySelectorAll('#room-files [data-action="download-file"]').forEach((btn) => {
+    btn.classList.toggle("text-amber-700", noSeeders(btn.dataset.cid, availability));
+    btn.title = downloadTitle(btn.dataset.cid, availability);
+  });
+}
+
+/** Update the selection count without re-rendering the file list */
+export function updateSelectionCount(count) {
+  setText("room-selected-count", String(count));
+  document.querySelectorAll('#room-zip-actions [data-action="download-selected"], #room-zip-actions [data-action="export-car-selected"]').forEach((btn) => {
+    btn.disabled = count === 0;
+  });
+  document.querySelector('#room-zip-actions [data-action="clear-selection"]')?.classList.toggle("hidden", count === 0);
+}
+
+function renderBreadcrumbs(currentPath) {
+  const segments = currentPath ? currentPath.split("/") : [];
+  const crumbs = [`<button data-action="nav-folder" data-path="" class="hover:underline">All files</button>`];
+  segments.forEach((seg, i) => {
+    const path = escapeHtml(segments.slice(0, i + 1).join("/"));
+    const current = i === segments.length - 1 ? "font-semibold" : "hover:underline";
+    crumbs.push(`<button data-action="nav-folder" data-path="${path}" class="${current}">${escapeHtml(seg)}</button>`);
+  });
+  return `
+    <div class="flex items-center gap-1 flex-wrap text-xs mb-2">
+      ${crumbs.join('<span class="text-gray-400">/</span>')}
+      ${currentPath ? `<button data-action="download-folder" data-path="${escapeHtml(currentPath)}" class="ml-auto px-2 py-1 border rounded hover:bg-gray-100">↓ Download folder</button>` : ""}
+    </div>`;
+}
+
+function renderRemovedFiles(removed) {
+  if (!removed.length) return "";
+  return `
+    <details id="room-removed" class="mt-3 p-3 bg-gray-50 border rounded">
+      <summary class="font-medium cursor-pointer">Recently removed (${removed.length})</summary>
+      <ul class="mt-2 space-y-1">${removed
+        .map((f) => `
+          <li class="flex items-center gap-2 text-xs">
+            <span class="flex-1 truncate" title="${escapeHtml(f.path || f.name)}">${escapeHtml(f.name)}</span>
+            <span class="text-gray-500">${formatDistanceToNow(f.removedAt, { addSuffix: true })}</span>
+            <button data-action="restore-file" data-key="${escapeHtml(fileKey(f))}" class="px-2 py-1 border rounded hover:bg-gray-100">Restore</button>
+          </li>`)
+        .join("")}</ul>
+    </details>`;
+}
+
+// New messages / files since the room was last read (unread.js)
+function unreadBadges(unread) {
+  if (!unread) return "";
+  const badge = (count, label, title) =>
+    count ? ` <span class="ml-1 px-1.5 rounded-full bg-blue-600 text-white text-xs" title="${title}">${label} ${count}</span>` : "";
+  const mentions = unread.mentions
+    ? ` <span class="ml-1 px-1.5 rounded-full bg-amber-500 text-white text-xs" title="Messages mentioning you">@ ${unread.mentions}</span>`
+    : "";
+  return mentions + badge(unread.chat, "💬", "New messages") + badge(unread.files, "📄", "New files");
+}
+
+/**
+ * @param {any[]} rooms - Room records (store.js), with `unread` counts for open rooms
+ */
 export function renderRoomsList(rooms, onOpen, targetId = 'rooms-list') {
   const ul = $(targetId);
   if (!ul) return;
@@ -190,7 +472,7 @@ export function renderRoomsList(rooms, onOpen, targetId = 'rooms-list') {
       <div class="flex-1">
         <div class="font-medium">${
           r.name || "(room)"
-        } · <span class="text-xs text-gray-500">${filesCount} file(s)</span></div>
+        } · <span class="text-xs text-gray-500">${filesCount} file(s)</span>${unreadBadges(r.unread)}</div>
         <div class="text-xs text-gray-600">Last seen: ${
           r.lastSeen
             ? formatDistanceToNow(r.lastSeen, { addSuffix: true })
@@ -213,66 +495,329 @@ export function renderRoomDetails(room, opts = {}) {
   const files = room?.manifest?.files || [];
   const thumbnails = opts.thumbnails || {}; // cid -> data URL
   const viewMode = opts.viewMode || 'list'; // 'list' or 'grid'
+  const removed = opts.removed || []; // tombstoned files, most recent first
+  const tree = buildFileTree(files);
+  // Folder being browsed ('' = root); falls back to root if it no longer exists
+  const folder = findFolder(tree, opts.currentPath || '') || tree;
+  const currentPath = folder.path;
+  const selected = opts.selected || new Set(); // file keys ticked for "Download selected"
+  const availability = opts.availability || NO_AVAILABILITY; // seeders per file (presence.js fileAvailability)
+  const comments = opts.comments || new Map(); // cid -> comments in the file's thread (chat.js fileComments)
+  // Our role (room-auth.js): peers would reject changes beyond it
+  const access = opts.access || "write";
+  const readOnly = access === "read";
+  const canEdit = access === "owner" || access === "write";
 
   root.innerHTML = `
     <div class="mb-3">
       <div class="flex items-center gap-2 flex-wrap">
         <div class="font-semibold">${
           room?.name || "(room)"
-        } <span class="text-xs text-gray-500">${room?.id || ""}</span></div>
+        } <span class="text-xs text-gray-500">${room?.id || ""}</span>${
+          room?.encrypted ? ' <span class="text-xs text-green-700" title="Manifest, chat and files are end-to-end encrypted">🔒 Encrypted</span>' : ""
+        }${
+          readOnly ? ' <span class="text-xs text-amber-700" title="Ask for an upload or full-access invite to add files or chat">👁 Read-only</span>' : ""
+        }${
+          access === "upload" ? ' <span class="text-xs text-amber-700" title="You can add files, but not chat or change existing files">⬆ Upload-only</span>' : ""
+        }</div>
         <div class="ml-auto flex items-center gap-2">
           <button id="btn-view-list" class="px-2 py-1 border rounded text-xs ${viewMode === 'list' ? 'bg-gray-200' : ''}">List</button>
           <button id="btn-view-grid" class="px-2 py-1 border rounded text-xs ${viewMode === 'grid' ? 'bg-gray-200' : ''}">Grid</button>
+          ${files.length ? '<button id="btn-backup-room" class="px-2 py-1 border rounded text-xs" title="Send the files held here to the hub mirror, so they stay available when no one is online">Back up</button>' : ""}
+          ${files.length ? '<button id="btn-export-car" class="px-2 py-1 border rounded text-xs" title="Save the files held here as a CAR archive, to import on another machine or a hub">Export CAR</button>' : ""}
           <button id="btn-share-room" class="px-2 py-1 bg-blue-600 text-white rounded text-xs hover:bg-blue-700">Share</button>
         </div>
       </div>
+      <div id="room-presence" class="mt-2 flex items-center gap-1 flex-wrap text-xs">${renderPresenceChips(opts.presence || [], opts.directory)}</div>
     </div>
     <div class="grid md:grid-cols-2 gap-4">
-      <div>
+      <div id="room-files-panel">
         <div class="font-medium mb-1">Files in room</div>
         ${
           files.length
-            ? ""
+            ? renderZipActions(files, selected)
             : '<div class="text-sm text-gray-600">No files yet.</div>'
         }
-        ${viewMode === 'list' ? renderFilesList(files, thumbnails) : renderFilesGrid(files, thumbnails)}
+        ${tree.folders.length ? `<nav id="room-tree" class="text-xs mb-2 max-h-40 overflow-y-auto">${renderFolderTree(tree, currentPath)}</nav>${renderBreadcrumbs(currentPath)}` : ""}
+        ${viewMode === 'list' ? renderFilesList(folder.files, thumbnails, folder.folders, selected, availability, comments) : renderFilesGrid(folder.files, thumbnails, folder.folders, selected, availability, comments)}
+        ${renderRemovedFiles(removed)}
 
-        <div class="mt-4 p-3 bg-gray-50 border rounded">
+        <div class="mt-4 p-3 bg-gray-50 border rounded ${readOnly ? "hidden" : ""}">
           <div class="font-medium mb-1">Add files to this room</div>
           <div id="room-dropzone" class="border-2 border-dashed rounded p-4 text-center text-xs text-gray-600 bg-white hover:bg-gray-50">
             <input id="room-file-input" type="file" multiple class="hidden"/>
-            <p>Drag & drop, or <button type="button" id="btn-room-browse" class="underline">browse</button></p>
+            <input id="room-folder-input" type="file" webkitdirectory multiple class="hidden"/>
+            <p>Drag & drop files or folders, or browse <button type="button" id="btn-room-browse" class="underline">files</button> / <button type="button" id="btn-room-browse-folder" class="underline">folder</button></p>
           </div>
         </div>
       </div>
       <div>
-        <div class="font-medium mb-1">Chat</div>
+        <div class="flex items-center gap-1 mb-1">
+          <div class="font-medium flex-1">Chat</div>
+          <input id="chat-search" type="search" class="border rounded px-2 py-0.5 text-xs w-36" placeholder="Search chat"/>
+          <select id="chat-search-scope" class="border rounded px-1 py-0.5 text-xs" title="Where to search">
+            <option value="room">This room</option>
+            <option value="all">All joined rooms</option>
+          </select>
+        </div>
+        <div id="chat-search-results" class="hidden mb-2 border rounded bg-white max-h-40 overflow-auto text-xs divide-y"></div>
         <div id="chat-box" class="border rounded h-48 overflow-auto p-2 bg-white"></div>
+        <div id="chat-reply" class="hidden mt-2 flex items-center gap-2 px-2 py-1 text-xs bg-gray-50 border rounded"></div>
+        <div id="chat-attachments" class="hidden mt-2 flex flex-wrap gap-1 text-xs"></div>
         <div class="mt-2 flex items-center gap-2">
-          <input id="chat-input" class="flex-1 border rounded px-2 py-1" placeholder="Type a message"/>
-          <button id="btn-chat-send" class="px-2 py-1 border rounded">Send</button>
+          <input id="chat-input" class="flex-1 border rounded px-2 py-1" placeholder="${canEdit ? "Type a message" : "Chat needs full access"}"${canEdit ? "" : " disabled"}/>
+          <button id="btn-chat-send" class="px-2 py-1 border rounded"${canEdit ? "" : " disabled"}>Send</button>
         </div>
       </div>
     </div>
   `;
+  if (!canEdit) {
+    root.querySelectorAll('[data-action="rename-file"], [data-action="remove-file"], [data-action="restore-file"], [data-action="attach-file"]').forEach((b) => b.remove());
+  }
+}
+
+const PRESENCE_STATUS = {
+  online: { dot: "bg-green-500", label: "Online" },
+  idle: { dot: "bg-amber-400", label: "Idle" },
+};
+
+// One chip per peer in the room (hub mirrors too): status dot, avatar, name (see peerLabel), current download
+function renderPresenceChips(people, directory = new Map()) {
+  const others = people.filter((p) => !p.self && !p.hub).length;
+  const chips = people
+    .map((p) => {
+      const status = PRESENCE_STATUS[p.status] || PRESENCE_STATUS.online;
+      const name = `${p.hub ? "🗄 " : ""}<span style="color:${peerColor(p.peerId, directory)}">${escapeHtml(peerLabel(p.peerId, directory))}</span>`;
+      const title = escapeHtml(`${p.peerId} · ${status.label}${p.downloading ? ` · downloading ${p.downloading}` : ""}`);
+      return `
+        <span class="inline-flex items-center gap-1 px-2 py-0.5 border rounded-full bg-white ${p.status === "idle" ? "text-gray-500" : ""}" title="${title}">
+          <span class="w-2 h-2 rounded-full ${status.dot}"></span>
+          ${avatarChip(p.peerId, directory, "w-4 h-4")}
+          ${name}${p.self ? ' <span class="text-gray-500">(you)</span>' : ""}
+          ${p.downloading ? `<span class="text-blue-700 truncate max-w-[10rem]">⬇ ${escapeHtml(p.downloading)}</span>` : ""}
+          ${p.self
+            ? '<button data-action="edit-profile" class="text-gray-500 hover:text-gray-800" title="Edit your profile">✎</button>'
+            : `<button data-action="nickname-peer" data-peer="${escapeHtml(p.peerId)}" class="text-gray-500 hover:text-gray-800" title="Set a nickname only you see">✎</button>`}
+        </span>`;
+    })
+    .join("");
+  return `<span class="text-gray-600">${others ? `${others} other${others === 1 ? "" : "s"} here:` : "Nobody else here right now"}</span>${chips}`;
 }
 
-export function renderChatMessages(messages, selfId = "") {
-  const box = $("chat-box");
+/** Update the presence strip without re-rendering the room */
+export function renderPresence(people = [], directory = new Map()) {
+  const el = $("room-presence");
+  if (el) el.innerHTML = renderPresenceChips(people, directory);
+}
+
+// Quoted line above a reply, or in the "Replying to" bar
+function chatQuote(target, directory) {
+  if (!target) return '<span class="italic">message not loaded</span>';
+  const who = `<span style="color:${peerColor(target.from, directory)}">${escapeHtml(peerLabel(target.from, directory))}</span>`;
+  return `${who}: ${target.deleted ? '<span class="italic">message deleted</span>' : escapeHtml(String(target.text || "").slice(0, 80))}`;
+}
+
+// Card for a room file attached to a message: thumbnail (thumbnail-events), name, size, Open
+function attachmentCard(cid, file, thumbUrl) {
+  const thumb = thumbUrl
+    ? `<img src="${thumbUrl}" class="w-10 h-10 object-cover rounded border flex-shrink-0" />`
+    : `<div class="w-10 h-10 flex items-center justify-center bg-gray-100 rounded border text-lg flex-shrink-0">📄</div>`;
+  return `
+    <div class="inline-flex items-center gap-2 p-1 pr-2 border rounded bg-gray-50 max-w-full text-gray-800" data-attachment="${escapeHtml(cid)}">
+      ${thumb}
+      <div class="min-w-0">
+        <div class="text-xs font-medium truncate">${file ? escapeHtml(file.name) : "File"}</div>
+        <div class="text-xs text-gray-500">${file ? formatBytes(file.size) : "no longer in the room"}</div>
+      </div>
+      <button data-action="open-attachment" data-cid="${escapeHtml(cid)}" class="px-2 py-1 border rounded text-xs hover:bg-gray-100">Open</button>
+    </div>`;
+}
+
+function renderChatMessage(m, target, selfId, directory, { canChat, replies, files, thumbnails }) {
+  const isSelf = selfId && m.from === selfId;
+  const from = m.from || "anon";
+  const time = m.ts ? new Date(m.ts).toLocaleTimeString() : "";
+  const actions = canChat && m.msgId && !m.deleted
+    ? `<span class="hidden group-hover:inline-flex items-center gap-1 ml-1 text-xs text-gray-500">
+        ${replies ? `<button data-action="chat-reply" data-msg="${escapeHtml(m.msgId)}" class="hover:text-gray-800" title="Reply">↩</button>` : ""}
+        ${REACTIONS.map((emoji) => `<button data-action="chat-react" data-msg="${escapeHtml(m.msgId)}" data-emoji="${emoji}" class="hover:scale-125" title="React ${emoji}">${emoji}</button>`).join("")}
+        ${isSelf ? `<button data-action="chat-edit" data-msg="${escapeHtml(m.msgId)}" class="hover:text-gray-800">Edit</button><button data-action="chat-delete" data-msg="${escapeHtml(m.msgId)}" class="hover:text-red-700">Delete</button>` : ""}
+      </span>`
+    : "";
+  const reactions = (m.reactions || [])
+    .map(({ emoji, peers }) => `<button data-action="chat-react" data-msg="${escapeHtml(m.msgId)}" data-emoji="${escapeHtml(emoji)}"${canChat ? "" : " disabled"}
+        class="px-1.5 border rounded-full text-xs ${peers.includes(selfId) ? "bg-blue-50 border-blue-300" : "bg-white"}"
+        title="${escapeHtml(peers.map((p) => peerLabel(p, directory)).join(", "))}">${escapeHtml(emoji)} ${peers.length}</button>`)
+    .join("");
+  const attachments = m.deleted ? [] : (m.files || []).map((cid) => attachmentCard(cid, files.get(cid), thumbnails[cid]));
+  const mentions = (m.mentions || []).map((peerId) => ({ peerId, names: mentionNames(peerId, directory), self: peerId === selfId }));
+  const mentionsUs = !m.deleted && mentions.some((p) => p.self);
+
+  const div = document.createElement("div");
+  div.className = `group text-sm mb-1 ${isSelf ? "text-blue-700" : "text-gray-800"} ${mentionsUs ? "bg-amber-50 rounded" : ""}`;
+  div.innerHTML = `
+    ${m.replyTo ? `<div class="ml-4 pl-1 border-l-2 text-xs text-gray-500 truncate">↪ ${chatQuote(target, directory)}</div>` : ""}
+    <div>[${escapeHtml(time)}] ${avatarChip(from, directory, "w-4 h-4 align-middle")}
+      <span class="font-medium" style="color:${peerColor(from, directory)}" title="${escapeHtml(from)}">${escapeHtml(peerLabel(from, directory))}</span>:
+      ${m.deleted ? '<span class="italic text-gray-400">message deleted</span>' : `<span class="whitespace-pre-wrap break-words">${renderMarkdown(m.text, { mentions })}</span>`}
+      ${m.editedAt && !m.deleted ? `<span class="text-xs text-gray-400" title="Edited ${escapeHtml(new Date(m.editedAt).toLocaleString())}">(edited)</span>` : ""}
+      ${actions}
+    </div>
+    ${attachments.length ? `<div class="ml-4 mt-1 flex flex-wrap gap-1">${attachments.join("")}</div>` : ""}
+    ${reactions ? `<div class="ml-4 mt-0.5 flex flex-wrap gap-1">${reactions}</div>` : ""}`;
+  return div;
+}
+
+/**
+ * Render the chat, changing only the messages that differ from what's shown
+ * directory: names, colours and avatars of the authors (profile.js peerDirectory)
+ * @param {import('./chat.js').ChatMessage[]} messages - From getChatMessages
+ * @param {Object} [options]
+ * @param {boolean} [options.canChat] - Offer reply / react / edit / delete
+ * @param {string} [options.boxId] - Container (a file's comment thread renders elsewhere)
+ * @param {boolean} [options.replies] - Offer replies
+ * @param {Map<string, {name: string, size?: number}>} [options.files] - Room files by CID, for attachment cards
+ * @param {Record<string, string>} [options.thumbnails] - cid -> thumbnail URL
+ * @param {number} [options.earlier] - Older messages left out: offers "Load earlier"
+ * @param {import('./chat.js').ChatMessage[]} [options.all] - Every message, so replies to ones left out still quote them
+ */
+export function renderChatMessages(messages, selfId = "", directory = new Map(), { canChat = true, boxId = "chat-box", replies = true, files = new Map(), thumbnails = {}, earlier = 0, all = messages } = {}) {
+  const box = $(boxId);
   if (!box) return;
-  const frag = document.createDocumentFragment();
-  messages.forEach((m) => {
-    const div = document.createElement("div");
-    const isSelf = selfId && m.from === selfId;
-    div.className = `text-sm mb-1 ${
-      isSelf ? "text-blue-700" : "text-gray-800"
-    }`;
-    const fromShort = (m.from || "anon").slice(0, 16);
-    const time = m.ts ? new Date(m.ts).toLocaleTimeString() : "";
-    div.textContent = `[${time}] ${fromShort}: ${m.text}`;
-    div.title = m.from || "anon"; // Full ID on hover
-    frag.appendChild(div);
+  const atBottom = box.scrollHeight - box.scrollTop - box.clientHeight < 40;
+  // First row in view, kept in place when earlier messages are added above it
+  const boxTop = box.getBoundingClientRect().top;
+  const anchor = [...box.children].find((el) => el.dataset.key !== "earlier" && el.getBoundingClientRect().bottom > boxTop);
+  const anchorTop = anchor?.getBoundingClientRect().top;
+  const byId = new Map(all.filter((m) => m.msgId).map((m) => [m.msgId, m]));
+  const shown = new Map([...box.children].map((el) => [el.dataset.key, el]));
+  const rows = new Set();
+  let before = box.firstChild;
+  // Everything a row shows goes in its sig: unchanged rows are left alone
+  const place = (key, sig, make) => {
+    let el = shown.get(key);
+    if (!el || el.dataset.sig !== sig) {
+      const next = make();
+      next.dataset.key = key;
+      next.dataset.sig = sig;
+      if (el) el.replaceWith(next);
+      el = next;
+    }
+    rows.add(el);
+    if (el !== before) box.insertBefore(el, before);
+    before = el.nextSibling;
+  };
+  if (earlier) {
+    place("earlier", String(earlier), () => {
+      const div = document.createElement("div");
+      div.className = "text-center mb-2";
+      div.innerHTML = `<button data-action="chat-earlier" class="px-2 py-1 border rounded text-xs text-gray-600 hover:bg-gray-100">Load earlier messages (${earlier})</button>`;
+      return div;
+    });
+  }
+  messages.forEach((m, i) => {
+    const target = m.replyTo ? byId.get(m.replyTo) : null;
+    const author = directory.get(m.from);
+    const replyAuthor = target && directory.get(target.from);
+    const attached = (m.files || []).map((cid) => [files.get(cid), thumbnails[cid]]);
+    const mentioned = (m.mentions || []).map((peerId) => directory.get(peerId));
+    const sig = JSON.stringify([m, target?.text, target?.deleted, target?.from, author, replyAuthor, attached, mentioned, selfId, canChat, replies]);
+    place(m.msgId || `#${i}`, sig, () => renderChatMessage(m, target, selfId, directory, { canChat, replies, files, thumbnails }));
+  });
+  for (const el of [...box.children]) {
+    if (!rows.has(el)) el.remove();
+  }
+  // Follow new messages unless the reader scrolled up
+  if (atBottom) box.scrollTop = box.scrollHeight;
+  else if (anchor?.isConnected) box.scrollTop += anchor.getBoundingClientRect().top - anchorTop;
+}
+
+/**
+ * Scroll a message into view and flash it (search results)
+ * @returns {boolean} Whether it is shown
+ */
+export function highlightChatMessage(msgId, boxId = "chat-box") {
+  const el = [...($(boxId)?.children || [])].find((row) => row.dataset.key === msgId);
+  if (!el) return false;
+  el.scrollIntoView({ block: "center" });
+  el.classList.add("ring-2", "ring-amber-400", "rounded");
+  setTimeout(() => el.classList.remove("ring-2", "ring-amber-400"), 2000);
+  return true;
+}
+
+// Escaped text with the search words marked
+function markTerms(text, terms) {
+  const html = escapeHtml(text);
+  if (!terms.length) return html;
+  const words = terms.map((t) => escapeHtml(t).replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  // Entities are matched first so a word never splits one
+  const pattern = new RegExp(`(&#?\\w+;)|${words.join("|")}`, "gi");
+  return html.replace(pattern, (match, entity) => (entity ? match : `<mark>${match}</mark>`));
+}
+
+/**
+ * Chat search results; hidden while there's no query
+ * @param {{roomId: string, roomName: string, message: import('./chat.js').ChatMessage}[]} results - Newest first
+ * @param {string[]} terms - Search words, to mark in the text
+ * @param {{showRoom?: boolean}} [options] - showRoom: results span several rooms
+ */
+export function renderChatSearchResults(results, terms, directory = new Map(), { showRoom = false } = {}) {
+  const el = $("chat-search-results");
+  if (!el) return;
+  el.classList.toggle("hidden", !terms.length);
+  if (!terms.length) {
+    el.innerHTML = "";
+    return;
+  }
+  el.innerHTML = results.length
+    ? results
+        .map(({ roomId, roomName, message: m }) => `
+          <button data-action="open-result" data-room="${escapeHtml(roomId)}" data-msg="${escapeHtml(m.msgId)}" class="block w-full text-left px-2 py-1 hover:bg-gray-50">
+            <div class="text-gray-500">
+              <span style="color: ${peerColor(m.from, directory)}">${escapeHtml(peerLabel(m.from, directory))}</span>
+              ${showRoom ? ` in <span class="font-medium">${escapeHtml(roomName)}</span>` : ""}${m.about ? " · file comment" : ""}
+              · ${formatDistanceToNow(m.ts, { addSuffix: true })}
+            </div>
+            <div class="truncate">${markTerms(m.text || "", terms)}</div>
+          </button>`)
+        .join("")
+    : `<div class="px-2 py-1 text-gray-500">No messages match</div>`;
+}
+
+/**
+ * Files waiting to go with the next chat message
+ * @param {{cid: string, name: string}[]} files
+ */
+export function renderChatAttachments(files) {
+  const el = $("chat-attachments");
+  if (!el) return;
+  el.classList.toggle("hidden", !files.length);
+  el.innerHTML = files
+    .map((f) => `
+      <span class="inline-flex items-center gap-1 px-2 py-0.5 border rounded-full bg-white">📎 ${escapeHtml(f.name)}
+        <button data-action="detach-file" data-cid="${escapeHtml(f.cid)}" class="text-gray-500 hover:text-gray-800" title="Don't attach">&times;</button>
+      </span>`)
+    .join("");
+}
+
+/**
+ * Update the comment counts on file rows without re-rendering the room
+ * @param {Map<string, number>} counts - cid -> comments
+ */
+export function renderCommentCounts(counts) {
+  document.querySelectorAll("#room-files [data-comments]").forEach((el) => {
+    const count = counts.get(el.getAttribute("data-comments")) || 0;
+    el.textContent = count ? String(count) : "";
   });
-  box.replaceChildren(frag);
-  box.scrollTop = box.scrollHeight;
+}
+
+/** Show (or hide, with null) the "Replying to" bar above the chat input */
+export function renderChatReply(target, directory = new Map()) {
+  const bar = $("chat-reply");
+  if (!bar) return;
+  bar.classList.toggle("hidden", !target);
+  bar.innerHTML = target
+    ? `<span class="truncate">Replying to ${chatQuote(target, directory)}</span>
+       <button data-action="cancel-reply" class="ml-auto text-gray-500 hover:text-gray-800" title="Cancel reply">&times;</button>`
+    : "";
 }
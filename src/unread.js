@@ -0,0 +1,71 @@
+// @ts-check
+/**
+ * Unread activity per room (browser): chat messages and files that arrived
+ * since we last read the room
+ *
+ * The last-read marker is kept with the room in store.js (setLastRead):
+ *
+ *   { chat: number, files: string[] }
+ *
+ * `chat` is how many messages the room had (getChatMessages, file comments
+ * included), `files` the keys of the files it listed (manifest.js fileKey).
+ * Counting positions and keys rather than timestamps keeps other peers' clocks
+ * out of it. A message from a peer that was offline can merge in before the
+ * marker and push one we had read past it; at worst that one counts again.
+ */
+
+import { getChatMessages } from './chat.js'
+import { fileKey, listFiles } from './manifest.js'
+
+/**
+ * @typedef {Object} LastRead
+ * @property {number} chat - Messages in the room when it was read
+ * @property {string[]} files - Keys of the files it listed
+ */
+
+/**
+ * @typedef {Object} Unread
+ * @property {number} chat - New messages from other peers
+ * @property {number} mentions - Those of them that @mention us
+ * @property {number} files - New files
+ * @property {import('./chat.js').ChatMessage|null} lastMessage - Latest of the new messages
+ * @property {import('./chat.js').ChatMessage|null} lastMention - Latest of those mentioning us
+ * @property {import('./manifest.js').ManifestFile|null} lastFile - Latest of the new files
+ */
+
+/**
+ * The marker for a room as it is now
+ * @param {import('yjs').Doc} ydoc
+ * @returns {LastRead}
+ */
+export function readMarker(ydoc) {
+  return {
+    chat: getChatMessages(ydoc.getArray('chat')).length,
+    files: listFiles(ydoc).map(fileKey)
+  }
+}
+
+/**
+ * What's new in a room since the marker
+ * @param {import('yjs').Doc} ydoc
+ * @param {LastRead|null|undefined} lastRead - No marker: nothing is unread
+ * @param {string} selfId - Our peer ID; our own messages are never unread
+ * @returns {Unread}
+ */
+export function countUnread(ydoc, lastRead, selfId) {
+  if (!lastRead) return { chat: 0, mentions: 0, files: 0, lastMessage: null, lastMention: null, lastFile: null }
+  const messages = getChatMessages(ydoc.getArray('chat'))
+    .slice(lastRead.chat || 0)
+    .filter(m => m && !m.deleted && m.from !== selfId)
+  const mentions = messages.filter(m => m.mentions?.includes(selfId))
+  const seen = new Set(lastRead.files || [])
+  const files = listFiles(ydoc).filter(f => !seen.has(fileKey(f)))
+  return {
+    chat: messages.length,
+    mentions: mentions.length,
+    files: files.length,
+    lastMessage: messages[messages.length - 1] || null,
+    lastMention: mentions[mentions.length - 1] || null,
+    lastFile: files[files.length - 1] || null
+  }
+}
@@ -1,34 +1,66 @@
 // @ts-check
 import * as Y from 'yjs'
-import { ROOM_TOPIC } from './constants.js'
+import { ROOM_TOPIC, TRACKERS } from './constants.js'
+import { listFiles, migrateLegacyManifest, bindLegacyMigration, mirrorLegacyManifest, dropLegacyManifest } from './manifest.js'
+import { encryptBytes, decryptBytes } from './room-crypto.js'
+import { signMessage, verifyMessage, authorizeMessage, checkUploadScope, checkAccessChange, checkChatChange, getRole, getOwner, verifyGrant, addWriter, ackGrant, can } from './room-auth.js'
+import { syncStep1, syncStep2, syncUpdate, readSync, checkDigest, decodeFrame, decodeFrameList, encodeMessage, createReassembler } from './sync-protocol.js'
+import { createPresence } from './presence.js'
 
 /**
  * Y.js document manager - handles CRDT sync over libp2p gossipsub
  *
- * SYNC PROTOCOL (over pubsub topic wc/<roomId>):
+ * SYNC PROTOCOL (binary frames, see sync-protocol.js):
  *
- * 1. Y_UPDATE: Incremental CRDT updates (efficient, real-time)
+ * 1. Initial sync: /room-sync/1.0.0 streams (see room-sync.js)
+ *    - The room manager opens one to every peer we connect to, and to every
+ *      connected peer when the room opens; syncHandler answers its frames
+ *    - SYNC_STEP1 (our state vector) is answered with SYNC_STEP2 (only the
+ *      diff we're missing) plus a reply SYNC_STEP1 (`reply: true`, `to`: the
+ *      requester, the only peer that answers it), so both sides catch up
+ *
+ * 2. Y_UPDATE over pubsub topic wc/<roomId>: live incremental updates
  *    - Broadcast when local doc changes
  *    - Applied to remote doc on receive
- *    - Marks peer as synced (prevents infinite retries)
  *
- * 2. SNAPSHOT_REQUEST: Request full state from peers
- *    - Sent after 1s delay on join (allows peer connections)
- *    - Retried every 5s until synced
+ * 3. requestSync(): SYNC_STEP1 (and a legacy SNAPSHOT_REQUEST) over pubsub,
+ *    for peers that don't speak /room-sync/1.0.0; we still answer these
+ *
+ * Messages larger than MAX_FRAME_SIZE are split into chunks.
+ *
+ * PRESENCE (see presence.js): AWARENESS frames over the same topic carry who
+ * is in the room; any signed peer may publish its own state, readers included.
+ *
+ * LEGACY PEERS (JSON `{ type, update: [...] }` messages):
+ * - Their Y_UPDATE / SNAPSHOT are applied and their SNAPSHOT_REQUEST is
+ *   answered with a JSON SNAPSHOT (full state), as before
+ * - While one has been heard from in the last LEGACY_WINDOW_MS, local updates
+ *   are published in both formats, and our file changes are mirrored into the
+ *   legacy `manifest.files` array they read; once the window has passed the
+ *   array is dropped with our next file change
  *
- * 3. SNAPSHOT: Full CRDT state response
- *    - Sent when receiving SNAPSHOT_REQUEST
- *    - Marks peer as synced
- *    - Responder sends their state back (bidirectional sync)
+ * ENCRYPTED ROOMS (see room-crypto.js):
+ * - Sync payloads (state vectors too) are sealed by the room key (`enc: true, iv`
+ *   in the header); plaintext payloads are ignored in encrypted rooms and vice versa
+ * - Hubs can't read them: they keep a log of the sealed updates and answer
+ *   SYNC_STEP1 with `{ type: 'SNAPSHOT', enc: true, seq }` replaying the log,
+ *   in pages (`since`, `more`) when it's large. Once we have every page, our
+ *   full-state reply carries `covers: seq` so the hub can compact its log.
  *
- * SYNC STATE MACHINE:
- * - loading → syncing → synced
- * - Only Y_UPDATE or SNAPSHOT mark as synced
- * - Prevents retry loop when peers exchange updates
+ * ACCESS CONTROL (see room-auth.js):
+ * - Every message we publish is signed with our libp2p key (privateKey option)
+ * - Once a room has an owner, Y_UPDATE / SNAPSHOT from peers who aren't
+ *   writers are dropped, and uploaders' updates may only add files;
+ *   hubs in TRACKERS are trusted to enforce the same rules
+ * - Read-only peers don't publish updates or answer SYNC_STEP1
+ * - A grant from an invite link is attached until we've added ourselves
+ *   to the room's writers
  *
  * PERSISTENCE:
  * - Loads from OPFS/IndexedDB BEFORE network activity (prevents race conditions)
  * - Auto-saves full state on every Y.js update
+ * - Legacy `manifest.files` arrays are migrated to per-file entries on load
+ *   (see manifest.js)
  */
 
 import { supportsOPFS } from './opfs-utils.js'
@@ -169,29 +201,194 @@ class YDocPersistence {
 }
 
 const enc = (obj) => new TextEncoder().encode(JSON.stringify(obj))
-const dec = (buf) => JSON.parse(new TextDecoder().decode(buf))
+
+// Hubs apply the same access rules, so their snapshots are accepted as-is
+const HUB_PEERS = TRACKERS.map(addr => addr.split('/p2p/').pop())
+
+// JSON sync messages of peers that predate the binary protocol
+const LEGACY_TYPES = ['Y_UPDATE', 'SNAPSHOT', 'SNAPSHOT_REQUEST']
+const LEGACY_WINDOW_MS = 10 * 60 * 1000
 
 /**
  * Creates a Y.js document manager for a room
  * IMPORTANT: Now async - must await to ensure persistence loads first
  * @param {string} roomId
  * @param {import('libp2p').Libp2p} libp2p
- * @returns {Promise<Y.Doc & { manifest: Y.Map, chat: Y.Array, destroy: () => void, ready: boolean }>}
+ * @param {{key?: CryptoKey|null, privateKey?: any, grant?: import('./room-auth.js').WriteGrant|null, owner?: string|null, onGrantRejected?: () => void}} [options]
+ *   key: room key for encrypted rooms; privateKey: our libp2p key, signs messages;
+ *   grant: from an upload-only or full-access invite; owner: the room owner named
+ *   by the invite link (no other is accepted); onGrantRejected: the grant
+ *   expired, was used up or its issuer lost access
+ * @returns {Promise<Y.Doc & { manifest: Y.Map, files: Y.Map, chat: Y.Array, reactions: Y.Map, destroy: () => void, ready: boolean, canWrite: () => boolean, role: () => import('./room-auth.js').Role, syncHandler: import('./room-sync.js').RoomSyncHandler, requestSync: () => void, presence: ReturnType<typeof createPresence> }>}
  */
-export async function createYDoc(roomId, libp2p) {
+export async function createYDoc(roomId, libp2p, { key = null, privateKey = null, grant = null, owner = null, onGrantRejected = () => {} } = {}) {
   const ydoc = new Y.Doc()
   const topic = ROOM_TOPIC(roomId)
+  const self = libp2p.peerId?.toString()
+
+  // Our role (see room-auth.js); anything but 'read' may publish changes
+  const role = () => getRole(ydoc, self)
+  const canWrite = () => role() !== 'read'
+
+  // Legacy JSON payload fields for an update: sealed with the room key in encrypted rooms
+  const seal = async (update) => {
+    if (!key) return { update: Array.from(update) }
+    const { iv, data } = await encryptBytes(key, update)
+    return { enc: true, iv: Array.from(iv), update: Array.from(data) }
+  }
+
+  // Update carried by a legacy Y_UPDATE / SNAPSHOT message, or null if it isn't for this room's mode
+  const unseal = async (msg) => {
+    if (!key) return msg.enc ? null : new Uint8Array(msg.update)
+    if (!msg.enc) return null
+    return decryptBytes(key, new Uint8Array(msg.iv), new Uint8Array(msg.update))
+  }
+
+  // Header fields + payload for a y-protocols sync message
+  const sealSync = async (message) => {
+    if (!key) return { fields: {}, payload: message }
+    const { iv, data } = await encryptBytes(key, message)
+    return { fields: { enc: true, iv: Array.from(iv) }, payload: data }
+  }
+
+  // Payload of a binary frame, or null if it isn't for this room's mode
+  const unsealBytes = async (header, payload) => {
+    if (!key) return header.enc ? null : payload
+    if (!header.enc) return null
+    return decryptBytes(key, new Uint8Array(header.iv), payload)
+  }
+
+  // Sync message carried by a binary frame, or null if it isn't for this room's mode
+  const unsealSync = async (header, payload) => {
+    const message = await unsealBytes(header, payload)
+    return message && readSync(message)
+  }
+
+  // The grant rides along until it has been redeemed
+  const withGrant = (msg) => {
+    const pending = grant && !ydoc.getMap('writers').has(self) && getOwner(ydoc) !== self
+    return pending ? { ...msg, grant } : msg
+  }
+
+  // Sign and publish a legacy JSON message
+  const send = async (msg) => {
+    const full = withGrant(msg)
+    return libp2p.services?.pubsub?.publish(topic, enc(privateKey ? await signMessage(privateKey, full) : full))
+  }
+
+  // Publish a legacy Y_UPDATE / SNAPSHOT payload
+  const publishUpdate = async (type, update, extra = {}) => {
+    return send({ type, ...(await seal(update)), ...extra, roomId })
+  }
+
+  // Frames of a sync message: sealed, signed, chunked if it's large
+  const buildSync = async (type, message, extra = {}) => {
+    const { fields, payload } = await sealSync(message)
+    return encodeMessage(withGrant({ type, ...fields, ...extra, roomId }), payload, privateKey)
+  }
+
+  // Publish a sync message on gossipsub
+  const sendSync = async (type, message, extra = {}) => {
+    for (const frame of await buildSync(type, message, extra)) await libp2p.services?.pubsub?.publish(topic, frame)
+  }
+
+  // Apply an update if its sender may write; open() returns it (null: not for this room's mode)
+  const applyFrom = async (msg, open) => {
+    const auth = await authorizeMessage(ydoc, roomId, msg, { trusted: HUB_PEERS, owner })
+    if (!auth.ok) {
+      console.warn(`[${roomId.slice(0, 6)}] Rejected ${msg.type} from ${auth.from?.slice(-8) || 'unknown peer'}: ${auth.reason}`)
+      return false
+    }
+    const update = await open()
+    if (!update) return false
+    const refused = await checkAccessChange(ydoc, roomId, update, auth.from, { owner, trusted: HUB_PEERS, grant: auth.grant })
+    if (refused) {
+      console.warn(`[${roomId.slice(0, 6)}] Rejected ${msg.type} from ${auth.from?.slice(-8) || 'unknown peer'}: ${refused}`)
+      return false
+    }
+    const outOfScope = auth.role === 'upload' && checkUploadScope(ydoc, update, auth.from)
+    if (outOfScope) {
+      console.warn(`[${roomId.slice(0, 6)}] Rejected ${msg.type} from uploader ${auth.from.slice(-8)}: ${outOfScope}`)
+      return false
+    }
+    const forged = await checkChatChange(ydoc, update, auth.from, { trusted: HUB_PEERS })
+    if (forged) {
+      console.warn(`[${roomId.slice(0, 6)}] Rejected ${msg.type} from ${auth.from.slice(-8)}: ${forged}`)
+      return false
+    }
+    Y.applyUpdate(ydoc, update, 'network')
+    redeemGrant()
+    return true
+  }
+
+  // Legacy Y_UPDATE / SNAPSHOT; returns how many updates were applied
+  const applyRemote = async (msg) => {
+    // Hub replays of sealed logs carry the original signed messages
+    const entries = msg.enc && msg.updates ? msg.updates : [msg]
+    let applied = 0
+    for (const entry of entries) {
+      if (await applyFrom(entry, () => unseal(entry))) applied++
+    }
+    return applied
+  }
+
+  // Binary SYNC_STEP2 / Y_UPDATE frame whose digest has been checked
+  const applyFrame = (header, payload) => applyFrom(header, async () => {
+    const sync = await unsealSync(header, payload)
+    return sync && sync.type === header.type && sync.type !== 'SYNC_STEP1' ? sync.data : null
+  })
+
+  // Invite grant: add ourselves to the writers once we have the room's owner
+  let redeeming = false
+  const redeemGrant = async () => {
+    if (!grant || redeeming || !getOwner(ydoc) || canWrite()) return
+    redeeming = true
+    try {
+      if (await verifyGrant(ydoc, roomId, grant, self)) {
+        // Redeemed already, waiting for the issuer to pick between redemptions
+        if (ydoc.getMap('writers').has(self)) return
+        addWriter(ydoc, self, grant)
+        console.log(`[${roomId.slice(0, 6)}] Redeemed write grant from ${grant.by.slice(-8)}`)
+      } else {
+        console.warn(`[${roomId.slice(0, 6)}] Invite grant is not valid for this room`)
+        grant = null
+        onGrantRejected()
+      }
+    } finally {
+      redeeming = false
+    }
+  }
+
+  // Single-use grants we issued: acknowledge the first redemption we see (of
+  // several arriving at once, the lowest peer ID), so nobody redeeming it later
+  // can take it over (see grantHolder in room-auth.js)
+  const writers = ydoc.getMap('writers')
+  const firstRedeemer = new Map() // grantId -> peerId, in the order redemptions reached us
+  const acknowledged = (grantId) => [...writers.values()].some(e => e?.grantId === grantId && e.ack)
+  const acknowledgeRedemptions = async () => {
+    if (!privateKey || !can(role(), 'invite')) return
+    const redemptions = [...writers].filter(([, entry]) => entry?.single && entry.grantedBy === self).sort(([a], [b]) => a < b ? -1 : 1)
+    for (const [peerId, entry] of redemptions) {
+      if (!firstRedeemer.has(entry.grantId)) firstRedeemer.set(entry.grantId, peerId)
+    }
+    for (const [grantId, peerId] of firstRedeemer) {
+      if (!writers.has(peerId) || acknowledged(grantId)) continue
+      const ack = await ackGrant(privateKey, roomId, peerId, grantId)
+      // Another change may have come in while signing
+      const current = writers.get(peerId)
+      if (!current || acknowledged(grantId)) continue
+      writers.set(peerId, { ...current, ack })
+      console.log(`[${roomId.slice(0, 6)}] Acknowledged ${peerId.slice(-8)} as the holder of single-use grant ${grantId}`)
+    }
+  }
 
   // CRDT containers
   const manifest = ydoc.getMap('manifest')
+  const files = ydoc.getMap('files')
   const chat = ydoc.getArray('chat')
+  const reactions = ydoc.getMap('reactions')
 
 
-  // Track sync state: 'loading' -> 'syncing' -> 'synced'
-  // IMPORTANT: Only mark as 'synced' when receiving Y_UPDATE or SNAPSHOT
-  // This prevents infinite SNAPSHOT_REQUEST retry loops
-  let syncState = 'loading'
-
   // Initialize persistence FIRST (before any network activity)
   const persistence = new YDocPersistence(roomId)
   let persistenceUnbind = null
@@ -203,8 +400,7 @@ export async function createYDoc(roomId, libp2p) {
     const data = await persistence.load()
     if (data && data.length > 0) {
       Y.applyUpdate(ydoc, data, 'storage')
-      const files = manifest.get('files') || []
-      console.log(`[${roomId.slice(0, 6)}] Loaded ${files.length} files from local storage (${data.length} bytes)`)
+      console.log(`[${roomId.slice(0, 6)}] Loaded ${files.size} files from local storage (${data.length} bytes)`)
     } else {
       console.log(`[${roomId.slice(0, 6)}] No local storage found, starting fresh`)
     }
@@ -215,87 +411,182 @@ export async function createYDoc(roomId, libp2p) {
     console.warn('Persistence init failed:', err)
   }
 
+  // Migrate docs saved with the legacy single-array manifest
+  // Runs after bindDoc so the migrated state is persisted; peers get it with the next sync
+  const migrated = migrateLegacyManifest(ydoc)
+  if (migrated > 0) {
+    console.log(`[${roomId.slice(0, 6)}] Migrated ${migrated} legacy manifest entries`)
+  }
+  const migrationUnbind = bindLegacyMigration(ydoc)
+
+  // Old peers only understand JSON: while we've heard from one recently,
+  // local updates are also published in the legacy format
+  let legacySeenAt = 0
+  const legacyPeersAround = () => Date.now() - legacySeenAt < LEGACY_WINDOW_MS
+  // Peers we haven't heard from since opening may still be around for a window
+  const openedAt = Date.now()
+  const updateLegacyManifest = () => {
+    if (!canWrite()) return
+    if (legacyPeersAround()) mirrorLegacyManifest(ydoc)
+    else if (Date.now() - openedAt >= LEGACY_WINDOW_MS) dropLegacyManifest(ydoc)
+  }
+  const onFilesChange = (_events, txn) => {
+    if (txn.local && txn.origin !== 'migration') updateLegacyManifest()
+  }
+  files.observeDeep(onFilesChange)
+
+  // Last hub SNAPSHOT page we got with every page before it (-1 after a gap)
+  let sealedSeq = 0
+
+  const ignoreNoPeers = (label) => (err) => {
+    // Ignore expected "no peers" errors during mesh formation
+    if (!err.message?.includes('NoPeersSubscribedToTopic')) {
+      console.warn(`[${roomId.slice(0, 6)}] ${label} publish failed:`, err)
+    }
+  }
+
   // ===== GOSSIPSUB-ONLY SYNC =====
   // Broadcast Y.Doc updates to gossipsub mesh (including hubs)
   const updateHandler = (update, origin) => {
     // Don't echo back network or storage updates
     if (origin === 'network' || origin === 'storage') return
+    // Peers would reject it anyway
+    if (!canWrite()) {
+      console.warn(`[${roomId.slice(0, 6)}] Read-only: local change not published`)
+      return
+    }
 
     const peers = libp2p.services?.pubsub?.getSubscribers(topic) || []
     console.log(`[${roomId.slice(0, 6)}] Broadcasting Y_UPDATE (${update.length} bytes) to ${peers.length} gossipsub peers`)
 
-    libp2p.services?.pubsub?.publish(topic, enc({
-      type: 'Y_UPDATE',
-      update: Array.from(update),
-      roomId
-    })).catch((err) => {
-      // Ignore expected "no peers" errors during mesh formation
-      if (!err.message?.includes('NoPeersSubscribedToTopic')) {
-        console.warn(`[${roomId.slice(0, 6)}] Y_UPDATE publish failed:`, err)
+    sendSync('Y_UPDATE', syncUpdate(update)).catch(ignoreNoPeers('Y_UPDATE'))
+    if (legacyPeersAround()) publishUpdate('Y_UPDATE', update).catch(ignoreNoPeers('Legacy Y_UPDATE'))
+  }
+
+  // Binary sync messages, from gossipsub or a /room-sync stream
+  // send: how our answers go back (gossipsub by default)
+  const handleFrame = async (header, payload, send = sendSync) => {
+    if (header.roomId !== roomId) return
+    if (!(await checkDigest(header, payload))) {
+      console.warn(`[${roomId.slice(0, 6)}] Dropped ${header.type}: payload doesn't match its digest`)
+      return
+    }
+
+    if (header.type === 'SYNC_STEP1') {
+      // Peer sent its state vector (new joiner, reconnect, or the second half of a sync)
+      // Our diff would be rejected if we can't write
+      if (!canWrite() || (header.reply && header.to !== self)) return
+      const sync = await unsealSync(header, payload)
+      if (sync?.type !== 'SYNC_STEP1') return
+      const diff = syncStep2(ydoc, sync.data)
+      console.log(`[${roomId.slice(0, 6)}] SYNC_STEP1 from ${header.from?.slice(-8) || 'peer'} -> sending ${diff.length} byte diff`)
+      await send('SYNC_STEP2', diff)
+      // Bidirectional sync: ask for whatever the requester has that we don't
+      if (!header.reply) await send('SYNC_STEP1', syncStep1(ydoc), { reply: true, to: header.from })
+    }
+    else if (header.type === 'SYNC_STEP2' || header.type === 'Y_UPDATE') {
+      const beforeFiles = files.size
+      if (!(await applyFrame(header, payload))) return
+      console.log(`[${roomId.slice(0, 6)}] Applied ${header.type} (${payload.length} bytes) from ${header.from?.slice(-8) || 'peer'}: ${beforeFiles} -> ${files.size} files`)
+    }
+    else if (header.type === 'SNAPSHOT' && header.enc && key) {
+      // Hub replay of an encrypted room's sealed log: the original signed frames,
+      // in pages when it's large (`since`: where the previous page ended, `more`: pages follow)
+      const inOrder = !header.since || header.since === sealedSeq
+      if (typeof header.seq === 'number') sealedSeq = inOrder ? header.seq : -1
+      let applied = 0
+      for (const bytes of decodeFrameList(payload)) {
+        const entry = decodeFrame(bytes)
+        if ('legacy' in entry) {
+          if (await applyFrom(entry.legacy, () => unseal(entry.legacy))) applied++
+        } else if ('header' in entry && await checkDigest(entry.header, entry.payload)) {
+          if (await applyFrame(entry.header, entry.payload)) applied++
+        }
       }
-    })
+      if (!applied) return
+      console.log(`[${roomId.slice(0, 6)}] Applied ${applied} sealed updates from hub: ${files.size} files`)
+
+      // Our full state now includes every replayed entry: the hub may compact its log
+      // (once the last page is in, and only if no page was missed)
+      if (!canWrite() || header.more || !inOrder) return
+      await send('Y_UPDATE', syncUpdate(Y.encodeStateAsUpdate(ydoc)), { covers: header.seq })
+    }
+    else if (header.type === 'AWARENESS') {
+      // Presence: no write access needed, but it must be signed by the peer it describes
+      const from = await verifyMessage(header)
+      const update = from && await unsealBytes(header, payload)
+      if (update) presence.receive(update, from)
+    }
+  }
+
+  // JSON messages from peers that predate the binary protocol
+  const handleLegacy = async (msg) => {
+    if (msg.type === 'Y_UPDATE') {
+      // Real-time incremental update (efficient)
+      const beforeFiles = files.size
+      console.log(`[${roomId.slice(0, 6)}] Received legacy Y_UPDATE (${msg.update.length} bytes) from peer`)
+      if (!(await applyRemote(msg))) return
+      console.log(`[${roomId.slice(0, 6)}] After Y_UPDATE: ${beforeFiles} -> ${files.size} files`, listFiles(ydoc).map(f => f.name))
+    }
+    else if (msg.type === 'SNAPSHOT_REQUEST') {
+      // Old peer wants full state (new joiner or reconnect)
+      // Our snapshot would be rejected if we can't write
+      if (!canWrite()) return
+      const fullState = Y.encodeStateAsUpdate(ydoc)
+      console.log(`[${roomId.slice(0, 6)}] Legacy SNAPSHOT_REQUEST received -> sending ${fullState.length} bytes, ${files.size} files`)
+      publishUpdate('SNAPSHOT', fullState).catch(ignoreNoPeers('SNAPSHOT'))
+    }
+    else if (msg.type === 'SNAPSHOT') {
+      // Full state from an old peer or hub
+      if (!(await applyRemote(msg))) return
+      console.log(`[${roomId.slice(0, 6)}] Received legacy SNAPSHOT from ${msg.from?.slice(-8) || 'peer'}`)
+      console.log(`[${roomId.slice(0, 6)}] After SNAPSHOT: ${files.size} files`, listFiles(ydoc).map(f => f.name))
+
+      // Bidirectional sync: Send our state back to the responder
+      if (!canWrite()) return
+      const ourState = Y.encodeStateAsUpdate(ydoc)
+      console.log(`[${roomId.slice(0, 6)}] Sending our state back (${ourState.length} bytes)`)
+      // Replying to a hub's sealed log: our state now includes all `seq` entries
+      const extra = typeof msg.seq === 'number' ? { covers: msg.seq } : {}
+      publishUpdate('Y_UPDATE', ourState, extra).catch(ignoreNoPeers('Bidirectional Y_UPDATE'))
+    }
   }
 
+  // Who's in the room: our awareness state goes out as AWARENESS frames
+  const presence = createPresence(ydoc, {
+    self,
+    publish: async (update) => {
+      const { fields, payload } = await sealSync(update)
+      for (const frame of await encodeMessage({ type: 'AWARENESS', ...fields, roomId }, payload, privateKey)) {
+        await libp2p.services?.pubsub?.publish(topic, frame)
+      }
+    }
+  })
+  // Peers that leave disappear right away rather than when their state times out
+  const onPeerDisconnect = (evt) => presence.dropPeer(evt.detail.toString())
+  libp2p.addEventListener?.('peer:disconnect', onPeerDisconnect)
+
   // Listen for remote updates
-  const messageHandler = (evt) => {
+  const reassembler = createReassembler()
+  const messageHandler = async (evt) => {
     if (evt.detail.topic !== topic) return
     try {
-      const msg = dec(evt.detail.data)
-
-      if (msg.type === 'Y_UPDATE') {
-        // Real-time incremental update (efficient)
-        const beforeFiles = (manifest.get('files') || []).length
-        console.log(`[${roomId.slice(0, 6)}] Received Y_UPDATE (${msg.update.length} bytes) from peer`)
-        Y.applyUpdate(ydoc, new Uint8Array(msg.update), 'network')
-        const files = manifest.get('files') || []
-        console.log(`[${roomId.slice(0, 6)}] After Y_UPDATE: ${beforeFiles} -> ${files.length} files`, files.map(f => f.name))
-
-        // CRITICAL: Mark as synced when receiving Y_UPDATE from a peer
-        // This prevents both peers from being stuck in "syncing" state
-        // and endlessly retrying SNAPSHOT_REQUEST every 5s
-        if (syncState !== 'synced' && msg.update.length > 0) {
-          console.log(`[${roomId.slice(0, 6)}] Marking as synced after receiving Y_UPDATE`)
-          syncState = 'synced'
-        }
+      let frame = decodeFrame(evt.detail.data)
+      if ('chunk' in frame) {
+        const whole = reassembler.add(frame.chunk, evt.detail.from?.toString())
+        if (!whole) return
+        frame = decodeFrame(whole)
       }
-      else if (msg.type === 'SNAPSHOT_REQUEST') {
-        // Peer wants full state (new joiner or reconnect)
-        const fullState = Y.encodeStateAsUpdate(ydoc)
-        const files = manifest.get('files') || []
-        const peers = libp2p.services?.pubsub?.getSubscribers(topic) || []
-        console.log(`[${roomId.slice(0, 6)}] SNAPSHOT_REQUEST received -> sending ${fullState.length} bytes, ${files.length} files to ${peers.length} peers`)
-        libp2p.services?.pubsub?.publish(topic, enc({
-          type: 'SNAPSHOT',
-          update: Array.from(fullState),
-          roomId
-        })).catch((err) => {
-          if (!err.message?.includes('NoPeersSubscribedToTopic')) {
-            console.warn(`[${roomId.slice(0, 6)}] SNAPSHOT publish failed:`, err)
-          }
-        })
-      }
-      else if (msg.type === 'SNAPSHOT') {
-        // Full state from peer (initial sync or refresh catch-up)
-        console.log(`[${roomId.slice(0, 6)}] Received SNAPSHOT (${msg.update.length} bytes)`)
-        Y.applyUpdate(ydoc, new Uint8Array(msg.update), 'network')
-        syncState = 'synced'
-        const files = manifest.get('files') || []
-        console.log(`[${roomId.slice(0, 6)}] After SNAPSHOT: ${files.length} files`, files.map(f => f.name))
-
-        // Bidirectional sync: Send our state back to the responder
-        // This ensures both peers have each other's state
-        // Responder might have requested our snapshot while we requested theirs
-        const ourState = Y.encodeStateAsUpdate(ydoc)
-        console.log(`[${roomId.slice(0, 6)}] Sending our state back (${ourState.length} bytes)`)
-        libp2p.services?.pubsub?.publish(topic, enc({
-          type: 'Y_UPDATE',
-          update: Array.from(ourState),
-          roomId
-        })).catch((err) => {
-          if (!err.message?.includes('NoPeersSubscribedToTopic')) {
-            console.warn(`[${roomId.slice(0, 6)}] Bidirectional Y_UPDATE failed:`, err)
-          }
-        })
+      if ('legacy' in frame) {
+        // Other JSON messages (FILE_REQUEST, ...) are handled by the room manager
+        if (!LEGACY_TYPES.includes(frame.legacy.type)) return
+        const newcomer = !legacyPeersAround()
+        legacySeenAt = Date.now()
+        // What they can read may be stale by now
+        if (newcomer) updateLegacyManifest()
+        await handleLegacy(frame.legacy)
+      } else if ('header' in frame) {
+        await handleFrame(frame.header, frame.payload)
       }
     } catch (err) {
       console.warn(`[${roomId.slice(0, 6)}] Failed to handle message:`, err)
@@ -336,19 +627,8 @@ export async function createYDoc(roomId, libp2p) {
         await stream.sink([enc({ roomId })])
         await stream.close()
 
+        // The room manager syncs with the hub over /room-sync/1.0.0
         console.log(`[${roomId.slice(0, 6)}] ✓ Hub ${hubPeerIdStr.slice(0, 16)} notified`)
-
-        // Proactively send full state to hub via gossipsub
-        // Don't wait for SNAPSHOT_REQUEST - hub might not be in mesh yet
-        const fullState = Y.encodeStateAsUpdate(ydoc)
-        await libp2p.services?.pubsub?.publish(topic, enc({
-          type: 'SNAPSHOT',
-          update: Array.from(fullState),
-          roomId
-        }))
-
-        const files = manifest.get('files') || []
-        console.log(`[${roomId.slice(0, 6)}] Sent SNAPSHOT to hub (${fullState.length} bytes, ${files.length} files)`)
       } catch (err) {
         // Hub might be offline or not support protocol - that's ok, gossipsub still works
         console.log(`[${roomId.slice(0, 6)}] Hub notification failed (using P2P mesh):`, err.message)
@@ -357,127 +637,53 @@ export async function createYDoc(roomId, libp2p) {
   })()
 
   ydoc.on('update', updateHandler)
+  // Stored state may already name the owner our grant needs
+  redeemGrant()
+  const onWritersChange = () => acknowledgeRedemptions().catch(err => console.warn(`[${roomId.slice(0, 6)}] Grant acknowledgement failed:`, err.message))
+  writers.observe(onWritersChange)
+  onWritersChange()
+
+  // Ask over gossipsub, for peers that don't speak /room-sync/1.0.0
+  // (old JSON peers only answer the SNAPSHOT_REQUEST)
+  const requestSync = () => {
+    console.log(`[${roomId.slice(0, 6)}] Requesting sync over gossipsub (have ${files.size} files)`)
+    sendSync('SYNC_STEP1', syncStep1(ydoc)).catch(ignoreNoPeers('SYNC_STEP1'))
+    send({ type: 'SNAPSHOT_REQUEST', roomId }).catch(ignoreNoPeers('SNAPSHOT_REQUEST'))
+  }
 
-  // Track when we started trying to sync (for timeout)
-  const syncStartTime = Date.now()
-  const MESH_TIMEOUT_MS = 10000 // 10s timeout for mesh formation
-
-  // Request initial snapshot - always request to ensure bidirectional sync
-  const requestSnapshot = () => {
-    const files = manifest.get('files') || []
-    const peers = libp2p.services?.pubsub?.getSubscribers(topic) || []
-    const allPeers = libp2p.getPeers()?.length || 0
-    const waitingTime = Date.now() - syncStartTime
-
-    // Don't spam publish if no peers subscribed yet (gossipsub mesh not formed)
-    // BUT: After timeout, try anyway (mesh check might be wrong, or relay issues)
-    if (peers.length === 0 && allPeers > 0 && waitingTime < MESH_TIMEOUT_MS) {
-      console.log(`[${roomId.slice(0, 6)}] Waiting for gossipsub mesh (${allPeers} peers connected, 0 subscribed to topic)`)
-      return
-    }
-
-    // If we hit timeout, warn user but try publishing anyway
-    if (peers.length === 0 && allPeers > 0 && waitingTime >= MESH_TIMEOUT_MS) {
-      console.warn(`[${roomId.slice(0, 6)}] Gossipsub mesh timeout (${waitingTime}ms) - attempting publish anyway`)
-    }
-
-    console.log(`[${roomId.slice(0, 6)}] Requesting SNAPSHOT (have ${files.length} files, ${peers.length} room peers, ${allPeers} total peers)`)
-    syncState = 'syncing'
-    libp2p.services?.pubsub?.publish(topic, enc({
-      type: 'SNAPSHOT_REQUEST',
-      roomId
-    })).catch((err) => {
-      // Only warn if it's not the expected "no peers" error
-      if (!err.message?.includes('NoPeersSubscribedToTopic')) {
-        console.warn(`[${roomId.slice(0, 6)}] SNAPSHOT_REQUEST publish failed:`, err)
-      }
-    })
-  }
-
-  // Request snapshot after delay (let gossipsub mesh form - heartbeat is ~1s)
-  // Initial delay of 2s gives gossipsub time for at least 1-2 heartbeats
-  setTimeout(requestSnapshot, 2000)
-
-  // Retry snapshot requests periodically until synced
-  // Stops when syncState becomes 'synced' (after receiving Y_UPDATE or SNAPSHOT)
-  // Without marking Y_UPDATE as synced, both peers would retry forever
-  // Shorter interval (2s) since we now skip publish when mesh not ready
-  const syncInterval = setInterval(() => {
-    if (syncState !== 'synced') {
-      const files = manifest.get('files') || []
-      const peers = libp2p.services?.pubsub?.getSubscribers(topic) || []
-      if (peers.length > 0) {
-        console.log(`[${roomId.slice(0, 6)}] Still not synced (${syncState}), have ${files.length} files, ${peers.length} room peers - retrying...`)
-      }
-      requestSnapshot()
+  // Frames of a /room-sync stream; answers go back on the stream
+  /** @type {import('./room-sync.js').RoomSyncHandler} */
+  const syncHandler = {
+    request: () => buildSync('SYNC_STEP1', syncStep1(ydoc)),
+    handle: (header, payload, bytes, reply) => {
+      return handleFrame(header, payload, async (type, message, extra) => reply(await buildSync(type, message, extra)))
     }
-  }, 2000)
+  }
 
   // Cleanup
   const destroy = () => {
-    clearInterval(syncInterval)
-    clearInterval(hubRetryInterval)
     ydoc.off('update', updateHandler)
+    writers.unobserve(onWritersChange)
+    files.unobserveDeep(onFilesChange)
+    migrationUnbind()
     if (persistenceUnbind) persistenceUnbind()
-
-    // Close hub stream
-    if (hubOutgoing) {
-      try {
-        hubOutgoing.end()
-      } catch {}
-      hubOutgoing = null
-      hubConnected = false
-    }
+    libp2p.removeEventListener?.('peer:disconnect', onPeerDisconnect)
+    // Publishes our removal while we're still subscribed
+    presence.awareness.destroy()
 
     try {
       libp2p.services?.pubsub?.removeEventListener('message', messageHandler)
       libp2p.services?.pubsub?.unsubscribe(topic)
     } catch {}
-    ydoc.destroy()
+    // `destroy` below replaces Y.Doc's own
+    Y.Doc.prototype.destroy.call(ydoc)
   }
 
-  return Object.assign(ydoc, { manifest, chat, destroy, ready: true })
+  return Object.assign(ydoc, { manifest, files, chat, reactions, destroy, canWrite, role, syncHandler, requestSync, presence, ready: true })
 }
 
-/**
- * Helper to convert manifest Y.Map to plain object
- * @param {Y.Map} manifestMap
- */
-export function manifestToJSON(manifestMap) {
-  const files = manifestMap.get('files') || []
-  return {
-    files: files.map(f => ({
-      name: f.name,
-      size: f.size,
-      cid: f.cid
-    })),
-    updatedAt: manifestMap.get('updatedAt') || Date.now()
-  }
-}
+// Manifest helpers live in manifest.js (shared with the hub)
+export { manifestToJSON, updateManifest } from './manifest.js'
 
-/**
- * Helper to update manifest Y.Map from plain object
- * @param {Y.Map} manifestMap
- * @param {any} manifest
- */
-export function updateManifest(manifestMap, manifest) {
-  manifestMap.set('files', manifest.files || [])
-  manifestMap.set('updatedAt', manifest.updatedAt || Date.now())
-}
-
-/**
- * Helper to add chat message to Y.Array
- * @param {Y.Array} chatArray
- * @param {any} message
- */
-export function addChatMsg(chatArray, message) {
-  chatArray.push([message])
-}
-
-/**
- * Helper to get all chat messages from Y.Array
- * @param {Y.Array} chatArray
- */
-export function getChatMessages(chatArray) {
-  return chatArray.toArray()
-}
+// Chat helpers live in chat.js
+export { addChatMsg, getChatMessages } from './chat.js'
@@ -0,0 +1,223 @@
+// @ts-check
+/**
+ * Streaming ZIP writer
+ *
+ * Produces an uncompressed ("stored") archive chunk by chunk, so a room of any
+ * size can be zipped without holding files in memory: each entry's CRC and
+ * size go into a data descriptor after its content. ZIP64 records are added
+ * only when sizes or offsets don't fit in 32 bits.
+ */
+
+const MAX_32 = 0xffffffff
+const MAX_16 = 0xffff
+const FLAG_DESCRIPTOR = 0x0008
+const FLAG_UTF8 = 0x0800
+const ZIP64_VERSION = 45
+const DEFAULT_VERSION = 20
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+/** Incremental CRC-32; start with 0, feed chunks, result is unsigned */
+export function crc32(bytes, crc = 0) {
+  let c = ~crc >>> 0
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8)
+  return ~c >>> 0
+}
+
+/** Little-endian record builder */
+function record(size, fill) {
+  const buf = new Uint8Array(size)
+  const view = new DataView(buf.buffer)
+  let pos = 0
+  fill({
+    u16: (v) => { view.setUint16(pos, v, true); pos += 2 },
+    u32: (v) => { view.setUint32(pos, v, true); pos += 4 },
+    u64: (v) => { view.setBigUint64(pos, BigInt(v), true); pos += 8 },
+    bytes: (b) => { buf.set(b, pos); pos += b.length }
+  })
+  return buf
+}
+
+/** DOS date/time fields for a JS timestamp */
+function dosDateTime(ts) {
+  const d = new Date(ts)
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    date: ((Math.max(d.getFullYear(), 1980) - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+  }
+}
+
+/**
+ * @typedef {Object} ZipEntry
+ * @property {string} name - Path inside the archive ("folder/sub/file.txt")
+ * @property {number} [size] - Expected size; >= 4 GiB switches the entry to ZIP64 up front
+ * @property {number} [mtime]
+ * @property {() => AsyncIterable<Uint8Array>} source - Opened only when the entry is written
+ */
+
+/**
+ * Stream a ZIP archive
+ * @param {Iterable<ZipEntry>|AsyncIterable<ZipEntry>} entries
+ * @returns {AsyncGenerator<Uint8Array>}
+ */
+export async function* zipStream(entries) {
+  const encoder = new TextEncoder()
+  const central = []
+  let offset = 0
+
+  for await (const entry of entries) {
+    const name = encoder.encode(entry.name.replace(/^\/+/, ''))
+    const { time, date } = dosDateTime(entry.mtime ?? Date.now())
+    const headerOffset = offset
+    // Sizes are unknown until the content has streamed, so big entries must announce ZIP64 now
+    const zip64 = (entry.size ?? 0) >= MAX_32 || headerOffset >= MAX_32
+    const version = zip64 ? ZIP64_VERSION : DEFAULT_VERSION
+
+    const local = record(30 + name.length + (zip64 ? 20 : 0), (w) => {
+      w.u32(0x04034b50)
+      w.u16(version)
+      w.u16(FLAG_DESCRIPTOR | FLAG_UTF8)
+      w.u16(0) // stored
+      w.u16(time)
+      w.u16(date)
+      w.u32(0) // crc, sizes: in data descriptor
+      w.u32(zip64 ? MAX_32 : 0)
+      w.u32(zip64 ? MAX_32 : 0)
+      w.u16(name.length)
+      w.u16(zip64 ? 20 : 0)
+      w.bytes(name)
+      if (zip64) {
+        w.u16(0x0001)
+        w.u16(16)
+        w.u64(0)
+        w.u64(0)
+      }
+    })
+    yield local
+    offset += local.length
+
+    let crc = 0
+    let size = 0
+    for await (const chunk of entry.source()) {
+      crc = crc32(chunk, crc)
+      size += chunk.byteLength
+      yield chunk
+    }
+    offset += size
+    if (!zip64 && size >= MAX_32) throw new Error(`${entry.name} is larger than its announced size`)
+
+    const descriptor = record(zip64 ? 24 : 16, (w) => {
+      w.u32(0x08074b50)
+      w.u32(crc)
+      if (zip64) {
+        w.u64(size)
+        w.u64(size)
+      } else {
+        w.u32(size)
+        w.u32(size)
+      }
+    })
+    yield descriptor
+    offset += descriptor.length
+
+    central.push({ name, time, date, crc, size, headerOffset, version })
+  }
+
+  const cdStart = offset
+  for (const e of central) {
+    const needs64 = e.size >= MAX_32 || e.headerOffset >= MAX_32
+    const extraLen = needs64 ? 4 + 8 + 8 + 8 : 0
+    const header = record(46 + e.name.length + extraLen, (w) => {
+      w.u32(0x02014b50)
+      w.u16(e.version) // made by
+      w.u16(e.version) // needed
+      w.u16(FLAG_DESCRIPTOR | FLAG_UTF8)
+      w.u16(0)
+      w.u16(e.time)
+      w.u16(e.date)
+      w.u32(e.crc)
+      w.u32(needs64 ? MAX_32 : e.size)
+      w.u32(needs64 ? MAX_32 : e.size)
+      w.u16(e.name.length)
+      w.u16(extraLen)
+      w.u16(0) // comment
+      w.u16(0) // disk
+      w.u16(0) // internal attrs
+      w.u32(0) // external attrs
+      w.u32(needs64 ? MAX_32 : e.headerOffset)
+      w.bytes(e.name)
+      if (needs64) {
+        w.u16(0x0001)
+        w.u16(24)
+        w.u64(e.size)
+        w.u64(e.size)
+        w.u64(e.headerOffset)
+      }
+    })
+    yield header
+    offset += header.length
+  }
+  const cdSize = offset - cdStart
+
+  if (central.length >= MAX_16 || cdStart >= MAX_32 || cdSize >= MAX_32) {
+    yield record(56, (w) => {
+      w.u32(0x06064b50)
+      w.u64(44)
+      w.u16(ZIP64_VERSION)
+      w.u16(ZIP64_VERSION)
+      w.u32(0)
+      w.u32(0)
+      w.u64(central.length)
+      w.u64(central.length)
+      w.u64(cdSize)
+      w.u64(cdStart)
+    })
+    yield record(20, (w) => {
+      w.u32(0x07064b50)
+      w.u32(0)
+      w.u64(offset) // start of the ZIP64 end record
+      w.u32(1)
+    })
+  }
+
+  yield record(22, (w) => {
+    w.u32(0x06054b50)
+    w.u16(0)
+    w.u16(0)
+    w.u16(Math.min(central.length, MAX_16))
+    w.u16(Math.min(central.length, MAX_16))
+    w.u32(Math.min(cdSize, MAX_32))
+    w.u32(Math.min(cdStart, MAX_32))
+    w.u16(0)
+  })
+}
+
+/**
+ * Archive paths for manifest files: keeps folder paths (last segment follows
+ * renames) and de-duplicates clashing names with " (2)", " (3)", …
+ * @param {{name: string, path?: string}[]} files
+ * @returns {string[]}
+ */
+export function zipPaths(files) {
+  const used = new Set()
+  return files.map((f) => {
+    const dir = (f.path || '').split('/').slice(0, -1)
+    const base = [...dir, f.name].join('/')
+    let path = base
+    for (let n = 2; used.has(path.toLowerCase()); n++) {
+      const dot = base.lastIndexOf('.')
+      const slash = base.lastIndexOf('/')
+      path = dot > slash + 1 ? `${base.slice(0, dot)} (${n})${base.slice(dot)}` : `${base} (${n})`
+    }
+    used.add(path.toLowerCase())
+    return path
+  })
+}
@@ -0,0 +1,136 @@
+// Node test for server/admin-api.js
+// The admin API must refuse requests without the token, report rooms without loading them, and manage pins.
+
+import * as Y from 'yjs'
+import { createServer } from 'http'
+import { mkdtemp, writeFile, rm } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { CID } from 'multiformats/cid'
+import { sha256 } from 'multiformats/hashes/sha2'
+import * as raw from 'multiformats/codecs/raw'
+import { upsertFiles, removeFiles } from '../src/manifest.js'
+import { addChatMsg, deleteChatMsg } from '../src/chat.js'
+import { claimRoom } from '../src/room-auth.js'
+import { createAdminApi } from '../server/admin-api.js'
+
+function assert(cond, msg) { if (!cond) throw new Error(msg) }
+
+const cidOf = async (text) => CID.create(1, raw.code, await sha256.digest(new TextEncoder().encode(text)))
+const cidA = await cidOf('a')
+const cidB = await cidOf('b')
+
+// A loaded room, a room only on disk and an encrypted one
+const loaded = new Y.Doc()
+claimRoom(loaded, 'alice')
+upsertFiles(loaded, [{ name: 'a.txt', size: 1, cid: cidA.toString() }, { name: 'b.txt', size: 1, cid: cidB.toString() }])
+removeFiles(loaded, [cidB.toString()], 'alice')
+addChatMsg(loaded.getArray('chat'), { msgId: 'm1', from: 'alice', ts: 1, text: 'hi' })
+addChatMsg(loaded.getArray('chat'), { msgId: 'm2', from: 'alice', ts: 2, text: 'gone' })
+deleteChatMsg(loaded.getArray('chat'), 'm2', 'alice')
+const onDisk = new Y.Doc()
+upsertFiles(onDisk, [{ name: 'c.txt', size: 1, cid: 'cid-c' }])
+
+const sealedLog = { next: 3, entries: [{ seq: 1 }, { seq: 2 }] }
+const empty = () => ({ next: 1, entries: [] })
+const rooms = new Map([['room-a', { ydoc: loaded, sealed: empty() }]])
+const disk = new Map([['room-a', 1000], ['room-b', 2000], ['room-e', 3000]])
+const pins = new Set([cidA.toString()])
+const dir = await mkdtemp(join(tmpdir(), 'admin-api-'))
+await writeFile(join(dir, 'block'), 'x'.repeat(10))
+
+const hub = {
+  token: 'secret',
+  rooms,
+  storedRooms: async () => disk,
+  readRoom: async (roomId) => roomId === 'room-b' ? { ydoc: onDisk, sealed: empty() } : roomId === 'room-e' ? { ydoc: new Y.Doc(), sealed: sealedLog } : null,
+  loadRoom: async (roomId) => {
+    const room = (await hub.readRoom(roomId)) || { ydoc: new Y.Doc(), sealed: empty() }
+    rooms.set(roomId, room)
+    return room
+  },
+  evictRoom: async (roomId) => rooms.delete(roomId),
+  helia: {
+    pins: {
+      ls: async function * () { for (const cid of pins) yield { cid: CID.parse(cid), depth: Infinity } },
+      isPinned: async (cid) => pins.has(cid.toString()),
+      rm: async function * (cid) { pins.delete(cid.toString()); yield cid }
+    },
+    gc: async () => rm(join(dir, 'block'))
+  },
+  dirs: { blocks: dir, ydocs: join(dir, 'missing') }
+}
+
+const serve = (api) => new Promise(resolve => {
+  const server = createServer(async (req, res) => {
+    if (await api(req, res)) return
+    res.writeHead(404)
+    res.end()
+  })
+  server.listen(0, '127.0.0.1', () => resolve(server))
+})
+const server = await serve(createAdminApi(hub))
+const base = `http://127.0.0.1:${server.address().port}`
+const call = async (method, path, token = 'secret') => {
+  const res = await fetch(base + path, { method, headers: token ? { Authorization: `Bearer ${token}` } : {} })
+  return { status: res.status, body: res.headers.get('content-type') === 'application/json' ? await res.json() : null }
+}
+
+try {
+  // Auth: no token or the wrong one is refused; other paths are left alone
+  assert((await call('GET', '/admin/rooms', null)).status === 401, 'requests without a token should be refused')
+  assert((await call('GET', '/admin/rooms', 'secreT')).status === 401, 'a wrong token should be refused')
+  assert((await call('GET', '/upload')).status === 404 && (await call('GET', '/upload')).body === null, 'other paths are not the admin API\'s')
+  assert((await call('GET', '/admin/nope')).status === 404 && (await call('PUT', '/admin/rooms')).status === 405, 'unknown routes and methods')
+
+  // Rooms: loaded ones with counts, stored ones with their last activity
+  let { body } = await call('GET', '/admin/rooms')
+  assert(body.rooms.map(r => r.roomId).join() === 'room-a,room-b,room-e', 'rooms in memory and on disk should be listed')
+  const a = body.rooms[0]
+  assert(a.loaded && a.files === 1 && a.removed === 1 && a.chat === 1 && a.lastActivity === 1000, 'loaded rooms report their counts')
+  assert(!body.rooms[1].loaded && body.rooms[1].files === undefined && body.rooms[1].lastActivity === 2000, 'rooms on disk are not loaded to list them')
+
+  // Inspect: the manifest, loaded or not; encrypted rooms only their log size
+  ;({ body } = await call('GET', '/admin/rooms/room-a'))
+  assert(body.owner === 'alice' && body.files[0].name === 'a.txt' && body.removed[0].name === 'b.txt', 'inspect should show the manifest')
+  ;({ body } = await call('GET', '/admin/rooms/room-b'))
+  assert(!body.loaded && body.files[0].cid === 'cid-c' && !rooms.has('room-b'), 'rooms on disk are read without loading them')
+  ;({ body } = await call('GET', '/admin/rooms/room-e'))
+  assert(body.encrypted && body.sealedUpdates === 2 && body.files === undefined, 'encrypted rooms only report their sealed log')
+  assert((await call('GET', '/admin/rooms/room-x')).status === 404, 'unknown rooms')
+  assert((await call('GET', '/admin/rooms/..%2Fetc')).status === 400, 'room IDs that are not file-safe should be refused')
+
+  // Load and evict
+  ;({ body } = await call('POST', '/admin/rooms/room-b/load'))
+  assert(body.loaded && body.files === 1 && rooms.has('room-b'), 'load should bring a room into memory')
+  assert((await call('POST', '/admin/rooms/room-b/evict')).body.loaded === false && !rooms.has('room-b'), 'evict should drop it')
+  assert((await call('POST', '/admin/rooms/room-b/evict')).status === 404, 'evicting a room that is not loaded')
+
+  // Pins, with the rooms listing them
+  ;({ body } = await call('GET', '/admin/pins'))
+  assert(body.pins.length === 1 && body.pins[0].rooms[0].roomId === 'room-a' && body.pins[0].rooms[0].name === 'a.txt', 'pins should name their rooms')
+  assert((await call('DELETE', '/admin/pins/not-a-cid')).status === 400, 'malformed CIDs')
+  assert((await call('DELETE', `/admin/pins/${cidB}`)).status === 404, 'CIDs that are not pinned')
+  ;({ body } = await call('DELETE', `/admin/pins/${cidA}`))
+  assert(body.unpinned && !pins.has(cidA.toString()), 'pins should be removed')
+
+  // Storage and gc
+  ;({ body } = await call('GET', '/admin/storage'))
+  assert(body.blocks.files === 1 && body.blocks.bytes === 10 && body.ydocs.bytes === 0 && body.roomsLoaded === 1, 'storage should report disk usage per directory')
+  ;({ body } = await call('POST', '/admin/gc'))
+  assert(body.deletedBlocks === 1 && body.freedBytes === 10, 'gc should report what it freed')
+} finally {
+  server.close()
+}
+
+// Without --mirror there are no pins to manage
+const plain = await serve(createAdminApi({ ...hub, helia: undefined }))
+try {
+  const res = await fetch(`http://127.0.0.1:${plain.address().port}/admin/pins`, { headers: { Authorization: 'Bearer secret' } })
+  assert(res.status === 404, 'pins need the mirror')
+} finally {
+  plain.close()
+  await rm(dir, { recursive: true, force: true })
+}
+
+console.log('admin-api:ok')
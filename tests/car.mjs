@@ -0,0 +1,158 @@
+// Node test for src/car.js and server/car-cli.js
+// Exports must carry the room manifest as first root and only blocks held locally; imports must
+// store only blocks that match their CIDs, and give back the room (sealed for encrypted rooms).
+
+import * as Y from 'yjs'
+import { mkdtemp, rm, readFile, writeFile } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { MemoryBlockstore } from 'blockstore-core'
+import { FsBlockstore } from 'blockstore-fs'
+import { unixfs } from '@helia/unixfs'
+import { CID } from 'multiformats/cid'
+import { sha256 } from 'multiformats/hashes/sha2'
+import * as raw from 'multiformats/codecs/raw'
+import { CarWriter } from '@ipld/car/writer'
+import { concat } from 'uint8arrays/concat'
+import { upsertFiles, upsertFolders } from '../src/manifest.js'
+import { generateRoomKey, importRoomKey } from '../src/room-crypto.js'
+import { exportRoom, exportCids, importCar, openRoomExport, decodeRoomExport } from '../src/car.js'
+import { importCarFiles, exportCarFile, runCarCommand, readPinQueue, writePinQueue } from '../server/car-cli.js'
+
+function assert(cond, msg) { if (!cond) throw new Error(msg) }
+
+const collect = async (source) => {
+  const parts = []
+  for await (const part of source) parts.push(part)
+  return concat(parts)
+}
+async function * chunked(bytes, size) {
+  for (let i = 0; i < bytes.length; i += size) yield bytes.subarray(i, i + size)
+}
+const cat = async (fs, cid) => collect(fs.cat(CID.parse(cid)))
+
+// A browser holding a file, a folder upload and one file it never downloaded
+const local = new MemoryBlockstore()
+const fs = unixfs({ blockstore: local })
+const big = new Uint8Array(600 * 1024).map((_, i) => (i * 7 + (i >> 10)) % 251)
+const bigCid = (await fs.addBytes(big)).toString()
+const noteCid = (await fs.addBytes(new TextEncoder().encode('a note'))).toString()
+const folderCid = (await fs.addDirectory()).toString()
+const dirCid = (await fs.cp(CID.parse(noteCid), CID.parse(folderCid), 'note.txt')).toString()
+const remoteCid = (await unixfs({ blockstore: new MemoryBlockstore() }).addBytes(new Uint8Array([9]))).toString()
+const files = [
+  { name: 'big.bin', size: big.length, cid: bigCid },
+  { name: 'note.txt', size: 6, cid: noteCid, path: 'docs/note.txt' },
+  { name: 'remote.bin', size: 1, cid: remoteCid }
+]
+const folders = [{ path: 'docs', cid: dirCid }]
+
+// Whole room
+const car = await exportRoom(local, { roomId: 'room-a', name: 'Holiday', files, folders })
+assert(car.files.length === 2 && car.skipped.join() === 'remote.bin', 'files not held locally are left out')
+assert(car.roots.length === 4 && car.roots[0].code === 0x0129 && car.roots.slice(1).map(String).join() === [bigCid, noteCid, dirCid].join(), 'the manifest is the first root, then the files and folders')
+const bytes = await collect(car.stream())
+assert((await collect(car.stream())).length === bytes.length, 'an export can be streamed again')
+const progress = []
+await collect(car.stream((written, total) => progress.push([written, total])))
+assert(progress.length === car.blocks - 1 && progress.at(-1)[0] === progress.at(-1)[1], 'progress counts blocks to the end')
+
+// Import on another machine
+const other = new MemoryBlockstore()
+const imported = await importCar(other, chunked(bytes, 1000))
+assert(imported.stored === car.blocks && !imported.rejected.length, 'every block is stored')
+assert(imported.roots.map(String).join() === car.roots.map(String).join(), 'roots come back in order')
+assert(imported.rooms.length === 1 && imported.rooms[0].roomId === 'room-a' && !imported.rooms[0].sealed, 'the room manifest is found')
+const manifest = await openRoomExport(imported.rooms[0])
+assert(manifest.name === 'Holiday' && manifest.files.map(f => f.name).join() === 'big.bin,note.txt', 'the manifest lists the exported files')
+assert(manifest.files[1].path === 'docs/note.txt' && manifest.folders[0].cid === dirCid, 'paths and folders are kept')
+const copy = unixfs({ blockstore: other })
+assert((await cat(copy, bigCid)).every((b, i) => b === big[i]), 'files read back from the imported blocks')
+assert(new TextDecoder().decode(await collect(copy.cat(CID.parse(dirCid), { path: 'note.txt' }))) === 'a note', 'folders too')
+
+// One file: no folders, nothing else
+const single = await exportRoom(local, { roomId: 'room-a', files: [files[1]] })
+const singleBytes = await collect(single.stream())
+const alone = new MemoryBlockstore()
+assert((await importCar(alone, chunked(singleBytes, 64 * 1024))).stored === 2 && !(await alone.has(CID.parse(bigCid))), 'a single file brings only its blocks')
+
+// Encrypted rooms: the manifest is sealed with the room key
+const encoded = generateRoomKey()
+const key = await importRoomKey(encoded)
+const sealed = await exportRoom(local, { roomId: 'room-e', name: 'Secret plans', files: [files[1]] }, { key })
+const sealedBytes = await collect(sealed.stream())
+assert(!new TextDecoder().decode(sealedBytes).includes('Secret plans') && !new TextDecoder().decode(sealedBytes).includes('note.txt'), 'names are not readable in the CAR')
+const [room] = (await importCar(new MemoryBlockstore(), chunked(sealedBytes, 64 * 1024))).rooms
+assert(room.sealed && !room.manifest && room.roots.length === 1, 'a sealed manifest still links its files')
+let error = null
+await openRoomExport(room).catch(err => { error = err })
+assert(/key is needed/.test(error?.message), 'the key is needed to open it')
+error = null
+await openRoomExport(room, await importRoomKey(generateRoomKey())).catch(err => { error = err })
+assert(/Wrong key/.test(error?.message), 'another key is refused')
+assert((await openRoomExport(room, key)).name === 'Secret plans', 'the room key opens it')
+
+// Forged blocks, and CARs without a room
+const real = new TextEncoder().encode('real')
+const forgedCid = CID.create(1, raw.code, await sha256.digest(real))
+const { writer, out } = CarWriter.create([forgedCid])
+const reading = collect(out)
+await writer.put({ cid: forgedCid, bytes: new TextEncoder().encode('forged') })
+await writer.close()
+const forged = await importCar(new MemoryBlockstore(), chunked(await reading, 64 * 1024))
+assert(forged.stored === 0 && forged.rejected[0] === forgedCid.toString() && !forged.rooms.length, 'blocks that do not match their CID are rejected')
+const plain = await exportCids(local, [CID.parse(noteCid), CID.parse(remoteCid)])
+assert(plain.roots.map(String).join() === noteCid && plain.skipped.join() === remoteCid, 'CIDs export without a manifest')
+assert(!(await importCar(new MemoryBlockstore(), plain.stream())).rooms.length, 'and import without a room')
+assert(decodeRoomExport(new TextEncoder().encode('{"type":"other"}')) === null, 'other dag-json blocks are not rooms')
+
+// Hub CLI: import into data/hub-blocks, export rooms and CIDs
+const dir = await mkdtemp(join(tmpdir(), 'car-'))
+try {
+  const blockstore = new FsBlockstore(join(dir, 'hub-blocks'))
+  await blockstore.open()
+  const doc = new Y.Doc()
+  upsertFiles(doc, files)
+  upsertFolders(doc, folders)
+  const hub = {
+    blockstore,
+    pinQueue: join(dir, 'hub-car-pins.json'),
+    readRoom: async (roomId) => roomId === 'room-a' ? { ydoc: doc, sealed: { entries: [] } } : roomId === 'room-e' ? { ydoc: new Y.Doc(), sealed: { entries: [{ seq: 1 }] } } : null
+  }
+  const log = console.log
+  const warn = console.warn
+  const error = console.error
+  console.log = console.warn = console.error = () => {}
+  try {
+    await writeFile(join(dir, 'room.car'), bytes)
+    await writePinQueue(hub.pinQueue, ['bafyqueued'])
+    const result = await importCarFiles(hub, [join(dir, 'room.car')])
+    assert(result.stored === car.blocks && result.rejected === 0 && await blockstore.has(CID.parse(bigCid)), 'CLI imports store the blocks')
+    assert((await readPinQueue(hub.pinQueue)).join() === ['bafyqueued', ...car.roots.map(String)].join(), 'and queue their roots for pinning')
+    await writePinQueue(hub.pinQueue, [])
+    assert((await readPinQueue(hub.pinQueue)).length === 0, 'an empty queue is removed')
+
+    const exported = await exportCarFile(hub, join(dir, 'out.car'), ['room-a'])
+    assert(exported.skipped.join() === 'remote.bin', 'CLI room exports skip what the hub lacks')
+    const again = await importCar(new MemoryBlockstore(), chunked(await readFile(join(dir, 'out.car')), 64 * 1024))
+    const hubManifest = await openRoomExport(again.rooms[0])
+    assert(again.rooms[0].roomId === 'room-a' && hubManifest.files.length === 2 && hubManifest.folders.length === 1, 'browsers can import a hub room export')
+    await exportCarFile(hub, join(dir, 'cids.car'), [bigCid])
+    assert(!(await importCar(new MemoryBlockstore(), chunked(await readFile(join(dir, 'cids.car')), 64 * 1024))).rooms.length, 'CIDs export from the hub too')
+
+    assert(await runCarCommand(['export', join(dir, 'x.car'), 'room-e'], hub) === 1, 'encrypted rooms are refused')
+    assert(await runCarCommand(['export', join(dir, 'x.car'), 'room-a', bigCid], hub) === 1, 'one room or CIDs per CAR')
+    assert(await runCarCommand(['export', join(dir, 'x.car'), 'nope'], hub) === 1, 'unknown rooms')
+    assert(await runCarCommand(['export', join(dir, 'x.car'), remoteCid], hub) === 1, 'nothing to export')
+    assert(await runCarCommand(['import'], hub) === 2 && await runCarCommand(['frobnicate'], hub) === 2, 'usage')
+  } finally {
+    console.log = log
+    console.warn = warn
+    console.error = error
+    await blockstore.close()
+  }
+} finally {
+  await rm(dir, { recursive: true, force: true })
+}
+
+console.log('car:ok')
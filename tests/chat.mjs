@@ -0,0 +1,122 @@
+// Node test for src/chat.js
+// Replies, edits, deletes and reactions must converge across peers and keep every message in its place.
+
+import * as Y from 'yjs'
+import { addChatMsg, editChatMsg, deleteChatMsg, toggleReaction, getChatMessages, fileComments, searchMessages, searchTerms, findMentions } from '../src/chat.js'
+
+function assert(cond, msg) { if (!cond) throw new Error(msg) }
+
+const sync = (a, b) => {
+  Y.applyUpdate(b, Y.encodeStateAsUpdate(a, Y.encodeStateVector(b)))
+  Y.applyUpdate(a, Y.encodeStateAsUpdate(b, Y.encodeStateVector(a)))
+}
+const messages = (doc) => getChatMessages(doc.getArray('chat'), doc.getMap('reactions'))
+
+const a = new Y.Doc()
+const b = new Y.Doc()
+addChatMsg(a.getArray('chat'), { msgId: 'm1', from: 'alice', ts: 1, text: 'Please review the draft' })
+addChatMsg(a.getArray('chat'), { msgId: 'm2', from: 'alice', ts: 2, text: 'Page 3 especially' })
+sync(a, b)
+addChatMsg(b.getArray('chat'), { msgId: 'm3', from: 'bob', ts: 3, text: 'Looks good', replyTo: 'm1' })
+sync(a, b)
+assert(messages(a).find(m => m.msgId === 'm3').replyTo === 'm1', 'replies should reference their message')
+
+// Edits replace the text in place
+editChatMsg(a.getArray('chat'), 'm1', 'alice', 'Please review the final draft')
+sync(a, b)
+let list = messages(b)
+assert(list.map(m => m.msgId).join() === 'm1,m2,m3', 'edited messages keep their place')
+assert(list[0].text === 'Please review the final draft' && list[0].editedAt, 'edits should show the new text')
+
+// Only authors may edit or delete
+let threw = false
+try { editChatMsg(b.getArray('chat'), 'm1', 'bob', 'hijacked') } catch { threw = true }
+assert(threw, 'editing someone else\'s message should fail')
+threw = false
+try { deleteChatMsg(b.getArray('chat'), 'm2', 'bob') } catch { threw = true }
+assert(threw, 'deleting someone else\'s message should fail')
+
+// Deletes leave a tombstone without the text; replies still find it
+deleteChatMsg(a.getArray('chat'), 'm1', 'alice')
+sync(a, b)
+list = messages(b)
+assert(list.length === 3 && list[0].deleted && list[0].text === undefined, 'deleted messages become tombstones')
+assert(list[2].replyTo === 'm1', 'replies to deleted messages keep their reference')
+assert(!JSON.stringify(b.getArray('chat').toJSON()).includes('final draft'), 'deleted text should be gone from the doc')
+threw = false
+try { editChatMsg(a.getArray('chat'), 'm1', 'alice', 'back') } catch { threw = true }
+assert(threw, 'deleted messages cannot be edited')
+
+// Concurrent edit and delete of the same message: the delete wins on both peers
+editChatMsg(a.getArray('chat'), 'm2', 'alice', 'Page 4 especially')
+deleteChatMsg(b.getArray('chat'), 'm2', 'alice')
+sync(a, b)
+assert(messages(a)[1].deleted && messages(b)[1].deleted, 'a concurrent delete should win')
+assert(messages(a).length === 3 && messages(b).length === 3, 'one entry per message')
+
+// Concurrent edits: the latest wins on both peers, and editing again folds the copies
+addChatMsg(a.getArray('chat'), { msgId: 'm4', from: 'alice', ts: 4, text: 'v1' })
+sync(a, b)
+editChatMsg(a.getArray('chat'), 'm4', 'alice', 'v2')
+const later = Date.now
+Date.now = () => later() + 1000
+editChatMsg(b.getArray('chat'), 'm4', 'alice', 'v3')
+Date.now = later
+sync(a, b)
+assert(messages(a)[3].text === 'v3' && messages(b)[3].text === 'v3', 'the latest edit should win')
+editChatMsg(a.getArray('chat'), 'm4', 'alice', 'v4')
+sync(a, b)
+assert(b.getArray('chat').toArray().filter(m => m.msgId === 'm4').length === 1 && messages(b)[3].text === 'v4', 'an edit should fold concurrent copies')
+
+// Reactions: per peer and emoji, toggled, never on tombstones
+assert(toggleReaction(a.getMap('reactions'), 'm3', 'alice', '👍'), 'reaction should be added')
+toggleReaction(b.getMap('reactions'), 'm3', 'bob', '👍')
+toggleReaction(b.getMap('reactions'), 'm3', 'bob', '🎉')
+toggleReaction(b.getMap('reactions'), 'm1', 'bob', '👀')
+sync(a, b)
+const reactions = messages(a)[2].reactions
+assert(reactions.find(r => r.emoji === '👍').peers.length === 2 && reactions.find(r => r.emoji === '🎉').peers[0] === 'bob', 'reactions should merge')
+assert(!toggleReaction(b.getMap('reactions'), 'm3', 'bob', '🎉'), 'a second toggle takes it back')
+sync(a, b)
+assert(!messages(a)[2].reactions.some(r => r.emoji === '🎉'), 'removed reactions should disappear')
+assert(messages(a)[0].reactions.length === 0, 'tombstones show no reactions')
+threw = false
+try { toggleReaction(a.getMap('reactions'), 'm3', 'alice', 'x|y') } catch { threw = true }
+assert(threw, 'malformed reactions should be refused')
+
+// Attachments ride along; comments on a file go to its thread, not the room chat
+const files = new Y.Doc()
+addChatMsg(files.getArray('chat'), { msgId: 'f1', from: 'alice', ts: 1, text: 'Both versions', files: ['cid-a', 'cid-b'] })
+addChatMsg(files.getArray('chat'), { msgId: 'f2', from: 'bob', ts: 2, text: 'Typo on page 2', about: 'cid-a' })
+addChatMsg(files.getArray('chat'), { msgId: 'f3', from: 'alice', ts: 3, text: 'Fixed', about: 'cid-a' })
+deleteChatMsg(files.getArray('chat'), 'f3', 'alice')
+const { chat, threads } = fileComments(getChatMessages(files.getArray('chat')))
+assert(chat.length === 1 && chat[0].files.join() === 'cid-a,cid-b', 'attachments should be kept on the message')
+assert(threads.get('cid-a').map(m => m.msgId).join() === 'f2,f3' && !threads.has('cid-b'), 'comments should be grouped by file')
+assert(threads.get('cid-a')[1].deleted, 'deleted comments stay in their thread')
+
+// Search: every word, any case, newest first; nothing deleted
+const found = searchMessages(getChatMessages(files.getArray('chat')), 'TYPO page')
+assert(found.length === 1 && found[0].msgId === 'f2', 'search should match every word regardless of case')
+assert(searchMessages(messages(a), 'draft').length === 0, 'deleted messages should not be found')
+assert(searchMessages(messages(a), 'especially').length === 0 && searchMessages(messages(a), 'v').map(m => m.msgId).join() === 'm4', 'search covers the shown text only')
+assert(searchMessages(messages(a), '   ').length === 0 && searchTerms(' A  b ').join() === 'a,b', 'blank queries find nothing')
+
+// Mentions: any name a peer goes by, not running into a longer word; edits update them
+const people = [{ peerId: 'p-ann', names: ['Ann Lee', 'ann'] }, { peerId: 'p-bo', names: ['Bo'] }, { peerId: 'p-x', names: [''] }]
+assert(findMentions('thanks @ANN LEE and @bo!', people).join() === 'p-ann,p-bo', 'mentions should match any name, any case')
+assert(findMentions('@annie @bob mail@ x', people).length === 0, 'longer words are not mentions')
+addChatMsg(files.getArray('chat'), { msgId: 'f4', from: 'alice', ts: 4, text: '@Bo look', mentions: ['p-bo'] })
+editChatMsg(files.getArray('chat'), 'f4', 'alice', 'look', { mentions: [] })
+assert(!getChatMessages(files.getArray('chat')).find(m => m.msgId === 'f4').mentions, 'an edit should drop mentions it no longer has')
+editChatMsg(files.getArray('chat'), 'f4', 'alice', '@Ann look', { mentions: ['p-ann'] })
+editChatMsg(files.getArray('chat'), 'f4', 'alice', '@Ann look!')
+assert(getChatMessages(files.getArray('chat')).find(m => m.msgId === 'f4').mentions.join() === 'p-ann', 'mentions are kept unless given')
+
+// Messages from before msgIds are still listed
+const old = new Y.Doc()
+old.getArray('chat').push([{ from: 'carol', ts: 0, text: 'hi' }])
+assert(getChatMessages(old.getArray('chat')).length === 1, 'legacy messages should be kept')
+assert(searchMessages(getChatMessages(old.getArray('chat')), 'hi').length === 0, 'legacy messages have nothing to jump to')
+
+console.log('chat:ok')
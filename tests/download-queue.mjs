@@ -0,0 +1,50 @@
+// Node test for src/download-queue.js
+// Resuming walks the DAG and only fetches blocks that aren't local yet.
+
+import { MemoryBlockstore } from 'blockstore-core'
+import { unixfs } from '@helia/unixfs'
+import { fetchDag, hasDag } from '../src/download-queue.js'
+
+function assert(cond, msg) { if (!cond) throw new Error(msg) }
+
+// "Remote" peer holds the whole file
+const remote = new MemoryBlockstore()
+const size = 5 * 1024 * 1024 + 123
+const cid = await unixfs({ blockstore: remote }).addBytes(new Uint8Array(size).map((_, i) => i % 253))
+
+// Local store behaves like helia.blockstore: get() fetches and stores missing blocks
+const local = new MemoryBlockstore()
+const requested = []
+const networked = {
+  has: (c) => local.has(c),
+  async get(c, options) {
+    if (await local.has(c)) return local.get(c)
+    requested.push(c.toString())
+    const bytes = await remote.get(c, options)
+    await local.put(c, bytes)
+    return bytes
+  }
+}
+
+// Interrupted download: only some leaves made it to disk
+const root = await remote.get(cid)
+const { decode } = await import('@ipld/dag-pb')
+const leaves = decode(root).Links.map(l => l.Hash)
+for (const leaf of leaves.slice(0, 2)) await local.put(leaf, await remote.get(leaf))
+
+// A partial DAG isn't complete, and checking it never fetches
+assert(!(await hasDag(networked, cid)) && requested.length === 0, 'partial DAG should not count as local')
+
+let bytes = 0
+const stats = await fetchDag(networked, cid, { onBlock: (b) => { bytes += b.bytes } })
+assert(bytes === size, 'progress should add up to the file size')
+assert(stats.blocks === leaves.length + 1, 'every block should be visited')
+assert(stats.fetched === leaves.length - 1, 'only missing blocks (and the root) should be fetched')
+assert(!leaves.slice(0, 2).some(l => requested.includes(l.toString())), 'local leaves must not be requested')
+
+// Second walk is fully local
+requested.length = 0
+assert((await fetchDag(networked, cid)).fetched === 0 && requested.length === 0, 'complete DAG should need no fetches')
+assert(await hasDag(networked, cid.toString()), 'complete DAG should count as local')
+
+console.log('download-queue:ok')
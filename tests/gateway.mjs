@@ -0,0 +1,98 @@
+// Node test for server/gateway.js
+// Files must stream by CID and by room file name, with ranges, ETags and safe headers, and never from blocks the hub lacks.
+
+import * as Y from 'yjs'
+import { createServer } from 'http'
+import { MemoryBlockstore } from 'blockstore-core'
+import { unixfs } from '@helia/unixfs'
+import { upsertFiles, removeFiles } from '../src/manifest.js'
+import { createGateway, parseRange, contentDisposition } from '../server/gateway.js'
+
+function assert(cond, msg) { if (!cond) throw new Error(msg) }
+
+// Ranges
+assert(parseRange(undefined, 10) === null && parseRange('bytes=0-1,4-5', 10) === null, 'no range or several: the whole file')
+assert(JSON.stringify(parseRange('bytes=2-4', 10)) === '{"start":2,"end":4}', 'a closed range')
+assert(JSON.stringify(parseRange('bytes=7-', 10)) === '{"start":7,"end":9}' && JSON.stringify(parseRange('bytes=5-99', 10)) === '{"start":5,"end":9}', 'open ranges end with the file')
+assert(JSON.stringify(parseRange('bytes=-3', 10)) === '{"start":7,"end":9}', 'suffix ranges')
+assert(parseRange('bytes=10-', 10) === 'unsatisfiable' && parseRange('bytes=4-2', 10) === 'unsatisfiable', 'ranges past the end')
+assert(contentDisposition('résumé "v2".pdf', true) === 'attachment; filename="r_sum_ _v2_.pdf"; filename*=UTF-8\'\'r%C3%A9sum%C3%A9%20%22v2%22.pdf', 'file names should be quoted safely')
+
+// A hub holding two files; a third is only in the manifest
+const blockstore = new MemoryBlockstore()
+const fs = unixfs({ blockstore })
+const bytes = new Uint8Array(300 * 1024).map((_, i) => i % 251)
+const pdf = (await fs.addBytes(bytes)).toString()
+const page = (await fs.addBytes(new TextEncoder().encode('<script>alert(1)</script>'))).toString()
+const missing = (await unixfs({ blockstore: new MemoryBlockstore() }).addBytes(new Uint8Array([1, 2, 3]))).toString()
+
+const doc = new Y.Doc()
+upsertFiles(doc, [
+  { name: 'report.pdf', size: bytes.length, cid: pdf },
+  { name: 'index.html', size: 25, cid: page, path: 'site/index.html' },
+  { name: 'gone.txt', size: 3, cid: missing }
+])
+const stale = new Y.Doc()
+upsertFiles(stale, [{ name: 'old.pdf', size: bytes.length, cid: pdf }])
+removeFiles(stale, [pdf], 'alice')
+const rooms = new Map([['room-a', { ydoc: doc, sealed: { entries: [] } }], ['room-s', { ydoc: stale, sealed: { entries: [] } }]])
+const gateway = createGateway({
+  fs,
+  rooms,
+  readRoom: async (roomId) => roomId === 'room-e' ? { ydoc: new Y.Doc(), sealed: { entries: [{ seq: 1 }] } } : null
+})
+
+const server = await new Promise(resolve => {
+  const s = createServer(async (req, res) => {
+    if (await gateway(req, res)) return
+    res.writeHead(404)
+    res.end()
+  })
+  s.listen(0, '127.0.0.1', () => resolve(s))
+})
+const base = `http://127.0.0.1:${server.address().port}`
+const get = (path, headers = {}, method = 'GET') => fetch(base + path, { method, headers })
+
+try {
+  // By CID: the whole file, named from the room manifest
+  let res = await get(`/ipfs/${pdf}`)
+  let body = new Uint8Array(await res.arrayBuffer())
+  assert(res.status === 200 && body.length === bytes.length && body[1000] === bytes[1000], 'files should stream by CID')
+  assert(res.headers.get('content-type') === 'application/pdf' && res.headers.get('etag') === `"${pdf}"`, 'Content-Type from the name, ETag from the CID')
+  assert(res.headers.get('content-disposition').startsWith('inline; filename="report.pdf"') && res.headers.get('accept-ranges') === 'bytes', 'inline with the file name')
+  assert(res.headers.get('cache-control').includes('immutable'), 'content by CID never changes')
+  assert((await get(`/ipfs/${pdf}?filename=a.txt&download`)).headers.get('content-disposition').startsWith('attachment; filename="a.txt"'), 'name and download can be asked for')
+
+  // Ranges across block boundaries
+  res = await get(`/ipfs/${pdf}`, { Range: 'bytes=262140-262149' })
+  body = new Uint8Array(await res.arrayBuffer())
+  assert(res.status === 206 && res.headers.get('content-range') === `bytes 262140-262149/${bytes.length}`, 'ranges answer 206 with Content-Range')
+  assert(body.length === 10 && body.every((b, i) => b === bytes[262140 + i]), 'ranges should return exactly their bytes')
+  res = await get(`/ipfs/${pdf}`, { Range: `bytes=${bytes.length}-` })
+  assert(res.status === 416 && res.headers.get('content-range') === `bytes */${bytes.length}`, 'unsatisfiable ranges')
+
+  // ETags
+  assert((await get(`/ipfs/${pdf}`, { 'If-None-Match': `W/"x", "${pdf}"` })).status === 304, 'matching ETags give 304')
+  res = await get(`/ipfs/${pdf}`, {}, 'HEAD')
+  assert(res.status === 200 && res.headers.get('content-length') === String(bytes.length), 'HEAD reports the size')
+
+  // By room file name or folder path; HTML can't script the hub
+  res = await get('/room/room-a/site%2Findex.html')
+  assert(res.status === 200 && (await res.text()).includes('<script>'), 'files should be found by path')
+  assert(res.headers.get('content-type') === 'text/html' && res.headers.get('content-security-policy') === 'sandbox' && res.headers.get('x-content-type-options') === 'nosniff', 'content is sandboxed')
+  res = await get('/room/room-a/report.pdf', { Range: 'bytes=-5' })
+  assert(res.status === 206 && (await res.arrayBuffer()).byteLength === 5 && res.headers.get('cache-control') === 'no-cache', 'names can move to another CID')
+
+  // What can't be served
+  assert((await get(`/ipfs/${missing}`)).status === 404, 'blocks the hub lacks are not fetched')
+  assert((await get('/room/room-a/gone.txt')).status === 404, 'nor for room files')
+  assert((await get('/room/room-s/old.pdf')).status === 404, 'removed files are not served')
+  assert((await get('/room/room-x/report.pdf')).status === 404 && (await get('/room/room-e/report.pdf')).status === 404, 'unknown and encrypted rooms')
+  assert((await get('/room/..%2Fa/x')).status === 400 && (await get('/ipfs/not-a-cid')).status === 400, 'malformed room IDs and CIDs')
+  assert((await get(`/ipfs/${pdf}`, {}, 'POST')).status === 405, 'only GET and HEAD')
+  assert((await get('/metrics')).status === 404, 'other paths are not the gateway\'s')
+} finally {
+  server.close()
+}
+
+console.log('gateway:ok')
@@ -0,0 +1,107 @@
+// Node test for src/manifest.js
+// Concurrent adds/edits/removals from two docs must merge, and legacy arrays must migrate.
+
+import * as Y from 'yjs'
+import { listFiles, listRemovedFiles, upsertFiles, removeFiles, restoreFiles, renameFile, migrateLegacyManifest, bindLegacyMigration, mirrorLegacyManifest, dropLegacyManifest, manifestToJSON, updateManifest, fileKey, buildFileTree, findFolder } from '../src/manifest.js'
+
+function assert(cond, msg) { if (!cond) throw new Error(msg) }
+
+function sync(a, b) {
+  Y.applyUpdate(b, Y.encodeStateAsUpdate(a, Y.encodeStateVector(b)))
+  Y.applyUpdate(a, Y.encodeStateAsUpdate(b, Y.encodeStateVector(a)))
+}
+
+// Concurrent adds merge instead of overwriting
+const a = new Y.Doc()
+const b = new Y.Doc()
+upsertFiles(a, [{ name: 'a.txt', size: 1, cid: 'cid-a' }])
+upsertFiles(b, [{ name: 'b.txt', size: 2, cid: 'cid-b' }])
+sync(a, b)
+assert(listFiles(a).length === 2, 'peer a should see both files')
+assert(listFiles(b).length === 2, 'peer b should see both files')
+
+// Concurrent edit + add merge
+upsertFiles(a, [{ name: 'renamed.txt', cid: 'cid-a' }])
+upsertFiles(b, [{ name: 'c.txt', size: 3, cid: 'cid-c' }])
+sync(a, b)
+const names = listFiles(b).map(f => f.name)
+assert(names.includes('renamed.txt') && names.includes('c.txt'), 'edit and add should both survive')
+
+// Removal propagates as a tombstone
+const stale = new Y.Doc()
+Y.applyUpdate(stale, Y.encodeStateAsUpdate(b))
+removeFiles(a, ['cid-b'], 'peer-a')
+sync(a, b)
+assert(!listFiles(b).some(f => f.cid === 'cid-b'), 'removal should propagate')
+assert(listRemovedFiles(b)[0]?.removedBy === 'peer-a', 'tombstone should record remover')
+
+// A peer reconnecting with old state (and re-upserting its list) can't re-add it
+upsertFiles(stale, [{ name: 'b.txt', size: 2, cid: 'cid-b' }])
+sync(stale, b)
+assert(!listFiles(b).some(f => f.cid === 'cid-b'), 'stale peer should not resurrect removed file')
+
+// Rename merges with a concurrent removal of another file
+renameFile(a, 'cid-c', 'c-final.txt')
+removeFiles(b, ['cid-a'])
+sync(a, b)
+assert(listFiles(a).map(f => f.name).join(',') === 'c-final.txt', 'rename and removal should both apply')
+
+// Restore clears the tombstone
+restoreFiles(b, ['cid-a', 'cid-b'])
+sync(a, b)
+assert(listFiles(a).length === 3 && listRemovedFiles(a).length === 0, 'restore should bring files back')
+
+// updateManifest upserts: a stale list never drops files
+updateManifest(b.getMap('manifest'), { files: [{ name: 'd.txt', size: 4, cid: 'cid-d' }] })
+assert(manifestToJSON(b.getMap('manifest')).files.length === 4, 'updateManifest should keep existing files')
+
+// Folder uploads: identical files at different paths stay separate
+const f = new Y.Doc()
+updateManifest(f.getMap('manifest'), {
+  files: [
+    { name: 'a.js', size: 10, cid: 'cid-x', path: 'proj/src/a.js' },
+    { name: 'b.js', size: 10, cid: 'cid-x', path: 'proj/src/b.js' },
+    { name: 'README', size: 5, cid: 'cid-r', path: 'proj/README' },
+    { name: 'loose.txt', size: 1, cid: 'cid-l' }
+  ],
+  folders: [{ path: 'proj', cid: 'cid-dir' }]
+})
+const fm = manifestToJSON(f.getMap('manifest'))
+assert(fm.files.length === 4, 'same CID at two paths should be two files')
+assert(fm.folders[0]?.cid === 'cid-dir', 'folder root should be recorded')
+renameFile(f, 'proj/src/b.js', 'c.js')
+const renamed = listFiles(f).find(x => x.name === 'c.js')
+assert(renamed && fileKey(renamed) === 'proj/src/b.js', 'key should stay stable after rename')
+
+const tree = buildFileTree(listFiles(f))
+assert(tree.count === 4 && tree.files.length === 1, 'root should hold the loose file')
+const src = findFolder(tree, 'proj/src')
+assert(src && src.count === 2 && src.size === 20, 'subtree stats should add up')
+assert(findFolder(tree, 'proj/missing') === null, 'unknown folder should be null')
+
+// Legacy manifest migration keeps order
+const legacy = new Y.Doc()
+legacy.getMap('manifest').set('files', [
+  { name: 'one', size: 1, cid: 'cid-1' },
+  { name: 'two', size: 2, cid: 'cid-2' }
+])
+legacy.getMap('manifest').set('updatedAt', 1000)
+const migrated = migrateLegacyManifest(legacy)
+assert(migrated === 2, 'should migrate two entries')
+assert(legacy.getMap('manifest').get('files').length === 2, 'legacy key should stay for old peers')
+assert(listFiles(legacy).map(f => f.name).join(',') === 'one,two', 'legacy order should be kept')
+assert(migrateLegacyManifest(legacy) === 0, 'migration should be idempotent')
+
+// Old peers read only the legacy array: file changes are mirrored into it, then it is dropped
+const unbind = bindLegacyMigration(legacy)
+upsertFiles(legacy, [{ name: 'three', size: 3, cid: 'cid-3', path: 'dir/three' }])
+removeFiles(legacy, ['cid-1'])
+assert(mirrorLegacyManifest(legacy) && !mirrorLegacyManifest(legacy), 'mirroring writes the array once')
+assert(legacy.getMap('manifest').get('files').map(f => f.name).join(',') === 'two,three', 'the array lists the files left')
+assert(listFiles(legacy).length === 2 && listRemovedFiles(legacy).length === 1, 'mirroring does not migrate back or resurrect removed files')
+legacy.getMap('manifest').set('files', [{ name: 'one', size: 1, cid: 'cid-1' }, { name: 'four', size: 4, cid: 'cid-4' }])
+assert(listFiles(legacy).map(f => f.name).sort().join(',') === 'four,three,two', 'files added by old peers still arrive')
+assert(dropLegacyManifest(legacy) && !legacy.getMap('manifest').has('files') && !dropLegacyManifest(legacy), 'the array can be dropped')
+unbind()
+
+console.log('manifest:ok')
@@ -0,0 +1,43 @@
+// Node test for src/markdown.js
+// Chat markdown must never let markup or script URLs through, and must leave code untouched.
+
+import { renderMarkdown } from '../src/markdown.js'
+
+function assert(cond, msg) { if (!cond) throw new Error(msg) }
+
+// Everything is escaped
+assert(renderMarkdown('<script>alert(1)</script>') === '&lt;script&gt;alert(1)&lt;/script&gt;', 'HTML should be escaped')
+assert(!renderMarkdown('<img src=x onerror=alert(1)>').includes('<img'), 'tags should never pass')
+
+// Links: http(s) / mailto only, attributes can't be broken out of
+let html = renderMarkdown('[docs](https://example.com/a?b=1&c=2) and [bad](javascript:alert(1))')
+assert(html.includes('<a href="https://example.com/a?b=1&amp;c=2" target="_blank" rel="noopener noreferrer nofollow"'), 'http links should render')
+assert(!html.includes('href="javascript') && html.includes('[bad](javascript:alert(1))'), 'script links stay text')
+html = renderMarkdown('see https://example.com/x"onmouseover="alert(1)')
+assert(!html.includes('"onmouseover') && html.includes('&quot;onmouseover'), 'quotes in URLs should not end the attribute')
+assert(renderMarkdown('data:text/html,<b>x</b>').includes('&lt;b&gt;'), 'other URL schemes are not linked')
+
+// Bare URLs, without the punctuation after them
+html = renderMarkdown('Go to https://example.com/page. Or www.example.org, (https://example.net/x)')
+assert(html.includes('href="https://example.com/page"') && html.includes('</a>. Or'), 'trailing full stops are not part of the URL')
+assert(html.includes('href="https://www.example.org/"') && html.includes('href="https://example.net/x"'), 'www. and bracketed URLs should link')
+
+// Code is left alone
+html = renderMarkdown('Run `npm i <pkg>` then:\n```js\nconst a = **b** && https://x.y\n```\ndone **now**')
+assert(html.includes('<code class="px-1 rounded bg-gray-100 text-xs font-mono">npm i &lt;pkg&gt;</code>'), 'inline code should be escaped')
+assert(html.includes('data-lang="js"><code>const a = **b** &amp;&amp; https://x.y</code></pre>'), 'fenced blocks keep their text')
+assert(html.endsWith('done <strong>now</strong>'), 'formatting resumes after code')
+assert(renderMarkdown('```\nunclosed').includes('```'), 'unclosed fences stay text')
+
+// Emphasis, without touching snake_case or lone asterisks
+assert(renderMarkdown('**bold** *it* _it_ ~~gone~~') === '<strong>bold</strong> <em>it</em> <em>it</em> <del>gone</del>', 'emphasis should render')
+assert(renderMarkdown('snake_case_name and 2 * 3 * 4') === 'snake_case_name and 2 * 3 * 4', 'underscores in words and spaced asterisks stay')
+
+// Mentions: the longest name wins, only for peers the message names
+const mentions = [{ peerId: 'p1', names: ['Ann', 'Ann Lee'], self: true }, { peerId: 'p2', names: ['Bo<b>'] }]
+html = renderMarkdown('@ann lee and @Bo<b>, not @Annie or @Carl', { mentions })
+assert(html.includes('data-mention="p1">@ann lee</span>') && html.includes('bg-amber-200'), 'mentions of us should be highlighted')
+assert(html.includes('data-mention="p2">@Bo&lt;b&gt;</span>'), 'mention names should be escaped')
+assert(!html.includes('@Annie</span>') && html.includes('@Carl'), 'other @words stay text')
+
+console.log('markdown:ok')
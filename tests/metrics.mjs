@@ -0,0 +1,43 @@
+// Node test for server/metrics.js
+// Metrics must render in the Prometheus text format, with labels escaped and gauges read when scraped.
+
+import { createMetrics, transportOf } from '../server/metrics.js'
+
+function assert(cond, msg) { if (!cond) throw new Error(msg) }
+
+const metrics = createMetrics()
+const messages = metrics.counter('hub_sync_messages_total', 'Sync messages')
+messages.inc({ room: 'abc123', type: 'Y_UPDATE', direction: 'in' })
+messages.inc({ direction: 'in', type: 'Y_UPDATE', room: 'abc123' }, 2)
+messages.inc({ room: 'a"b\\c', type: 'SNAPSHOT', direction: 'out' })
+messages.inc({ room: 'gone', type: 'SYNC_STEP1', direction: 'in' })
+messages.inc({ room: 'gone', type: 'SYNC_STEP2', direction: 'out' })
+messages.remove({ room: 'gone' })
+let peers = 3
+metrics.gauge('hub_peers', 'Connected peers', () => peers)
+metrics.gauge('hub_connections', 'Connections', async () => [[{ transport: 'WS' }, 2], [{ transport: 'TCP' }, 1]])
+const queue = metrics.gauge('hub_pin_queue', 'Pins in flight')
+queue.set(4)
+
+let text = await metrics.render()
+const lines = text.split('\n')
+assert(lines[0] === '# HELP hub_sync_messages_total Sync messages' && lines[1] === '# TYPE hub_sync_messages_total counter', 'each metric starts with HELP and TYPE')
+assert(lines.includes('hub_sync_messages_total{direction="in",room="abc123",type="Y_UPDATE"} 3'), 'counters add up per label set, whatever the label order')
+assert(lines.includes('hub_sync_messages_total{direction="out",room="a\\"b\\\\c",type="SNAPSHOT"} 1'), 'label values should be escaped')
+assert(!text.includes('room="gone"') && lines.includes('hub_sync_messages_total{direction="in",room="abc123",type="Y_UPDATE"} 3'), 'removing a label drops only its series')
+assert(lines.includes('# TYPE hub_peers gauge') && lines.includes('hub_peers 3'), 'unlabelled gauges')
+assert(lines.includes('hub_connections{transport="WS"} 2') && lines.includes('hub_connections{transport="TCP"} 1'), 'collected gauges with labels')
+assert(lines.includes('hub_pin_queue 4') && text.endsWith('\n'), 'set gauges, and a final newline')
+
+// Gauges are read again on every scrape
+peers = 5
+text = await metrics.render()
+assert(text.includes('hub_peers 5\n') && !text.includes('hub_peers 3'), 'collected gauges should be current')
+
+// The same classification as the hub's stats log
+assert(transportOf('/ip4/1.2.3.4/tcp/9004/ws/p2p/12D3') === 'WS', 'WebSocket')
+assert(transportOf('/ip4/1.2.3.4/tcp/9003/p2p/12D3') === 'TCP', 'TCP')
+assert(transportOf('/p2p/12D3/p2p-circuit/p2p/12D4') === 'Circuit', 'circuit relay')
+assert(transportOf('/ip4/1.2.3.4/udp/1/webrtc-direct') === 'Other', 'anything else')
+
+console.log('metrics:ok')
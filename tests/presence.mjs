@@ -0,0 +1,126 @@
+// Node test for src/presence.js and the AWARENESS frames of src/ydoc.js
+// Peers must see each other's presence and files, never be able to impersonate someone else, and disappear when they leave.
+
+import * as Y from 'yjs'
+import { generateKeyPair } from '@libp2p/crypto/keys'
+import { peerIdFromPrivateKey } from '@libp2p/peer-id'
+import { encodeAwarenessUpdate } from 'y-protocols/awareness'
+import { createPresence, fileAvailability } from '../src/presence.js'
+import { createYDoc } from '../src/ydoc.js'
+import { importRoomKey, generateRoomKey } from '../src/room-crypto.js'
+
+function assert(cond, msg) { if (!cond) throw new Error(msg) }
+
+const until = async (cond, what) => {
+  for (let i = 0; i < 200 && !cond(); i++) await new Promise(r => setTimeout(r, 10))
+  assert(cond(), `timed out waiting for ${what}`)
+}
+
+console.log = () => {}
+console.warn = () => {}
+
+// Two peers wired directly to each other
+const docA = new Y.Doc()
+const docB = new Y.Doc()
+let a, b
+a = createPresence(docA, { self: 'peer-a', publish: async (update) => b.receive(update, 'peer-a') })
+b = createPresence(docB, { self: 'peer-b', publish: async (update) => a.receive(update, 'peer-b') })
+await until(() => a.list().length === 2 && b.list().length === 2, 'peers to see each other')
+assert(a.list()[0].self && a.list()[0].peerId === 'peer-a', 'we are listed first')
+
+b.set({ nickname: 'Bea', downloading: 'movie.mkv' })
+await until(() => a.list()[1].nickname === 'Bea', 'nickname to arrive')
+assert(a.list()[1].downloading === 'movie.mkv' && a.list()[1].status === 'online', 'state fields should arrive')
+b.set({ status: 'idle', downloading: null })
+await until(() => a.list()[1].status === 'idle', 'idle status to arrive')
+
+// Seeders: other peers holding every block; what we hold is "local"
+a.set({ have: ['cid-1'] })
+b.set({ have: ['cid-1', 'cid-2'] })
+await until(() => fileAvailability(a.list()).seeders.get('cid-2') === 1, 'file list to arrive')
+const availability = fileAvailability(a.list())
+assert(availability.local.has('cid-1') && !availability.local.has('cid-2'), 'our own files should be local')
+assert(availability.seeders.get('cid-1') === 1 && !availability.seeders.has('cid-3'), 'seeders should only count other peers')
+
+// A peer can't publish a state for someone else, nor remove theirs
+const mallory = new Y.Doc()
+const forged = createPresence(mallory, { self: 'peer-b', publish: async () => {} })
+forged.set({ nickname: 'Not Bea' })
+a.receive(encodeAwarenessUpdate(forged.awareness, [mallory.clientID]), 'peer-m')
+assert(a.list().length === 2 && a.list().every(p => p.nickname !== 'Not Bea'), 'states naming another peer should be dropped')
+const removal = new Y.Doc()
+removal.clientID = docB.clientID
+const removeB = createPresence(removal, { self: 'peer-m', publish: async () => {} })
+removeB.awareness.setLocalState(null)
+a.receive(encodeAwarenessUpdate(removeB.awareness, [docB.clientID]), 'peer-m')
+assert(a.list().length === 2, "removals of another peer's state should be dropped")
+
+// A reloaded peer shows up once, with its latest state
+const docB2 = new Y.Doc()
+const b2 = createPresence(docB2, { self: 'peer-b', publish: async (update) => a.receive(update, 'peer-b') })
+b2.set({ nickname: 'Bea again' })
+await until(() => a.list()[1]?.nickname === 'Bea again', 'reloaded peer state')
+assert(a.list().length === 2, 'one entry per peer')
+
+// Disconnected peers disappear right away, and stop counting as seeders
+b2.set({ have: ['cid-2'] })
+await until(() => fileAvailability(a.list()).seeders.get('cid-2') === 1, 'reloaded peer files')
+a.dropPeer('peer-b')
+assert(a.list().length === 1, 'disconnected peer should be removed')
+assert(!fileAvailability(a.list()).seeders.has('cid-2'), 'nobody online should have the file')
+
+for (const doc of [docA, docB, docB2, mallory, removal]) doc.destroy()
+
+// Through createYDoc: signed, sealed AWARENESS frames on the room topic
+async function fakeNode(bus) {
+  const privateKey = await generateKeyPair('Ed25519')
+  const listeners = new Set()
+  const node = {
+    privateKey,
+    peerId: peerIdFromPrivateKey(privateKey),
+    addEventListener() {},
+    removeEventListener() {},
+    dialProtocol: async () => { throw new Error('no hub here') },
+    services: {
+      pubsub: {
+        subscribe() {},
+        unsubscribe() {},
+        getSubscribers: () => [],
+        addEventListener: (_, fn) => listeners.add(fn),
+        removeEventListener: (_, fn) => listeners.delete(fn),
+        publish: async (topic, data) => {
+          for (const other of bus) if (other !== node) for (const fn of other.listeners) fn({ detail: { topic, data } })
+        }
+      }
+    },
+    listeners
+  }
+  bus.push(node)
+  return node
+}
+
+const bus = []
+const alice = await fakeNode(bus)
+const bob = await fakeNode(bus)
+const key = await importRoomKey(generateRoomKey())
+const roomA = await createYDoc('secret', alice, { key, privateKey: alice.privateKey })
+const roomB = await createYDoc('secret', bob, { key, privateKey: bob.privateKey })
+roomB.presence.set({ nickname: 'Bob' })
+await until(() => roomA.presence.list().some(p => p.nickname === 'Bob'), 'sealed presence to arrive')
+assert(roomB.presence.list().some(p => p.peerId === alice.peerId.toString()), 'newcomers should hear from peers already there')
+
+// Without the room key, nothing is learned
+const eve = await fakeNode(bus)
+const roomE = await createYDoc('secret', eve, { privateKey: eve.privateKey })
+roomB.presence.set({ nickname: 'Bobby' })
+await until(() => roomA.presence.list().some(p => p.nickname === 'Bobby'), 'second update to arrive')
+assert(roomE.presence.list().length === 1, 'peers without the key should not see presence')
+
+// Leaving the room is published
+roomB.destroy()
+await until(() => roomA.presence.list().length === 1, 'departure to arrive')
+
+roomA.destroy()
+roomE.destroy()
+
+process.stdout.write('presence:ok\n')
@@ -0,0 +1,67 @@
+// Node test for src/profile.js and the profile scope of checkUploadScope
+// Profiles must only ever be shown for the peer that signed them, and uploaders may only change their own.
+
+import * as Y from 'yjs'
+import { generateKeyPair } from '@libp2p/crypto/keys'
+import { peerIdFromPrivateKey } from '@libp2p/peer-id'
+import { cleanProfile, writeProfile, readProfiles, peerDirectory, peerLabel, peerColor, PROFILE_COLORS } from '../src/profile.js'
+import { signMessage, checkUploadScope, claimRoom } from '../src/room-auth.js'
+
+function assert(cond, msg) { if (!cond) throw new Error(msg) }
+
+const alice = await generateKeyPair('Ed25519')
+const bob = await generateKeyPair('Ed25519')
+const aliceId = peerIdFromPrivateKey(alice).toString()
+const bobId = peerIdFromPrivateKey(bob).toString()
+const avatar = 'bafkreigh2akiscaildcqabsyg3dfr6chu3fgpregiymsck7e7aqa4s52zy'
+
+// Only well-formed fields survive
+const clean = cleanProfile({ name: `  ${'x'.repeat(60)} `, color: '#A1B2C3', avatar: 'not a cid' })
+assert(clean.name.length === 40 && clean.color === '#a1b2c3' && clean.avatar === null, 'fields should be trimmed, normalised or dropped')
+assert(cleanProfile({ name: '   ', color: 'red; background: url(x)' }).name === null, 'blank names become null')
+assert(cleanProfile({ color: 'red; background: url(x)' }).color === null, 'only #rrggbb colours are kept')
+assert(cleanProfile({ avatar }).avatar === avatar, 'CIDs should be kept')
+
+// Signed into the doc, written only when it changes
+const doc = new Y.Doc()
+assert(!(await writeProfile(doc, alice, { name: null, color: null, avatar: null })), 'an empty profile is not published')
+assert(await writeProfile(doc, alice, { name: 'Alice', color: '#16a34a', avatar }), 'profile should be written')
+assert(!(await writeProfile(doc, alice, { name: 'Alice ', color: '#16A34A', avatar })), 'an unchanged profile is not written again')
+let profiles = await readProfiles(doc)
+assert(profiles.get(aliceId)?.name === 'Alice' && profiles.get(aliceId).avatar === avatar, 'profile should read back')
+
+// Entries that their peer didn't sign are skipped
+const profileMap = doc.getMap('profiles')
+profileMap.set(bobId, await signMessage(alice, { type: 'PROFILE', name: 'Bob (not)', color: null, avatar: null, at: 1 }))
+profileMap.set('12D3KooWForged', { ...profileMap.get(aliceId), from: '12D3KooWForged' })
+const renamed = { ...profileMap.get(aliceId), name: 'Mallory' }
+const copy = new Y.Doc()
+copy.getMap('profiles').set(aliceId, renamed)
+profiles = await readProfiles(doc)
+assert(profiles.size === 1 && profiles.has(aliceId), 'entries signed by someone else should be skipped')
+assert((await readProfiles(copy)).size === 0, 'altered entries should be skipped')
+
+// Display: our nickname, then their name, then the end of the peer ID
+const directory = peerDirectory(profiles, [{ peerId: bobId, nickname: 'Bob', color: '#dc2626', avatar: null }], { [aliceId]: { nickname: 'Al' }, '12D3KooWOnlyLocal': { nickname: 'Friend' } })
+assert(peerLabel(aliceId, directory) === 'Al' && directory.get(aliceId).name === 'Alice', 'local nicknames should win')
+assert(peerLabel(bobId, directory) === 'Bob' && peerColor(bobId, directory) === '#dc2626', 'presence should supply live profiles')
+assert(peerLabel('12D3KooWOnlyLocal', directory) === 'Friend', 'nicknamed peers should be known without a profile')
+assert(peerLabel('12D3KooWUnknownPeer', directory) === '…wnPeer', 'unknown peers show the end of their ID')
+assert(PROFILE_COLORS.includes(peerColor('12D3KooWUnknownPeer', directory)) && peerColor('x') === peerColor('x'), 'default colours should be stable')
+
+// Uploaders may change their own profile only
+const room = new Y.Doc()
+claimRoom(room, aliceId)
+await writeProfile(room, alice, { name: 'Alice' })
+const change = async (fn) => {
+  const copy = new Y.Doc()
+  Y.applyUpdate(copy, Y.encodeStateAsUpdate(room))
+  const before = Y.encodeStateVector(copy)
+  await fn(copy)
+  return Y.encodeStateAsUpdate(copy, before)
+}
+assert(checkUploadScope(room, await change(d => writeProfile(d, bob, { name: 'Bob' })), bobId) === null, 'own profile is in scope')
+assert(checkUploadScope(room, await change(d => d.getMap('profiles').delete(aliceId)), bobId), "removing someone's profile should be out of scope")
+assert(checkUploadScope(room, await change(d => writeProfile(d, alice, { name: 'Al' })), bobId), "changing someone's profile should be out of scope")
+
+console.log('profile:ok')
@@ -0,0 +1,277 @@
+// Node test for src/room-auth.js
+// Signed messages must verify, and owned rooms must only accept writers.
+
+import * as Y from 'yjs'
+import { generateKeyPair } from '@libp2p/crypto/keys'
+import { peerIdFromPrivateKey } from '@libp2p/peer-id'
+import { signMessage, verifyMessage, claimRoom, createClaim, checkAccessChange, grantHolder, ackGrant, getOwner, getRole, can, isWriter, listWriters, addWriter, writerEntry, createGrant, parseGrant, verifyGrant, authorizeMessage, checkUploadScope, checkChatChange, createUploadAuth, verifyUploadAuth } from '../src/room-auth.js'
+import { upsertFiles, removeFiles } from '../src/manifest.js'
+import { addChatMsg, putChatMsg, editedMessage, deletedMessage, getChatMessages } from '../src/chat.js'
+
+function assert(cond, msg) { if (!cond) throw new Error(msg) }
+
+const owner = await generateKeyPair('Ed25519')
+const guest = await generateKeyPair('Ed25519')
+const hub = await generateKeyPair('Ed25519')
+const ownerId = peerIdFromPrivateKey(owner).toString()
+const guestId = peerIdFromPrivateKey(guest).toString()
+const hubId = peerIdFromPrivateKey(hub).toString()
+const roomId = 'room-1'
+
+// Signatures survive the JSON round trip and catch tampering
+const signed = JSON.parse(JSON.stringify(await signMessage(owner, { type: 'Y_UPDATE', update: [1, 2, 3], roomId })))
+assert(await verifyMessage(signed) === ownerId, 'signature should verify after a JSON round trip')
+assert(await verifyMessage({ ...signed, update: [1, 2, 4] }) === null, 'altered payload should not verify')
+assert(await verifyMessage({ ...signed, from: guestId }) === null, 'impersonation should not verify')
+assert(await verifyMessage({ type: 'Y_UPDATE', update: [] }) === null, 'unsigned message has no signer')
+
+// Open rooms (no owner) accept everyone, including legacy unsigned peers
+const doc = new Y.Doc()
+assert((await authorizeMessage(doc, roomId, { type: 'Y_UPDATE', update: [] })).ok, 'open room should accept unsigned updates')
+assert(isWriter(doc, guestId), 'everyone can write an open room')
+assert(!(await authorizeMessage(doc, roomId, { ...signed, update: [9] })).ok, 'bad signatures are never accepted')
+
+// Owned rooms accept the owner and trusted hubs only
+assert(claimRoom(doc, ownerId) && !claimRoom(doc, guestId), 'first claim should win')
+assert(getOwner(doc) === ownerId, 'owner should be recorded')
+const fromGuest = await signMessage(guest, { type: 'Y_UPDATE', update: [4], roomId })
+assert((await authorizeMessage(doc, roomId, signed)).ok, 'owner updates should be accepted')
+assert((await authorizeMessage(doc, roomId, fromGuest)).reason === 'not a writer', 'reader updates should be rejected')
+assert((await authorizeMessage(doc, roomId, { type: 'Y_UPDATE', update: [] })).reason === 'unsigned', 'unsigned updates should be rejected')
+assert((await authorizeMessage(doc, 'room-2', signed)).reason === 'wrong room', 'updates signed for another room should be rejected')
+const fromHub = await signMessage(hub, { type: 'SNAPSHOT', update: [5], roomId })
+assert((await authorizeMessage(doc, roomId, fromHub, { trusted: [hubId] })).ok, 'trusted hub snapshots should be accepted')
+assert(!(await authorizeMessage(doc, roomId, fromHub)).ok, 'untrusted hub snapshots should be rejected')
+
+// Write grants: valid only for their room, and only if issued by a writer
+const grant = parseGrant(await createGrant(owner, roomId))
+assert(grant && grant.by === ownerId, 'grant token should decode')
+assert(await verifyGrant(doc, roomId, grant), 'owner grant should be valid')
+assert(!(await verifyGrant(doc, 'room-2', grant)), 'grant should not transfer to another room')
+assert(!(await verifyGrant(doc, roomId, { ...grant, id: 'forged' })), 'altered grant should be invalid')
+assert(!(await verifyGrant(doc, roomId, parseGrant(await createGrant(guest, roomId)))), 'readers cannot issue grants')
+assert(parseGrant('not-a-token') === null, 'garbage tokens should be ignored')
+
+const withGrant = await signMessage(guest, { type: 'Y_UPDATE', update: [6], roomId, grant })
+assert((await authorizeMessage(doc, roomId, withGrant)).ok, 'updates carrying a valid grant should be accepted')
+
+// Redeemed grants make the peer a writer, merged through the doc like any change
+const other = new Y.Doc()
+Y.applyUpdate(other, Y.encodeStateAsUpdate(doc))
+addWriter(other, guestId, grant)
+Y.applyUpdate(doc, Y.encodeStateAsUpdate(other, Y.encodeStateVector(doc)))
+assert(isWriter(doc, guestId), 'redeemed grant should add a writer')
+assert(listWriters(doc).join(',') === `${ownerId},${guestId}`, 'writers should list owner first')
+assert((await authorizeMessage(doc, roomId, fromGuest)).ok, 'writer updates should be accepted')
+
+// Upload-only grants: the uploader may add new files and nothing else
+const uploader = await generateKeyPair('Ed25519')
+const uploaderId = peerIdFromPrivateKey(uploader).toString()
+const uploadGrant = parseGrant(await createGrant(owner, roomId, { role: 'upload' }))
+assert(uploadGrant.role === 'upload', 'upload grant should keep its role')
+const redeem = await signMessage(uploader, { type: 'Y_UPDATE', update: [], roomId, grant: uploadGrant })
+assert((await authorizeMessage(doc, roomId, redeem)).role === 'upload', 'grant should carry its role')
+
+upsertFiles(doc, [{ name: 'shared.txt', size: 1, cid: 'cid-shared' }])
+const change = (fn) => {
+  const copy = new Y.Doc()
+  Y.applyUpdate(copy, Y.encodeStateAsUpdate(doc))
+  const before = Y.encodeStateVector(copy)
+  fn(copy)
+  return Y.encodeStateAsUpdate(copy, before)
+}
+assert(checkUploadScope(doc, change(d => addWriter(d, uploaderId, uploadGrant)), uploaderId) === null, 'redeeming an upload grant is in scope')
+assert(checkUploadScope(doc, change(d => addWriter(d, uploaderId, { ...uploadGrant, role: 'write' })), uploaderId), 'self-promotion should be out of scope')
+assert(checkUploadScope(doc, change(d => upsertFiles(d, [{ name: 'new.txt', size: 2, cid: 'cid-new' }])), uploaderId) === null, 'adding files is in scope')
+assert(checkUploadScope(doc, change(d => upsertFiles(d, [{ name: 'renamed.txt', cid: 'cid-shared' }])), uploaderId), 'changing files should be out of scope')
+assert(checkUploadScope(doc, change(d => removeFiles(d, ['cid-shared'])), uploaderId), 'removing files should be out of scope')
+assert(checkUploadScope(doc, change(d => d.getArray('chat').push([{ text: 'hi' }])), uploaderId), 'chat should be out of scope')
+assert(checkUploadScope(doc, change(d => d.getMap('access').set('owner', uploaderId)), uploaderId), 'ownership changes should be out of scope')
+
+Y.applyUpdate(doc, change(d => addWriter(d, uploaderId, uploadGrant)))
+assert(getRole(doc, uploaderId) === 'upload', 'redeemed upload grant should give the upload role')
+assert(can('upload', 'upload') && !can('upload', 'chat') && !can('upload', 'invite'), 'uploaders may only upload')
+assert(can('write', 'edit') && !can('read', 'upload'), 'full access may edit, readers nothing')
+assert(!(await verifyGrant(doc, roomId, parseGrant(await createGrant(uploader, roomId)), ownerId)), 'uploaders cannot issue grants')
+
+// Expired grants can't be redeemed
+const expired = parseGrant(await createGrant(owner, roomId, { expiresAt: Date.now() - 1000 }))
+assert(!(await verifyGrant(doc, roomId, expired, guestId)), 'expired grant should be invalid')
+assert(await verifyGrant(doc, roomId, parseGrant(await createGrant(owner, roomId, { expiresAt: Date.now() + 60000 })), guestId), 'unexpired grant should be valid')
+
+// Single-use grants: a lone redeemer keeps it, later ones are readers
+const once = parseGrant(await createGrant(owner, roomId, { single: true }))
+const late = await generateKeyPair('Ed25519')
+const lateId = peerIdFromPrivateKey(late).toString()
+const first = new Y.Doc()
+const second = new Y.Doc()
+Y.applyUpdate(first, Y.encodeStateAsUpdate(doc))
+Y.applyUpdate(second, Y.encodeStateAsUpdate(doc))
+assert(await verifyGrant(first, roomId, once, uploaderId), 'unused single-use grant should be valid')
+addWriter(first, '12D3KooWfirst', once)
+assert(getRole(first, '12D3KooWfirst') === 'write' && !(await verifyGrant(first, roomId, once, lateId)), 'used single-use grant should be invalid for others')
+addWriter(second, lateId, once)
+Y.applyUpdate(first, Y.encodeStateAsUpdate(second))
+assert(grantHolder(first, once.id) === null && getRole(first, '12D3KooWfirst') === 'read' && getRole(first, lateId) === 'read', 'concurrent redemptions wait for the issuer')
+
+// Redemptions must be the entry the grant makes: a redeemer can't drop `single` or rank itself first
+const racing = new Y.Doc()
+Y.applyUpdate(racing, Y.encodeStateAsUpdate(doc))
+addWriter(racing, uploaderId, once)
+const race = (fn) => {
+  const copy = new Y.Doc()
+  Y.applyUpdate(copy, Y.encodeStateAsUpdate(racing))
+  const before = Y.encodeStateVector(copy)
+  fn(copy)
+  return Y.encodeStateAsUpdate(copy, before)
+}
+const lateRedeem = await signMessage(late, { type: 'Y_UPDATE', update: [], roomId, grant: once })
+assert(!(await authorizeMessage(racing, roomId, lateRedeem)).ok, 'a grant another peer redeemed first is refused')
+const blank = new Y.Doc()
+Y.applyUpdate(blank, Y.encodeStateAsUpdate(doc))
+const fresh = await authorizeMessage(blank, roomId, lateRedeem)
+assert(fresh.ok && fresh.grant === once, 'an unused grant is accepted and passed on for checkAccessChange')
+const redeemAs = (entry) => {
+  const copy = new Y.Doc()
+  Y.applyUpdate(copy, Y.encodeStateAsUpdate(blank))
+  const before = Y.encodeStateVector(copy)
+  copy.getMap('writers').set(lateId, entry)
+  return Y.encodeStateAsUpdate(copy, before)
+}
+const { single: _single, ...notSingle } = writerEntry(once)
+assert(await checkAccessChange(blank, roomId, redeemAs(notSingle), lateId, { grant: once }) === "doesn't redeem its grant as issued", 'a redemption without `single` is refused')
+assert(await checkAccessChange(blank, roomId, redeemAs({ ...writerEntry(once), at: 0 }), lateId, { grant: once }) === "doesn't redeem its grant as issued", 'and so is a backdated one')
+assert(await checkAccessChange(blank, roomId, redeemAs({ ...writerEntry(once), role: 'owner' }), lateId, { grant: once }), 'or one with another role')
+const dropGuest = new Y.Doc()
+Y.applyUpdate(dropGuest, Y.encodeStateAsUpdate(blank))
+const beforeDrop = Y.encodeStateVector(dropGuest)
+dropGuest.transact(() => {
+  dropGuest.getMap('writers').delete(guestId)
+  addWriter(dropGuest, lateId, once)
+})
+assert(await checkAccessChange(blank, roomId, Y.encodeStateAsUpdate(dropGuest, beforeDrop), lateId, { grant: once }) === "doesn't redeem its grant as issued", 'redeemers cannot touch other entries')
+assert(await checkAccessChange(blank, roomId, redeemAs(writerEntry(once)), lateId, { grant: once }) === null, 'the entry the grant makes is taken')
+Y.applyUpdate(racing, race(d => d.getMap('writers').set(lateId, { ...writerEntry(once), at: 0 })))
+assert(grantHolder(racing, once.id) === null && getRole(racing, uploaderId) === 'read', 'a redeemer-supplied time never ranks redemptions')
+
+// The issuer's acknowledgement decides for good: a late redemption can't take the grant
+const acked = new Y.Doc()
+Y.applyUpdate(acked, Y.encodeStateAsUpdate(doc))
+addWriter(acked, uploaderId, once)
+const edit = (fn) => {
+  const copy = new Y.Doc()
+  Y.applyUpdate(copy, Y.encodeStateAsUpdate(acked))
+  const before = Y.encodeStateVector(copy)
+  fn(copy)
+  return Y.encodeStateAsUpdate(copy, before)
+}
+const ack = await ackGrant(owner, roomId, uploaderId, once.id)
+const ackIt = edit(d => d.getMap('writers').set(uploaderId, { ...d.getMap('writers').get(uploaderId), ack }))
+assert(await checkAccessChange(acked, roomId, ackIt, ownerId) === null, "the issuer's acknowledgement is taken")
+const forgedAck = await ackGrant(late, roomId, uploaderId, once.id)
+assert(await checkAccessChange(acked, roomId, edit(d => d.getMap('writers').set(uploaderId, { ...d.getMap('writers').get(uploaderId), ack: forgedAck })), lateId) === 'bad grant acknowledgement', 'acknowledgements signed by anyone else are refused')
+const otherRoomAck = await ackGrant(owner, 'room-2', uploaderId, once.id)
+assert(await checkAccessChange(acked, roomId, edit(d => d.getMap('writers').set(uploaderId, { ...d.getMap('writers').get(uploaderId), ack: otherRoomAck })), ownerId) === 'bad grant acknowledgement', 'and so are those for another room')
+Y.applyUpdate(acked, ackIt)
+const lateEntry = edit(d => addWriter(d, lateId, once))
+assert(await checkAccessChange(acked, roomId, lateEntry, lateId) === null, 'a late redemption may still be recorded')
+Y.applyUpdate(acked, lateEntry)
+assert(grantHolder(acked, once.id) === uploaderId && getRole(acked, lateId) === 'read', 'but the acknowledged redeemer keeps the grant')
+assert(!(await verifyGrant(acked, roomId, once, lateId)), 'and the grant is used up for others')
+assert(await checkAccessChange(acked, roomId, edit(d => d.getMap('writers').set(uploaderId, { ...d.getMap('writers').get(uploaderId), ack: undefined })), guestId) === 'changes a grant acknowledgement', 'writers cannot drop an acknowledgement')
+assert(await checkAccessChange(acked, roomId, edit(d => d.getMap('writers').delete(uploaderId)), guestId) === 'changes a grant acknowledgement', 'or the acknowledged entry')
+
+// Owner pinning: only the owner changes access, and ownerless docs only take a proven owner
+const stateOf = (d) => Y.encodeStateAsUpdate(d)
+const claimed = new Y.Doc()
+claimRoom(claimed, ownerId, await createClaim(owner, roomId))
+const relayed = stateOf(claimed)
+assert(await checkAccessChange(new Y.Doc(), roomId, relayed, guestId) === null, 'a signed claim can be relayed by anyone')
+assert(await checkAccessChange(new Y.Doc(), 'room-2', relayed, guestId) === 'bad ownership claim', 'claims are bound to their room')
+const forged = new Y.Doc()
+claimRoom(forged, guestId, { ...(await createClaim(owner, roomId)), owner: guestId })
+assert(await checkAccessChange(new Y.Doc(), roomId, stateOf(forged), guestId) === 'bad ownership claim', 'a claim signed by someone else is refused')
+const unsignedClaim = new Y.Doc()
+claimRoom(unsignedClaim, ownerId)
+assert(await checkAccessChange(new Y.Doc(), roomId, stateOf(unsignedClaim), ownerId) === null, 'older claims without a signature come from the owner')
+assert(await checkAccessChange(new Y.Doc(), roomId, stateOf(unsignedClaim), hubId, { trusted: [hubId] }) === null, 'or a trusted hub')
+assert(await checkAccessChange(new Y.Doc(), roomId, stateOf(unsignedClaim), guestId) === 'claims the room for another peer', 'but nobody else')
+assert(await checkAccessChange(new Y.Doc(), roomId, stateOf(unsignedClaim), null) === 'claims the room for another peer', 'unsigned updates cannot claim a room')
+
+// Invite links name the owner: no other, and nothing from others before it
+assert(await checkAccessChange(new Y.Doc(), roomId, relayed, guestId, { owner: ownerId }) === null, 'state naming the pinned owner is taken')
+const squatter = new Y.Doc()
+claimRoom(squatter, guestId, await createClaim(guest, roomId))
+assert(await checkAccessChange(new Y.Doc(), roomId, stateOf(squatter), guestId, { owner: ownerId }) === 'names another owner than the invite link', 'another owner is refused, even with a valid claim')
+const filesOnly = new Y.Doc()
+upsertFiles(filesOnly, [{ name: 'spam.txt', size: 1, cid: 'cid-spam' }])
+assert(await checkAccessChange(new Y.Doc(), roomId, stateOf(filesOnly), guestId, { owner: ownerId }), 'nothing from others before the owner is known')
+assert(await checkAccessChange(new Y.Doc(), roomId, stateOf(filesOnly), ownerId, { owner: ownerId }) === null, 'the pinned owner may write before that')
+assert(await checkAccessChange(new Y.Doc(), roomId, stateOf(filesOnly), guestId) === null, 'open rooms take anything that leaves access alone')
+const pinnedDoc = new Y.Doc()
+assert((await authorizeMessage(pinnedDoc, roomId, { type: 'Y_UPDATE', update: [] }, { owner: ownerId })).reason === 'unsigned', 'unsigned updates are refused once an owner is pinned')
+
+// Owned rooms: access changes must be signed by the owner
+const owned = new Y.Doc()
+Y.applyUpdate(owned, relayed)
+const takeover = (fn) => {
+  const copy = new Y.Doc()
+  Y.applyUpdate(copy, stateOf(owned))
+  const before = Y.encodeStateVector(copy)
+  fn(copy)
+  return Y.encodeStateAsUpdate(copy, before)
+}
+const seize = takeover(d => d.getMap('access').set('owner', guestId))
+assert(await checkAccessChange(owned, roomId, seize, guestId) === 'changes access without being the owner', 'writers cannot take the room')
+assert(await checkAccessChange(owned, roomId, seize, hubId, { trusted: [hubId] }) === 'changes access without being the owner', 'nor can hubs')
+assert(await checkAccessChange(owned, roomId, takeover(d => d.getMap('access').set('createdAt', 1)), ownerId) === null, 'the owner may')
+assert(await checkAccessChange(owned, roomId, takeover(d => upsertFiles(d, [{ name: 'x.txt', size: 1, cid: 'cid-x' }])), guestId) === null, 'other changes are left to authorizeMessage')
+
+// Chat messages can only be changed by their authors, also when relayed
+const talk = new Y.Doc()
+Y.applyUpdate(talk, stateOf(owned))
+addChatMsg(talk.getArray('chat'), await signMessage(owner, { msgId: 'c1', from: ownerId, ts: 1, text: 'Agenda attached' }))
+addChatMsg(talk.getArray('chat'), { msgId: 'c0', from: ownerId, ts: 0, text: 'Unsigned, from before' })
+const say = (fn) => {
+  const copy = new Y.Doc()
+  Y.applyUpdate(copy, stateOf(talk))
+  const before = Y.encodeStateVector(copy)
+  fn(copy.getArray('chat'))
+  return Y.encodeStateAsUpdate(copy, before)
+}
+assert(await checkChatChange(talk, say(chat => addChatMsg(chat, { msgId: 'c2', from: guestId, ts: 2, text: 'Thanks' })), guestId) === null, 'writers may post as themselves')
+assert(await checkChatChange(talk, say(chat => addChatMsg(chat, { msgId: 'c2', from: ownerId, ts: 2, text: 'Meeting cancelled' })), guestId) === 'carries message c2 not signed by its author', 'nobody may post as another peer')
+assert(await checkChatChange(talk, say(chat => putChatMsg(chat, editedMessage(chat, 'c1', ownerId, 'Agenda withdrawn'))), guestId) === 'carries message c1 not signed by its author', 'non-authors may not edit a message')
+assert(await checkChatChange(talk, say(chat => putChatMsg(chat, deletedMessage(chat, 'c0', ownerId))), guestId) === 'carries message c0 not signed by its author', 'non-authors may not delete a message')
+assert(await checkChatChange(talk, say(chat => addChatMsg(chat, { msgId: 'c1', from: guestId, ts: 1, deleted: true })), guestId) === 'changes message c1 of another author', 'nor take over its msgId')
+assert(await checkChatChange(talk, say(chat => chat.delete(0, 1)), guestId) === 'removes message c1 of another author', 'nor drop it')
+const signedEdit = await signMessage(owner, editedMessage(talk.getArray('chat'), 'c1', ownerId, 'Agenda v2'))
+assert(await checkChatChange(talk, say(chat => putChatMsg(chat, signedEdit)), guestId) === null, "relaying the author's signed edit is fine")
+assert(await checkChatChange(talk, say(chat => putChatMsg(chat, { ...signedEdit, text: 'Agenda v3' })), guestId) === 'carries message c1 not signed by its author', 'tampered edits are refused')
+const original = talk.getArray('chat').get(0)
+Y.applyUpdate(talk, say(chat => putChatMsg(chat, signedEdit)))
+assert(getChatMessages(talk.getArray('chat'))[0].text === 'Agenda v2', 'the signed edit applies')
+assert(await checkChatChange(talk, say(chat => { chat.delete(0, 1); chat.insert(0, [original]) }), guestId) === 'removes message c1 of another author', 'older signed versions cannot be replayed over newer ones')
+assert(await checkChatChange(talk, say(chat => putChatMsg(chat, deletedMessage(chat, 'c0', ownerId))), ownerId) === null, 'authors may delete their messages')
+assert(await checkChatChange(talk, say(chat => chat.delete(0, 2)), hubId, { trusted: [hubId] }) === null, 'trusted hubs are not checked')
+const openTalk = new Y.Doc()
+addChatMsg(openTalk.getArray('chat'), { msgId: 'o1', from: ownerId, ts: 1, text: 'hi' })
+const openCopy = new Y.Doc()
+Y.applyUpdate(openCopy, Y.encodeStateAsUpdate(openTalk))
+const openBefore = Y.encodeStateVector(openCopy)
+openCopy.getArray('chat').delete(0, 1)
+assert(await checkChatChange(openTalk, Y.encodeStateAsUpdate(openCopy, openBefore), guestId) === null, 'open rooms are not checked')
+
+// Mirror upload authorization: signed for one room, fresh, and only of the scheme it says
+const uploadAuth = await createUploadAuth(guest, roomId)
+const upload = await verifyUploadAuth(uploadAuth)
+assert(upload?.roomId === roomId && upload.from === guestId, 'upload authorizations name their room and signer')
+const [scheme, token] = uploadAuth.split(' ')
+const body = JSON.parse(Buffer.from(token, 'base64url').toString())
+const reencode = (msg) => `${scheme} ${Buffer.from(JSON.stringify(msg)).toString('base64url')}`
+assert(await verifyUploadAuth(reencode({ ...body, roomId: 'room-2' })) === null, 'the room cannot be swapped')
+const stale = await signMessage(guest, { type: 'UPLOAD', roomId, at: Date.now() - 60 * 60 * 1000 })
+assert(await verifyUploadAuth(reencode(stale)) === null, 'old authorizations are refused')
+assert(await verifyUploadAuth(`Bearer ${token}`) === null && await verifyUploadAuth(undefined) === null && await verifyUploadAuth('Room ???') === null, 'other headers are not room authorizations')
+
+console.log('room-auth:ok')
@@ -0,0 +1,132 @@
+// Node test for src/room-sync.js with the sync handlers of src/ydoc.js
+// A new connection must sync the rooms both peers share in one exchange, without gossipsub.
+
+import { pushable } from 'it-pushable'
+import { generateKeyPair } from '@libp2p/crypto/keys'
+import { peerIdFromPrivateKey } from '@libp2p/peer-id'
+import { startRoomSync, ROOM_SYNC_PROTOCOL } from '../src/room-sync.js'
+import { createYDoc } from '../src/ydoc.js'
+import { upsertFiles, listFiles } from '../src/manifest.js'
+import { claimRoom } from '../src/room-auth.js'
+import { importRoomKey, generateRoomKey } from '../src/room-crypto.js'
+
+function assert(cond, msg) { if (!cond) throw new Error(msg) }
+
+// In-memory duplex streams
+function streamPair() {
+  const toA = pushable()
+  const toB = pushable()
+  const end = (target) => async (source) => {
+    for await (const chunk of source) target.push(chunk)
+    target.end()
+  }
+  const abort = () => { toA.end(); toB.end() }
+  return [{ source: toA, sink: end(toB), abort }, { source: toB, sink: end(toA), abort }]
+}
+
+// Just enough libp2p: no gossipsub peers, one in-memory connection per pair
+const published = []
+async function fakeNode() {
+  const privateKey = await generateKeyPair('Ed25519')
+  const listeners = new Map()
+  const node = {
+    privateKey,
+    peerId: peerIdFromPrivateKey(privateKey),
+    protocols: new Map(),
+    connections: [],
+    handle: async (protocol, fn) => { node.protocols.set(protocol, fn) },
+    unhandle: async (protocol) => { node.protocols.delete(protocol) },
+    addEventListener: (type, fn) => listeners.set(type, fn),
+    removeEventListener: (type) => listeners.delete(type),
+    dispatch: (type, detail) => listeners.get(type)?.({ detail }),
+    getConnections: () => node.connections,
+    getPeers: () => [],
+    dialProtocol: async () => { throw new Error('no hub here') },
+    services: { pubsub: { subscribe() {}, unsubscribe() {}, addEventListener() {}, removeEventListener() {}, getSubscribers: () => [], publish: async (_, data) => { published.push(data) } } }
+  }
+  return node
+}
+
+function connect(a, b) {
+  const connection = (from, to) => ({
+    remotePeer: to.peerId,
+    newStream: async (protocol) => {
+      const handler = to.protocols.get(protocol)
+      if (!handler) throw Object.assign(new Error('unsupported'), { name: 'UnsupportedProtocolError' })
+      const [local, remote] = streamPair()
+      handler({ stream: remote, connection: { remotePeer: from.peerId } })
+      return local
+    }
+  })
+  const ab = connection(a, b)
+  a.connections.push(ab)
+  b.connections.push(connection(b, a))
+  a.dispatch('connection:open', ab)
+}
+
+const until = async (cond, what) => {
+  for (let i = 0; i < 200 && !cond(); i++) await new Promise(r => setTimeout(r, 10))
+  assert(cond(), `timed out waiting for ${what}`)
+}
+const files = (n, prefix) => Array.from({ length: n }, (_, i) => ({ name: `${prefix}-${i}.txt`, size: i, cid: `cid-${prefix}-${i}` }))
+
+console.log = () => {}
+console.warn = () => {}
+
+const alice = await fakeNode()
+const bob = await fakeNode()
+const key = await importRoomKey(generateRoomKey())
+const rooms = (node, docs) => startRoomSync(node, {
+  rooms: () => [...docs.keys()],
+  open: async (roomId) => docs.get(roomId)?.syncHandler || null
+})
+
+// Alice has a plain room, an encrypted room and a room Bob doesn't know
+const aliceDocs = new Map()
+for (const [roomId, options] of [['plain', {}], ['secret', { key }], ['alice-only', {}]]) {
+  aliceDocs.set(roomId, await createYDoc(roomId, alice, { ...options, privateKey: alice.privateKey }))
+}
+claimRoom(aliceDocs.get('plain'), alice.peerId.toString())
+upsertFiles(aliceDocs.get('plain'), files(50, 'a'))
+upsertFiles(aliceDocs.get('secret'), files(3, 'secret'))
+
+// Bob is a reader of 'plain' with changes Alice can't take, and a writer of 'secret'
+const bobDocs = new Map()
+bobDocs.set('plain', await createYDoc('plain', bob, { privateKey: bob.privateKey }))
+bobDocs.set('secret', await createYDoc('secret', bob, { key, privateKey: bob.privateKey }))
+upsertFiles(bobDocs.get('plain'), files(1, 'reader'))
+upsertFiles(bobDocs.get('secret'), files(2, 'bob'))
+
+const aliceSync = rooms(alice, aliceDocs)
+const bobSync = rooms(bob, bobDocs)
+assert(alice.protocols.has(ROOM_SYNC_PROTOCOL), 'protocol should be registered')
+
+// Local changes are published on gossipsub as usual; wait for those before counting
+await new Promise(r => setTimeout(r, 50))
+published.length = 0
+connect(bob, alice)
+await until(() => listFiles(bobDocs.get('plain')).length === 51, 'plain room to reach Bob')
+await until(() => listFiles(aliceDocs.get('secret')).length === 5 && listFiles(bobDocs.get('secret')).length === 5, 'encrypted room to sync both ways')
+assert(listFiles(aliceDocs.get('plain')).length === 50, "a reader's changes should not reach the owner")
+assert(!bobDocs.has('alice-only'), "rooms Bob doesn't have are not sent to him")
+assert(published.length === 0, 'initial sync should not use gossipsub')
+
+// A room opened later syncs with the peers we're already connected to
+bobDocs.set('alice-only', await createYDoc('alice-only', bob, { privateKey: bob.privateKey }))
+upsertFiles(aliceDocs.get('alice-only'), files(1, 'late'))
+bobSync.syncRoom('alice-only')
+await until(() => listFiles(bobDocs.get('alice-only')).length === 1, 'late room to sync')
+
+// Peers without the protocol are reported so the caller can fall back to gossipsub
+const old = await fakeNode()
+let unsupported = null
+startRoomSync(bob, { rooms: () => ['plain'], open: async () => null, onUnsupported: (peer, roomIds) => { unsupported = { peer, roomIds } } })
+connect(bob, old)
+await until(() => unsupported, 'unsupported peer callback')
+assert(unsupported.peer === old.peerId.toString() && unsupported.roomIds[0] === 'plain', 'callback should name the peer and rooms')
+
+aliceSync.stop()
+bobSync.stop()
+for (const doc of [...aliceDocs.values(), ...bobDocs.values()]) doc.destroy()
+
+process.stdout.write('room-sync:ok\n')
@@ -0,0 +1,67 @@
+// Node test for server/sealed-log.js
+// `covers` must only compact what was replayed to its signer, and full logs take no more entries.
+
+import { createSealedLog, appendSealed, markReplayed, sealedAuthor, sealedFrames, sealedPages, sealedSnapshot, MAX_SEALED_ENTRIES, MAX_SEALED_BYTES } from '../server/sealed-log.js'
+import { encodeFrame } from '../src/sync-protocol.js'
+
+function assert(cond, msg) { if (!cond) throw new Error(msg) }
+
+const frame = (n) => new Uint8Array([n, n, n])
+const seqs = (log) => log.entries.map(e => e.seq).join()
+
+const log = createSealedLog()
+for (let i = 1; i <= 3; i++) appendSealed(log, { frame: frame(i), from: 'alice' })
+assert(seqs(log) === '1,2,3', 'entries get increasing seqs')
+
+// Nobody was sent the log yet: covers is ignored
+appendSealed(log, { frame: frame(4), covers: 3, from: 'mallory' })
+assert(seqs(log) === '1,2,3,4', 'covers from a peer that was never replayed the log does not compact')
+
+// Replayed up to 3 to alice: her reply compacts exactly that far, even if it claims more
+markReplayed(log, 'alice', 3)
+appendSealed(log, { frame: frame(5), covers: 99, from: 'mallory' })
+assert(seqs(log) === '1,2,3,4,5', 'covers only counts for the peer it was replayed to')
+appendSealed(log, { frame: frame(6), covers: 99, from: 'alice' })
+assert(seqs(log) === '4,5,6', 'covers is capped to the seq replayed to its signer')
+markReplayed(log, 'alice', 6)
+markReplayed(log, 'alice', 1)
+appendSealed(log, { frame: frame(7), covers: 5, from: 'alice' })
+assert(seqs(log) === '6,7', 'an older replay does not lower what was sent')
+
+// Legacy JSON messages are stored as base64 and replayed as sent
+const msg = { type: 'Y_UPDATE', enc: true, iv: [1, 2], update: [3, 4], from: 'bob', sig: 'x' }
+appendSealed(log, { msg, from: 'bob' })
+assert(log.entries.at(-1).msg.update === 'AwQ=', 'legacy updates are stored as base64')
+assert(JSON.parse(new TextDecoder().decode(sealedFrames(log).at(-1))).update.join() === '3,4', 'and replayed as arrays')
+assert(sealedFrames(log)[0].join() === '6,6,6', 'binary frames come back as bytes')
+const snapshot = sealedSnapshot(log)
+assert(snapshot.updates.length === 1 && !('seq' in snapshot), 'legacy snapshots leave out binary entries and then carry no seq')
+
+// Authors: the signers of binary frames and legacy messages
+const authored = createSealedLog()
+appendSealed(authored, { frame: encodeFrame({ type: 'Y_UPDATE', roomId: 'r', digest: '', enc: true, from: 'carol' }, new Uint8Array([1])), from: 'carol' })
+appendSealed(authored, { msg, from: 'bob' })
+appendSealed(authored, { frame: frame(1), from: 'alice' })
+assert(sealedAuthor(authored, 'carol') && sealedAuthor(authored, 'bob') && !sealedAuthor(authored, 'alice'), 'authors are read from the stored entries')
+
+// Replays go out in pages that each stay under the size, in order
+const paged = createSealedLog()
+for (const size of [40, 40, 30, 100, 10]) appendSealed(paged, { frame: new Uint8Array(size), from: 'alice' })
+const pages = sealedPages(paged, 80)
+assert(pages.map(p => p.frames.map(f => f.length).join('+')).join() === '40+40,30,100,10', 'entries are grouped up to the page size, larger ones alone')
+assert(pages.map(p => `${p.since}-${p.seq}`).join() === '0-2,2-3,3-4,4-5', 'each page says where the previous one ended')
+assert(sealedPages(paged).length === 1 && sealedPages(createSealedLog()).length === 0, 'small logs go in one page')
+
+// Caps: entry count and bytes
+const full = createSealedLog()
+for (let i = 0; i < MAX_SEALED_ENTRIES; i++) assert(appendSealed(full, { frame: frame(1), from: 'alice' }), 'entries up to the cap are kept')
+assert(appendSealed(full, { frame: frame(1), from: 'alice' }) === null && full.entries.length === MAX_SEALED_ENTRIES, 'a full log refuses more entries')
+markReplayed(full, 'alice', full.next - 1)
+const compacted = appendSealed(full, { frame: frame(2), covers: full.next - 1, from: 'alice' })
+assert(compacted && full.entries.length === 1 && full.next === MAX_SEALED_ENTRIES + 2, 'a covering full state still gets in and compacts it')
+const big = createSealedLog()
+const half = new Uint8Array(Math.ceil(MAX_SEALED_BYTES / 2 * 0.75) + 10)
+assert(appendSealed(big, { frame: half, from: 'alice' }), 'one large entry fits')
+assert(appendSealed(big, { frame: half, from: 'alice' }) === null && big.entries.length === 1 && big.next === 2, 'past the byte cap entries are refused without using a seq')
+
+console.log('sealed-log:ok')
@@ -0,0 +1,85 @@
+// Node test for src/sync-protocol.js
+// State-vector sync must send only the missing diff, and frames must survive chunking and signing.
+
+import * as Y from 'yjs'
+import { generateKeyPair } from '@libp2p/crypto/keys'
+import { peerIdFromPrivateKey } from '@libp2p/peer-id'
+import { syncStep1, syncStep2, syncUpdate, readSync, checkDigest, encodeFrame, decodeFrame, chunkFrame, createReassembler, encodeMessage, encodeFrameList, decodeFrameList, MAX_FRAME_SIZE } from '../src/sync-protocol.js'
+import { verifyMessage } from '../src/room-auth.js'
+import { upsertFiles, listFiles } from '../src/manifest.js'
+
+function assert(cond, msg) { if (!cond) throw new Error(msg) }
+
+const equal = (a, b) => a.length === b.length && a.every((v, i) => v === b[i])
+const files = (n, prefix) => Array.from({ length: n }, (_, i) => ({ name: `${prefix}-${i}.txt`, size: i, cid: `cid-${prefix}-${i}` }))
+
+// Two-step sync: each side gets only what it is missing
+const a = new Y.Doc()
+const b = new Y.Doc()
+upsertFiles(a, files(200, 'shared'))
+Y.applyUpdate(b, Y.encodeStateAsUpdate(a))
+upsertFiles(a, files(1, 'only-a'))
+upsertFiles(b, files(1, 'only-b'))
+
+const step1 = readSync(syncStep1(b))
+assert(step1.type === 'SYNC_STEP1', 'step 1 should carry a state vector')
+const step2 = readSync(syncStep2(a, step1.data))
+assert(step2.type === 'SYNC_STEP2', 'step 2 should carry a diff')
+assert(step2.data.length * 10 < Y.encodeStateAsUpdate(a).length, 'diff should be much smaller than the full state')
+Y.applyUpdate(b, step2.data)
+Y.applyUpdate(a, readSync(syncStep2(b, readSync(syncStep1(a)).data)).data)
+assert(listFiles(a).length === 202 && listFiles(b).length === 202, 'both sides should converge')
+assert(readSync(syncUpdate(new Uint8Array([0, 0]))).type === 'Y_UPDATE', 'updates should keep their type')
+
+// Binary frames are far smaller than the JSON number arrays they replace
+const state = Y.encodeStateAsUpdate(a)
+const frame = encodeFrame({ type: 'SYNC_STEP2', roomId: 'r' }, state)
+const json = new TextEncoder().encode(JSON.stringify({ type: 'SNAPSHOT', update: Array.from(state), roomId: 'r' }))
+assert(frame.length * 2 < json.length, `binary frame (${frame.length}) should be well under JSON (${json.length})`)
+
+// Legacy JSON messages are recognised
+assert(decodeFrame(json).legacy.type === 'SNAPSHOT', 'JSON messages should decode as legacy')
+
+// Signed headers cover the payload through its digest
+const key = await generateKeyPair('Ed25519')
+const [signed] = await encodeMessage({ type: 'Y_UPDATE', roomId: 'r' }, syncUpdate(state), key)
+const { header, payload } = decodeFrame(signed)
+assert(await verifyMessage(header) === peerIdFromPrivateKey(key).toString(), 'header signature should verify')
+assert(await checkDigest(header, payload), 'digest should match the payload')
+assert(!(await checkDigest(header, Uint8Array.from(payload, (v, i) => i === 5 ? v ^ 1 : v))), 'altered payload should fail the digest')
+assert(!(await checkDigest({ type: 'Y_UPDATE' }, payload)), 'headers without a digest should fail')
+
+// Large messages are chunked under the limit and reassembled in any order
+const large = Uint8Array.from({ length: 3 * MAX_FRAME_SIZE + 123 }, (_, i) => (i * 31) & 0xff)
+const parts = await encodeMessage({ type: 'SYNC_STEP2', roomId: 'r' }, large, key)
+assert(parts.length === 4, `expected 4 parts, got ${parts.length}`)
+assert(parts.every(p => p.length <= MAX_FRAME_SIZE), 'every part should fit the limit')
+const reassembler = createReassembler()
+let whole = null
+for (const part of [parts[2], parts[0], parts[3], parts[0], parts[1]]) {
+  const out = reassembler.add(decodeFrame(part).chunk)
+  if (out) { assert(!whole, 'frame should be completed once'); whole = out }
+}
+const rebuilt = decodeFrame(whole)
+assert(equal(rebuilt.payload, large) && await checkDigest(rebuilt.header, rebuilt.payload), 'reassembled frame should match')
+assert(chunkFrame(frame).length === 1, 'small frames should not be chunked')
+
+// Pending parts are bounded: in bytes overall, and in frames per sender
+const chunks = (n) => chunkFrame(new Uint8Array(n * 1000), 1064).map(p => decodeFrame(p).chunk)
+const bounded = createReassembler({ maxBytes: 5000, maxPerSender: 2 })
+const [first, second, third] = [chunks(2), chunks(2), chunks(2)]
+assert(!bounded.add(first[0], 'mallory') && !bounded.add(second[0], 'mallory'), 'parts are held')
+assert(!bounded.add(third[0], 'mallory') && !bounded.add(third[1], 'mallory'), 'a sender can only have so many frames in progress')
+assert(!bounded.add(third[0], 'alice') && bounded.add(third[1], 'alice')?.length === 2000, 'other senders are not affected, and chunk IDs are per sender')
+assert(bounded.add(first[1], 'mallory')?.length === 2000, 'finishing a frame frees its slot')
+const flood = chunks(5)
+for (const part of flood.slice(0, 4)) bounded.add(part, 'bob')
+assert(!bounded.add(flood[4], 'bob'), 'a frame that would go past the byte limit is dropped')
+const [next0, next1] = chunks(2)
+assert(!bounded.add(next0, 'bob') && bounded.add(next1, 'bob')?.length === 2000, 'and its bytes are freed')
+
+// Hub snapshots list stored frames, binary or legacy
+const list = decodeFrameList(encodeFrameList([frame, json]))
+assert(list.length === 2 && equal(list[0], frame) && equal(list[1], json), 'frame lists should round-trip')
+
+console.log('sync-protocol:ok')
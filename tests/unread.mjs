@@ -0,0 +1,50 @@
+// Node test for src/unread.js
+// Unread counts must only cover what others added since the marker, and survive edits, deletes and removals.
+
+import * as Y from 'yjs'
+import { addChatMsg, editChatMsg, deleteChatMsg } from '../src/chat.js'
+import { upsertFiles, removeFiles } from '../src/manifest.js'
+import { readMarker, countUnread } from '../src/unread.js'
+
+function assert(cond, msg) { if (!cond) throw new Error(msg) }
+
+const doc = new Y.Doc()
+const chat = doc.getArray('chat')
+addChatMsg(chat, { msgId: 'm1', from: 'bob', ts: 1, text: 'hi' })
+upsertFiles(doc, [{ name: 'a.txt', size: 1, cid: 'cid-a' }])
+
+// No marker yet: nothing is unread
+assert(countUnread(doc, null, 'alice').chat === 0, 'rooms without a marker start out read')
+
+const marker = readMarker(doc)
+assert(marker.chat === 1 && marker.files.join() === 'cid-a', 'marker should record messages and file keys')
+assert(JSON.stringify(countUnread(doc, marker, 'alice')) === JSON.stringify({ chat: 0, mentions: 0, files: 0, lastMessage: null, lastMention: null, lastFile: null }), 'nothing new right after reading')
+
+// New messages from others and new files count; our own messages don't
+addChatMsg(chat, { msgId: 'm2', from: 'alice', ts: 2, text: 'hello' })
+addChatMsg(chat, { msgId: 'm3', from: 'bob', ts: 3, text: 'new draft' })
+addChatMsg(chat, { msgId: 'm4', from: 'bob', ts: 4, text: 'comment', about: 'cid-a' })
+upsertFiles(doc, [{ name: 'b.txt', size: 1, cid: 'cid-b' }])
+let unread = countUnread(doc, marker, 'alice')
+assert(unread.chat === 2 && unread.lastMessage.msgId === 'm4', 'messages from others since the marker should count')
+assert(unread.files === 1 && unread.lastFile.name === 'b.txt', 'new files should count')
+
+// Messages that @mention us are counted apart
+addChatMsg(chat, { msgId: 'm5', from: 'bob', ts: 5, text: '@Alice see this', mentions: ['alice'] })
+unread = countUnread(doc, marker, 'alice')
+assert(unread.chat === 3 && unread.mentions === 1 && unread.lastMention.msgId === 'm5', 'mentions of us should count')
+assert(countUnread(doc, marker, 'carol').mentions === 0, 'mentions of others are not ours')
+deleteChatMsg(chat, 'm5', 'bob')
+
+// Edits don't add messages; deletes take theirs back
+editChatMsg(chat, 'm1', 'bob', 'hi all')
+deleteChatMsg(chat, 'm3', 'bob')
+unread = countUnread(doc, marker, 'alice')
+assert(unread.chat === 1 && unread.lastMessage.msgId === 'm4', 'edits of read messages and deleted messages should not count')
+
+// Removing a read file doesn't hide a new one
+removeFiles(doc, ['cid-a'])
+assert(countUnread(doc, marker, 'alice').files === 1, 'removals should not offset new files')
+assert(countUnread(doc, readMarker(doc), 'alice').files === 0 && countUnread(doc, readMarker(doc), 'alice').chat === 0, 'reading again clears the counts')
+
+console.log('unread:ok')
@@ -0,0 +1,193 @@
+// Node test for server/uploads.js and src/mirror-backup.js
+// Uploads must be authorized, resume from the mirror's offset, respect their limits, store only blocks that match
+// their CIDs and pin only complete DAGs the client may pin; a backup must send only the blocks the mirror lacks
+// and get the files pinned.
+
+import { createServer } from 'http'
+import { mkdtemp, rm, readdir } from 'fs/promises'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { MemoryBlockstore } from 'blockstore-core'
+import { unixfs } from '@helia/unixfs'
+import { CarWriter } from '@ipld/car/writer'
+import { CID } from 'multiformats/cid'
+import { sha256 } from 'multiformats/hashes/sha2'
+import * as raw from 'multiformats/codecs/raw'
+import { concat } from 'uint8arrays/concat'
+import { decode as decodeDagPb } from '@ipld/dag-pb'
+import { createUploadApi } from '../server/uploads.js'
+import { verifyBlock } from '../src/car.js'
+import { backupToMirror } from '../src/mirror-backup.js'
+
+function assert(cond, msg) { if (!cond) throw new Error(msg) }
+
+const car = async (roots, blocks) => {
+  const { writer, out } = CarWriter.create(roots)
+  const parts = []
+  const reading = (async () => { for await (const p of out) parts.push(p) })()
+  for (const block of blocks) await writer.put(block)
+  await writer.close()
+  await reading
+  return concat(parts)
+}
+const block = async (text) => {
+  const bytes = new TextEncoder().encode(text)
+  return { cid: CID.create(1, raw.code, await sha256.digest(bytes)), bytes }
+}
+
+// The mirror: a blockstore and pins that need every block of their DAG locally
+const mirror = new MemoryBlockstore()
+const pinned = new Set()
+const pins = {
+  isPinned: async (cid) => pinned.has(cid.toString()),
+  add: async function * (cid) {
+    if (!(await mirror.has(cid))) throw new Error('Block not found')
+    pinned.add(cid.toString())
+    yield cid
+  }
+}
+// The hub's upload token, or a room grant (here `Room <peer>`) that may pin the room's files
+const roomRoots = new Set()
+const authorize = async (req) => {
+  const header = req.headers.authorization || ''
+  if (header === 'Bearer secret') return { id: 'token' }
+  if (header.startsWith('Room ')) return { id: header.slice(5), roots: roomRoots }
+  return null
+}
+const dir = await mkdtemp(join(tmpdir(), 'uploads-'))
+const api = createUploadApi({
+  blockstore: mirror,
+  pins,
+  dir,
+  authorize,
+  maxUploadBytes: 64 * 1024 * 1024,
+  maxRequestBytes: 3 * 1024 * 1024,
+  maxPendingBytes: 66 * 1024 * 1024,
+  maxSessions: 6
+})
+const server = await new Promise(resolve => {
+  const s = createServer(async (req, res) => {
+    if (await api(req, res)) return
+    res.writeHead(404)
+    res.end()
+  })
+  s.listen(0, '127.0.0.1', () => resolve(s))
+})
+const base = `http://127.0.0.1:${server.address().port}`
+const mirrorUrl = `${base}/upload`
+
+const TOKEN = 'Bearer secret'
+const start = async (length, auth = TOKEN) => {
+  const res = await fetch(`${base}/uploads`, { method: 'POST', headers: { Authorization: auth, 'Upload-Length': String(length) } })
+  return { res, url: res.status === 201 ? new URL(res.headers.get('location'), `${base}/uploads`).href : null }
+}
+const patch = (url, offset, body, auth = TOKEN) => fetch(url, { method: 'PATCH', headers: { Authorization: auth, 'Upload-Offset': String(offset) }, body })
+const head = (url, auth = TOKEN) => fetch(url, { method: 'HEAD', headers: { Authorization: auth } })
+const upload = async (bytes, auth = TOKEN) => (await patch((await start(bytes.length, auth)).url, 0, bytes, auth)).json()
+
+try {
+  assert(await verifyBlock((await block('a')).cid, new TextEncoder().encode('a')), 'matching blocks verify')
+  assert(!(await verifyBlock((await block('a')).cid, new TextEncoder().encode('b'))), 'other bytes do not')
+
+  // Only the hub's token or a room grant may upload
+  assert((await fetch(`${base}/uploads`, { method: 'POST', headers: { 'Upload-Length': '10' } })).status === 401, 'uploads without authorization are refused')
+  assert((await start(10, 'Bearer wrong')).res.status === 401, 'and with a wrong token')
+
+  // A CAR in three chunks, with a wrong offset and a HEAD in between
+  const good = await block('hello mirror')
+  const forged = { cid: (await block('real')).cid, bytes: new TextEncoder().encode('forged') }
+  const bytes = await car([good.cid], [good, forged])
+  let { res, url } = await start(bytes.length)
+  assert(res.status === 201 && res.headers.get('upload-offset') === '0' && url.startsWith(`${base}/uploads/`), 'uploads start at offset 0')
+  assert((await patch(url, 0, bytes.subarray(0, 10), 'Bearer wrong')).status === 401, 'every request is authorized')
+  assert((await head(url, 'Room mallory')).status === 404 && (await patch(url, 0, bytes.subarray(0, 10), 'Room mallory')).status === 404, 'another client cannot see or add to an upload')
+  res = await patch(url, 0, bytes.subarray(0, 10))
+  assert(res.status === 204 && res.headers.get('upload-offset') === '10', 'each chunk answers the new offset')
+  res = await patch(url, 5, bytes.subarray(5, 20))
+  assert(res.status === 409 && res.headers.get('upload-offset') === '10', 'a wrong offset is refused with the right one')
+  res = await head(url)
+  assert(res.headers.get('upload-offset') === '10' && res.headers.get('upload-length') === String(bytes.length), 'HEAD reports the offset to resume from')
+  await patch(url, 10, bytes.subarray(10, 30))
+  res = await patch(url, 30, bytes.subarray(30))
+  let body = await res.json()
+  assert(res.status === 200 && body.complete && body.stored === 1 && body.rejected[0] === forged.cid.toString(), 'blocks that do not match their CID are rejected')
+  assert(await mirror.has(good.cid) && !(await mirror.has(forged.cid)), 'only verified blocks are stored')
+  assert(body.pinned[0] === good.cid.toString() && pinned.has(good.cid.toString()), 'roots are pinned')
+  assert((await head(url)).status === 404 && (await readdir(dir)).length === 0, 'finished uploads are cleaned up')
+
+  // Limits
+  assert((await start(65 * 1024 * 1024)).res.status === 413 && (await start(0)).res.status === 400, 'upload sizes are checked up front')
+  ;({ url } = await start(5 * 1024 * 1024))
+  res = await patch(url, 0, new Uint8Array(4 * 1024 * 1024))
+  assert(res.status === 413, 'requests over the per-request cap are refused')
+  assert((await head(url)).headers.get('upload-offset') === '0', 'nothing of a refused request is kept')
+  ;({ url } = await start(4))
+  res = await patch(url, 0, new Uint8Array([1, 2, 3, 4]))
+  assert(res.status === 422 && (await head(url)).status === 404, 'uploads that are not CARs are dropped')
+  assert((await head(`${base}/uploads/../../etc`)).status === 404, 'unknown uploads')
+  assert((await fetch(`${base}/blocks/missing`, { method: 'POST', body: JSON.stringify({ cids: ['nope'] }) })).status === 400, 'malformed CIDs')
+
+  // Backup: a browser holding two files, one of them partly known to the mirror already, and one it never downloaded
+  const local = new MemoryBlockstore()
+  const fs = unixfs({ blockstore: local })
+  const big = new Uint8Array(5 * 1024 * 1024).map((_, i) => (i * 7 + (i >> 10)) % 251)
+  const bigCid = await fs.addBytes(big)
+  const smallCid = await fs.addBytes(new TextEncoder().encode('small'))
+  const elsewhere = await unixfs({ blockstore: new MemoryBlockstore() }).addBytes(new Uint8Array([9]))
+  const leaf = decodeDagPb(await local.get(bigCid)).Links[0].Hash
+  await mirror.put(leaf, await local.get(leaf))
+  const files = [
+    { name: 'big.bin', cid: bigCid.toString() },
+    { name: 'small.txt', cid: smallCid.toString() },
+    { name: 'copy.txt', cid: smallCid.toString() },
+    { name: 'remote.bin', cid: elsewhere.toString() }
+  ]
+  const progress = []
+  const result = await backupToMirror(local, files, { mirrorUrl, authorization: async () => TOKEN, onProgress: (sent, total) => progress.push([sent, total]) })
+  let localBlocks = 0
+  for await (const _ of local.getAll()) localBlocks++
+  assert(result.files === 3 && result.skipped.join() === 'remote.bin', 'files not held locally are skipped')
+  assert(result.blocks === localBlocks - 1, 'only blocks the mirror lacks are sent')
+  assert(result.pinned.length === 2 && pinned.has(bigCid.toString()) && pinned.has(smallCid.toString()), 'backed up files are pinned')
+  assert(progress[0][0] === 0 && progress.at(-1)[0] === progress.at(-1)[1], 'progress runs to the end')
+  const copy = unixfs({ blockstore: mirror })
+  let length = 0
+  for await (const chunk of copy.cat(bigCid)) length += chunk.length
+  assert(length === big.length, 'the mirror can read the backed up file')
+
+  // Nothing left to send the second time; a room grant pins the room's files
+  roomRoots.add(bigCid.toString()).add(smallCid.toString())
+  const again = await backupToMirror(local, files, { mirrorUrl, authorization: async () => 'Room alice' })
+  assert(again.blocks === 0 && again.pinned.length === 2, 'a second backup sends no blocks')
+  let error = null
+  await backupToMirror(local, [{ name: 'new.txt', cid: (await fs.addBytes(new TextEncoder().encode('new'))).toString() }], { mirrorUrl }).catch(err => { error = err })
+  assert(error?.status === 401, 'backups without authorization fail')
+
+  // Room grants only pin the room's files, and nothing is pinned without every block of its DAG
+  const roomFile = await block('a room file')
+  const stranger = await block('not in the room')
+  roomRoots.add(roomFile.cid.toString())
+  body = await upload(await car([roomFile.cid, stranger.cid], [roomFile, stranger]), 'Room alice')
+  assert(body.pinned.join() === roomFile.cid.toString() && /Not a file of the room/.test(body.failed[0]?.error), 'roots outside the room are not pinned')
+  assert(await mirror.has(stranger.cid) && !pinned.has(stranger.cid.toString()), 'though their blocks are stored')
+  const partial = new MemoryBlockstore()
+  const partialCid = await unixfs({ blockstore: partial }).addBytes(new Uint8Array(2 * 1024 * 1024).fill(3))
+  body = await upload(await car([partialCid], [{ cid: partialCid, bytes: await partial.get(partialCid) }]))
+  assert(!pinned.has(partialCid.toString()) && /missing/.test(body.failed[0]?.error), 'roots whose DAG is incomplete are not pinned')
+
+  // Caps: uploads per client, in all, and bytes pending (the refused 5 MiB upload above is still open)
+  const held = []
+  for (let i = 0; i < 4; i++) held.push((await start(1, 'Room bob')).url)
+  assert(held.every(Boolean) && (await start(1, 'Room bob')).res.status === 429, 'a client has a few uploads at once')
+  const carol = await start(1, 'Room carol')
+  assert(carol.res.status === 201 && (await start(1)).res.status === 429, 'and the mirror a few in all')
+  assert((await fetch(carol.url, { method: 'DELETE', headers: { Authorization: 'Room carol' } })).status === 204, 'abandoned uploads free their place')
+  assert((await start(64 * 1024 * 1024)).res.status === 507, 'uploads must fit next to the bytes still pending')
+  assert((await start(1024)).res.status === 201, 'smaller ones still go')
+
+} finally {
+  server.close()
+  await rm(dir, { recursive: true, force: true })
+}
+
+console.log('uploads:ok')
@@ -0,0 +1,58 @@
+// Node test for src/zip-stream.js
+// The archive must be readable by a standard unzip and keep manifest paths.
+
+import { writeFileSync, rmSync, mkdtempSync } from 'node:fs'
+import { execFileSync } from 'node:child_process'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { zipStream, zipPaths, crc32 } from '../src/zip-stream.js'
+
+function assert(cond, msg) { if (!cond) throw new Error(msg) }
+
+assert(crc32(new TextEncoder().encode('123456789')) === 0xcbf43926, 'crc32 check value')
+
+const paths = zipPaths([
+  { name: 'a.txt' },
+  { name: 'a.txt' },
+  { name: 'c.js', path: 'proj/src/b.js' },
+  { name: 'README' },
+  { name: 'README' }
+])
+assert(paths.join(',') === 'a.txt,a (2).txt,proj/src/c.js,README,README (2)', 'paths should be kept and de-duplicated')
+
+// Content is pulled lazily, chunk by chunk
+async function* chunks(n, size, fill) {
+  for (let i = 0; i < n; i++) yield new Uint8Array(size).fill(fill + i)
+}
+const parts = []
+for await (const part of zipStream([
+  { name: 'proj/src/c.js', source: () => chunks(3, 1000, 1) },
+  { name: 'empty.txt', source: () => chunks(0, 0, 0) },
+  { name: 'ünï.txt', source: () => chunks(1, 5, 65) },
+  // Announced as >= 4 GiB: written with ZIP64 local header and descriptor
+  { name: 'big.bin', size: 2 ** 32, source: () => chunks(2, 10, 9) }
+])) parts.push(part)
+
+// Cross-check with Python's zipfile when it is installed
+let python = true
+try { execFileSync('python3', ['--version']) } catch { python = false }
+if (python) {
+  const dir = mkdtempSync(join(tmpdir(), 'zip-test-'))
+  try {
+    const file = join(dir, 'out.zip')
+    writeFileSync(file, Buffer.concat(parts))
+    const out = execFileSync('python3', ['-c', `
+import sys, zipfile
+z = zipfile.ZipFile(sys.argv[1])
+assert z.testzip() is None
+print(','.join(f"{i.filename}:{i.file_size}" for i in z.infolist()))
+`, file]).toString().trim()
+    assert(out === 'proj/src/c.js:3000,empty.txt:0,ünï.txt:5,big.bin:20', `unexpected listing: ${out}`)
+  } finally {
+    rmSync(dir, { recursive: true, force: true })
+  }
+} else {
+  console.log('zip: python3 not found, skipping archive check')
+}
+
+console.log('zip:ok')